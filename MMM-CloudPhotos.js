@@ -7,16 +7,27 @@ Module.register("MMM-CloudPhotos", {
     showWidth: 1920,  // Landscape (16:9) - most common for displays/MagicMirror
     showHeight: 1080,
     timeFormat: "relative", // Use "relative" for "3 years ago" style, or a moment format like "YYYY/MM/DD HH:mm"
+    transition: "crossfade", // "crossfade", "slide", "zoom", "kenBurns" or "none"
+    transitionDuration: 2000, // ms, at most half of updateInterval
   },
   requiresVersion: "2.24.0",
 
+  transitions: ["crossfade", "slide", "zoom", "kenBurns", "none"],
+
   suspended: false,
+  userPresent: true,
+  paused: false,
+  infoHidden: false,
 
   getStyles: function () {
     return ["MMM-CloudPhotos.css"];
   },
 
   start: function () {
+    if (!this.transitions.includes(this.config.transition)) {
+      Log.warn(`[MMM-CloudPhotos] Unknown transition "${this.config.transition}", using "crossfade"`);
+      this.config.transition = "crossfade";
+    }
     this.connectionStatus = "initializing"; // initializing, online, offline, retrying, error
     this.statusMessage = "Loading...";
     this.sendSocketNotification("INIT", this.config);
@@ -52,6 +63,57 @@ Module.register("MMM-CloudPhotos", {
     }
   },
 
+  notificationReceived: function (noti, payload) {
+    // Slideshow controls for other modules (remote controls, buttons, voice)
+    switch (noti) {
+      case "CLOUDPHOTOS_NEXT":
+        this.sendSocketNotification("NEXT_PHOTO");
+        break;
+      case "CLOUDPHOTOS_PREVIOUS":
+        this.sendSocketNotification("PREVIOUS_PHOTO");
+        break;
+      case "CLOUDPHOTOS_PAUSE":
+        this.setPaused(true);
+        break;
+      case "CLOUDPHOTOS_RESUME":
+        this.setPaused(false);
+        break;
+      case "CLOUDPHOTOS_TOGGLE_INFO":
+        this.infoHidden = !this.infoHidden;
+        this.updateControlState();
+        break;
+      case "USER_PRESENCE":
+        // Sent by presence/PIR sensor modules
+        this.userPresent = payload !== false;
+        this.sendVisibility();
+        break;
+    }
+  },
+
+  sendVisibility: function () {
+    this.sendSocketNotification("VISIBILITY", {
+      suspended: this.suspended,
+      userPresent: this.userPresent,
+    });
+  },
+
+  setPaused: function (paused) {
+    this.paused = paused;
+    this.sendSocketNotification(paused ? "PAUSE" : "RESUME");
+    this.updateControlState();
+  },
+
+  updateControlState: function () {
+    const info = document.getElementById("GPHOTO_INFO");
+    if (info) {
+      info.classList.toggle("hidden", this.infoHidden);
+    }
+    const pausedDiv = document.getElementById("GPHOTO_PAUSED");
+    if (pausedDiv) {
+      pausedDiv.classList.toggle("visible", this.paused);
+    }
+  },
+
   parseConnectionStatus: function (message) {
     // Parse status message to determine connection state
     const msg = String(message).toLowerCase();
@@ -91,77 +153,291 @@ Module.register("MMM-CloudPhotos", {
   },
 
   displayPhoto: function (photo) {
-    const dataUrl = `data:image/jpeg;base64,${photo.image}`;
+    if (photo.media_type === "video") {
+      this.displayVideo(photo);
+      return;
+    }
+    if (photo.companions && photo.companions.length > 0) {
+      this.displayCollage(photo);
+      return;
+    }
+
+    const src = this.getPhotoSrc(photo);
 
     const img = new Image();
     img.onload = () => {
-      const back = document.getElementById("GPHOTO_BACK");
       const current = document.getElementById("GPHOTO_CURRENT");
 
       if (!current) return;
 
-      current.textContent = "";
-      back.style.backgroundImage = `url(${dataUrl})`;
-      current.style.backgroundImage = `url(${dataUrl})`;
-      back.classList.add("animated");
-      current.classList.add("animated");
-
-      // Update info with metadata
-      const info = document.getElementById("GPHOTO_INFO");
-      if (info) {
-        info.innerHTML = "";
-
-        // Create info elements
-        let infoText = document.createElement("div");
-        infoText.classList.add("infoText");
-
-        // Add connection status
-        let statusDiv = document.createElement("div");
-        statusDiv.id = "GPHOTO_CONNECTION_STATUS";
-        statusDiv.className = `connectionStatus status-${this.connectionStatus}`;
-        statusDiv.innerHTML = this.getStatusIcon() + " " + this.statusMessage;
-        infoText.appendChild(statusDiv);
-
-        // Check if we have BOTH metadata fields
-        const hasBothMetadata = photo.creation_time && photo.location_name;
-
-        // Add photo time
-        if (photo.creation_time) {
-          let photoTime = document.createElement("div");
-          photoTime.classList.add("photoTime");
-          const timestamp = new Date(photo.creation_time);
-          photoTime.innerHTML = this.config.timeFormat === "relative"
-            ? moment(timestamp).fromNow()
-            : moment(timestamp).format(this.config.timeFormat);
-          infoText.appendChild(photoTime);
-        }
+      const image = document.createElement("div");
+      image.classList.add("photoImage");
+      image.style.backgroundImage = `url("${src}")`;
+      if (this.config.transition === "kenBurns") {
+        this.setKenBurns(image, photo, current);
+      }
 
-        // Add location (pre-resolved from backend)
-        if (photo.location_name) {
-          let location = document.createElement("div");
-          location.classList.add("photoLocation");
-          location.innerHTML = photo.location_name;
-          infoText.appendChild(location);
-        }
+      this.showLayer(image, src, this.config.transition);
+      this.showPhotoInfo(photo);
+
+      // Notify backend
+      this.sendSocketNotification("IMAGE_LOADED", { id: photo.id });
+    };
+    img.onerror = () => {
+      if (photo.url) {
+        // Ask the helper to send this photo as base64 instead
+        Log.warn("[MMM-CloudPhotos] Failed to load image URL, requesting base64:", photo.filename);
+        this.sendSocketNotification("IMAGE_URL_FAILED", { id: photo.id });
+        return;
+      }
+      Log.error("[MMM-CloudPhotos] Failed to load image:", photo.filename);
+    };
+    img.src = src;
+  },
+
+  // Served by the helper's photo route, or sent inline as base64 (fallback)
+  getPhotoSrc: function (photo) {
+    return photo.url || `data:${photo.mime_type || "image/jpeg"};base64,${photo.image}`;
+  },
+
+  loadImage: function (src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = resolve;
+      img.onerror = reject;
+      img.src = src;
+    });
+  },
+
+  // Portrait pair or grid of small photos (layout from the helper's LayoutEngine)
+  displayCollage: function (photo) {
+    const photos = [photo, ...photo.companions];
 
-        // Fallback to filename if EITHER location OR date is missing
-        if (!hasBothMetadata && photo.filename) {
-          let filename = document.createElement("div");
-          filename.classList.add("photoFilename");
-          filename.innerHTML = photo.filename;
-          infoText.appendChild(filename);
+    Promise.all(photos.map((p) => this.loadImage(this.getPhotoSrc(p))))
+      .then(() => {
+        if (!document.getElementById("GPHOTO_CURRENT")) return;
+
+        const collage = document.createElement("div");
+        collage.classList.add("photoCollage");
+        collage.dataset.layout = photo.layout;
+        photos.forEach((p) => {
+          const image = document.createElement("div");
+          image.classList.add("photoImage");
+          image.style.backgroundImage = `url("${this.getPhotoSrc(p)}")`;
+          collage.appendChild(image);
+        });
+
+        // Ken Burns would crop the photos against each other
+        const transition = this.config.transition === "kenBurns" ? "crossfade" : this.config.transition;
+        this.showLayer(collage, this.getPhotoSrc(photo), transition);
+        this.showPhotoInfo(photo);
+
+        photos.forEach((p) => this.sendSocketNotification("IMAGE_LOADED", { id: p.id }));
+      })
+      .catch(() => {
+        if (photos.some((p) => p.url)) {
+          // The helper resends the whole collage as base64
+          Log.warn("[MMM-CloudPhotos] Failed to load image URL, requesting base64:", photo.filename);
+          this.sendSocketNotification("IMAGE_URL_FAILED", { id: photo.id });
+          return;
         }
+        Log.error("[MMM-CloudPhotos] Failed to load collage:", photo.filename);
+      });
+  },
+
+  displayVideo: function (photo) {
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+
+    video.onloadeddata = () => {
+      if (!document.getElementById("GPHOTO_CURRENT")) return;
 
-        info.appendChild(infoText);
+      // Ken Burns is for still photos, clips fade in instead
+      const transition = this.config.transition === "kenBurns" ? "crossfade" : this.config.transition;
+      this.showLayer(video, null, transition);
+      this.showPhotoInfo(photo);
+      if (!this.suspended) {
+        video.play().catch(() => {});
       }
 
-      // Notify backend
       this.sendSocketNotification("IMAGE_LOADED", { id: photo.id });
     };
-    img.onerror = () => {
-      Log.error("[MMM-CloudPhotos] Failed to load image:", photo.filename);
+    video.onended = () => {
+      // The helper moves on when the clip ends - while paused, keep playing it
+      if (this.paused) {
+        video.currentTime = 0;
+        video.play().catch(() => {});
+        return;
+      }
+      this.sendSocketNotification("VIDEO_ENDED", { id: photo.id });
+    };
+    video.onerror = () => {
+      Log.error("[MMM-CloudPhotos] Failed to load video:", photo.filename);
+      this.sendSocketNotification("VIDEO_ENDED", { id: photo.id });
     };
-    img.src = dataUrl;
+    video.src = photo.url || `data:${photo.mime_type};base64,${photo.image}`;
+  },
+
+  getTransitionDuration: function () {
+    if (this.config.transition === "none") return 0;
+    const updateInterval = this.config.updateInterval || 60000;
+    return Math.max(0, Math.min(this.config.transitionDuration, updateInterval / 2));
+  },
+
+  // Stack new layers on top of the current photo and its blurred background,
+  // transition them in and remove the old ones once the transition is done
+  showLayer: function (content, backgroundSrc, transition) {
+    const current = document.getElementById("GPHOTO_CURRENT");
+    const back = document.getElementById("GPHOTO_BACK");
+
+    const layer = document.createElement("div");
+    layer.classList.add("photoLayer", `enter-${transition}`);
+    layer.appendChild(content);
+    this.swapLayer(current, layer, transition);
+
+    const backLayer = document.createElement("div");
+    backLayer.classList.add("photoLayer", `enter-${transition === "none" ? "none" : "crossfade"}`);
+    if (backgroundSrc) {
+      backLayer.style.backgroundImage = `url("${backgroundSrc}")`;
+    }
+    this.swapLayer(back, backLayer, transition === "none" ? "none" : "crossfade");
+  },
+
+  swapLayer: function (container, layer, transition) {
+    const previous = Array.from(container.children);
+    const duration = this.getTransitionDuration();
+
+    previous.forEach((child) => {
+      child.classList.remove(...this.transitions.map((name) => `enter-${name}`));
+      child.classList.add(`leave-${transition}`);
+      const video = child.querySelector("video");
+      if (video) video.pause();
+    });
+    container.appendChild(layer);
+
+    const removePrevious = () => previous.forEach((child) => child.remove());
+    if (duration === 0) {
+      removePrevious();
+      return;
+    }
+
+    // Old layers stay underneath until the new one is in (a crossfade only fades
+    // the new photo in, so the screen doesn't dim halfway). Child animations such
+    // as Ken Burns bubble up, so only the layer's own animation counts
+    layer.addEventListener("animationend", (event) => {
+      if (event.target === layer) removePrevious();
+    });
+    // Animations don't run while the module is hidden
+    setTimeout(removePrevious, duration + 500);
+  },
+
+  // Pan along the side the photo overflows when covering the screen,
+  // or zoom in/out when its aspect ratio is close to the screen's
+  setKenBurns: function (image, photo, container) {
+    const screenRatio = container.clientWidth / container.clientHeight || 16 / 9;
+    const photoRatio = photo.width && photo.height ? photo.width / photo.height : screenRatio;
+    const reverse = Math.random() < 0.5;
+
+    let positions = ["50% 50%", "50% 50%"];
+    if (photoRatio > screenRatio * 1.1) {
+      positions = ["0% 50%", "100% 50%"];
+    } else if (photoRatio < screenRatio / 1.1) {
+      positions = ["50% 0%", "50% 100%"];
+    }
+    let scales = [1, 1.15];
+    if (reverse) {
+      positions = positions.reverse();
+      scales = scales.reverse();
+    }
+
+    // Keep moving until the next photo has fully replaced this one
+    const updateInterval = this.config.updateInterval || 60000;
+    image.classList.add("kenBurns");
+    image.style.setProperty("--kb-from-position", positions[0]);
+    image.style.setProperty("--kb-to-position", positions[1]);
+    image.style.setProperty("--kb-from-scale", scales[0]);
+    image.style.setProperty("--kb-to-scale", scales[1]);
+    image.style.setProperty("--kb-duration", `${updateInterval + this.getTransitionDuration()}ms`);
+  },
+
+  setVideoPlaying: function (playing) {
+    const videos = document.querySelectorAll("#GPHOTO_CURRENT video");
+    const video = videos[videos.length - 1];
+    if (!video) return;
+    if (playing) {
+      video.play().catch(() => {});
+    } else {
+      video.pause();
+    }
+  },
+
+  showPhotoInfo: function (photo) {
+    // Update info with metadata
+    const info = document.getElementById("GPHOTO_INFO");
+    if (info) {
+      info.innerHTML = "";
+
+      // Create info elements
+      let infoText = document.createElement("div");
+      infoText.classList.add("infoText");
+
+      // Add connection status
+      let statusDiv = document.createElement("div");
+      statusDiv.id = "GPHOTO_CONNECTION_STATUS";
+      statusDiv.className = `connectionStatus status-${this.connectionStatus}`;
+      statusDiv.innerHTML = this.getStatusIcon() + " " + this.statusMessage;
+      infoText.appendChild(statusDiv);
+
+      // Add folder label (from driveFolders[].label)
+      if (photo.folder_label) {
+        let albumTitle = document.createElement("div");
+        albumTitle.classList.add("albumTitle");
+        albumTitle.textContent = photo.folder_label;
+        infoText.appendChild(albumTitle);
+      }
+
+      // Add "on this day" caption (sortMode: "onThisDay")
+      if (photo.years_ago) {
+        let memory = document.createElement("div");
+        memory.classList.add("photoMemory");
+        const years = photo.years_ago === 1 ? "1 year" : `${photo.years_ago} years`;
+        memory.textContent = photo.same_day ? `${years} ago today` : `${years} ago`;
+        infoText.appendChild(memory);
+      }
+
+      // Check if we have BOTH metadata fields
+      const hasBothMetadata = photo.creation_time && photo.location_name;
+
+      // Add photo time
+      if (photo.creation_time) {
+        let photoTime = document.createElement("div");
+        photoTime.classList.add("photoTime");
+        const timestamp = new Date(photo.creation_time);
+        photoTime.innerHTML = this.config.timeFormat === "relative"
+          ? moment(timestamp).fromNow()
+          : moment(timestamp).format(this.config.timeFormat);
+        infoText.appendChild(photoTime);
+      }
+
+      // Add location (pre-resolved from backend)
+      if (photo.location_name) {
+        let location = document.createElement("div");
+        location.classList.add("photoLocation");
+        location.innerHTML = photo.location_name;
+        infoText.appendChild(location);
+      }
+
+      // Fallback to filename if EITHER location OR date is missing
+      if (!hasBothMetadata && photo.filename) {
+        let filename = document.createElement("div");
+        filename.classList.add("photoFilename");
+        filename.innerHTML = photo.filename;
+        infoText.appendChild(filename);
+      }
+
+      info.appendChild(infoText);
+    }
   },
 
   getDom: function () {
@@ -175,27 +451,32 @@ Module.register("MMM-CloudPhotos", {
       if (this.config.showWidth) wrapper.style.width = this.config.showWidth + "px";
       if (this.config.showHeight) wrapper.style.height = this.config.showHeight + "px";
     }
-    current.addEventListener("animationend", () => {
-      current.classList.remove("animated");
-    });
-    back.addEventListener("animationend", () => {
-      back.classList.remove("animated");
-    });
+    wrapper.style.setProperty("--transition-duration", `${this.getTransitionDuration()}ms`);
     let info = document.createElement("div");
     info.id = "GPHOTO_INFO";
     info.innerHTML = "Loading...";
+    info.classList.toggle("hidden", this.infoHidden);
+    let paused = document.createElement("div");
+    paused.id = "GPHOTO_PAUSED";
+    paused.textContent = "⏸";
+    paused.classList.toggle("visible", this.paused);
     wrapper.appendChild(back);
     wrapper.appendChild(current);
     wrapper.appendChild(info);
+    wrapper.appendChild(paused);
     Log.info("updated!");
     return wrapper;
   },
 
   suspend() {
     this.suspended = true;
+    this.setVideoPlaying(false);
+    this.sendVisibility();
   },
 
   resume() {
     this.suspended = false;
+    this.setVideoPlaying(true);
+    this.sendVisibility();
   },
 });
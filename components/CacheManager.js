@@ -2,9 +2,14 @@
 
 const fs = require("fs");
 const path = require("path");
-const { finished } = require("stream/promises");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const { finished, pipeline } = require("stream/promises");
 const { Readable } = require("stream");
-const fetch = require("node-fetch");
+const { createGeocoder } = require("./geocoders/GeocoderFactory");
+const GeocodeQueue = require("./GeocodeQueue");
+const { readMetadata } = require("./ExifReader");
+const ImageDecoder = require("./ImageDecoder");
 
 // Optional: Sharp for image processing (install with: npm install sharp)
 let sharp = null;
@@ -14,6 +19,63 @@ try {
   console.log("[CACHE] Sharp not available, using file-based caching");
 }
 
+// Eviction frees space down to this share of maxCacheSizeMB,
+// so the next downloads don't push the cache straight back over the limit
+const EVICTION_TARGET_RATIO = 0.9;
+
+// Number of photos fetched per round while evicting
+const EVICTION_BATCH_SIZE = 20;
+
+// Photos downloaded per tick (more when the display uses them up faster)
+const DOWNLOAD_BATCH_SIZE = 5;
+
+// Photos downloaded per tick while the module is hidden (throttleWhenHidden)
+const IDLE_BATCH_SIZE = 1;
+
+// Assumed time per photo download until one has been measured
+const DEFAULT_DOWNLOAD_MS = 5000;
+
+// Bounds for the number of upcoming photos kept queued and cached
+const MIN_PREFETCH_DEPTH = 3;
+const MAX_PREFETCH_DEPTH = 50;
+
+// Video files the browser can play as downloaded (other formats need videoTranscode)
+const VIDEO_MIME_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm"
+};
+
+// With videoTranscode, source clips up to this many times maxVideoSizeMB are downloaded
+// and re-encoded to fit
+const TRANSCODE_SOURCE_FACTOR = 10;
+
+// ffmpeg runs longer than this are stopped
+const TRANSCODE_TIMEOUT_MS = 10 * 60 * 1000;
+
+// EXIF orientation -> transforms that make the photo upright (mirroring comes first)
+const ORIENTATION_TRANSFORMS = {
+  2: { flop: true },
+  3: { angle: 180 },
+  4: { flip: true },
+  5: { flip: true, angle: 90 },
+  6: { angle: 90 },
+  7: { flop: true, angle: 90 },
+  8: { angle: 270 }
+};
+
+/**
+ * Whether a program can be found on the PATH
+ * @param {string} program - Program name (e.g., "ffmpeg")
+ * @returns {boolean} True if an executable of that name is on the PATH
+ */
+function isOnPath(program) {
+  const name = process.platform === "win32" ? `${program}.exe` : program;
+  return (process.env.PATH || "").split(path.delimiter)
+    .some(dir => dir && fs.existsSync(path.join(dir, name)));
+}
+
 /**
  * Cache Manager with Graceful Degradation
  * Manages photo downloading and cache eviction with network resilience
@@ -52,8 +114,34 @@ class CacheManager {
     this.screenHeight = config.showHeight || 1080;
     this.jpegQuality = config.jpegQuality || 85;
 
-    // Geocoding cache
-    this.geocodeCache = {};
+    // Detects the file format, decodes HEIC and extracts RAW previews for sharp
+    this.imageDecoder = sharp ? new ImageDecoder(sharp, logger) : null;
+
+    // Display interval, for sizing the prefetch queue
+    this.updateInterval = config.updateInterval || 60000;
+
+    // Moving average of the time one photo takes to download and process (ms)
+    this.downloadMs = null;
+
+    // Set while the module is hidden or nobody is present (see setIdle())
+    this.idle = false;
+    this.throttleWhenHidden = config.throttleWhenHidden === true;
+
+    // Video clips (includeVideos) are always cached as files, never as BLOBs
+    this.maxVideoBytes = (config.maxVideoSizeMB || 50) * 1024 * 1024;
+    this.videoTranscode = config.videoTranscode === true;
+    this.maxVideoDuration = config.maxVideoDuration || 30;
+
+    // Reverse geocoder for location names ("nominatim", "offline", "url" or "none")
+    // Lookups go through one rate-limited queue, results are cached in the database
+    const geocoderName = config.geocoder || "nominatim";
+    const geocoder = geocoderName === "none"
+      ? null
+      : createGeocoder(geocoderName, config.geocoderConfig, logger);
+    this.geocodeQueue = new GeocodeQueue(geocoder, db, logger);
+
+    // Local date ("YYYY-MM-DD") whose "on this day" photos have all been cached
+    this.onThisDayCachedFor = null;
 
     // Start the tick timer
     this.timer = setInterval(() => this.tick(), this.tickInterval);
@@ -87,7 +175,7 @@ class CacheManager {
       // Step 2: Evict if over limit
       if (cacheSize > maxCacheBytes) {
         this.log("[CACHE] Cache over limit, evicting oldest photos...");
-        await this.evictOldest(10);
+        await this.evictToSize(cacheSize, maxCacheBytes * EVICTION_TARGET_RATIO);
       }
 
       // Step 3: Skip downloads if provider not available
@@ -105,8 +193,21 @@ class CacheManager {
         return;
       }
 
-      // Step 5: Download next batch (FIXED: 5 photos)
-      const photos = await this.db.getPhotosToCache(5);
+      // Step 5: Download next batch (queued photos first)
+      // In multi-provider mode only pick photos from providers that are online
+      const idPrefixes = typeof provider.getOnlinePrefixes === "function"
+        ? provider.getOnlinePrefixes()
+        : null;
+
+      // Once a day, cache today's memories before they are needed
+      if (this.db.sortMode === "onThisDay") {
+        await this.cacheOnThisDay(idPrefixes);
+      }
+
+      // Queue the next photos in display order, so they are downloaded first
+      await this.db.refillPlaybackQueue(this.getPrefetchDepth());
+
+      const photos = await this.db.getPhotosToCache(this.getBatchSize(), idPrefixes);
 
       if (photos.length === 0) {
         this.log("[CACHE] No photos need caching");
@@ -142,6 +243,84 @@ class CacheManager {
     }
   }
 
+  /**
+   * Cache the photos taken on today's date in earlier years ('onThisDay' sort mode)
+   * Runs on the first tick of each day (retried on later ticks if downloads fail),
+   * so they are ready when the display timer asks for them. Memories beyond the
+   * first batch still come first in the regular getPhotosToCache() order
+   * @param {string[]|null} idPrefixes - Online provider prefixes (multi-provider mode)
+   * @returns {Promise<void>}
+   */
+  async cacheOnThisDay(idPrefixes) {
+    const now = new Date();
+    const today = `${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()}`;
+    if (this.onThisDayCachedFor === today) {
+      return;
+    }
+
+    const photos = await this.db.getPhotosToCache(50, idPrefixes, true);
+    if (photos.length === 0) {
+      this.onThisDayCachedFor = today;
+      return;
+    }
+
+    this.log(`[CACHE] Caching ${photos.length} "on this day" photos...`);
+    const results = await this.downloadBatchWithConcurrency(photos, 2);
+    const failures = results.filter(r => r.status === "rejected").length;
+
+    if (failures > 0) {
+      this.log(`[CACHE] ${failures} "on this day" photos failed, will retry next tick`);
+      return;
+    }
+    this.onThisDayCachedFor = today;
+  }
+
+  /**
+   * Mark the display as hidden/shown
+   * Nothing is displayed while hidden, so with throttleWhenHidden the cache
+   * fills slowly instead of in full batches
+   * @param {boolean} idle - True while nobody can see the module
+   */
+  setIdle(idle) {
+    this.idle = idle;
+  }
+
+  /**
+   * Number of photos to download per tick
+   * At least as many as the display shows until the next tick
+   * @returns {number} Batch size
+   */
+  getBatchSize() {
+    if (this.idle && this.throttleWhenHidden) {
+      return IDLE_BATCH_SIZE;
+    }
+    return Math.max(DOWNLOAD_BATCH_SIZE, Math.ceil(this.tickInterval / this.updateInterval) + 1);
+  }
+
+  /**
+   * Number of upcoming photos to keep in the playback queue
+   * Covers the photos shown until the next tick has downloaded its batch
+   * (at the measured download speed), twice over so one failed batch
+   * doesn't leave the display without a cached photo
+   * @returns {number} Prefetch depth
+   */
+  getPrefetchDepth() {
+    const downloadMs = this.downloadMs ?? DEFAULT_DOWNLOAD_MS;
+    const batchMs = Math.ceil(this.getBatchSize() / 2) * downloadMs; // 2 concurrent downloads
+    const horizonMs = 2 * (this.tickInterval + batchMs);
+    const depth = Math.ceil(horizonMs / this.updateInterval);
+
+    return Math.min(MAX_PREFETCH_DEPTH, Math.max(MIN_PREFETCH_DEPTH, depth));
+  }
+
+  /**
+   * Record how long a successful download took
+   * @param {number} ms - Download and processing time
+   */
+  recordDownloadTime(ms) {
+    this.downloadMs = this.downloadMs === null ? ms : Math.round(0.7 * this.downloadMs + 0.3 * ms);
+  }
+
   /**
    * Download batch of photos with concurrency control
    * Prevents overwhelming the network/API by limiting parallel downloads
@@ -157,7 +336,16 @@ class CacheManager {
     while (queue.length > 0) {
       const batch = queue.splice(0, concurrency);
       const batchResults = await Promise.allSettled(
-        batch.map(p => this.downloadPhoto(p.id))
+        batch.map(async p => {
+          // Videos are timed separately - they would skew the per-photo download time
+          if (p.media_type === "video") {
+            return this.downloadVideo(p);
+          }
+          const startedAt = Date.now();
+          const result = await this.downloadPhoto(p.id);
+          this.recordDownloadTime(Date.now() - startedAt);
+          return result;
+        })
       );
       results.push(...batchResults);
     }
@@ -195,7 +383,8 @@ class CacheManager {
           const cacheDir = this.config.cachePath || path.resolve(__dirname, "..", "cache", "images");
           await fs.promises.mkdir(cacheDir, { recursive: true });
 
-          const filePath = path.join(cacheDir, `${photoId}.jpg`);
+          // IDs can contain path separators (local paths, S3 keys), so name files by hash
+          const filePath = path.join(cacheDir, `${crypto.createHash("sha1").update(photoId).digest("hex")}.jpg`);
 
           // If Sharp is available, resize even in file mode
           if (sharp) {
@@ -208,18 +397,15 @@ class CacheManager {
 
             this.log(`[CACHE] Processing ${photoId} (${(originalBuffer.length / 1024).toFixed(2)}KB)`);
 
-            // Resize and compress with sharp
-            const processedBuffer = await sharp(originalBuffer)
-              .resize(this.screenWidth, this.screenHeight, {
-                fit: 'inside',          // Maintain aspect ratio
-                withoutEnlargement: true // Don't upscale small images
-              })
-              .jpeg({
-                quality: this.jpegQuality,
-                progressive: true,
-                mozjpeg: true
-              })
-              .toBuffer();
+            const decoded = await this.decodePhoto(photoId, originalBuffer);
+            if (!decoded) {
+              return { success: false, photoId, skipped: true };
+            }
+
+            // Resizing drops EXIF/XMP - read it first
+            const orientation = await this.storePhotoMetadata(photoId, decoded);
+
+            const processedBuffer = await this.processImage(decoded, orientation);
 
             // Write processed buffer to file
             await fs.promises.writeFile(filePath, processedBuffer);
@@ -228,8 +414,8 @@ class CacheManager {
 
             await this.db.updatePhotoCache(photoId, filePath, processedBuffer.length);
 
-            // Perform reverse geocoding if photo has location data (fire and forget)
-            this.reverseGeocodePhoto(photoId).catch(() => {});
+            // Queue reverse geocoding if photo has location data (fire and forget)
+            this.geocodeQueue.add(photoId);
 
             return { success: true, photoId, size: processedBuffer.length };
 
@@ -243,8 +429,8 @@ class CacheManager {
 
             this.log(`[CACHE] Downloaded ${photoId} (${(stats.size / 1024).toFixed(2)}KB) - no resizing (Sharp not available)`);
 
-            // Perform reverse geocoding if photo has location data (fire and forget)
-            this.reverseGeocodePhoto(photoId).catch(() => {});
+            // Queue reverse geocoding if photo has location data (fire and forget)
+            this.geocodeQueue.add(photoId);
 
             return { success: true, photoId, size: stats.size };
           }
@@ -265,6 +451,291 @@ class CacheManager {
     }
   }
 
+  /**
+   * Download a video clip into the cache folder
+   * Clips larger than maxVideoSizeMB, or in formats the browser can't play,
+   * are marked skipped. With videoTranscode, ffmpeg re-encodes clips to H.264
+   * MP4 at screen size, trimmed to maxVideoDuration and capped at maxVideoSizeMB
+   * @param {Object} photo - Row from getPhotosToCache() ({id, filename, media_type})
+   * @returns {Promise<Object>} Download result ({skipped: true} if the clip was skipped)
+   */
+  async downloadVideo(photo) {
+    const provider = this.getProvider();
+    if (!provider) {
+      throw new Error("Provider not initialized - offline mode");
+    }
+
+    const ext = path.extname(photo.filename || "").toLowerCase();
+    if (!this.videoTranscode && !VIDEO_MIME_TYPES[ext]) {
+      return this.skipVideo(photo.id, `unsupported video format "${ext}" (enable videoTranscode)`);
+    }
+
+    const cacheDir = this.config.cachePath || path.resolve(__dirname, "..", "cache", "images");
+    await fs.promises.mkdir(cacheDir, { recursive: true });
+
+    // IDs can contain path separators (local paths, S3 keys), so name files by hash
+    const basePath = path.join(cacheDir, `video_${crypto.createHash("sha1").update(photo.id).digest("hex")}`);
+    const downloadPath = `${basePath}.download`;
+
+    try {
+      this.log(`[CACHE] Downloading video ${photo.id}...`);
+
+      const stream = await provider.downloadPhoto(photo.id, { timeout: 30000 });
+      const limit = this.videoTranscode ? this.maxVideoBytes * TRANSCODE_SOURCE_FACTOR : this.maxVideoBytes;
+      const size = await this.writeLimited(stream, downloadPath, limit);
+      if (size === null) {
+        return this.skipVideo(photo.id, `larger than ${(limit / 1024 / 1024).toFixed(0)}MB`);
+      }
+
+      if (this.videoTranscode) {
+        try {
+          await this.transcodeVideo(downloadPath, `${basePath}.mp4`);
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            await fs.promises.unlink(`${basePath}.mp4`).catch(() => {});
+            return this.skipVideo(photo.id, error.message);
+          }
+          this.log("[CACHE] ffmpeg not found - caching videos without transcoding");
+          this.videoTranscode = false;
+        }
+      }
+      if (this.videoTranscode) {
+        return await this.storeVideo(photo.id, `${basePath}.mp4`, "video/mp4");
+      }
+
+      // Cached as downloaded
+      if (!VIDEO_MIME_TYPES[ext]) {
+        return this.skipVideo(photo.id, `unsupported video format "${ext}" (install ffmpeg for videoTranscode)`);
+      }
+      if (size > this.maxVideoBytes) {
+        return this.skipVideo(photo.id, `larger than ${(this.maxVideoBytes / 1024 / 1024).toFixed(0)}MB`);
+      }
+      await fs.promises.rename(downloadPath, `${basePath}${ext}`);
+      return await this.storeVideo(photo.id, `${basePath}${ext}`, VIDEO_MIME_TYPES[ext]);
+
+    } catch (error) {
+      this.log(`[CACHE] Failed to download video ${photo.id}:`, error.message);
+      throw error;
+
+    } finally {
+      await fs.promises.unlink(downloadPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Write a download to a file, giving up once it grows past a size limit
+   * @param {Stream} stream - Download stream
+   * @param {string} filePath - File to write
+   * @param {number} limit - Maximum size in bytes
+   * @returns {Promise<number|null>} Bytes written, or null if the limit was exceeded
+   */
+  async writeLimited(stream, filePath, limit) {
+    let size = 0;
+    let exceeded = false;
+
+    await pipeline(
+      stream,
+      async function* (source) {
+        for await (const chunk of source) {
+          size += chunk.length;
+          if (size > limit) {
+            exceeded = true;
+            return; // Stops (and destroys) the download
+          }
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(filePath)
+    );
+
+    return exceeded ? null : size;
+  }
+
+  /**
+   * Re-encode a clip for display with ffmpeg (videoTranscode)
+   * Muted H.264 MP4, scaled down to fit the screen, trimmed to maxVideoDuration
+   * and cut off at maxVideoSizeMB
+   * @param {string} inputPath - Downloaded clip
+   * @param {string} outputPath - MP4 file to write
+   * @returns {Promise<void>}
+   * @throws {Error} If ffmpeg fails (code ENOENT if it isn't installed)
+   */
+  transcodeVideo(inputPath, outputPath) {
+    const args = [
+      "-y", "-v", "error",
+      "-i", inputPath,
+      "-t", String(this.maxVideoDuration),
+      "-vf", `scale=w='min(${this.screenWidth},iw)':h='min(${this.screenHeight},ih)':force_original_aspect_ratio=decrease:force_divisible_by=2`,
+      "-c:v", "libx264", "-preset", "veryfast", "-crf", "26", "-pix_fmt", "yuv420p",
+      "-an",
+      "-movflags", "+faststart",
+      "-fs", String(this.maxVideoBytes),
+      outputPath
+    ];
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn("ffmpeg", args, { stdio: ["ignore", "ignore", "pipe"] });
+      const timer = setTimeout(() => ffmpeg.kill("SIGKILL"), TRANSCODE_TIMEOUT_MS);
+
+      let stderr = "";
+      ffmpeg.stderr.on("data", (chunk) => {
+        stderr = (stderr + chunk).slice(-500);
+      });
+
+      ffmpeg.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      ffmpeg.on("close", (code, signal) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`ffmpeg failed (${signal || `exit code ${code}`}): ${stderr.trim()}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Record a cached video clip in the database
+   * @param {string} photoId - Photo ID
+   * @param {string} filePath - Cached clip
+   * @param {string} mimeType - MIME type of the clip
+   * @returns {Promise<Object>} Download result
+   */
+  async storeVideo(photoId, filePath, mimeType) {
+    const { size } = await fs.promises.stat(filePath);
+    await this.db.updatePhotoCache(photoId, filePath, size, mimeType);
+
+    this.log(`[CACHE] Saved video ${photoId} (${(size / 1024 / 1024).toFixed(2)}MB)`);
+    return { success: true, photoId, size };
+  }
+
+  /**
+   * Settings and tools that decide whether a photo or video can be cached
+   * Photos skipped under different ones get another try (see
+   * PhotoDatabase.retrySkippedPhotos())
+   * @returns {string} Description to compare with the last start's
+   */
+  getSkipContext() {
+    return JSON.stringify({
+      vips: sharp ? sharp.versions.vips : null,
+      heicDecode: ImageDecoder.loadHeicDecode() !== null,
+      maxVideoBytes: this.maxVideoBytes,
+      videoTranscode: this.videoTranscode,
+      maxVideoDuration: this.maxVideoDuration,
+      ffmpeg: this.videoTranscode && isOnPath("ffmpeg")
+    });
+  }
+
+  /**
+   * Stop trying to cache a video clip
+   * @param {string} photoId - Photo ID
+   * @param {string} reason - Why the clip can't be cached
+   * @returns {Promise<Object>} Download result
+   */
+  async skipVideo(photoId, reason) {
+    this.log(`[CACHE] Skipping video ${photoId}: ${reason}`);
+    await this.db.markPhotoSkipped(photoId, reason);
+    return { success: false, photoId, skipped: true };
+  }
+
+  /**
+   * Decode a downloaded photo for sharp
+   * Photos in a format that can't be decoded (e.g., HEIC without an HEVC
+   * decoder, RAW files without a preview) are marked skipped, so they aren't
+   * downloaded again on every tick.
+   * @param {string} photoId - Photo ID
+   * @param {Buffer} originalBuffer - Downloaded file
+   * @returns {Promise<Object|null>} Decoded photo (see ImageDecoder.decode()), or null if skipped
+   */
+  async decodePhoto(photoId, originalBuffer) {
+    try {
+      const decoded = await this.imageDecoder.decode(originalBuffer);
+      if (decoded.format !== "jpeg") {
+        this.log(`[CACHE] Decoded ${photoId} (${decoded.format}, ${decoded.width}x${decoded.height})`);
+      }
+      return decoded;
+
+    } catch (error) {
+      if (error.code !== "UNSUPPORTED_FORMAT") {
+        throw error;
+      }
+      this.log(`[CACHE] Skipping photo ${photoId}: ${error.message}`);
+      await this.db.markPhotoSkipped(photoId, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resize and compress a photo for the screen
+   * The orientation is applied to the pixels, since the output carries no
+   * EXIF. Wide-gamut photos (Display P3, Adobe RGB) are converted to sRGB and
+   * tagged with an sRGB profile, so they don't look washed out in the browser.
+   * @param {Object} decoded - Decoded photo (see decodePhoto())
+   * @param {number} [orientation] - EXIF orientation (1-8) to apply
+   * @returns {Promise<Buffer>} JPEG for display
+   */
+  processImage(decoded, orientation = 1) {
+    const image = sharp(decoded.image, decoded.raw ? { raw: decoded.raw } : undefined);
+
+    // sharp mirrors before it rotates
+    const { flip, flop, angle } = ORIENTATION_TRANSFORMS[orientation] || {};
+    if (flip) {
+      image.flip();
+    }
+    if (flop) {
+      image.flop();
+    }
+    if (angle) {
+      image.rotate(angle);
+    }
+
+    return image
+      .resize(this.screenWidth, this.screenHeight, {
+        fit: 'inside',          // Maintain aspect ratio
+        withoutEnlargement: true // Don't upscale small images
+      })
+      .withIccProfile("srgb")
+      .jpeg({
+        quality: this.jpegQuality,
+        progressive: true,
+        mozjpeg: true
+      })
+      .toBuffer();
+  }
+
+  /**
+   * Read capture time, GPS position, camera and rating from a photo's
+   * EXIF/XMP and store them with the photo
+   * @param {string} photoId - Photo ID
+   * @param {Object} decoded - Decoded photo (see decodePhoto())
+   * @returns {Promise<number>} EXIF orientation to apply to the pixels (1 if upright or unknown)
+   */
+  async storePhotoMetadata(photoId, decoded) {
+    try {
+      const metadata = readMetadata(decoded);
+
+      // HEIF pixels come out of the decoder upright, whatever EXIF says
+      const orientation = decoded.oriented ? 1 : metadata.orientation || 1;
+
+      // Orientations 5-8 turn the photo by 90°
+      const turned = orientation >= 5;
+      await this.db.updatePhotoMetadata(photoId, metadata, {
+        width: turned ? decoded.height : decoded.width,
+        height: turned ? decoded.width : decoded.height
+      });
+
+      return orientation;
+
+    } catch (error) {
+      // Non-critical - the provider's metadata is kept
+      this.log(`[CACHE] Could not read metadata of ${photoId}:`, error.message);
+      return 1;
+    }
+  }
+
   /**
    * Process image stream and store as BLOB with resizing
    * @param {string} photoId - Photo ID
@@ -282,26 +753,23 @@ class CacheManager {
 
       this.log(`[CACHE] Processing ${photoId} (${(originalBuffer.length / 1024).toFixed(2)}KB)`);
 
-      // Resize and compress with sharp
-      const processedBuffer = await sharp(originalBuffer)
-        .resize(this.screenWidth, this.screenHeight, {
-          fit: 'inside',          // Maintain aspect ratio
-          withoutEnlargement: true // Don't upscale small images
-        })
-        .jpeg({
-          quality: this.jpegQuality,
-          progressive: true,
-          mozjpeg: true
-        })
-        .toBuffer();
+      const decoded = await this.decodePhoto(photoId, originalBuffer);
+      if (!decoded) {
+        return { success: false, photoId, skipped: true };
+      }
+
+      // Resizing drops EXIF/XMP - read it first
+      const orientation = await this.storePhotoMetadata(photoId, decoded);
+
+      const processedBuffer = await this.processImage(decoded, orientation);
 
       // Store in database
       await this.db.updatePhotoCacheBlob(photoId, processedBuffer, 'image/jpeg');
 
       this.log(`[CACHE] Stored BLOB ${photoId}: ${(originalBuffer.length / 1024).toFixed(2)}KB → ${(processedBuffer.length / 1024).toFixed(2)}KB`);
 
-      // Perform reverse geocoding if photo has location data (fire and forget)
-      this.reverseGeocodePhoto(photoId).catch(() => {});
+      // Queue reverse geocoding if photo has location data (fire and forget)
+      this.geocodeQueue.add(photoId);
 
       return { success: true, photoId, size: processedBuffer.length };
 
@@ -311,6 +779,29 @@ class CacheManager {
     }
   }
 
+  /**
+   * Remove photos from the cache (BLOB and/or file)
+   * @param {Array<Object>} photos - Rows from getOldestCachedPhotos()
+   * @returns {Promise<{bytes: number, blobs: number}>} Bytes freed and number of BLOBs cleared
+   */
+  async evictPhotos(photos) {
+    let bytes = 0;
+    let blobs = 0;
+
+    for (const photo of photos) {
+      // BLOB rows have no file on disk
+      if (photo.cached_path) {
+        await fs.promises.unlink(photo.cached_path).catch(() => {});
+      } else {
+        blobs++;
+      }
+      await this.db.clearPhotoCache(photo.id);
+      bytes += photo.cached_size_bytes || 0;
+    }
+
+    return { bytes, blobs };
+  }
+
   /**
    * Evict oldest cached photos
    * @param {number} count - Number of photos to evict
@@ -327,19 +818,66 @@ class CacheManager {
         return;
       }
 
-      // Delete files in parallel (use allSettled to continue even if some fail)
-      const deleteResults = await Promise.allSettled(
-        photos.map(p => fs.promises.unlink(p.cached_path))
-      );
+      const { bytes, blobs } = await this.evictPhotos(photos);
+      if (blobs > 0) {
+        await this.db.reclaimSpace();
+      }
 
-      const deletedCount = deleteResults.filter(r => r.status === "fulfilled").length;
+      this.log(`[CACHE] Evicted ${photos.length} photos (${(bytes / 1024 / 1024).toFixed(2)}MB)`);
 
-      // Update database (clear cache info)
-      for (const photo of photos) {
-        await this.db.clearPhotoCache(photo.id);
+    } catch (error) {
+      this.log("[CACHE] Eviction error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Evict oldest cached photos until the cache fits the target size,
+   * then return the space freed by cleared BLOBs to the filesystem
+   * @param {number} currentBytes - Current cache size from getCacheSizeBytes()
+   * @param {number} targetBytes - Size to shrink the cache to
+   * @returns {Promise<number>} Number of photos evicted
+   */
+  async evictToSize(currentBytes, targetBytes) {
+    try {
+      let size = currentBytes;
+      let evicted = 0;
+      let blobs = 0;
+
+      while (size > targetBytes) {
+        const photos = await this.db.getOldestCachedPhotos(EVICTION_BATCH_SIZE);
+        if (photos.length === 0) {
+          break;
+        }
+
+        // Only take as many photos as needed to reach the target
+        const batch = [];
+        let batchBytes = 0;
+        for (const photo of photos) {
+          batch.push(photo);
+          batchBytes += photo.cached_size_bytes || 0;
+          if (size - batchBytes <= targetBytes) {
+            break;
+          }
+        }
+
+        const result = await this.evictPhotos(batch);
+        evicted += batch.length;
+        blobs += result.blobs;
+        size -= result.bytes;
+
+        // Rows without a recorded size can't bring the total down
+        if (result.bytes === 0) {
+          break;
+        }
       }
 
-      this.log(`[CACHE] Evicted ${deletedCount}/${photos.length} photos`);
+      if (blobs > 0) {
+        await this.db.reclaimSpace();
+      }
+
+      this.log(`[CACHE] Evicted ${evicted} photos, cache now ${(size / 1024 / 1024).toFixed(2)}MB`);
+      return evicted;
 
     } catch (error) {
       this.log("[CACHE] Eviction error:", error.message);
@@ -349,22 +887,35 @@ class CacheManager {
 
   /**
    * Get cache statistics
+   * Sizes count both BLOB and file-based photos; databaseSizeMB is the size
+   * of the SQLite file (BLOBs plus metadata and not yet reclaimed free pages)
    * @returns {Promise<Object>} Cache stats
    */
   async getStats() {
     try {
-      const totalSize = await this.db.getCacheSizeBytes();
-      const cachedCount = await this.db.getCachedPhotoCount();
+      const usage = await this.db.getCacheUsage();
+      const storage = await this.db.getStorageInfo();
       const totalCount = await this.db.getTotalPhotoCount();
       const maxSizeMB = this.config.maxCacheSizeMB || 200;
 
+      const totalSize = usage.blobBytes + usage.fileBytes;
+      const cachedCount = usage.blobCount + usage.fileCount;
+      const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(2);
+
       return {
-        totalSizeMB: (totalSize / 1024 / 1024).toFixed(2),
+        totalSizeMB: toMB(totalSize),
         maxSizeMB: maxSizeMB,
         usagePercent: ((totalSize / (maxSizeMB * 1024 * 1024)) * 100).toFixed(1),
+        blobSizeMB: toMB(usage.blobBytes),
+        fileSizeMB: toMB(usage.fileBytes),
+        blobCount: usage.blobCount,
+        fileCount: usage.fileCount,
+        databaseSizeMB: toMB(storage.fileBytes),
+        databaseFreeMB: toMB(storage.freeBytes),
         cachedCount: cachedCount,
         totalCount: totalCount,
-        cachePercent: ((cachedCount / totalCount) * 100).toFixed(1),
+        cachePercent: totalCount > 0 ? ((cachedCount / totalCount) * 100).toFixed(1) : "0.0",
+        prefetchDepth: this.getPrefetchDepth(),
         consecutiveFailures: this.consecutiveFailures,
         isOffline: this.consecutiveFailures > 3
       };
@@ -392,27 +943,9 @@ class CacheManager {
         return;
       }
 
-      // Calculate how many photos to evict
-      const photos = await this.db.getOldestCachedPhotos(100);
-      let totalEvicted = 0;
-      let photosToEvict = [];
+      const evicted = await this.evictToSize(currentSize, targetBytes);
 
-      for (const photo of photos) {
-        photosToEvict.push(photo);
-        totalEvicted += photo.cached_size_bytes || 0;
-
-        if ((currentSize - totalEvicted) <= targetBytes) {
-          break;
-        }
-      }
-
-      // Evict selected photos
-      for (const photo of photosToEvict) {
-        await fs.promises.unlink(photo.cached_path).catch(() => {});
-        await this.db.clearPhotoCache(photo.id);
-      }
-
-      this.log(`[CACHE] Cleanup complete. Evicted ${photosToEvict.length} photos`);
+      this.log(`[CACHE] Cleanup complete. Evicted ${evicted} photos`);
 
     } catch (error) {
       this.log("[CACHE] Cleanup error:", error.message);
@@ -429,94 +962,12 @@ class CacheManager {
   }
 
   /**
-   * Reverse geocode a photo's location
-   * @param {string} photoId - Photo ID
-   * @returns {Promise<void>}
+   * Look up location names for cached photos that never got one
+   * Runs in the background through the geocoding queue
+   * @returns {Promise<number>} Number of photos looked up
    */
-  async reverseGeocodePhoto(photoId) {
-    try {
-      // Get photo metadata from database
-      const photo = await this.db.db.get(
-        "SELECT latitude, longitude FROM photos WHERE id = ?",
-        [photoId]
-      );
-
-      if (!photo || photo.latitude == null || photo.longitude == null) {
-        // No location data, nothing to geocode
-        return;
-      }
-
-      const { latitude, longitude } = photo;
-      const cacheKey = `${latitude.toFixed(2)},${longitude.toFixed(2)}`; // Round to ~1km precision
-
-      // Check cache first
-      if (this.geocodeCache[cacheKey]) {
-        await this.db.updateLocationName(photoId, this.geocodeCache[cacheKey]);
-        this.log(`[GEOCODE] Cached location for ${photoId}: ${this.geocodeCache[cacheKey]}`);
-        return;
-      }
-
-      // Perform API request with timeout
-      const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=14`;
-
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'MMM-CloudPhotos'
-        },
-        signal: controller.signal
-      });
-
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        this.log(`[GEOCODE] API error for ${photoId}: ${response.status}`);
-        return;
-      }
-
-      const data = await response.json();
-
-      if (data && data.address) {
-        // Build location string from most to least specific
-        const parts = [];
-
-        if (data.address.city) {
-          parts.push(data.address.city);
-        } else if (data.address.town) {
-          parts.push(data.address.town);
-        } else if (data.address.village) {
-          parts.push(data.address.village);
-        }
-
-        if (data.address.state) {
-          parts.push(data.address.state);
-        }
-
-        if (data.address.country) {
-          parts.push(data.address.country);
-        }
-
-        const locationName = parts.join(", ");
-
-        if (locationName) {
-          // Update database and cache
-          await this.db.updateLocationName(photoId, locationName);
-          this.geocodeCache[cacheKey] = locationName;
-          this.log(`[GEOCODE] Resolved ${photoId}: ${locationName}`);
-        }
-      }
-
-      // Respect Nominatim usage policy: max 1 request per second
-      await this.sleep(1000);
-
-    } catch (error) {
-      // Silently fail - geocoding is non-critical
-      if (error.name !== 'AbortError') {
-        this.log(`[GEOCODE] Failed for ${photoId}:`, error.message);
-      }
-    }
+  backfillLocations() {
+    return this.geocodeQueue.backfill();
   }
 
   /**
@@ -532,6 +983,7 @@ class CacheManager {
    * Stop the cache manager
    */
   stop() {
+    this.geocodeQueue.stop();
     if (this.timer) {
       clearInterval(this.timer);
       this.timer = null;
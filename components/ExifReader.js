@@ -0,0 +1,296 @@
+"use strict";
+
+/**
+ * ExifReader - Photo metadata from EXIF and XMP blocks
+ *
+ * Reads the capture time, GPS position, orientation, camera, lens,
+ * description and rating that CacheManager stores for each downloaded photo.
+ * Works on the raw blocks reported by sharp's metadata() (`exif`, `xmp`), so
+ * no image data is decoded. Values missing from EXIF are taken from XMP
+ * (e.g., ratings and captions added in Lightroom or digiKam).
+ */
+
+// TIFF field types -> size of one value in bytes
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const TAGS = {
+  // IFD0
+  imageDescription: 0x010e,
+  make: 0x010f,
+  model: 0x0110,
+  orientation: 0x0112,
+  rating: 0x4746,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  // Exif IFD
+  dateTimeOriginal: 0x9003,
+  offsetTimeOriginal: 0x9011,
+  lensModel: 0xa434,
+  // GPS IFD
+  gpsLatitudeRef: 0x0001,
+  gpsLatitude: 0x0002,
+  gpsLongitudeRef: 0x0003,
+  gpsLongitude: 0x0004,
+  gpsAltitudeRef: 0x0005,
+  gpsAltitude: 0x0006
+};
+
+// Guards against corrupt or hostile files
+const MAX_IFD_ENTRIES = 1000;
+const MAX_STRING_LENGTH = 2000;
+
+/**
+ * Read the tags of one IFD (image file directory)
+ * @param {Buffer} tiff - TIFF data (starting with the byte order mark)
+ * @param {number} offset - IFD offset in `tiff`
+ * @param {boolean} littleEndian - Byte order
+ * @returns {Map<number, *>} Tag -> value (string, number or array of numbers)
+ */
+function readIfd(tiff, offset, littleEndian) {
+  const tags = new Map();
+  if (!offset || offset + 2 > tiff.length) {
+    return tags;
+  }
+
+  const read16 = (at) => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const read32 = (at) => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  const readS32 = (at) => (littleEndian ? tiff.readInt32LE(at) : tiff.readInt32BE(at));
+
+  const count = Math.min(read16(offset), MAX_IFD_ENTRIES);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) {
+      break;
+    }
+
+    const tag = read16(entry);
+    const type = read16(entry + 2);
+    const valueCount = read32(entry + 4);
+    const size = TYPE_SIZES[type];
+    if (!size || valueCount === 0) {
+      continue;
+    }
+
+    // Values of up to 4 bytes are stored in the entry itself
+    const byteLength = size * valueCount;
+    const start = byteLength > 4 ? read32(entry + 8) : entry + 8;
+    if (start + byteLength > tiff.length) {
+      continue;
+    }
+
+    if (type === 2) {
+      const text = tiff.toString("utf8", start, start + Math.min(byteLength, MAX_STRING_LENGTH));
+      tags.set(tag, text.replace(/\0[\s\S]*$/, "").trim());
+      continue;
+    }
+    if (type === 7) {
+      continue; // Opaque bytes (maker notes, user comments)
+    }
+
+    const values = [];
+    for (let n = 0; n < Math.min(valueCount, 16); n++) {
+      const at = start + n * size;
+      switch (type) {
+        case 1: values.push(tiff[at]); break;
+        case 3: values.push(read16(at)); break;
+        case 4: values.push(read32(at)); break;
+        case 9: values.push(readS32(at)); break;
+        case 5: values.push(read32(at + 4) ? read32(at) / read32(at + 4) : NaN); break;
+        case 10: values.push(readS32(at + 4) ? readS32(at) / readS32(at + 4) : NaN); break;
+      }
+    }
+    tags.set(tag, values.length === 1 ? values[0] : values);
+  }
+
+  return tags;
+}
+
+/**
+ * Convert an EXIF date ("YYYY:MM:DD HH:mm:ss") to a timestamp
+ * Without a UTC offset the time is taken as local time, like the
+ * imageMediaMetadata.time of Google Drive
+ * @param {string} value - EXIF date
+ * @param {string} [offset] - UTC offset (e.g., "+02:00")
+ * @returns {number|null} Timestamp in ms, or null if the date is missing or invalid
+ */
+function parseExifDate(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || "");
+  if (!match || match[1] === "0000") {
+    return null;
+  }
+
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || "") ? offset : "";
+  const time = new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${zone}`).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Convert degrees/minutes/seconds to decimal degrees
+ * @param {number[]|number} value - [degrees, minutes, seconds]
+ * @param {string} ref - "N", "S", "E" or "W"
+ * @returns {number|null} Decimal degrees (negative for S/W), or null if invalid
+ */
+function toDegrees(value, ref) {
+  const [degrees, minutes = 0, seconds = 0] = Array.isArray(value) ? value : [value];
+  const decimal = degrees + minutes / 60 + seconds / 3600;
+  if (!Number.isFinite(decimal)) {
+    return null;
+  }
+  return ref === "S" || ref === "W" ? -decimal : decimal;
+}
+
+/**
+ * Parse an EXIF block
+ * @param {Buffer} buffer - EXIF data, with or without the "Exif\0\0" header
+ * @returns {Object} Metadata fields found (see readMetadata())
+ */
+function parseExif(buffer) {
+  if (!buffer || buffer.length < 8) {
+    return {};
+  }
+
+  const tiff = buffer.toString("latin1", 0, 6) === "Exif\0\0" ? buffer.subarray(6) : buffer;
+  const byteOrder = tiff.toString("latin1", 0, 2);
+  if (byteOrder !== "II" && byteOrder !== "MM") {
+    return {};
+  }
+  const littleEndian = byteOrder === "II";
+  const read32 = (at) => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+
+  const ifd0 = readIfd(tiff, read32(4), littleEndian);
+  const exif = readIfd(tiff, ifd0.get(TAGS.exifIfd), littleEndian);
+  const gps = readIfd(tiff, ifd0.get(TAGS.gpsIfd), littleEndian);
+
+  const metadata = {
+    creationTime: parseExifDate(exif.get(TAGS.dateTimeOriginal), exif.get(TAGS.offsetTimeOriginal)),
+    orientation: ifd0.get(TAGS.orientation),
+    cameraMake: ifd0.get(TAGS.make),
+    cameraModel: ifd0.get(TAGS.model),
+    lensModel: exif.get(TAGS.lensModel),
+    description: ifd0.get(TAGS.imageDescription),
+    rating: ifd0.get(TAGS.rating)
+  };
+
+  if (gps.has(TAGS.gpsLatitude) && gps.has(TAGS.gpsLongitude)) {
+    metadata.latitude = toDegrees(gps.get(TAGS.gpsLatitude), gps.get(TAGS.gpsLatitudeRef));
+    metadata.longitude = toDegrees(gps.get(TAGS.gpsLongitude), gps.get(TAGS.gpsLongitudeRef));
+  }
+  if (gps.has(TAGS.gpsAltitude)) {
+    const altitude = gps.get(TAGS.gpsAltitude);
+    metadata.altitude = gps.get(TAGS.gpsAltitudeRef) === 1 ? -altitude : altitude; // 1 = below sea level
+  }
+
+  return metadata;
+}
+
+/**
+ * Get a property from an XMP packet
+ * Handles attributes (xmp:Rating="5"), simple elements and the first item
+ * of rdf:Alt/Seq/Bag lists (dc:description, dc:title)
+ * @param {string} xml - XMP packet
+ * @param {string} name - Qualified property name (e.g., "xmp:Rating")
+ * @returns {string|undefined} Unescaped value
+ */
+function xmpValue(xml, name) {
+  const escaped = name.replace(".", "\\.");
+  const match = new RegExp(`${escaped}="([^"]*)"`).exec(xml)
+    || new RegExp(`<${escaped}(?:\\s[^>]*)?>\\s*(?:<rdf:(?:Alt|Seq|Bag)>\\s*<rdf:li[^>]*>)?([^<]*)<`).exec(xml);
+  if (!match) {
+    return undefined;
+  }
+
+  return match[1]
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+/**
+ * Convert an XMP GPS coordinate ("47,33.6N" or "47,33,36N") to decimal degrees
+ * @param {string} value - XMP coordinate
+ * @returns {number|null} Decimal degrees, or null if invalid
+ */
+function parseXmpCoordinate(value) {
+  const match = /^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/.exec(value || "");
+  if (!match) {
+    return null;
+  }
+  return toDegrees([Number(match[1]), Number(match[2]), Number(match[3] || 0)], match[4]);
+}
+
+/**
+ * Parse an XMP packet
+ * @param {Buffer|string} buffer - XMP data
+ * @returns {Object} Metadata fields found (see readMetadata())
+ */
+function parseXmp(buffer) {
+  if (!buffer) {
+    return {};
+  }
+  const xml = buffer.toString("utf8");
+
+  const created = xmpValue(xml, "exif:DateTimeOriginal") || xmpValue(xml, "photoshop:DateCreated");
+  const createdTime = created ? new Date(created).getTime() : NaN;
+  const rating = Number(xmpValue(xml, "xmp:Rating"));
+  const orientation = Number(xmpValue(xml, "tiff:Orientation"));
+
+  return {
+    creationTime: Number.isNaN(createdTime) ? null : createdTime,
+    latitude: parseXmpCoordinate(xmpValue(xml, "exif:GPSLatitude")),
+    longitude: parseXmpCoordinate(xmpValue(xml, "exif:GPSLongitude")),
+    orientation: orientation || null,
+    cameraMake: xmpValue(xml, "tiff:Make"),
+    cameraModel: xmpValue(xml, "tiff:Model"),
+    lensModel: xmpValue(xml, "exifEX:LensModel") || xmpValue(xml, "aux:Lens"),
+    description: xmpValue(xml, "dc:description"),
+    rating: xmpValue(xml, "xmp:Rating") === undefined || Number.isNaN(rating) ? null : rating
+  };
+}
+
+/**
+ * Read photo metadata from the blocks reported by sharp
+ * @param {Object} imageMetadata - Result of sharp().metadata() ({exif, xmp})
+ * @returns {Object} {creationTime, latitude, longitude, altitude, orientation,
+ *   cameraMake, cameraModel, lensModel, description, rating} - null where unknown
+ */
+function readMetadata(imageMetadata) {
+  const exif = parseExif(imageMetadata?.exif);
+  const xmp = parseXmp(imageMetadata?.xmp);
+
+  const pick = (field, isValid) => {
+    for (const value of [exif[field], xmp[field]]) {
+      if (value !== undefined && value !== null && value !== "" && isValid(value)) {
+        return value;
+      }
+    }
+    return null;
+  };
+  const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+  const isText = (value) => typeof value === "string";
+
+  const latitude = pick("latitude", (value) => isNumber(value) && Math.abs(value) <= 90);
+  const longitude = pick("longitude", (value) => isNumber(value) && Math.abs(value) <= 180);
+  const hasPosition = latitude !== null && longitude !== null && !(latitude === 0 && longitude === 0);
+
+  return {
+    creationTime: pick("creationTime", isNumber),
+    latitude: hasPosition ? latitude : null,
+    longitude: hasPosition ? longitude : null,
+    altitude: hasPosition ? pick("altitude", isNumber) : null,
+    orientation: pick("orientation", (value) => Number.isInteger(value) && value >= 1 && value <= 8),
+    cameraMake: pick("cameraMake", isText),
+    cameraModel: pick("cameraModel", isText),
+    lensModel: pick("lensModel", isText),
+    description: pick("description", isText),
+    rating: pick("rating", (value) => Number.isInteger(value) && value >= -1 && value <= 5)
+  };
+}
+
+module.exports = {
+  parseExif,
+  parseXmp,
+  readMetadata
+};
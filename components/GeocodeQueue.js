@@ -0,0 +1,275 @@
+"use strict";
+
+/**
+ * GeocodeQueue - Serialized, rate-limited reverse geocoding
+ *
+ * Photos are looked up one at a time, at most one request per
+ * `geocoder.requestInterval`, however many downloads run in parallel.
+ * Results (including "nothing found") are stored in the database's
+ * geocode_cache table by rounded coordinates, so nearby photos and restarts
+ * don't cost another request. When the service answers 429 Too Many Requests
+ * the whole queue pauses (Retry-After, or an exponential backoff) and the
+ * photo is retried.
+ */
+
+// Coordinates are rounded to 2 decimals (~1km) for the cache
+const COORDINATE_PRECISION = 2;
+
+// Backoff after a 429 response without Retry-After: 1 minute, doubling up to 1 hour
+const INITIAL_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Photos read from the database per backfill batch
+const BACKFILL_BATCH_SIZE = 50;
+
+class GeocodeQueue {
+  /**
+   * @param {BaseGeocoder|null} geocoder - Geocoder, or null to disable location names
+   * @param {PhotoDatabase} database - Database with the photos and the geocode cache
+   * @param {Function} logger - Logging function
+   */
+  constructor(geocoder, database, logger) {
+    this.geocoder = geocoder;
+    this.db = database;
+    this.log = logger || console.log;
+
+    this.ready = null; // Promise of geocoder.initialize(), started on first use
+    this.cacheId = null; // Geocode cache partition of this geocoder and its settings
+
+    this.pending = []; // [{photoId, resolve}] in lookup order
+    this.queued = new Set(); // Photo IDs in `pending`
+    this.running = false;
+    this.stopped = false;
+
+    this.lastRequestAt = 0;
+    this.backoffMs = 0;
+    this.wakeUp = null; // Ends the current wait early (see stop())
+  }
+
+  /**
+   * Queue a photo for reverse geocoding
+   * Never rejects - location names are non-critical
+   * @param {string} photoId - Photo ID
+   * @returns {Promise<void>} Resolves once the photo has been looked up (or skipped)
+   */
+  add(photoId) {
+    if (!this.geocoder || this.stopped || this.queued.has(photoId)) {
+      return Promise.resolve();
+    }
+
+    const done = new Promise(resolve => this.pending.push({ photoId, resolve }));
+    this.queued.add(photoId);
+    this.run();
+    return done;
+  }
+
+  /**
+   * Look up the queued photos one after another
+   * @returns {Promise<void>}
+   */
+  async run() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    while (this.pending.length > 0 && !this.stopped) {
+      const item = this.pending[0];
+      const retry = await this.process(item.photoId);
+      if (this.stopped) {
+        break; // stop() already resolved everything
+      }
+      if (retry) {
+        continue; // Rate limited - try the same photo again after the backoff
+      }
+
+      this.pending.shift();
+      this.queued.delete(item.photoId);
+      item.resolve();
+    }
+
+    this.running = false;
+  }
+
+  /**
+   * Resolve the location name of one photo
+   * @param {string} photoId - Photo ID
+   * @returns {Promise<boolean>} True if the lookup was rate limited and should be retried
+   */
+  async process(photoId) {
+    try {
+      const geocoder = await this.getGeocoder();
+      if (!geocoder) {
+        return false;
+      }
+
+      // Get photo metadata from database
+      const photo = await this.db.db.get(
+        "SELECT latitude, longitude FROM photos WHERE id = ?",
+        [photoId]
+      );
+
+      const hasLocation = photo && [photo.latitude, photo.longitude].every(value => value !== null && value !== undefined);
+      if (!hasLocation) {
+        // No location data, nothing to geocode
+        return false;
+      }
+
+      const { latitude, longitude } = photo;
+      const coordinates = GeocodeQueue.roundCoordinates(latitude, longitude);
+
+      // Check cache first
+      const cached = await this.db.getGeocodeCacheEntry(this.cacheId, coordinates);
+      if (cached) {
+        if (cached.location_name) {
+          await this.db.updateLocationName(photoId, cached.location_name);
+          this.log(`[GEOCODE] Cached location for ${photoId}: ${cached.location_name}`);
+        }
+        return false;
+      }
+
+      // Respect the service's usage policy (e.g., Nominatim: max 1 request per second)
+      const wait = this.lastRequestAt + geocoder.requestInterval - Date.now();
+      if (wait > 0) {
+        await this.sleep(wait);
+        if (this.stopped) {
+          return false;
+        }
+      }
+      this.lastRequestAt = Date.now();
+
+      let locationName;
+      try {
+        locationName = await geocoder.reverse(latitude, longitude);
+      } catch (error) {
+        if (error.status !== 429) {
+          throw error;
+        }
+
+        this.backoffMs = error.retryAfterMs > 0
+          ? error.retryAfterMs
+          : Math.min(this.backoffMs > 0 ? this.backoffMs * 2 : INITIAL_BACKOFF_MS, MAX_BACKOFF_MS);
+        this.log(`[GEOCODE] ${geocoder.getGeocoderName()} rate limit reached, pausing for ${Math.round(this.backoffMs / 1000)}s`);
+        await this.sleep(this.backoffMs);
+        return true;
+      }
+
+      this.backoffMs = 0;
+      await this.db.saveGeocodeCacheEntry(this.cacheId, coordinates, locationName);
+
+      if (locationName) {
+        await this.db.updateLocationName(photoId, locationName);
+        this.log(`[GEOCODE] Resolved ${photoId}: ${locationName}`);
+      }
+      return false;
+
+    } catch (error) {
+      // Not cached, so the next backfill tries again
+      if (error.name !== "AbortError") {
+        this.log(`[GEOCODE] Failed for ${photoId}:`, error.message);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Initialize the geocoder on first use
+   * A geocoder that fails to initialize (e.g., missing dataset) is disabled
+   * @returns {Promise<BaseGeocoder|null>} Ready geocoder, or null
+   */
+  async getGeocoder() {
+    if (this.geocoder && !this.ready) {
+      this.cacheId = this.geocoder.getCacheId();
+      this.ready = this.geocoder.initialize().catch((error) => {
+        this.log(`[GEOCODE] ${this.geocoder.getGeocoderName()} unavailable, location names disabled:`, error.message);
+        this.geocoder = null;
+      });
+    }
+    await this.ready;
+    return this.geocoder;
+  }
+
+  /**
+   * Look up location names for cached photos that never got one
+   * (e.g., photos cached before the geocoder was configured, or lookups that
+   * failed). Walks the photos once in ID order; places with no known name are
+   * answered from the cache without a request.
+   * @returns {Promise<number>} Number of photos looked up
+   */
+  async backfill() {
+    if (!this.geocoder) {
+      return 0;
+    }
+
+    let count = 0;
+    let afterId = "";
+
+    try {
+      while (!this.stopped) {
+        const photoIds = await this.db.getPhotosMissingLocation(afterId, BACKFILL_BATCH_SIZE);
+        if (photoIds.length === 0) {
+          break;
+        }
+        if (count === 0) {
+          this.log("[GEOCODE] Backfilling location names of cached photos");
+        }
+
+        for (const photoId of photoIds) {
+          await this.add(photoId);
+        }
+        count += photoIds.length;
+        afterId = photoIds[photoIds.length - 1];
+      }
+
+      if (count > 0) {
+        this.log(`[GEOCODE] Backfill finished (${count} photos)`);
+      }
+    } catch (error) {
+      this.log("[GEOCODE] Backfill failed:", error.message);
+    }
+
+    return count;
+  }
+
+  /**
+   * Cache key of a location
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {string} Rounded coordinates (e.g., "48.86,2.35")
+   */
+  static roundCoordinates(latitude, longitude) {
+    return `${latitude.toFixed(COORDINATE_PRECISION)},${longitude.toFixed(COORDINATE_PRECISION)}`;
+  }
+
+  /**
+   * Wait, unless the queue is stopped first
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Stop geocoding; pending photos are dropped
+   */
+  stop() {
+    this.stopped = true;
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+    for (const item of this.pending) {
+      item.resolve();
+    }
+    this.pending = [];
+    this.queued.clear();
+  }
+}
+
+module.exports = GeocodeQueue;
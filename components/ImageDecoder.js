@@ -0,0 +1,440 @@
+"use strict";
+
+/**
+ * ImageDecoder - Prepares downloaded photos for resizing with sharp
+ *
+ * The format is detected from the file's first bytes, not its name. JPEG,
+ * PNG, WebP, GIF, TIFF and AVIF go to sharp as they are. HEIC/HEIF photos are
+ * decoded by sharp when its libvips was built with an HEVC decoder (the
+ * prebuilt binaries only decode AV1), otherwise by the optional heic-decode
+ * package. Camera RAW files are replaced by the full-size JPEG preview the
+ * camera embedded in them. Formats that can't be decoded raise an error with
+ * code "UNSUPPORTED_FORMAT".
+ */
+
+// ISO BMFF brands (ftyp box) of HEIF images
+const HEIF_BRANDS = new Set(["heic", "heix", "heim", "heis", "hevc", "hevx", "hevm", "hevs", "mif1", "msf1"]);
+const AVIF_BRANDS = new Set(["avif", "avis"]);
+
+// RAW formats, and those that are TIFF files (with the camera's EXIF in IFD0)
+const RAW_FORMATS = new Set(["raw", "cr2", "orf", "rw2", "raf", "cr3"]);
+const TIFF_RAW_FORMATS = new Set(["raw", "cr2", "orf", "rw2"]);
+
+// TIFF tags used to find embedded previews
+const TAG = {
+  compression: 0x0103,
+  photometric: 0x0106,
+  stripOffsets: 0x0111,
+  stripByteCounts: 0x0117,
+  subIfds: 0x014a,
+  jpegOffset: 0x0201,
+  jpegLength: 0x0202,
+  dngVersion: 0xc612,
+  panasonicJpeg: 0x002e
+};
+
+// TIFF field types -> size of one value in bytes
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8, 13: 4 };
+
+// Photometric interpretations of sensor data (CFA: NEF, ARW, PEF, DNG; LinearRaw: DNG)
+const RAW_PHOTOMETRIC = new Set([32803, 34892]);
+
+// Old-style and new-style JPEG compression
+const JPEG_COMPRESSION = new Set([6, 7]);
+
+// Embedded previews smaller than this (longest side) are thumbnails, not worth showing
+const MIN_PREVIEW_SIZE = 640;
+
+// Guards against corrupt or hostile files
+const MAX_IFDS = 64;
+const MAX_IFD_ENTRIES = 1000;
+
+let heicDecode; // Optional heic-decode package (undefined: not loaded yet, null: not installed)
+
+/**
+ * Create the error for a format that can't be decoded
+ * @param {string} message - What is unsupported
+ * @returns {Error} Error with code "UNSUPPORTED_FORMAT"
+ */
+function unsupported(message) {
+  const error = new Error(message);
+  error.code = "UNSUPPORTED_FORMAT";
+  return error;
+}
+
+/**
+ * Size of a JPEG image, if it is one a browser or sharp can decode
+ * @param {Buffer} buffer - JPEG data
+ * @returns {Object|null} {width, height}, or null for other data and lossless JPEG
+ */
+function jpegSize(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    return null;
+  }
+
+  let at = 2;
+  while (at + 9 < buffer.length) {
+    if (buffer[at] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[at + 1];
+    if (marker === 0xff) {
+      at++; // Fill byte
+      continue;
+    }
+    // Baseline, extended and progressive frames
+    if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      return { height: buffer.readUInt16BE(at + 5), width: buffer.readUInt16BE(at + 7) };
+    }
+    // Lossless (RAW sensor data) and arithmetic-coded frames, or a scan without a frame
+    if ((marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) || marker === 0xda) {
+      return null;
+    }
+    at += 2 + buffer.readUInt16BE(at + 2);
+  }
+
+  return null;
+}
+
+class ImageDecoder {
+  /**
+   * @param {Object} sharpModule - The sharp module
+   * @param {Function} logger - Logging function
+   */
+  constructor(sharpModule, logger) {
+    this.sharp = sharpModule;
+    this.log = logger || console.log;
+
+    // Whether sharp decodes HEVC-coded HEIF (null: not known yet)
+    this.sharpDecodesHevc = null;
+  }
+
+  /**
+   * Decode a downloaded photo
+   * @param {Buffer} buffer - Downloaded file
+   * @returns {Promise<Object>} {format, image, raw, exif, xmp, width, height, oriented}:
+   *   `image` (with `raw` pixel layout for decoded pixels) is the input for sharp,
+   *   `exif`/`xmp` are the original file's metadata blocks, `width`/`height` the
+   *   size of `image`, and `oriented` is set when the pixels are already upright
+   * @throws {Error} With code "UNSUPPORTED_FORMAT" if the photo can't be decoded
+   */
+  async decode(buffer) {
+    const format = ImageDecoder.detectFormat(buffer);
+
+    if (!format) {
+      throw unsupported("unknown image format");
+    }
+    if (format === "bmp") {
+      throw unsupported("BMP images are not supported");
+    }
+    if (RAW_FORMATS.has(format)) {
+      return this.decodeRaw(buffer, format);
+    }
+    if (format === "heif") {
+      return this.decodeHeif(buffer);
+    }
+
+    // HEIF containers carry their own rotation, which is applied on decoding
+    return this.describe(buffer, format, { oriented: format === "avif" });
+  }
+
+  /**
+   * Decode a HEIC/HEIF photo
+   * @param {Buffer} buffer - Downloaded file
+   * @returns {Promise<Object>} Decoded photo (see decode())
+   * @throws {Error} With code "UNSUPPORTED_FORMAT" if no HEVC decoder is available
+   */
+  async decodeHeif(buffer) {
+    let metadata = {};
+    try {
+      metadata = await this.sharp(buffer).metadata();
+    } catch {
+      // Left to the decoders below
+    }
+
+    if (metadata.compression === "av1" || await this.canSharpDecodeHevc(buffer)) {
+      return this.describe(buffer, "heif", { oriented: true });
+    }
+
+    const decodeHeic = ImageDecoder.loadHeicDecode();
+    if (!decodeHeic) {
+      throw unsupported("HEIC needs sharp with HEVC support or the heic-decode package (npm install heic-decode)");
+    }
+
+    const { width, height, data } = await decodeHeic({ buffer });
+    return {
+      format: "heif",
+      image: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+      raw: { width, height, channels: 4 },
+      exif: metadata.exif || null,
+      xmp: metadata.xmp || null,
+      width,
+      height,
+      oriented: true
+    };
+  }
+
+  /**
+   * Find out once whether sharp decodes HEVC, by decoding a first HEIC photo
+   * @param {Buffer} buffer - HEIC photo
+   * @returns {Promise<boolean>} True if sharp can decode HEIC photos
+   */
+  async canSharpDecodeHevc(buffer) {
+    if (this.sharpDecodesHevc === null) {
+      try {
+        await this.sharp(buffer).resize(16, 16).raw().toBuffer();
+        this.sharpDecodesHevc = true;
+      } catch (error) {
+        this.sharpDecodesHevc = false;
+        this.log("[DECODE] sharp can't decode HEIC, using heic-decode if installed:", error.message);
+      }
+    }
+    return this.sharpDecodesHevc;
+  }
+
+  /**
+   * Use the JPEG preview embedded in a RAW file
+   * @param {Buffer} buffer - Downloaded file
+   * @param {string} format - RAW format (see detectFormat())
+   * @returns {Promise<Object>} Decoded photo (see decode())
+   * @throws {Error} With code "UNSUPPORTED_FORMAT" if there is no usable preview
+   */
+  async decodeRaw(buffer, format) {
+    const preview = ImageDecoder.findPreview(buffer, format);
+    if (!preview) {
+      throw unsupported(`${format.toUpperCase()} file without a full-size JPEG preview`);
+    }
+
+    // TIFF-based RAW files hold the camera's EXIF themselves (the previews
+    // have none); the previews in RAF and CR3 files carry a copy
+    return this.describe(preview, format, {
+      exif: TIFF_RAW_FORMATS.has(format) ? buffer : undefined
+    });
+  }
+
+  /**
+   * Describe an image sharp can read
+   * @param {Buffer} image - Image data
+   * @param {string} format - Detected format
+   * @param {Object} [options] - Overrides of what the image says
+   * @param {Buffer} [options.exif] - EXIF block to use instead of the image's
+   * @param {boolean} [options.oriented] - Pixels are already upright
+   * @returns {Promise<Object>} Decoded photo (see decode())
+   */
+  async describe(image, format, { exif, oriented = false } = {}) {
+    const metadata = await this.sharp(image).metadata();
+
+    return {
+      format,
+      image,
+      exif: exif || metadata.exif || null,
+      xmp: metadata.xmp || null,
+      width: metadata.width,
+      height: metadata.height,
+      oriented
+    };
+  }
+
+  /**
+   * Detect an image format from the first bytes of a file
+   * @param {Buffer} buffer - File data
+   * @returns {string|null} "jpeg", "png", "gif", "webp", "bmp", "tiff", "heif", "avif",
+   *   a RAW format ("cr2", "cr3", "raf", "orf", "rw2", "raw" for other TIFF-based RAW
+   *   files such as NEF, ARW and DNG), or null if unknown
+   */
+  static detectFormat(buffer) {
+    if (!buffer || buffer.length < 16) {
+      return null;
+    }
+    const ascii = (start, end) => buffer.toString("latin1", start, end);
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+      return "jpeg";
+    }
+    if (ascii(0, 8) === "\x89PNG\r\n\x1a\n") {
+      return "png";
+    }
+    if (ascii(0, 4) === "GIF8") {
+      return "gif";
+    }
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+      return "webp";
+    }
+    if (ascii(0, 2) === "BM") {
+      return "bmp";
+    }
+    if (ascii(0, 16) === "FUJIFILMCCD-RAW ") {
+      return "raf";
+    }
+
+    // ISO base media file: major brand, then compatible brands
+    if (ascii(4, 8) === "ftyp") {
+      const end = Math.min(buffer.readUInt32BE(0), buffer.length, 256);
+      const brands = [ascii(8, 12)];
+      for (let at = 16; at + 4 <= end; at += 4) {
+        brands.push(ascii(at, at + 4));
+      }
+
+      if (brands[0] === "crx ") {
+        return "cr3";
+      }
+      if (brands.some(brand => AVIF_BRANDS.has(brand))) {
+        return "avif";
+      }
+      return brands.some(brand => HEIF_BRANDS.has(brand)) ? "heif" : null;
+    }
+
+    // TIFF variants
+    const header = ascii(0, 4);
+    if (header === "IIRO" || header === "IIRS" || header === "MMOR") {
+      return "orf";
+    }
+    if (header === "IIU\0") {
+      return "rw2";
+    }
+    if (header === "II*\0" || header === "MM\0*") {
+      if (ascii(8, 10) === "CR") {
+        return "cr2";
+      }
+      return ImageDecoder.readTiff(buffer).raw ? "raw" : "tiff";
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the largest usable JPEG preview in a RAW file
+   * @param {Buffer} buffer - RAW file
+   * @param {string} format - RAW format (see detectFormat())
+   * @returns {Buffer|null} JPEG data, or null if there is none of at least MIN_PREVIEW_SIZE
+   */
+  static findPreview(buffer, format) {
+    const candidates = [];
+
+    if (format === "raf") {
+      // Fixed header: preview offset and length (big-endian)
+      if (buffer.length >= 92) {
+        candidates.push({ offset: buffer.readUInt32BE(84), length: buffer.readUInt32BE(88) });
+      }
+    } else if (format === "cr3") {
+      // Canon's PRVW box (inside a uuid box) holds a display-size JPEG
+      const box = buffer.indexOf("PRVW", 0, "latin1");
+      if (box >= 4) {
+        const end = Math.min(box - 4 + buffer.readUInt32BE(box - 4), buffer.length);
+        const start = buffer.indexOf(Buffer.from([0xff, 0xd8, 0xff]), box);
+        if (start !== -1 && start < end) {
+          candidates.push({ offset: start, length: end - start });
+        }
+      }
+    } else {
+      candidates.push(...ImageDecoder.readTiff(buffer).previews);
+    }
+
+    let best = null;
+    for (const { offset, length } of candidates) {
+      if (!(offset > 0 && length > 0 && offset + length <= buffer.length)) {
+        continue;
+      }
+      const jpeg = buffer.subarray(offset, offset + length);
+      const size = jpegSize(jpeg);
+      if (size && Math.max(size.width, size.height) >= MIN_PREVIEW_SIZE && (!best || size.width * size.height > best.pixels)) {
+        best = { jpeg, pixels: size.width * size.height };
+      }
+    }
+
+    return best ? best.jpeg : null;
+  }
+
+  /**
+   * Walk the IFDs of a TIFF-based file
+   * @param {Buffer} buffer - File data
+   * @returns {Object} {raw: true if it holds sensor data, previews: [{offset, length}] of embedded JPEGs}
+   */
+  static readTiff(buffer) {
+    const littleEndian = buffer[0] === 0x49;
+    const read16 = (at) => (littleEndian ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+    const read32 = (at) => (littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+
+    const result = { raw: false, previews: [] };
+    const visited = new Set();
+    const pending = [read32(4)];
+
+    while (pending.length > 0 && visited.size < MAX_IFDS) {
+      const offset = pending.shift();
+      if (!offset || offset + 2 > buffer.length || visited.has(offset)) {
+        continue;
+      }
+      visited.add(offset);
+
+      // Tag -> {values: numbers (up to 64), dataOffset, count}
+      const tags = new Map();
+      const count = Math.min(read16(offset), MAX_IFD_ENTRIES);
+      for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > buffer.length) {
+          break;
+        }
+        const type = read16(entry + 2);
+        const valueCount = read32(entry + 4);
+        const size = TYPE_SIZES[type];
+        if (!size) {
+          continue;
+        }
+        const dataOffset = size * valueCount > 4 ? read32(entry + 8) : entry + 8;
+
+        const values = [];
+        if (type === 3 || type === 4 || type === 13) {
+          for (let n = 0; n < Math.min(valueCount, 64) && dataOffset + (n + 1) * size <= buffer.length; n++) {
+            values.push(type === 3 ? read16(dataOffset + n * 2) : read32(dataOffset + n * 4));
+          }
+        }
+        tags.set(read16(entry), { values, dataOffset, count: valueCount });
+      }
+
+      const first = (tag) => tags.get(tag)?.values[0];
+
+      if (tags.has(TAG.dngVersion) || RAW_PHOTOMETRIC.has(first(TAG.photometric))) {
+        result.raw = true;
+      }
+
+      // JPEG by pointer (thumbnails, NEF/ARW previews)
+      if (first(TAG.jpegOffset) && first(TAG.jpegLength)) {
+        result.previews.push({ offset: first(TAG.jpegOffset), length: first(TAG.jpegLength) });
+      }
+      // JPEG image in a single strip (CR2 IFD0, NEF/DNG preview IFDs)
+      if (JPEG_COMPRESSION.has(first(TAG.compression)) && tags.get(TAG.stripOffsets)?.values.length === 1) {
+        result.previews.push({ offset: first(TAG.stripOffsets), length: first(TAG.stripByteCounts) });
+      }
+      // Panasonic JpgFromRaw
+      if (tags.has(TAG.panasonicJpeg)) {
+        const { dataOffset, count: length } = tags.get(TAG.panasonicJpeg);
+        result.previews.push({ offset: dataOffset, length });
+      }
+
+      pending.push(...(tags.get(TAG.subIfds)?.values || []));
+      const next = offset + 2 + count * 12;
+      if (next + 4 <= buffer.length) {
+        pending.push(read32(next));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Load the optional heic-decode package
+   * @returns {Function|null} decode({buffer}) => {width, height, data}, or null if not installed
+   */
+  static loadHeicDecode() {
+    if (heicDecode === undefined) {
+      try {
+        heicDecode = require("heic-decode");
+      } catch {
+        heicDecode = null;
+      }
+    }
+    return heicDecode;
+  }
+}
+
+module.exports = ImageDecoder;
@@ -0,0 +1,104 @@
+"use strict";
+
+// Number of photos each multi-photo layout shows
+const LAYOUT_SIZES = {
+  "pair": 2,
+  "2x2": 4,
+  "1+2": 3
+};
+
+// Layouts that can be configured in `collageLayouts`
+const COLLAGE_LAYOUTS = ["2x2", "1+2"];
+
+/**
+ * Layout Engine - Shows several photos at once where one would waste the screen
+ * A portrait photo on a landscape screen is paired with a second portrait
+ * photo (`pairPortraits`), and photos smaller than half the screen can be
+ * shown in a grid (`collageLayouts`). The companion photos come from
+ * PhotoDatabase, preferring the same day and folder as the first photo
+ */
+class LayoutEngine {
+  /**
+   * @param {Object} config - { pairPortraits, collageLayouts, showWidth, showHeight }
+   * @param {Function} logger - Logging function
+   * @throws {Error} If collageLayouts contains an unknown layout
+   */
+  constructor(config = {}, logger = console.log) {
+    this.log = logger;
+    this.screenWidth = config.showWidth || 1920;
+    this.screenHeight = config.showHeight || 1080;
+    this.pairPortraits = config.pairPortraits === true;
+    this.collageLayouts = config.collageLayouts || [];
+
+    if (!Array.isArray(this.collageLayouts) || this.collageLayouts.some(layout => !COLLAGE_LAYOUTS.includes(layout))) {
+      throw new Error(`collageLayouts must be an array of ${COLLAGE_LAYOUTS.map(layout => `"${layout}"`).join(", ")}`);
+    }
+  }
+
+  /**
+   * Check if a photo is taller than wide
+   * @param {Object} photo - Photo metadata
+   * @returns {boolean} True for portrait photos with known dimensions
+   */
+  isPortrait(photo) {
+    return photo.width > 0 && photo.height > photo.width;
+  }
+
+  /**
+   * Check if a photo fits into a quarter of the screen without upscaling
+   * @param {Object} photo - Photo metadata
+   * @returns {boolean} True for small photos with known dimensions
+   */
+  isSmall(photo) {
+    return photo.width > 0 && photo.height > 0 &&
+      photo.width <= this.screenWidth / 2 && photo.height <= this.screenHeight / 2;
+  }
+
+  /**
+   * Layouts that suit a photo, in order of preference
+   * Collages (in configured order) come before portrait pairs
+   * @param {Object} photo - Photo metadata
+   * @returns {Array<{layout: string, criteria: Object}>} Layouts with the companions they need
+   */
+  getCandidates(photo) {
+    if (photo.media_type === "video") {
+      return [];
+    }
+
+    const candidates = [];
+    if (this.isSmall(photo)) {
+      const criteria = { maxWidth: this.screenWidth / 2, maxHeight: this.screenHeight / 2 };
+      for (const layout of this.collageLayouts) {
+        candidates.push({ layout, criteria });
+      }
+    }
+    if (this.pairPortraits && this.isPortrait(photo) && this.screenWidth > this.screenHeight) {
+      candidates.push({ layout: "pair", criteria: { portrait: true } });
+    }
+    return candidates;
+  }
+
+  /**
+   * Choose the layout for the next photo and take its companion photos
+   * Companions are claimed in the database so they don't come up again right after
+   * @param {Object} photo - Photo from getNextPhoto()
+   * @param {PhotoDatabase} database - Database to find companions in
+   * @returns {Promise<{layout: string, companions: Object[]}>} "single" with no companions if no layout fits
+   */
+  async plan(photo, database) {
+    for (const { layout, criteria } of this.getCandidates(photo)) {
+      const count = LAYOUT_SIZES[layout] - 1;
+      const companions = await database.getCompanionPhotos(photo, count, criteria);
+
+      if (companions.length === count) {
+        await database.claimPhotos(companions.map(companion => companion.id));
+        this.log(`[LAYOUT] Showing ${photo.filename} as "${layout}" with ${companions.map(c => c.filename).join(", ")}`);
+        return { layout, companions };
+      }
+    }
+
+    return { layout: "single", companions: [] };
+  }
+}
+
+module.exports = LayoutEngine;
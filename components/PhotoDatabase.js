@@ -4,6 +4,165 @@ const fs = require("fs");
 const path = require("path");
 const sqlite = require("sqlite");
 const sqlite3 = require("sqlite3");
+const { shuffle } = require("../shuffle");
+
+/**
+ * Build a LIKE pattern matching IDs that start with a prefix
+ * Use with ESCAPE '\'
+ * @param {string} prefix - ID prefix (e.g., "drive:")
+ * @returns {string} LIKE pattern
+ */
+function likePrefix(prefix) {
+  return `${prefix.replace(/[\\%_]/g, c => `\\${c}`)}%`;
+}
+
+/**
+ * WHERE clause limiting photos to one provider's IDs
+ * @param {string|null} idPrefix - ID prefix (null = all photos)
+ * @returns {{sql: string, params: Array}}
+ */
+function idScope(idPrefix) {
+  return idPrefix
+    ? { sql: "id LIKE ? ESCAPE '\\'", params: [likePrefix(idPrefix)] }
+    : { sql: "1 = 1", params: [] };
+}
+
+/**
+ * Parse a `condition` date ("2018", "2018-03", "2018-03-25" or any Date string)
+ * Date-only values cover the whole year/month/day, so toDate is inclusive
+ * @param {string|number} value - Configured date
+ * @param {boolean} endOfPeriod - Return the end of the period instead of its start
+ * @returns {number} Epoch milliseconds (local time)
+ * @throws {Error} If the date cannot be parsed
+ */
+function parseConditionDate(value, endOfPeriod) {
+  const match = typeof value === "string" && value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (match) {
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : 0;
+    const day = match[3] ? Number(match[3]) : 1;
+    if (!endOfPeriod) {
+      return new Date(year, month, day).getTime();
+    }
+    if (match[3]) {
+      return new Date(year, month, day + 1).getTime() - 1;
+    }
+    return match[2]
+      ? new Date(year, month + 1, 1).getTime() - 1
+      : new Date(year + 1, 0, 1).getTime() - 1;
+  }
+
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date in condition: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * Build the SQL filter for the `condition` config block
+ * Photos with unknown date or dimensions are not filtered out by those rules,
+ * since several providers only learn them once the image is downloaded
+ * @param {Object|null} condition - {fromDate, toDate, minWidth, maxWidth, minHeight, maxHeight,
+ *   minWHRatio, maxWHRatio, orientation}
+ * @returns {{sql: string, params: Array}} Clause starting with AND (empty if no condition)
+ * @throws {Error} If a value is invalid
+ */
+function buildConditionFilter(condition) {
+  const clauses = [];
+  const params = [];
+  if (!condition) {
+    return { sql: "", params };
+  }
+
+  if (condition.fromDate) {
+    clauses.push("(creation_time IS NULL OR creation_time >= ?)");
+    params.push(parseConditionDate(condition.fromDate, false));
+  }
+  if (condition.toDate) {
+    clauses.push("(creation_time IS NULL OR creation_time <= ?)");
+    params.push(parseConditionDate(condition.toDate, true));
+  }
+
+  const limits = {
+    minWidth: "width >= ?",
+    maxWidth: "width <= ?",
+    minHeight: "height >= ?",
+    maxHeight: "height <= ?",
+    minWHRatio: "CAST(width AS REAL) / height >= ?",
+    maxWHRatio: "CAST(width AS REAL) / height <= ?",
+  };
+  for (const [key, test] of Object.entries(limits)) {
+    if (condition[key] === undefined || condition[key] === null) {
+      continue;
+    }
+    const value = Number(condition[key]);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`condition.${key} must be a positive number`);
+    }
+    clauses.push(`(width IS NULL OR height IS NULL OR ${test})`);
+    params.push(value);
+  }
+
+  if (condition.orientation) {
+    const tests = { landscape: "width > height", portrait: "height > width" };
+    if (!tests[condition.orientation]) {
+      throw new Error(`condition.orientation must be "landscape" or "portrait", got "${condition.orientation}"`);
+    }
+    clauses.push(`(width IS NULL OR height IS NULL OR ${tests[condition.orientation]})`);
+  }
+
+  return {
+    sql: clauses.map(clause => `AND ${clause}`).join(" "),
+    params,
+  };
+}
+
+/**
+ * Version of a photo's file as the provider reports it
+ * Built from whichever of ETag, checksum, modification time and size the
+ * provider lists, so it changes when the file is replaced
+ * @param {Object} photo - Photo metadata from a provider
+ * @returns {string|null} Version, or null if the provider reports none of these
+ */
+function fileVersion(photo) {
+  const parts = [photo.etag, photo.checksum, photo.mtimeMs, photo.modifiedTime, photo.size, photo.createdTime]
+    .filter(part => part !== undefined && part !== null);
+  return parts.length > 0 ? parts.join(":") : null;
+}
+
+// Columns added after the first release, with their types
+// Existing databases get them through ALTER TABLE in createSchema()
+const ADDED_COLUMNS = {
+  last_seen_at: "INTEGER",
+  root_folder: "TEXT",
+  media_type: "TEXT NOT NULL DEFAULT 'image'",
+  duration_ms: "INTEGER",
+  skip_reason: "TEXT",
+  file_version: "TEXT",
+  orientation: "INTEGER",
+  camera_make: "TEXT",
+  camera_model: "TEXT",
+  lens_model: "TEXT",
+  description: "TEXT",
+  rating: "INTEGER",
+  metadata_read_at: "INTEGER",
+};
+
+// Sort modes usable on their own or as the 'onThisDay' fallback
+const SORT_MODES = ["sequential", "random", "newest", "oldest", "weighted", "roundRobin"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of most recently dealt photos kept out of the start of a reshuffled deck
+// (on top of the photos still waiting in the playback queue)
+const RESHUFFLE_GAP = 10;
+
+// `PRAGMA auto_vacuum` value for INCREMENTAL mode
+const AUTO_VACUUM_INCREMENTAL = 2;
+
+// Columns returned for display
+const DISPLAY_COLUMNS = "id, cached_path, cached_data, cached_mime_type, filename, width, height, creation_time, latitude, longitude, altitude, location_name, root_folder, cached_at, media_type, duration_ms";
 
 /**
  * Photo Database Manager - Simplified schema for V3
@@ -20,9 +179,45 @@ class PhotoDatabase {
     this.log = logger;
     this.db = null;
 
+    // Tail of the transaction queue (see transaction())
+    this.transactionQueue = Promise.resolve();
+
     // Photo display sorting configuration
-    // Options: 'sequential', 'random', 'newest', 'oldest'
+    // Options: 'sequential', 'random', 'newest', 'oldest', 'weighted', 'roundRobin', 'onThisDay'
     this.sortMode = config.sortMode || 'sequential';
+
+    // 'onThisDay' shows photos from today's date in earlier years (± onThisDayWindow days),
+    // then falls back to another mode once they have all been shown today
+    this.onThisDayWindow = config.onThisDayWindow ?? 0;
+    if (!Number.isInteger(this.onThisDayWindow) || this.onThisDayWindow < 0 || this.onThisDayWindow > 30) {
+      throw new Error("onThisDayWindow must be a whole number of days between 0 and 30");
+    }
+    const fallback = config.onThisDayFallback || 'random';
+    if (!SORT_MODES.includes(fallback)) {
+      throw new Error(`onThisDayFallback must be one of ${SORT_MODES.join(", ")}`);
+    }
+
+    // Mode used to pick photos that are not "on this day" memories
+    this.displayMode = this.sortMode === 'onThisDay' ? fallback : this.sortMode;
+
+    // Configured root folders (ID -> {weight, label}), see setFolderWeights()
+    this.folderWeights = new Map();
+
+    // Smooth weighted round-robin counters per root folder ('roundRobin' mode)
+    this.roundRobinCounters = new Map();
+
+    // Set when createSchema() added columns - a full scan fills them in
+    this.schemaUpgraded = false;
+
+    // Photo filter from the `condition` config block (applied to caching and display)
+    // Photos that could not be cached (skip_reason, see markPhotoSkipped()) and, unless includeVideos is set,
+    // videos are filtered out the same way
+    const condition = buildConditionFilter(config.condition);
+    const mediaFilter = config.includeVideos === true ? "" : "AND media_type = 'image'";
+    this.conditionFilter = {
+      sql: `AND skip_reason IS NULL ${mediaFilter} ${condition.sql}`.trim(),
+      params: condition.params,
+    };
   }
 
   /**
@@ -83,11 +278,16 @@ class PhotoDatabase {
         this.log("[DB] Rebuild complete, will trigger full scan");
       }
 
+      // Outside the recovery above - a failed VACUUM must not cost the database
+      await this.enableIncrementalVacuum();
+
       // Enable foreign keys and optimize settings
       await this.db.exec("PRAGMA foreign_keys = ON");
       await this.db.exec("PRAGMA journal_mode = DELETE"); // Standard mode (simpler than WAL)
       await this.db.exec("PRAGMA synchronous = NORMAL");
 
+      await this.preparePlaybackQueue();
+
       this.log("[DB] Database initialized successfully");
 
     } catch (error) {
@@ -96,6 +296,27 @@ class PhotoDatabase {
     }
   }
 
+  /**
+   * Switch databases created by older versions to incremental auto_vacuum
+   * This needs a one-time VACUUM, which rewrites the whole file and can fail
+   * (e.g., SQLITE_FULL when the disk can't hold a second copy). A failure is
+   * only logged - eviction then frees pages without shrinking the file, and
+   * the next start tries again.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async enableIncrementalVacuum() {
+    try {
+      const { auto_vacuum: autoVacuum } = await this.db.get("PRAGMA auto_vacuum");
+      if (autoVacuum !== AUTO_VACUUM_INCREMENTAL) {
+        this.log("[DB] Enabling incremental vacuum (one-time VACUUM, may take a while)...");
+        await this.db.exec("VACUUM");
+      }
+    } catch (error) {
+      this.log("[DB] Could not enable incremental vacuum:", error.message);
+    }
+  }
+
   /**
    * Create simplified database schema
    * @returns {Promise<void>}
@@ -104,6 +325,12 @@ class PhotoDatabase {
     try {
       this.log("[DB] Creating schema...");
 
+      // Page size and auto_vacuum only take effect before the first table is
+      // created (new databases) or after a VACUUM (see enableIncrementalVacuum())
+      await this.db.exec("PRAGMA page_size = 16384");  // Better for larger BLOBs
+      await this.db.exec("PRAGMA auto_vacuum = INCREMENTAL"); // Lets reclaimSpace() shrink the file after eviction
+      await this.db.exec("PRAGMA cache_size = -64000"); // 64MB cache
+
       await this.db.exec(`
         -- Photos metadata
         CREATE TABLE IF NOT EXISTS photos (
@@ -120,9 +347,32 @@ class PhotoDatabase {
           altitude REAL,
           location_name TEXT,
 
+          -- Read from the downloaded file's EXIF/XMP (see updatePhotoMetadata)
+          orientation INTEGER,
+          camera_make TEXT,
+          camera_model TEXT,
+          lens_model TEXT,
+          description TEXT,
+          rating INTEGER,
+          metadata_read_at INTEGER,
+
           -- Simple view tracking (no analytics)
           last_viewed_at INTEGER,
 
+          -- Last time a scan listed this photo (for deletion reconciliation)
+          last_seen_at INTEGER,
+
+          -- Configured folder the photo was found under (for per-folder weights)
+          root_folder TEXT,
+
+          -- 'image' or 'video' (videos are only shown with includeVideos)
+          media_type TEXT NOT NULL DEFAULT 'image',
+          duration_ms INTEGER,
+
+          -- Why the photo can't be cached (e.g., video over maxVideoSizeMB), NULL if it can
+          skip_reason TEXT,
+          file_version TEXT,
+
           -- Cache tracking (legacy file-based)
           cached_path TEXT,
           cached_at INTEGER,
@@ -133,6 +383,29 @@ class PhotoDatabase {
           cached_mime_type TEXT
         );
 
+        -- Upcoming photos in display order (filled by CacheManager, consumed by getNextPhoto)
+        CREATE TABLE IF NOT EXISTS playback_queue (
+          position INTEGER PRIMARY KEY,
+          photo_id TEXT NOT NULL UNIQUE REFERENCES photos(id) ON DELETE CASCADE
+        );
+
+        -- Shuffled order for the 'random' sort mode (dealt_at is set once a photo is dealt)
+        CREATE TABLE IF NOT EXISTS shuffle_deck (
+          position INTEGER PRIMARY KEY,
+          photo_id TEXT NOT NULL UNIQUE REFERENCES photos(id) ON DELETE CASCADE,
+          dealt_at INTEGER
+        );
+
+        -- Reverse geocoding results by rounded coordinates, per geocoder
+        -- (location_name NULL: the geocoder knows no place there)
+        CREATE TABLE IF NOT EXISTS geocode_cache (
+          geocoder TEXT NOT NULL,
+          coordinates TEXT NOT NULL,
+          location_name TEXT,
+          resolved_at INTEGER NOT NULL,
+          PRIMARY KEY (geocoder, coordinates)
+        );
+
         -- Settings (for Changes API token)
         CREATE TABLE IF NOT EXISTS settings (
           key TEXT PRIMARY KEY,
@@ -150,9 +423,17 @@ class PhotoDatabase {
           WHERE cached_data IS NULL AND cached_path IS NULL;
       `);
 
-      // Optimize SQLite for BLOB storage
-      await this.db.exec("PRAGMA page_size = 16384");  // Better for larger BLOBs
-      await this.db.exec("PRAGMA cache_size = -64000"); // 64MB cache
+      // Upgrade databases created by older versions
+      const existingColumns = new Set(
+        (await this.db.all("PRAGMA table_info(photos)")).map(column => column.name)
+      );
+      for (const [column, type] of Object.entries(ADDED_COLUMNS)) {
+        if (!existingColumns.has(column)) {
+          this.log(`[DB] Adding column photos.${column}`);
+          await this.db.exec(`ALTER TABLE photos ADD COLUMN ${column} ${type}`);
+          this.schemaUpgraded = true;
+        }
+      }
 
       this.log("[DB] Schema created successfully");
 
@@ -181,9 +462,13 @@ class PhotoDatabase {
       }
       // If no time available, leave as null - frontend will fall back to filename
 
-      const width = photo.imageMediaMetadata?.width || null;
-      const height = photo.imageMediaMetadata?.height || null;
+      const mediaType = photo.mediaType === "video" ? "video" : "image";
+      const metadata = mediaType === "video" ? photo.videoMediaMetadata : photo.imageMediaMetadata;
+      const width = metadata?.width || null;
+      const height = metadata?.height || null;
+      const durationMs = Number(photo.videoMediaMetadata?.durationMillis) || null;
       const folderId = photo.parents?.[0] || "root";
+      const rootFolder = photo.rootFolder || null;
 
       // Extract location data if available (safely handle missing imageMediaMetadata)
       const latitude = photo.imageMediaMetadata?.location?.latitude ?? null;
@@ -191,18 +476,28 @@ class PhotoDatabase {
       const altitude = photo.imageMediaMetadata?.location?.altitude ?? null;
 
       await this.db.run(`
-        INSERT INTO photos (id, folder_id, filename, creation_time, width, height, latitude, longitude, altitude)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO photos (id, folder_id, filename, creation_time, width, height, latitude, longitude, altitude, last_seen_at, root_folder, media_type, duration_ms, file_version)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         ON CONFLICT(id) DO UPDATE SET
           folder_id = excluded.folder_id,
           filename = excluded.filename,
-          creation_time = excluded.creation_time,
-          width = excluded.width,
-          height = excluded.height,
-          latitude = excluded.latitude,
-          longitude = excluded.longitude,
-          altitude = excluded.altitude
-      `, [photo.id, folderId, photo.name, creationTime, width, height, latitude, longitude, altitude]);
+          -- Once read from the file, dimensions are known the right way round
+          width = CASE WHEN photos.metadata_read_at IS NULL THEN COALESCE(excluded.width, photos.width) ELSE photos.width END,
+          height = CASE WHEN photos.metadata_read_at IS NULL THEN COALESCE(excluded.height, photos.height) ELSE photos.height END,
+          -- Time and place read from the file itself win over the provider's
+          creation_time = CASE WHEN photos.metadata_read_at IS NULL THEN excluded.creation_time ELSE COALESCE(photos.creation_time, excluded.creation_time) END,
+          latitude = CASE WHEN photos.metadata_read_at IS NULL OR photos.latitude IS NULL THEN excluded.latitude ELSE photos.latitude END,
+          longitude = CASE WHEN photos.metadata_read_at IS NULL OR photos.latitude IS NULL THEN excluded.longitude ELSE photos.longitude END,
+          altitude = CASE WHEN photos.metadata_read_at IS NULL OR photos.latitude IS NULL THEN excluded.altitude ELSE photos.altitude END,
+          last_seen_at = excluded.last_seen_at,
+          media_type = excluded.media_type,
+          duration_ms = excluded.duration_ms,
+          -- A replaced file gets another try
+          skip_reason = CASE WHEN photos.file_version IS excluded.file_version THEN photos.skip_reason ELSE NULL END,
+          file_version = excluded.file_version,
+          -- Incremental sync can't always tell the root folder - keep the known one
+          root_folder = COALESCE(excluded.root_folder, photos.root_folder)
+      `, [photo.id, folderId, photo.name, creationTime, width, height, latitude, longitude, altitude, Date.now(), rootFolder, mediaType, durationMs, fileVersion(photo)]);
 
     } catch (error) {
       this.log(`[DB] Error saving photo ${photo.id}:`, error.message);
@@ -219,23 +514,45 @@ class PhotoDatabase {
     try {
       this.log(`[DB] Saving ${photos.length} photos...`);
 
-      await this.db.exec("BEGIN TRANSACTION");
-
-      for (const photo of photos) {
-        await this.savePhoto(photo);
-      }
-
-      await this.db.exec("COMMIT");
+      await this.transaction(async () => {
+        for (const photo of photos) {
+          await this.savePhoto(photo);
+        }
+      });
 
       this.log(`[DB] Successfully saved ${photos.length} photos`);
 
     } catch (error) {
       this.log("[DB] Error saving photos:", error.message);
-      await this.db.exec("ROLLBACK").catch(() => {});
       throw error;
     }
   }
 
+  /**
+   * Run statements in a transaction
+   * All transactions share the one connection, so they are queued: a BEGIN
+   * while another transaction is open fails, and a ROLLBACK would discard the
+   * other transaction's work. `work` must not start a transaction itself.
+   * @param {Function} work - Async function running the statements
+   * @returns {Promise<*>} Result of `work`
+   * @private
+   */
+  transaction(work) {
+    const result = this.transactionQueue.then(async () => {
+      await this.db.exec("BEGIN TRANSACTION");
+      try {
+        const value = await work();
+        await this.db.exec("COMMIT");
+        return value;
+      } catch (error) {
+        await this.db.exec("ROLLBACK").catch(() => {});
+        throw error;
+      }
+    });
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
   /**
    * Delete a photo from the database
    * @param {string} photoId - Photo ID
@@ -253,49 +570,733 @@ class PhotoDatabase {
   }
 
   /**
-   * Get next photo to display (BLOB or file-based)
-   * Supports multiple sort modes: sequential, random, newest, oldest
+   * Delete photos that a full scan did not list
+   * Refuses when more than maxDeletePercent of the provider's photos would go,
+   * since a truncated listing looks the same as a mass deletion. Up to minDeleteLimit
+   * photos may always go, unless that would leave none (or maxDeletePercent is 0)
+   * @param {number} seenSince - Scan start time; photos not seen since then are removed
+   * @param {string|null} idPrefix - Only consider IDs with this prefix (null = all photos)
+   * @param {number} maxDeletePercent - Largest share of photos (0-100) one pass may delete
+   * @param {number} minDeleteLimit - Photos one pass may delete regardless of their share
+   * @returns {Promise<Object>} { deleted: [{id, cached_path}], unseenCount, totalCount, refused }
+   */
+  async purgeUnseenPhotos(seenSince, idPrefix = null, maxDeletePercent = 100, minDeleteLimit = 0) {
+    try {
+      const scope = idScope(idPrefix);
+      const unseen = await this.db.all(`
+        SELECT id, cached_path
+        FROM photos
+        WHERE ${scope.sql} AND (last_seen_at IS NULL OR last_seen_at < ?)
+      `, [...scope.params, seenSince]);
+
+      const { deleted, totalCount, refused } = await this.deleteWithinLimit(unseen, idPrefix, maxDeletePercent, minDeleteLimit);
+      if (deleted.length > 0) {
+        this.log(`[DB] Purged ${deleted.length} photos no longer in the cloud`);
+      }
+      return { deleted, unseenCount: unseen.length, totalCount, refused };
+
+    } catch (error) {
+      this.log("[DB] Error purging unseen photos:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete photos that an incremental sync reported as deleted
+   * Limited like purgeUnseenPhotos(): providers that compare listings against a
+   * snapshot report every photo as deleted when a listing comes back empty
+   * @param {string[]} photoIds - Photo IDs (IDs that are not stored are ignored)
+   * @param {string|null} idPrefix - Provider's ID prefix the share is counted in (null = all photos)
+   * @param {number} maxDeletePercent - Largest share of photos (0-100) one pass may delete
+   * @param {number} minDeleteLimit - Photos one pass may delete regardless of their share
+   * @returns {Promise<Object>} { deleted: [{id, cached_path}], matchedCount, totalCount, refused }
+   */
+  async deletePhotos(photoIds, idPrefix = null, maxDeletePercent = 100, minDeleteLimit = 0) {
+    try {
+      const matched = [];
+      for (const photoId of new Set(photoIds)) {
+        const photo = await this.db.get("SELECT id, cached_path FROM photos WHERE id = ?", [photoId]);
+        if (photo) {
+          matched.push(photo);
+        }
+      }
+
+      const { deleted, totalCount, refused } = await this.deleteWithinLimit(matched, idPrefix, maxDeletePercent, minDeleteLimit);
+      if (deleted.length > 0) {
+        this.log(`[DB] Deleted ${deleted.length} photos`);
+      }
+      return { deleted, matchedCount: matched.length, totalCount, refused };
+
+    } catch (error) {
+      this.log("[DB] Error deleting photos:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete photos whose IDs have none of the given prefixes
+   * @param {string[]} idPrefixes - ID prefixes of the configured providers
+   * @returns {Promise<Array<{id: string, cached_path: string|null}>>} Deleted photos
+   */
+  async purgePhotosOutside(idPrefixes) {
+    try {
+      const scopes = idPrefixes.map(idScope);
+      const outside = await this.db.all(`
+        SELECT id, cached_path
+        FROM photos
+        WHERE NOT (${scopes.map(scope => scope.sql).join(" OR ")})
+      `, scopes.flatMap(scope => scope.params));
+
+      if (outside.length === 0) {
+        return outside;
+      }
+
+      await this.transaction(async () => {
+        for (const photo of outside) {
+          await this.db.run("DELETE FROM photos WHERE id = ?", [photo.id]);
+        }
+      });
+
+      this.log(`[DB] Purged ${outside.length} photos of providers that are not configured`);
+      return outside;
+
+    } catch (error) {
+      this.log("[DB] Error purging photos of unconfigured providers:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete photos unless they are more than maxDeletePercent of the provider's photos
+   * @param {Array<{id: string}>} photos - Photos to delete
+   * @param {string|null} idPrefix - Provider's ID prefix (null = all photos)
+   * @param {number} maxDeletePercent - Largest share of photos (0-100) one pass may delete
+   * @param {number} minDeleteLimit - Photos one pass may delete regardless of their share
+   * @returns {Promise<Object>} { deleted, totalCount, refused }
+   * @private
+   */
+  async deleteWithinLimit(photos, idPrefix, maxDeletePercent, minDeleteLimit) {
+    const scope = idScope(idPrefix);
+    const total = await this.db.get(`SELECT COUNT(*) as count FROM photos WHERE ${scope.sql}`, scope.params);
+    const totalCount = total?.count || 0;
+
+    if (photos.length === 0) {
+      return { deleted: [], totalCount, refused: false };
+    }
+
+    const belowMinimum = maxDeletePercent > 0 &&
+      photos.length <= minDeleteLimit &&
+      photos.length < totalCount;
+
+    if (!belowMinimum && (photos.length / totalCount) * 100 > maxDeletePercent) {
+      return { deleted: [], totalCount, refused: true };
+    }
+
+    await this.transaction(async () => {
+      for (const photo of photos) {
+        await this.db.run("DELETE FROM photos WHERE id = ?", [photo.id]);
+      }
+    });
+    return { deleted: photos, totalCount, refused: false };
+  }
+
+  /**
+   * Set the weight and label of each configured root folder
+   * Folders that are not listed (or photos without a root folder) have weight 1
+   * @param {Array<{id: string, weight: number, label: string|null}>} folders - Root folders
+   */
+  setFolderWeights(folders) {
+    this.folderWeights = new Map(folders.map(folder => [folder.id, folder]));
+    this.roundRobinCounters.clear();
+  }
+
+  /**
+   * Attach the configured folder label to a photo
+   * @param {Object|undefined} photo - Row from the photos table
+   * @returns {Object|null} Photo with folder_label, or null
+   */
+  withFolderLabel(photo) {
+    if (!photo) {
+      return null;
+    }
+    photo.folder_label = this.folderWeights.get(photo.root_folder)?.label || null;
+    return photo;
+  }
+
+  /**
+   * Choose the root folder to show a photo from
+   * 'weighted' picks at random in proportion to the weights; 'roundRobin' uses
+   * smooth weighted round-robin, so weights 2:1 give A, B, A, A, B, A...
+   * @param {Array<string|null>} roots - Root folders that have displayable photos
+   * @returns {string|null} Chosen root folder
+   */
+  pickRootFolder(roots) {
+    const weightOf = (root) => this.folderWeights.get(root)?.weight ?? 1;
+    const total = roots.reduce((sum, root) => sum + weightOf(root), 0);
+
+    if (this.displayMode === 'roundRobin') {
+      let best = roots[0];
+      for (const root of roots) {
+        this.roundRobinCounters.set(root, (this.roundRobinCounters.get(root) || 0) + weightOf(root));
+        if (this.roundRobinCounters.get(root) > this.roundRobinCounters.get(best)) {
+          best = root;
+        }
+      }
+      this.roundRobinCounters.set(best, this.roundRobinCounters.get(best) - total);
+      return best;
+    }
+
+    let remaining = Math.random() * total;
+    for (const root of roots) {
+      remaining -= weightOf(root);
+      if (remaining < 0) {
+        return root;
+      }
+    }
+    return roots[roots.length - 1];
+  }
+
+  /**
+   * Get next photo for the 'weighted' and 'roundRobin' sort modes
+   * Picks a root folder first, then the least recently viewed photo in it,
+   * so a large folder can't drown out a small one
    * @returns {Promise<Object|null>} Photo metadata or null
+   * @private
+   */
+  async getNextPhotoByFolder() {
+    const { sql, params } = this.conditionFilter;
+
+    const roots = await this.db.all(`
+      SELECT root_folder
+      FROM photos
+      WHERE (cached_data IS NOT NULL OR cached_path IS NOT NULL) ${sql}
+      GROUP BY root_folder
+    `, params);
+
+    if (roots.length === 0) {
+      return null;
+    }
+
+    const rootFolder = this.pickRootFolder(roots.map(row => row.root_folder));
+    const tieBreak = this.displayMode === 'roundRobin' ? 'id ASC' : 'RANDOM()';
+
+    return this.db.get(`
+      SELECT ${DISPLAY_COLUMNS}
+      FROM photos
+      WHERE (cached_data IS NOT NULL OR cached_path IS NOT NULL) ${sql} AND root_folder IS ?
+      ORDER BY last_viewed_at ASC NULLS FIRST, ${tieBreak}
+      LIMIT 1
+    `, [...params, rootFolder]);
+  }
+
+  /**
+   * SQL expression that is true for photos taken on today's date in earlier years
+   * Compares month and day in local time, so leap years don't shift the match;
+   * Feb 29 photos count as Feb 28 in other years
+   * @param {Date} now - Current time
+   * @returns {{sql: string, params: Array}} Boolean expression over the photos table
+   */
+  getOnThisDayFilter(now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const days = new Set();
+
+    for (let offset = -this.onThisDayWindow; offset <= this.onThisDayWindow; offset++) {
+      const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+      const monthDay = `${String(day.getMonth() + 1).padStart(2, "0")}-${String(day.getDate()).padStart(2, "0")}`;
+      days.add(monthDay);
+
+      const isLeapYear = new Date(day.getFullYear(), 1, 29).getMonth() === 1;
+      if (monthDay === "02-28" && !isLeapYear) {
+        days.add("02-29");
+      }
+    }
+
+    // Anything taken since the window started is from this year's occurrence, not a memory
+    const windowStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - this.onThisDayWindow);
+
+    return {
+      sql: `(creation_time < ? AND strftime('%m-%d', creation_time / 1000, 'unixepoch', 'localtime') IN (${[...days].map(() => "?").join(", ")}))`,
+      params: [windowStart.getTime(), ...days],
+    };
+  }
+
+  /**
+   * Get the next "on this day" photo that has not been shown yet today
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Photo metadata with years_ago and same_day, or null
+   * @private
+   */
+  async getOnThisDayPhoto(now = new Date()) {
+    const onThisDay = this.getOnThisDayFilter(now);
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+
+    const photo = await this.db.get(`
+      SELECT ${DISPLAY_COLUMNS}
+      FROM photos
+      WHERE (cached_data IS NOT NULL OR cached_path IS NOT NULL) ${this.conditionFilter.sql}
+        AND ${onThisDay.sql}
+        AND (last_viewed_at IS NULL OR last_viewed_at < ?)
+      ORDER BY last_viewed_at ASC NULLS FIRST, RANDOM()
+      LIMIT 1
+    `, [...this.conditionFilter.params, ...onThisDay.params, startOfToday]);
+
+    if (!photo) {
+      return null;
+    }
+
+    const taken = new Date(photo.creation_time);
+    photo.years_ago = Math.max(1, Math.round((startOfToday - taken.getTime()) / (365.25 * DAY_MS)));
+    photo.same_day = taken.getMonth() === now.getMonth() && taken.getDate() === now.getDate();
+    return photo;
+  }
+
+  /**
+   * ORDER BY clause for the current display mode
+   * Unviewed photos first, then the least recently viewed, so every mode cycles
+   * through the whole library
+   * @returns {string} ORDER BY expression over the photos table
+   * @private
+   */
+  getDisplayOrder() {
+    switch (this.displayMode) {
+      case 'random':
+        // Random order, prioritize unviewed photos
+        return 'last_viewed_at ASC NULLS FIRST, RANDOM()';
+
+      case 'newest':
+        // Newest photos first (by creation time), then cycle through viewed
+        return 'last_viewed_at ASC NULLS FIRST, creation_time DESC';
+
+      case 'oldest':
+        // Oldest photos first (by creation time), then cycle through viewed
+        return 'last_viewed_at ASC NULLS FIRST, creation_time ASC';
+
+      case 'sequential':
+      default:
+        // Sequential by ID (deterministic, no skipping)
+        return 'last_viewed_at ASC NULLS FIRST, id ASC';
+    }
+  }
+
+  /**
+   * Get next photo to display (BLOB or file-based)
+   * Supports multiple sort modes: sequential, random, newest, oldest, weighted, roundRobin, onThisDay
+   * Takes the first cached photo of the playback queue; if none of the queued
+   * photos are cached yet, picks a cached photo by the sort mode instead
+   * @returns {Promise<Object|null>} Photo metadata (with folder_label) or null
    */
   async getNextPhoto() {
     try {
-      // Build ORDER BY clause based on sort mode
-      let orderBy;
-      switch (this.sortMode) {
-        case 'random':
-          // Random order, prioritize unviewed photos
-          orderBy = 'last_viewed_at ASC NULLS FIRST, RANDOM()';
-          break;
+      let photo = null;
 
-        case 'newest':
-          // Newest photos first (by creation time), then cycle through viewed
-          orderBy = 'last_viewed_at ASC NULLS FIRST, creation_time DESC';
-          break;
+      if (this.sortMode === 'onThisDay') {
+        photo = await this.getOnThisDayPhoto();
+      }
 
-        case 'oldest':
-          // Oldest photos first (by creation time), then cycle through viewed
-          orderBy = 'last_viewed_at ASC NULLS FIRST, creation_time ASC';
-          break;
+      if (!photo) {
+        photo = await this.db.get(`
+          SELECT ${DISPLAY_COLUMNS}
+          FROM playback_queue
+          JOIN photos ON photos.id = playback_queue.photo_id
+          WHERE (cached_data IS NOT NULL OR cached_path IS NOT NULL) ${this.conditionFilter.sql}
+          ORDER BY position ASC
+          LIMIT 1
+        `, this.conditionFilter.params);
+      }
+
+      if (!photo && (this.displayMode === 'weighted' || this.displayMode === 'roundRobin')) {
+        photo = await this.getNextPhotoByFolder();
+      } else if (!photo && this.displayMode === 'random') {
+        // Next cached card in the deck
+        const [id] = await this.dealFromDeck(1, true);
+        if (id) {
+          photo = await this.db.get(`SELECT ${DISPLAY_COLUMNS} FROM photos WHERE id = ?`, [id]);
+        }
+      }
+
+      if (!photo) {
+        photo = await this.db.get(`
+          SELECT ${DISPLAY_COLUMNS}
+          FROM photos
+          WHERE (cached_data IS NOT NULL OR cached_path IS NOT NULL) ${this.conditionFilter.sql}
+          ORDER BY ${this.getDisplayOrder()}
+          LIMIT 1
+        `, this.conditionFilter.params);
+      }
+
+      if (photo) {
+        await this.db.run("DELETE FROM playback_queue WHERE photo_id = ?", [photo.id]);
+      }
+
+      return this.withFolderLabel(photo);
+
+    } catch (error) {
+      this.log("[DB] Error getting next photo:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop playback queue entries that no longer apply after a restart
+   * A queue built for another sort mode is discarded, and photos excluded by
+   * the current `condition` are removed
+   * @returns {Promise<void>}
+   * @private
+   */
+  async preparePlaybackQueue() {
+    const queueMode = await this.getSetting("playback_queue_mode");
+    if (queueMode !== this.displayMode) {
+      await this.clearPlaybackQueue();
+      await this.saveSetting("playback_queue_mode", this.displayMode);
+    }
+
+    const { sql, params } = this.conditionFilter;
+    if (sql) {
+      await this.db.run(`
+        DELETE FROM playback_queue
+        WHERE photo_id NOT IN (SELECT id FROM photos WHERE 1 = 1 ${sql})
+      `, params);
+    }
+  }
+
+  /**
+   * Top up the playback queue to `length` photos
+   * Photos are appended in the order getNextPhoto() would pick them (cached or
+   * not), so CacheManager can download them before they are due
+   * @param {number} length - Number of upcoming photos to keep queued
+   * @returns {Promise<number>} Number of photos added
+   */
+  async refillPlaybackQueue(length) {
+    try {
+      const needed = length - await this.getPlaybackQueueLength();
+      if (needed <= 0) {
+        return 0;
+      }
+
+      let ids;
+      if (this.displayMode === 'weighted' || this.displayMode === 'roundRobin') {
+        ids = await this.pickQueueByFolder(needed);
+      } else if (this.displayMode === 'random') {
+        ids = await this.dealFromDeck(needed);
+      } else {
+        ids = (await this.db.all(`
+          SELECT id
+          FROM photos
+          WHERE id NOT IN (SELECT photo_id FROM playback_queue) ${this.conditionFilter.sql}
+          ORDER BY ${this.getDisplayOrder()}
+          LIMIT ?
+        `, [...this.conditionFilter.params, needed])).map(row => row.id);
+      }
+
+      // A freshly shuffled deck can deal a photo that is still queued from the last one
+      return await this.transaction(async () => {
+        let added = 0;
+        for (const id of ids) {
+          const result = await this.db.run("INSERT OR IGNORE INTO playback_queue (photo_id) VALUES (?)", [id]);
+          added += result.changes;
+        }
+        return added;
+      });
+
+    } catch (error) {
+      this.log("[DB] Error refilling playback queue:", error.message);
+      throw error;
+    }
+  }
 
-        case 'sequential':
-        default:
-          // Sequential by ID (deterministic, no skipping)
-          orderBy = 'last_viewed_at ASC NULLS FIRST, id ASC';
+  /**
+   * Deal photos from the shuffled deck ('random' sort mode)
+   * Every photo is dealt once per deck; when the deck runs out it is
+   * reshuffled. Photos added since the deck was shuffled are shuffled into
+   * the part that has not been dealt yet
+   * @param {number} count - Number of photos to deal
+   * @param {boolean} cachedOnly - Only deal photos that are cached (skipped cards stay in the deck)
+   * @returns {Promise<string[]>} Photo IDs in the order they were dealt
+   * @private
+   */
+  async dealFromDeck(count, cachedOnly = false) {
+    const { sql, params } = this.conditionFilter;
+    const cachedFilter = cachedOnly ? "AND (cached_data IS NOT NULL OR cached_path IS NOT NULL)" : "";
+
+    await this.addNewPhotosToDeck();
+
+    const dealt = [];
+    let reshuffled = false;
+    while (dealt.length < count) {
+      const cards = await this.db.all(`
+        SELECT photo_id
+        FROM shuffle_deck
+        JOIN photos ON photos.id = shuffle_deck.photo_id
+        WHERE dealt_at IS NULL ${sql} ${cachedFilter}
+        ORDER BY position ASC
+        LIMIT ?
+      `, [...params, count - dealt.length]);
+
+      if (cards.length === 0) {
+        const remaining = await this.db.get(`
+          SELECT COUNT(*) as count
+          FROM shuffle_deck
+          JOIN photos ON photos.id = shuffle_deck.photo_id
+          WHERE dealt_at IS NULL ${sql}
+        `, params);
+        // Photos still waiting in the playback queue belong to this deck,
+        // so only the queue refill may start the next one
+        if (reshuffled || remaining.count > 0 || (cachedOnly && await this.getPlaybackQueueLength() > 0)) {
           break;
+        }
+        await this.reshuffleDeck();
+        reshuffled = true;
+        continue;
+      }
+
+      const ids = cards.map(card => card.photo_id);
+      await this.db.run(
+        `UPDATE shuffle_deck SET dealt_at = ? WHERE photo_id IN (${ids.map(() => "?").join(", ")})`,
+        [Date.now(), ...ids]
+      );
+      dealt.push(...ids);
+    }
+
+    return dealt;
+  }
+
+  /**
+   * Shuffle photos that are not in the deck yet into its undealt part
+   * @returns {Promise<void>}
+   * @private
+   */
+  async addNewPhotosToDeck() {
+    const { sql, params } = this.conditionFilter;
+
+    const fresh = await this.db.all(`
+      SELECT id
+      FROM photos
+      WHERE id NOT IN (SELECT photo_id FROM shuffle_deck) ${sql}
+    `, params);
+    if (fresh.length === 0) {
+      return;
+    }
+
+    const undealt = await this.db.all(
+      "SELECT photo_id FROM shuffle_deck WHERE dealt_at IS NULL ORDER BY position ASC"
+    );
+    const cards = shuffle([...undealt.map(row => row.photo_id), ...fresh.map(row => row.id)]);
+
+    await this.writeDeck(cards, "DELETE FROM shuffle_deck WHERE dealt_at IS NULL");
+  }
+
+  /**
+   * Start a new deck with every eligible photo in shuffled order
+   * The most recently dealt photos are kept out of the first positions,
+   * so the end of one deck and the start of the next never repeat a photo
+   * @returns {Promise<void>}
+   * @private
+   */
+  async reshuffleDeck() {
+    const { sql, params } = this.conditionFilter;
+
+    const ids = (await this.db.all(`SELECT id FROM photos WHERE 1 = 1 ${sql}`, params)).map(row => row.id);
+    const gap = Math.min(RESHUFFLE_GAP + await this.getPlaybackQueueLength(), Math.floor(ids.length / 2));
+
+    const recent = await this.db.all(`
+      SELECT photo_id
+      FROM shuffle_deck
+      WHERE dealt_at IS NOT NULL
+      ORDER BY dealt_at DESC, position DESC
+      LIMIT ?
+    `, [gap]);
+    const recentIds = new Set(recent.map(row => row.photo_id));
+
+    // Shuffle the rest, then insert the recent photos anywhere after the gap
+    const cards = shuffle(ids.filter(id => !recentIds.has(id)));
+    for (const id of shuffle(ids.filter(id => recentIds.has(id)))) {
+      cards.splice(gap + Math.floor(Math.random() * (cards.length - gap + 1)), 0, id);
+    }
+
+    this.log(`[DB] Reshuffled deck of ${cards.length} photos`);
+    await this.writeDeck(cards, "DELETE FROM shuffle_deck");
+  }
+
+  /**
+   * Replace deck rows in one transaction
+   * New cards get positions after every remaining card, in the given order
+   * @param {string[]} cards - Photo IDs in deck order
+   * @param {string} deleteSql - Statement removing the rows being replaced
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeDeck(cards, deleteSql) {
+    await this.transaction(async () => {
+      await this.db.run(deleteSql);
+      for (const id of cards) {
+        await this.db.run("INSERT INTO shuffle_deck (photo_id) VALUES (?)", [id]);
       }
+    });
+  }
+
+  /**
+   * Pick the next photos for the 'weighted' and 'roundRobin' sort modes
+   * Same choice as getNextPhotoByFolder(), over all photos that are not queued yet
+   * @param {number} count - Number of photos to pick
+   * @returns {Promise<string[]>} Photo IDs in display order
+   * @private
+   */
+  async pickQueueByFolder(count) {
+    const { sql, params } = this.conditionFilter;
+    const notQueued = "id NOT IN (SELECT photo_id FROM playback_queue)";
+
+    const rows = await this.db.all(`
+      SELECT root_folder, COUNT(*) as available
+      FROM photos
+      WHERE ${notQueued} ${sql}
+      GROUP BY root_folder
+    `, params);
+    const available = new Map(rows.map(row => [row.root_folder, row.available]));
+
+    // Decide the folder of each slot first, then fetch each folder's photos in one query
+    const slots = [];
+    while (slots.length < count && available.size > 0) {
+      const root = this.pickRootFolder([...available.keys()]);
+      slots.push(root);
+      available.set(root, available.get(root) - 1);
+      if (available.get(root) === 0) {
+        available.delete(root);
+      }
+    }
+
+    const tieBreak = this.displayMode === 'roundRobin' ? 'id ASC' : 'RANDOM()';
+    const photosByRoot = new Map();
+    for (const root of new Set(slots)) {
+      const photos = await this.db.all(`
+        SELECT id
+        FROM photos
+        WHERE ${notQueued} ${sql} AND root_folder IS ?
+        ORDER BY last_viewed_at ASC NULLS FIRST, ${tieBreak}
+        LIMIT ?
+      `, [...params, root, slots.filter(slot => slot === root).length]);
+      photosByRoot.set(root, photos.map(row => row.id));
+    }
+
+    return slots.map(root => photosByRoot.get(root).shift());
+  }
+
+  /**
+   * Get the number of photos in the playback queue
+   * @returns {Promise<number>} Queue length
+   */
+  async getPlaybackQueueLength() {
+    const result = await this.db.get("SELECT COUNT(*) as count FROM playback_queue");
+    return result?.count || 0;
+  }
+
+  /**
+   * Get the queued photo IDs in display order
+   * @returns {Promise<string[]>} Photo IDs
+   */
+  async getPlaybackQueue() {
+    const rows = await this.db.all("SELECT photo_id FROM playback_queue ORDER BY position ASC");
+    return rows.map(row => row.photo_id);
+  }
 
+  /**
+   * Empty the playback queue
+   * @returns {Promise<void>}
+   */
+  async clearPlaybackQueue() {
+    await this.db.run("DELETE FROM playback_queue");
+  }
+
+  /**
+   * Get a cached photo for display by ID (e.g., to show it again from the history)
+   * @param {string} photoId - Photo ID
+   * @returns {Promise<Object|null>} Photo metadata (with folder_label), or null if not cached
+   */
+  async getCachedPhoto(photoId) {
+    try {
       const photo = await this.db.get(`
-        SELECT id, cached_path, cached_data, filename, width, height, creation_time, latitude, longitude, altitude, location_name
+        SELECT ${DISPLAY_COLUMNS}
         FROM photos
-        WHERE (cached_data IS NOT NULL OR cached_path IS NOT NULL)
-        ORDER BY ${orderBy}
-        LIMIT 1
-      `);
+        WHERE id = ? AND (cached_data IS NOT NULL OR cached_path IS NOT NULL)
+      `, [photoId]);
 
-      return photo || null;
+      return this.withFolderLabel(photo);
 
     } catch (error) {
-      this.log("[DB] Error getting next photo:", error.message);
+      this.log(`[DB] Error getting photo ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find cached photos to show together with a photo (see LayoutEngine)
+   * Prefers photos taken on the same day, then from the same folder, then
+   * the least recently viewed. Videos are never companions
+   * @param {Object} photo - Photo the companions are for
+   * @param {number} count - Number of companions wanted
+   * @param {Object} criteria - { portrait: true } or { maxWidth, maxHeight }
+   * @returns {Promise<Array<Object>>} Up to `count` photos (with folder_label)
+   */
+  async getCompanionPhotos(photo, count, criteria = {}) {
+    try {
+      const { sql, params } = this.conditionFilter;
+      const shape = [];
+      const shapeParams = [];
+
+      if (criteria.portrait) {
+        shape.push("width > 0 AND height > width");
+      }
+      if (criteria.maxWidth) {
+        shape.push("width > 0 AND width <= ?");
+        shapeParams.push(criteria.maxWidth);
+      }
+      if (criteria.maxHeight) {
+        shape.push("height > 0 AND height <= ?");
+        shapeParams.push(criteria.maxHeight);
+      }
+
+      const photos = await this.db.all(`
+        SELECT ${DISPLAY_COLUMNS}
+        FROM photos
+        WHERE (cached_data IS NOT NULL OR cached_path IS NOT NULL) ${sql}
+          AND media_type = 'image' AND id != ?
+          ${shape.map(condition => `AND ${condition}`).join(" ")}
+        ORDER BY
+          (creation_time IS NOT NULL AND date(creation_time / 1000, 'unixepoch', 'localtime') = date(? / 1000, 'unixepoch', 'localtime')) DESC,
+          folder_id = (SELECT folder_id FROM photos WHERE id = ?) DESC,
+          last_viewed_at ASC NULLS FIRST,
+          RANDOM()
+        LIMIT ?
+      `, [...params, photo.id, ...shapeParams, photo.creation_time ?? null, photo.id, count]);
+
+      return photos.map(companion => this.withFolderLabel(companion));
+
+    } catch (error) {
+      this.log(`[DB] Error getting companion photos for ${photo.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Take photos that are shown alongside another one out of the upcoming order
+   * Removes them from the playback queue and deals their shuffle deck cards
+   * @param {string[]} photoIds - Photo IDs
+   * @returns {Promise<void>}
+   */
+  async claimPhotos(photoIds) {
+    if (photoIds.length === 0) {
+      return;
+    }
+
+    try {
+      const placeholders = photoIds.map(() => "?").join(", ");
+      await this.db.run(`DELETE FROM playback_queue WHERE photo_id IN (${placeholders})`, photoIds);
+      await this.db.run(
+        `UPDATE shuffle_deck SET dealt_at = ? WHERE dealt_at IS NULL AND photo_id IN (${placeholders})`,
+        [Date.now(), ...photoIds]
+      );
+
+    } catch (error) {
+      this.log("[DB] Error claiming photos:", error.message);
       throw error;
     }
   }
@@ -338,19 +1339,188 @@ class PhotoDatabase {
   }
 
   /**
-   * Get photos that need caching (no cached_path)
+   * Store metadata read from a downloaded photo's EXIF/XMP
+   * Capture time and GPS position replace the provider's values (S3 and
+   * WebDAV, for example, only know the upload time); a new position clears
+   * the location name so it is looked up again. Dimensions fill in missing
+   * values, and are swapped when the provider reported them for the unrotated
+   * image (e.g., Google Drive for portrait phone photos).
+   * @param {string} photoId - Photo ID
+   * @param {Object} metadata - Result of ExifReader.readMetadata()
+   * @param {Object} [dimensions] - {width, height} of the original image, after orientation
+   * @returns {Promise<void>}
+   */
+  async updatePhotoMetadata(photoId, metadata, dimensions = {}) {
+    try {
+      const { latitude, longitude } = metadata;
+      const width = dimensions.width || null;
+      const height = dimensions.height || null;
+      const landscape = width && height && width !== height ? Number(width > height) : null;
+
+      await this.db.run(`
+        UPDATE photos
+        SET creation_time = COALESCE(?, creation_time),
+            location_name = CASE WHEN ? IS NOT NULL AND (latitude IS NOT ? OR longitude IS NOT ?) THEN NULL ELSE location_name END,
+            latitude = COALESCE(?, latitude),
+            longitude = COALESCE(?, longitude),
+            altitude = CASE WHEN ? IS NOT NULL THEN ? ELSE altitude END,
+            width = CASE
+              WHEN width IS NULL OR height IS NULL THEN ?
+              WHEN ? IS NOT NULL AND width <> height AND (width > height) <> ? THEN height
+              ELSE width
+            END,
+            height = CASE
+              WHEN width IS NULL OR height IS NULL THEN ?
+              WHEN ? IS NOT NULL AND width <> height AND (width > height) <> ? THEN width
+              ELSE height
+            END,
+            orientation = ?,
+            camera_make = ?,
+            camera_model = ?,
+            lens_model = ?,
+            description = ?,
+            rating = ?,
+            metadata_read_at = ?
+        WHERE id = ?
+      `, [
+        metadata.creationTime,
+        latitude, latitude, longitude,
+        latitude, longitude,
+        latitude, metadata.altitude,
+        width, landscape, landscape,
+        height, landscape, landscape,
+        metadata.orientation,
+        metadata.cameraMake,
+        metadata.cameraModel,
+        metadata.lensModel,
+        metadata.description,
+        metadata.rating,
+        Date.now(),
+        photoId,
+      ]);
+
+    } catch (error) {
+      this.log(`[DB] Error updating metadata for ${photoId}:`, error.message);
+      // Don't throw - this is non-critical
+    }
+  }
+
+  /**
+   * Get a cached reverse geocoding result
+   * @param {string} geocoder - Geocoder cache ID (see BaseGeocoder.getCacheId())
+   * @param {string} coordinates - Rounded coordinates (e.g., "48.86,2.35")
+   * @returns {Promise<Object|null>} {location_name} (null name: nothing found there), or null if not cached
+   */
+  async getGeocodeCacheEntry(geocoder, coordinates) {
+    try {
+      const entry = await this.db.get(
+        "SELECT location_name FROM geocode_cache WHERE geocoder = ? AND coordinates = ?",
+        [geocoder, coordinates]
+      );
+
+      return entry || null;
+
+    } catch (error) {
+      this.log(`[DB] Error getting geocode cache entry ${coordinates}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a reverse geocoding result
+   * @param {string} geocoder - Geocoder cache ID (see BaseGeocoder.getCacheId())
+   * @param {string} coordinates - Rounded coordinates (e.g., "48.86,2.35")
+   * @param {string|null} locationName - Resolved location name, or null if nothing was found
+   * @returns {Promise<void>}
+   */
+  async saveGeocodeCacheEntry(geocoder, coordinates, locationName) {
+    try {
+      await this.db.run(
+        `INSERT OR REPLACE INTO geocode_cache (geocoder, coordinates, location_name, resolved_at)
+         VALUES (?, ?, ?, ?)`,
+        [geocoder, coordinates, locationName, Date.now()]
+      );
+
+    } catch (error) {
+      this.log(`[DB] Error saving geocode cache entry ${coordinates}:`, error.message);
+      // Don't throw - this is non-critical
+    }
+  }
+
+  /**
+   * Get cached photos with GPS coordinates but no location name, in ID order
+   * @param {string} afterId - Only return IDs after this one (for paging)
    * @param {number} limit - Maximum number to return
+   * @returns {Promise<string[]>} Photo IDs
+   */
+  async getPhotosMissingLocation(afterId = "", limit = 50) {
+    try {
+      const rows = await this.db.all(
+        `SELECT id FROM photos
+         WHERE (cached_data IS NOT NULL OR cached_path IS NOT NULL)
+           AND latitude IS NOT NULL AND longitude IS NOT NULL
+           AND location_name IS NULL
+           AND id > ?
+         ORDER BY id
+         LIMIT ?`,
+        [afterId, limit]
+      );
+
+      return rows.map(row => row.id);
+
+    } catch (error) {
+      this.log("[DB] Error getting photos without location:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get photos that need caching (neither a BLOB nor a cached file)
+   * Photos excluded by the `condition` config are never returned.
+   * Queued photos come first, in the order they will be displayed;
+   * in 'onThisDay' mode today's memories come before them
+   * @param {number} limit - Maximum number to return
+   * @param {string[]|null} idPrefixes - Only return IDs with one of these prefixes (null = all)
+   * @param {boolean} onThisDayOnly - Only return photos taken on today's date in earlier years
    * @returns {Promise<Array>} Array of photos
    */
-  async getPhotosToCache(limit = 5) {
+  async getPhotosToCache(limit = 5, idPrefixes = null, onThisDayOnly = false) {
     try {
+      if (idPrefixes && idPrefixes.length === 0) {
+        return [];
+      }
+
+      // Restrict to providers that are online (multi-provider mode)
+      let prefixFilter = "";
+      const params = [];
+      if (idPrefixes) {
+        prefixFilter = `AND (${idPrefixes.map(() => "id LIKE ? ESCAPE '\\'").join(" OR ")})`;
+        params.push(...idPrefixes.map(likePrefix));
+      }
+
+      let onThisDayFilter = "";
+      // Queued photos in display order, then the least recently viewed
+      let orderBy = "position IS NULL, position ASC, last_viewed_at ASC NULLS FIRST";
+      const orderParams = [];
+      if (onThisDayOnly) {
+        const onThisDay = this.getOnThisDayFilter();
+        onThisDayFilter = `AND ${onThisDay.sql}`;
+        params.push(...onThisDay.params);
+      } else if (this.sortMode === 'onThisDay') {
+        // Today's memories first, so they are cached before they are needed
+        const onThisDay = this.getOnThisDayFilter();
+        orderBy = `${onThisDay.sql} DESC, ${orderBy}`;
+        orderParams.push(...onThisDay.params);
+      }
+
       const photos = await this.db.all(`
-        SELECT id, filename
+        SELECT id, filename, media_type, duration_ms
         FROM photos
-        WHERE cached_path IS NULL
-        ORDER BY last_viewed_at ASC NULLS FIRST
+        LEFT JOIN playback_queue ON playback_queue.photo_id = photos.id
+        WHERE cached_data IS NULL AND cached_path IS NULL ${prefixFilter} ${onThisDayFilter} ${this.conditionFilter.sql}
+        ORDER BY ${orderBy}
         LIMIT ?
-      `, [limit]);
+      `, [...params, ...this.conditionFilter.params, ...orderParams, limit]);
 
       return photos;
 
@@ -361,19 +1531,20 @@ class PhotoDatabase {
   }
 
   /**
-   * Update cache information for a photo (legacy file-based)
+   * Update cache information for a photo (legacy file-based, and videos)
    * @param {string} photoId - Photo ID
    * @param {string} cachedPath - Path to cached file
    * @param {number} sizeBytes - File size in bytes
+   * @param {string|null} [mimeType] - MIME type (e.g., 'video/mp4'), NULL for JPEG images
    * @returns {Promise<void>}
    */
-  async updatePhotoCache(photoId, cachedPath, sizeBytes) {
+  async updatePhotoCache(photoId, cachedPath, sizeBytes, mimeType = null) {
     try {
       await this.db.run(`
         UPDATE photos
-        SET cached_path = ?, cached_at = ?, cached_size_bytes = ?
+        SET cached_path = ?, cached_at = ?, cached_size_bytes = ?, cached_mime_type = ?
         WHERE id = ?
-      `, [cachedPath, Date.now(), sizeBytes, photoId]);
+      `, [cachedPath, Date.now(), sizeBytes, mimeType, photoId]);
 
     } catch (error) {
       this.log(`[DB] Error updating cache for ${photoId}:`, error.message);
@@ -381,6 +1552,50 @@ class PhotoDatabase {
     }
   }
 
+  /**
+   * Stop trying to cache a photo (e.g., a video over maxVideoSizeMB)
+   * Skipped photos are left out of caching, display and the playback queue
+   * until their file changes or retrySkippedPhotos() sees other settings
+   * @param {string} photoId - Photo ID
+   * @param {string} reason - Why the photo was skipped (for logs and debugging)
+   * @returns {Promise<void>}
+   */
+  async markPhotoSkipped(photoId, reason) {
+    try {
+      await this.db.run("UPDATE photos SET skip_reason = ? WHERE id = ?", [reason, photoId]);
+      await this.db.run("DELETE FROM playback_queue WHERE photo_id = ?", [photoId]);
+
+    } catch (error) {
+      this.log(`[DB] Error skipping ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Give skipped photos another try when the settings or tools that decide
+   * whether a file can be cached have changed since the last start
+   * @param {string} context - Description of those settings and tools
+   * @returns {Promise<number>} Number of photos to try again
+   */
+  async retrySkippedPhotos(context) {
+    try {
+      if (await this.getSetting("skip_context") === context) {
+        return 0;
+      }
+
+      const result = await this.db.run("UPDATE photos SET skip_reason = NULL WHERE skip_reason IS NOT NULL");
+      await this.saveSetting("skip_context", context);
+      if (result.changes > 0) {
+        this.log(`[DB] Settings changed, trying ${result.changes} skipped photos again`);
+      }
+      return result.changes;
+
+    } catch (error) {
+      this.log("[DB] Error resetting skipped photos:", error.message);
+      return 0;
+    }
+  }
+
   /**
    * Store photo as BLOB (new efficient method)
    * @param {string} photoId - Photo ID
@@ -431,6 +1646,27 @@ class PhotoDatabase {
     }
   }
 
+  /**
+   * Get a cached image for serving over HTTP
+   * @param {string} photoId - Photo ID
+   * @returns {Promise<Object|null>} {cached_data, cached_path, cached_mime_type, cached_at, cached_size_bytes}, or null if not cached
+   */
+  async getCachedImage(photoId) {
+    try {
+      const image = await this.db.get(`
+        SELECT cached_data, cached_path, cached_mime_type, cached_at, cached_size_bytes
+        FROM photos
+        WHERE id = ? AND (cached_data IS NOT NULL OR cached_path IS NOT NULL)
+      `, [photoId]);
+
+      return image || null;
+
+    } catch (error) {
+      this.log(`[DB] Error getting image for ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Clear cache information for a photo (both BLOB and file-based)
    * @param {string} photoId - Photo ID
@@ -461,13 +1697,24 @@ class PhotoDatabase {
    */
   async getOldestCachedPhotos(limit = 10) {
     try {
+      // Evict queued photos last (the ones due soonest last of all);
+      // in 'onThisDay' mode today's memories are kept even longer
+      let orderBy = "position IS NOT NULL, position DESC, last_viewed_at ASC";
+      const params = [];
+      if (this.sortMode === 'onThisDay') {
+        const onThisDay = this.getOnThisDayFilter();
+        orderBy = `${onThisDay.sql} ASC, ${orderBy}`;
+        params.push(...onThisDay.params);
+      }
+
       const photos = await this.db.all(`
         SELECT id, cached_path, cached_size_bytes
         FROM photos
+        LEFT JOIN playback_queue ON playback_queue.photo_id = photos.id
         WHERE cached_data IS NOT NULL OR cached_path IS NOT NULL
-        ORDER BY last_viewed_at ASC
+        ORDER BY ${orderBy}
         LIMIT ?
-      `, [limit]);
+      `, [...params, limit]);
 
       return photos;
 
@@ -478,7 +1725,7 @@ class PhotoDatabase {
   }
 
   /**
-   * Get total cache size in bytes
+   * Get total cache size in bytes (both BLOB and file-based)
    * @returns {Promise<number>} Total size in bytes
    */
   async getCacheSizeBytes() {
@@ -486,7 +1733,7 @@ class PhotoDatabase {
       const result = await this.db.get(`
         SELECT COALESCE(SUM(cached_size_bytes), 0) as total_size
         FROM photos
-        WHERE cached_path IS NOT NULL
+        WHERE cached_data IS NOT NULL OR cached_path IS NOT NULL
       `);
 
       return result?.total_size || 0;
@@ -497,6 +1744,82 @@ class PhotoDatabase {
     }
   }
 
+  /**
+   * Get cache usage split by storage type
+   * @returns {Promise<{blobCount: number, blobBytes: number, fileCount: number, fileBytes: number}>}
+   */
+  async getCacheUsage() {
+    try {
+      const result = await this.db.get(`
+        SELECT
+          COUNT(cached_data) as blob_count,
+          COALESCE(SUM(CASE WHEN cached_data IS NOT NULL THEN cached_size_bytes END), 0) as blob_bytes,
+          COUNT(cached_path) as file_count,
+          COALESCE(SUM(CASE WHEN cached_path IS NOT NULL THEN cached_size_bytes END), 0) as file_bytes
+        FROM photos
+      `);
+
+      return {
+        blobCount: result?.blob_count || 0,
+        blobBytes: result?.blob_bytes || 0,
+        fileCount: result?.file_count || 0,
+        fileBytes: result?.file_bytes || 0,
+      };
+
+    } catch (error) {
+      this.log("[DB] Error getting cache usage:", error.message);
+      return { blobCount: 0, blobBytes: 0, fileCount: 0, fileBytes: 0 };
+    }
+  }
+
+  /**
+   * Get the size of the database file and how much of it is free pages
+   * @returns {Promise<{fileBytes: number, freeBytes: number}>}
+   */
+  async getStorageInfo() {
+    try {
+      const { page_size: pageSize } = await this.db.get("PRAGMA page_size");
+      const { page_count: pageCount } = await this.db.get("PRAGMA page_count");
+      const { freelist_count: freePages } = await this.db.get("PRAGMA freelist_count");
+
+      return {
+        fileBytes: pageSize * pageCount,
+        freeBytes: pageSize * freePages,
+      };
+
+    } catch (error) {
+      this.log("[DB] Error getting storage info:", error.message);
+      return { fileBytes: 0, freeBytes: 0 };
+    }
+  }
+
+  /**
+   * Return free pages to the filesystem (incremental vacuum)
+   * Cleared BLOBs only move their pages to the freelist, so the database
+   * file keeps its size until this runs
+   * @returns {Promise<number>} Bytes reclaimed
+   */
+  async reclaimSpace() {
+    try {
+      const before = await this.getStorageInfo();
+      if (before.freeBytes === 0) {
+        return 0;
+      }
+
+      await this.db.exec("PRAGMA incremental_vacuum");
+
+      const after = await this.getStorageInfo();
+      const reclaimed = before.fileBytes - after.fileBytes;
+      this.log(`[DB] Reclaimed ${(reclaimed / 1024 / 1024).toFixed(2)}MB of free space`);
+
+      return reclaimed;
+
+    } catch (error) {
+      this.log("[DB] Error reclaiming space:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get count of cached photos (both BLOB and file-based)
    * @returns {Promise<number>} Number of cached photos
@@ -572,6 +1895,21 @@ class PhotoDatabase {
     }
   }
 
+  /**
+   * Delete a setting
+   * @param {string} key - Setting key
+   * @returns {Promise<void>}
+   */
+  async deleteSetting(key) {
+    try {
+      await this.db.run("DELETE FROM settings WHERE key = ?", [key]);
+
+    } catch (error) {
+      this.log(`[DB] Error deleting setting ${key}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Execute a custom query
    * @param {string} sql - SQL query
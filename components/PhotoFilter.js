@@ -0,0 +1,100 @@
+"use strict";
+
+const { RE2 } = require("re2-wasm");
+
+// RAW files are skipped unless `exclude` is configured: they are large downloads,
+// often sit next to a JPEG of the same photo, and are only shown from their preview
+const DEFAULT_EXCLUDE = ["(?i)\\.(cr2|cr3|nef|arw|dng|orf|rw2|raf)$"];
+
+/**
+ * Photo Filter - Include/exclude patterns over filename and folder path
+ * Patterns are compiled with RE2, which runs in linear time, so a bad pattern
+ * in the config can't hang the scan with catastrophic backtracking
+ */
+class PhotoFilter {
+  /**
+   * @param {Object} config - { include: string[], exclude: string[] }
+   * @param {Function} logger - Logging function
+   * @throws {Error} If a pattern is not a valid RE2 expression
+   */
+  constructor(config = {}, logger = console.log) {
+    this.log = logger;
+    this.include = PhotoFilter.compile(config.include || [], "include");
+    this.exclude = PhotoFilter.compile(config.exclude ?? DEFAULT_EXCLUDE, "exclude");
+  }
+
+  /**
+   * Compile a list of patterns
+   * @param {string|string[]} patterns - Regular expressions (RE2 syntax, "(?i)" for case-insensitive)
+   * @param {string} option - Config option name for error messages
+   * @returns {RE2[]} Compiled expressions
+   * @throws {Error} If a pattern is invalid
+   */
+  static compile(patterns, option) {
+    const list = Array.isArray(patterns) ? patterns : [patterns];
+
+    return list.map((pattern, index) => {
+      if (typeof pattern !== "string" || pattern === "") {
+        throw new Error(`${option}[${index}] must be a non-empty string`);
+      }
+      try {
+        return new RE2(pattern, "u");
+      } catch (error) {
+        throw new Error(`${option}[${index}] is not a valid pattern: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Strings a photo's patterns are tested against
+   * The full path is only available when the provider reports a folder path
+   * @param {Object} photo - Photo in the standard format
+   * @returns {string[]} [filename] or [filename, "folder/path/filename"]
+   */
+  static getSubjects(photo) {
+    const name = photo.name || "";
+    if (!photo.folderPath) {
+      return [name];
+    }
+    return [name, `${photo.folderPath.replace(/\/+$/, "")}/${name}`];
+  }
+
+  /**
+   * Check whether a photo passes the filter
+   * Included if any include pattern matches (or none are configured),
+   * and no exclude pattern matches
+   * @param {Object} photo - Photo in the standard format
+   * @returns {boolean} True if the photo should be kept
+   */
+  matches(photo) {
+    const subjects = PhotoFilter.getSubjects(photo);
+    const anyMatch = (patterns) => patterns.some(re => subjects.some(subject => re.test(subject)));
+
+    if (this.include.length > 0 && !anyMatch(this.include)) {
+      return false;
+    }
+    return !anyMatch(this.exclude);
+  }
+
+  /**
+   * Split scan results into kept and excluded photos
+   * @param {Array<Object>} photos - Photos from scanFolder()/fullScan()/getChanges()
+   * @returns {{kept: Array<Object>, excluded: Array<Object>}}
+   */
+  partition(photos) {
+    const kept = [];
+    const excluded = [];
+
+    for (const photo of photos) {
+      (this.matches(photo) ? kept : excluded).push(photo);
+    }
+
+    if (excluded.length > 0) {
+      this.log(`[FILTER] Filtered out ${excluded.length} of ${photos.length} photos by include/exclude patterns`);
+    }
+
+    return { kept, excluded };
+  }
+}
+
+module.exports = PhotoFilter;
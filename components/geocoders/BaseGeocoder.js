@@ -0,0 +1,146 @@
+"use strict";
+
+const crypto = require("crypto");
+const fetch = require("node-fetch");
+
+/**
+ * BaseGeocoder - Abstract interface for reverse geocoders
+ *
+ * Geocoders turn a photo's GPS coordinates into a location name for the info
+ * overlay. GeocodeQueue calls initialize() once before the first lookup.
+ */
+class BaseGeocoder {
+  /**
+   * @param {Object} config - Geocoder-specific configuration
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    if (new.target === BaseGeocoder) {
+      throw new TypeError("Cannot instantiate abstract class BaseGeocoder directly");
+    }
+
+    this.config = config || {};
+    this.log = logger || console.log;
+
+    // Minimum time between two lookups (ms), for services with a usage limit
+    this.requestInterval = this.config.requestInterval || 0;
+  }
+
+  /**
+   * Prepare the geocoder (e.g., load a dataset)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Nothing to prepare by default
+  }
+
+  /**
+   * Look up the location name for coordinates
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {Promise<string|null>} Location name (e.g., "Paris, Île-de-France, France"), or null if unknown
+   * @throws {Error} If the lookup failed (HTTP errors carry a `status`)
+   * @abstract
+   */
+  async reverse(latitude, longitude) {
+    throw new Error("Method 'reverse()' must be implemented by geocoder");
+  }
+
+  /**
+   * Get geocoder name
+   * @returns {string} Geocoder name for logging
+   * @abstract
+   */
+  getGeocoderName() {
+    throw new Error("Method 'getGeocoderName()' must be implemented by geocoder");
+  }
+
+  /**
+   * Identify this geocoder and its settings in the geocode cache
+   * Changing the geocoder or its configuration (e.g., language or dataset)
+   * starts with an empty cache. Settings are hashed, so API keys are not stored.
+   * @returns {string} Cache ID (e.g., "Nominatim:3f2a9c1b04de")
+   */
+  getCacheId() {
+    const hash = crypto.createHash("sha1").update(JSON.stringify(this.config)).digest("hex");
+    return `${this.getGeocoderName()}:${hash.slice(0, 12)}`;
+  }
+
+  /**
+   * Fetch JSON from a geocoding service
+   * @param {string} url - Request URL
+   * @param {Object} headers - Extra request headers
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<Object>} Parsed response
+   * @throws {Error} On network errors, timeouts and non-2xx responses (with `status`,
+   *   and `retryAfterMs` if the service sent a Retry-After header)
+   * @protected
+   */
+  async fetchJson(url, headers = {}, timeout = 5000) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          "User-Agent": "MMM-CloudPhotos",
+          Accept: "application/json",
+          ...headers
+        },
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        error.retryAfterMs = BaseGeocoder.parseRetryAfter(response.headers.get("retry-after"));
+        throw error;
+      }
+
+      return await response.json();
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Parse a Retry-After header
+   * @param {string|null} value - Delay in seconds or an HTTP date
+   * @returns {number|null} Delay in ms, or null if missing or invalid
+   */
+  static parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Build a location name from address parts, from most to least specific
+   * @param {Object} address - {city|town|village, state, country} (Nominatim/Photon style)
+   * @returns {string|null} "City, State, Country", or null if no part is known
+   */
+  static formatAddress(address) {
+    if (!address) {
+      return null;
+    }
+
+    const parts = [
+      address.city || address.town || address.village,
+      address.state,
+      address.country
+    ].filter(Boolean);
+
+    return parts.length > 0 ? parts.join(", ") : null;
+  }
+}
+
+module.exports = BaseGeocoder;
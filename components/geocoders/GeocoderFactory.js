@@ -0,0 +1,45 @@
+"use strict";
+
+/**
+ * GeocoderFactory - Registry and factory for reverse geocoders
+ *
+ * Creates the geocoder selected with the `geocoder` option.
+ */
+
+// Geocoder registry: Maps geocoder names to their implementation modules
+const GEOCODERS = {
+  "nominatim": () => require("./NominatimGeocoder"),
+  "offline": () => require("./OfflineGeocoder"),
+  "url": () => require("./UrlGeocoder")
+};
+
+/**
+ * Create a geocoder instance
+ * @param {string} geocoderName - Name of the geocoder (e.g., "offline")
+ * @param {Object} config - Geocoder-specific configuration
+ * @param {Function} logger - Logging function
+ * @returns {BaseGeocoder} Geocoder instance
+ * @throws {Error} If the geocoder is unknown or its configuration is invalid
+ */
+function createGeocoder(geocoderName, config, logger) {
+  if (!GEOCODERS[geocoderName]) {
+    const available = Object.keys(GEOCODERS).join(", ");
+    throw new Error(`Unknown geocoder: "${geocoderName}". Available geocoders: ${available}, none`);
+  }
+
+  const GeocoderClass = GEOCODERS[geocoderName]();
+  return new GeocoderClass(config || {}, logger || console.log);
+}
+
+/**
+ * Get list of available geocoders
+ * @returns {string[]} Array of geocoder names
+ */
+function getAvailableGeocoders() {
+  return Object.keys(GEOCODERS);
+}
+
+module.exports = {
+  createGeocoder,
+  getAvailableGeocoders
+};
@@ -0,0 +1,74 @@
+"use strict";
+
+/**
+ * KdTree - Static k-d tree for nearest-neighbour lookups
+ * Built once from a list of points; all points must have the same number of
+ * dimensions. Distances are squared Euclidean distances
+ */
+class KdTree {
+  /**
+   * @param {Array<{point: number[]}>} items - Items with coordinates in `point`
+   */
+  constructor(items) {
+    this.size = items.length;
+    this.root = KdTree.build(items.slice(), 0);
+  }
+
+  /**
+   * Build a subtree, splitting at the median of the current axis
+   * @param {Array<{point: number[]}>} items - Items of this subtree (reordered)
+   * @param {number} depth - Tree depth, selects the axis
+   * @returns {Object|null} Node {item, axis, left, right}
+   * @private
+   */
+  static build(items, depth) {
+    if (items.length === 0) {
+      return null;
+    }
+
+    const axis = depth % items[0].point.length;
+    items.sort((a, b) => a.point[axis] - b.point[axis]);
+    const median = items.length >> 1;
+
+    return {
+      item: items[median],
+      axis,
+      left: KdTree.build(items.slice(0, median), depth + 1),
+      right: KdTree.build(items.slice(median + 1), depth + 1)
+    };
+  }
+
+  /**
+   * Find the item closest to a point
+   * @param {number[]} point - Query coordinates
+   * @returns {{item: Object, distanceSquared: number}|null} Closest item, or null if the tree is empty
+   */
+  nearest(point) {
+    let best = null;
+
+    const search = (node) => {
+      if (!node) {
+        return;
+      }
+
+      const distanceSquared = node.item.point.reduce((sum, value, i) => sum + (value - point[i]) ** 2, 0);
+      if (!best || distanceSquared < best.distanceSquared) {
+        best = { item: node.item, distanceSquared };
+      }
+
+      // Search the side of the split the point is on first; the other side
+      // can only hold a closer item if the splitting plane is within range
+      const delta = point[node.axis] - node.item.point[node.axis];
+      const [near, far] = delta < 0 ? [node.left, node.right] : [node.right, node.left];
+      search(near);
+      if (delta * delta < best.distanceSquared) {
+        search(far);
+      }
+    };
+
+    search(this.root);
+    return best;
+  }
+}
+
+module.exports = KdTree;
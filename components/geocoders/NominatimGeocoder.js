@@ -0,0 +1,66 @@
+"use strict";
+
+const BaseGeocoder = require("./BaseGeocoder");
+
+// Public OpenStreetMap instance - see https://operations.osmfoundation.org/policies/nominatim/
+const PUBLIC_URL = "https://nominatim.openstreetmap.org/reverse";
+
+/**
+ * Nominatim Geocoder - OpenStreetMap's reverse geocoding API
+ * Uses the public instance unless `url` points to a self-hosted one
+ * @extends BaseGeocoder
+ */
+class NominatimGeocoder extends BaseGeocoder {
+  /**
+   * @param {Object} config - Geocoder configuration
+   * @param {string} [config.url] - Reverse endpoint (default: public nominatim.openstreetmap.org)
+   * @param {string} [config.email] - Contact address sent with requests (recommended by the usage policy)
+   * @param {string} [config.language] - Preferred language for names (Accept-Language, e.g., "de")
+   * @param {number} [config.zoom] - Level of detail (default: 14, suburb/village)
+   * @param {number} [config.requestInterval] - Minimum time between requests in ms (default: 1000 for the public instance, otherwise 0)
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.url = this.config.url || PUBLIC_URL;
+    this.zoom = this.config.zoom || 14;
+
+    // The public instance allows at most one request per second
+    if (this.url === PUBLIC_URL) {
+      this.requestInterval = Math.max(this.requestInterval, 1000);
+    }
+  }
+
+  /**
+   * Look up the location name for coordinates
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {Promise<string|null>} "City, State, Country", or null if unknown
+   */
+  async reverse(latitude, longitude) {
+    const params = new URLSearchParams({
+      format: "json",
+      lat: String(latitude),
+      lon: String(longitude),
+      zoom: String(this.zoom)
+    });
+    if (this.config.email) {
+      params.set("email", this.config.email);
+    }
+
+    const headers = this.config.language ? { "Accept-Language": this.config.language } : {};
+    const data = await this.fetchJson(`${this.url}?${params}`, headers);
+
+    return BaseGeocoder.formatAddress(data?.address);
+  }
+
+  /**
+   * Get geocoder name
+   * @returns {string} Geocoder name for logging
+   */
+  getGeocoderName() {
+    return "Nominatim";
+  }
+}
+
+module.exports = NominatimGeocoder;
@@ -0,0 +1,177 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const BaseGeocoder = require("./BaseGeocoder");
+const KdTree = require("./KdTree");
+
+// Small gazetteer of capitals and major cities shipped with the module
+const DEFAULT_DATA_FILE = path.resolve(__dirname, "..", "..", "data", "cities.txt");
+
+const EARTH_RADIUS_KM = 6371;
+
+// Columns of the GeoNames cities files (cities500.txt, cities15000.txt, ...)
+const COLUMN = {
+  name: 1,
+  latitude: 4,
+  longitude: 5,
+  countryCode: 8,
+  admin1Code: 10,
+  population: 14
+};
+
+/**
+ * Convert coordinates to a point on the unit sphere
+ * The straight-line distance between two such points grows with the
+ * great-circle distance, so nearest-neighbour search can use Euclidean distance
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number[]} [x, y, z]
+ */
+function toUnitVector(latitude, longitude) {
+  const lat = latitude * Math.PI / 180;
+  const lon = longitude * Math.PI / 180;
+  return [Math.cos(lat) * Math.cos(lon), Math.cos(lat) * Math.sin(lon), Math.sin(lat)];
+}
+
+/**
+ * Offline Geocoder - Nearest populated place from a local GeoNames-style dataset
+ * Works without network access. Place names come from a tab-separated file in
+ * the GeoNames cities format; admin1 (state/region) names are added when an
+ * admin1CodesASCII.txt file is configured
+ * @extends BaseGeocoder
+ */
+class OfflineGeocoder extends BaseGeocoder {
+  /**
+   * @param {Object} config - Geocoder configuration
+   * @param {string} [config.dataFile] - GeoNames cities file (default: bundled data/cities.txt)
+   * @param {string} [config.admin1File] - GeoNames admin1CodesASCII.txt for state/region names
+   * @param {number} [config.maxDistanceKm] - Places further away are not used (default: 50)
+   * @param {number} [config.minPopulation] - Ignore smaller places (default: 0)
+   * @param {string} [config.language] - Language for country names (default: "en")
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.dataFile = this.config.dataFile ? path.resolve(this.config.dataFile) : DEFAULT_DATA_FILE;
+    this.admin1File = this.config.admin1File ? path.resolve(this.config.admin1File) : null;
+    this.maxDistanceKm = this.config.maxDistanceKm ?? 50;
+    this.minPopulation = this.config.minPopulation || 0;
+
+    this.countryNames = new Intl.DisplayNames([this.config.language || "en"], { type: "region" });
+    this.admin1Names = new Map(); // "US.CA" -> "California"
+    this.index = null;
+  }
+
+  /**
+   * Load the dataset and build the spatial index
+   * @returns {Promise<void>}
+   * @throws {Error} If a data file can't be read or holds no places
+   */
+  async initialize() {
+    if (this.admin1File) {
+      for await (const columns of OfflineGeocoder.readRows(this.admin1File)) {
+        if (columns.length >= 2) {
+          this.admin1Names.set(columns[0], columns[1]);
+        }
+      }
+    }
+
+    const places = [];
+    for await (const columns of OfflineGeocoder.readRows(this.dataFile)) {
+      const latitude = parseFloat(columns[COLUMN.latitude]);
+      const longitude = parseFloat(columns[COLUMN.longitude]);
+      const population = parseInt(columns[COLUMN.population], 10) || 0;
+
+      if (!columns[COLUMN.name] || !Number.isFinite(latitude) || !Number.isFinite(longitude) || population < this.minPopulation) {
+        continue;
+      }
+
+      places.push({
+        point: toUnitVector(latitude, longitude),
+        name: columns[COLUMN.name],
+        countryCode: columns[COLUMN.countryCode] || "",
+        admin1Code: columns[COLUMN.admin1Code] || ""
+      });
+    }
+
+    if (places.length === 0) {
+      throw new Error(`No places found in ${this.dataFile}`);
+    }
+
+    this.index = new KdTree(places);
+    this.log(`[GEOCODE] Loaded ${places.length} places from ${path.basename(this.dataFile)}`);
+  }
+
+  /**
+   * Read a tab-separated file line by line
+   * Empty lines and lines starting with "#" are skipped
+   * @param {string} file - File path
+   * @yields {string[]} Columns of each line
+   */
+  static async *readRows(file) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file, { encoding: "utf8" }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (line && !line.startsWith("#")) {
+        yield line.split("\t");
+      }
+    }
+  }
+
+  /**
+   * Look up the nearest place
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {Promise<string|null>} "City, Region, Country", or null if no place is within maxDistanceKm
+   */
+  async reverse(latitude, longitude) {
+    if (!this.index) {
+      throw new Error("Offline geocoder is not initialized");
+    }
+
+    const nearest = this.index.nearest(toUnitVector(latitude, longitude));
+    const chord = Math.sqrt(nearest.distanceSquared);
+    const distanceKm = 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, chord / 2));
+    if (distanceKm > this.maxDistanceKm) {
+      return null;
+    }
+
+    const place = nearest.item;
+    return BaseGeocoder.formatAddress({
+      city: place.name,
+      state: this.admin1Names.get(`${place.countryCode}.${place.admin1Code}`),
+      country: this.getCountryName(place.countryCode)
+    });
+  }
+
+  /**
+   * Country name for an ISO 3166 code
+   * @param {string} countryCode - Two-letter code (e.g., "FR")
+   * @returns {string|null} Country name, or the code if it is unknown
+   */
+  getCountryName(countryCode) {
+    if (!countryCode) {
+      return null;
+    }
+    try {
+      return this.countryNames.of(countryCode) || countryCode;
+    } catch {
+      return countryCode;
+    }
+  }
+
+  /**
+   * Get geocoder name
+   * @returns {string} Geocoder name for logging
+   */
+  getGeocoderName() {
+    return "Offline geocoder";
+  }
+}
+
+module.exports = OfflineGeocoder;
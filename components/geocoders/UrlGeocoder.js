@@ -0,0 +1,60 @@
+"use strict";
+
+const BaseGeocoder = require("./BaseGeocoder");
+
+/**
+ * URL Geocoder - Any reverse geocoding service reachable by a URL template
+ * `{lat}` and `{lon}` in the URL are replaced with the coordinates. The
+ * response can be Nominatim JSON ({address}), Photon GeoJSON
+ * ({features: [{properties}]}) or a plain {name} object
+ * @extends BaseGeocoder
+ */
+class UrlGeocoder extends BaseGeocoder {
+  /**
+   * @param {Object} config - Geocoder configuration
+   * @param {string} config.url - URL template, e.g. "http://photon.local:2322/reverse?lat={lat}&lon={lon}"
+   * @param {Object} [config.headers] - Extra request headers (e.g., an API key)
+   * @param {number} [config.requestInterval] - Minimum time between requests in ms (default: 0)
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+
+    if (!this.config.url || !this.config.url.includes("{lat}") || !this.config.url.includes("{lon}")) {
+      throw new Error("UrlGeocoder requires a 'url' containing {lat} and {lon}");
+    }
+  }
+
+  /**
+   * Look up the location name for coordinates
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {Promise<string|null>} Location name, or null if unknown
+   */
+  async reverse(latitude, longitude) {
+    const url = this.config.url
+      .replace(/\{lat\}/g, encodeURIComponent(latitude))
+      .replace(/\{lon\}/g, encodeURIComponent(longitude));
+
+    const data = await this.fetchJson(url, this.config.headers);
+
+    if (data?.address) {
+      return BaseGeocoder.formatAddress(data.address);
+    }
+    if (Array.isArray(data?.features)) {
+      const properties = data.features[0]?.properties;
+      return BaseGeocoder.formatAddress(properties && { ...properties, city: properties.city || properties.name });
+    }
+    return typeof data?.name === "string" && data.name ? data.name : null;
+  }
+
+  /**
+   * Get geocoder name
+   * @returns {string} Geocoder name for logging
+   */
+  getGeocoderName() {
+    return "URL geocoder";
+  }
+}
+
+module.exports = UrlGeocoder;
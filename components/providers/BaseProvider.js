@@ -1,5 +1,8 @@
 "use strict";
 
+// Root folder key for folders configured without an ID (the drive/bucket root)
+const ROOT_FOLDER = "root";
+
 /**
  * BaseProvider - Abstract interface for cloud storage providers
  *
@@ -18,6 +21,18 @@ class BaseProvider {
 
     this.config = config;
     this.log = logger || console.log;
+
+    // Prefix of this provider's photo IDs in the database ("" unless combined with other providers)
+    this.idNamespace = "";
+  }
+
+  /**
+   * Set the prefix that this provider's photo IDs carry in the database
+   * Only needed by providers that look up their own photos in the database
+   * @param {string} namespace - ID prefix (e.g., "dropbox:")
+   */
+  setIdNamespace(namespace) {
+    this.idNamespace = namespace;
   }
 
   /**
@@ -39,8 +54,12 @@ class BaseProvider {
    *     id: string,
    *     name: string,
    *     parents: string[],
+   *     folderPath?: string (human-readable folder path, for include/exclude patterns),
+   *     rootFolder?: string (configured folder the photo was found under, see tagRootFolder),
    *     createdTime: string (ISO 8601),
-   *     imageMediaMetadata: { width: number, height: number }
+   *     imageMediaMetadata: { width: number, height: number },
+   *     mediaType?: "image"|"video" (videos are only returned with the includeVideos option),
+   *     videoMediaMetadata?: { width: number, height: number, durationMillis: number }
    *   }
    * @abstract
    */
@@ -66,7 +85,9 @@ class BaseProvider {
    *   {
    *     photos: Array<Object>,    // New/modified photos
    *     deletedIds: Array<string>, // Deleted photo IDs
-   *     nextToken: string          // Token for next sync
+   *     nextToken: string,         // Token for next sync
+   *     fullScan: boolean          // Optional: photos lists every photo, and deletions
+   *                                // are found by what is missing (like fullScan())
    *   }
    * @optional - Not all providers support this
    */
@@ -86,6 +107,52 @@ class BaseProvider {
     return null;
   }
 
+  /**
+   * Configured root folders with their display weight and label
+   * Used by the 'weighted' and 'roundRobin' sort modes
+   * @returns {Array<{id: string, weight: number, label: string|null}>}
+   * @throws {Error} If a weight is invalid
+   */
+  getWeightedFolders() {
+    const folders = this.config.driveFolders || this.config.folders || [];
+
+    return folders.map(folderConfig => BaseProvider.toWeightedFolder(folderConfig.id, folderConfig));
+  }
+
+  /**
+   * Normalize the weight and label of a configured folder
+   * @param {string|null} folderId - Configured folder ID or path
+   * @param {Object} folderConfig - Folder entry ({weight, label})
+   * @returns {{id: string, weight: number, label: string|null}}
+   * @throws {Error} If the weight is not a positive number
+   */
+  static toWeightedFolder(folderId, folderConfig = {}) {
+    const weight = folderConfig.weight ?? 1;
+    if (typeof weight !== "number" || !(weight > 0)) {
+      throw new Error(`Folder '${folderId || ROOT_FOLDER}' has invalid weight ${weight} (must be a positive number)`);
+    }
+
+    return {
+      id: folderId || ROOT_FOLDER,
+      weight,
+      label: folderConfig.label || null
+    };
+  }
+
+  /**
+   * Record which configured folder photos were found under
+   * When configured folders overlap, a photo counts toward one of them
+   * @param {Array<Object>} photos - Photos from scanning one configured folder
+   * @param {string|null} folderId - Configured folder ID or path (as written in the config)
+   * @returns {Array<Object>} The same photos
+   */
+  tagRootFolder(photos, folderId) {
+    for (const photo of photos) {
+      photo.rootFolder = folderId || ROOT_FOLDER;
+    }
+    return photos;
+  }
+
   /**
    * Get the provider name (for logging and identification)
    * @returns {string} Provider name (e.g., "Google Drive", "OneDrive")
@@ -0,0 +1,176 @@
+"use strict";
+
+const BaseProvider = require("./BaseProvider");
+
+// Separates the provider ID from the provider's own photo ID ("drive:1AbC...")
+const SEPARATOR = ":";
+
+// Provider IDs end up in photo IDs and setting keys, so keep them simple
+const SOURCE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * CompositeProvider - Combines several providers into one photo library
+ *
+ * Photo IDs are namespaced with the ID of the provider they came from, so IDs
+ * from different services never collide in the photos table. Downloads are
+ * routed back to the owning provider. Each provider keeps its own connection
+ * state: node_helper initializes, syncs and retries them one by one and
+ * flips `initialized` on the shared source objects.
+ * @extends BaseProvider
+ */
+class CompositeProvider extends BaseProvider {
+  /**
+   * @param {Array<Object>} sources - Providers: [{id, name, provider, initialized}]
+   * @param {Function} logger - Logging function
+   */
+  constructor(sources, logger) {
+    super({}, logger);
+    this.sources = new Map(sources.map(source => [source.id, source]));
+  }
+
+  /**
+   * Validate the `providers` config array and assign provider IDs
+   * IDs default to the provider name, with a counter for repeated names
+   * @param {Array<Object>} entries - [{id?, provider, providerConfig}]
+   * @returns {Array<{id: string, provider: string, providerConfig: Object}>}
+   * @throws {Error} If an entry is invalid or IDs collide
+   */
+  static parseSourceConfigs(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error("'providers' must be a non-empty array");
+    }
+
+    const ids = new Set();
+    const nameCounts = {};
+
+    return entries.map((entry, index) => {
+      if (!entry || !entry.provider) {
+        throw new Error(`providers[${index}] is missing 'provider'`);
+      }
+
+      let id = entry.id;
+      if (id === undefined) {
+        nameCounts[entry.provider] = (nameCounts[entry.provider] || 0) + 1;
+        id = nameCounts[entry.provider] === 1
+          ? entry.provider
+          : `${entry.provider}-${nameCounts[entry.provider]}`;
+      }
+
+      if (!SOURCE_ID_PATTERN.test(id)) {
+        throw new Error(`providers[${index}] has invalid id "${id}" (use letters, digits, '-' and '_')`);
+      }
+      if (ids.has(id)) {
+        throw new Error(`Duplicate provider id "${id}" - set a unique 'id' for each provider`);
+      }
+      ids.add(id);
+
+      return {
+        id,
+        provider: entry.provider,
+        providerConfig: entry.providerConfig || {}
+      };
+    });
+  }
+
+  /**
+   * Prefix a provider's photo ID with the provider ID
+   * @param {string} sourceId - Provider ID
+   * @param {string} id - Photo ID from the provider
+   * @returns {string} Namespaced ID
+   */
+  static namespaceId(sourceId, id) {
+    return `${sourceId}${SEPARATOR}${id}`;
+  }
+
+  /**
+   * Split a namespaced photo ID
+   * @param {string} namespacedId - ID from the photos table
+   * @returns {{sourceId: string, id: string}|null} Parts, or null if not namespaced
+   */
+  static splitId(namespacedId) {
+    const index = namespacedId.indexOf(SEPARATOR);
+    if (index <= 0) {
+      return null;
+    }
+    return {
+      sourceId: namespacedId.slice(0, index),
+      id: namespacedId.slice(index + 1)
+    };
+  }
+
+  /**
+   * Namespace a photo from scanFolder()/getChanges() (ID, parent folders and root folder)
+   * @param {string} sourceId - Provider ID
+   * @param {Object} photo - Photo in the standard format
+   * @returns {Object} Copy with namespaced id, parents and rootFolder
+   */
+  static namespacePhoto(sourceId, photo) {
+    return {
+      ...photo,
+      id: CompositeProvider.namespaceId(sourceId, photo.id),
+      parents: (photo.parents || []).map(parent => CompositeProvider.namespaceId(sourceId, parent)),
+      rootFolder: photo.rootFolder ? CompositeProvider.namespaceId(sourceId, photo.rootFolder) : null
+    };
+  }
+
+  /**
+   * Providers are initialized individually by node_helper
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Nothing to do - each source has its own initialization and retry cycle
+  }
+
+  /**
+   * ID prefixes of the providers that are currently online
+   * Lets CacheManager skip photos it cannot download right now
+   * @returns {string[]} Prefixes (e.g., ["drive:", "onedrive:"])
+   */
+  getOnlinePrefixes() {
+    return [...this.sources.values()]
+      .filter(source => source.initialized)
+      .map(source => `${source.id}${SEPARATOR}`);
+  }
+
+  /**
+   * Download a photo from the provider that owns it
+   * @param {string} photoId - Namespaced photo ID
+   * @param {Object} options - Download options
+   * @returns {Promise<Stream>} Readable stream of photo data
+   */
+  async downloadPhoto(photoId, options = {}) {
+    const parts = CompositeProvider.splitId(photoId);
+    const source = parts && this.sources.get(parts.sourceId);
+
+    if (!source) {
+      throw new Error(`No provider configured for photo: ${photoId}`);
+    }
+    if (!source.initialized) {
+      throw new Error(`Provider '${source.id}' is offline`);
+    }
+
+    return source.provider.downloadPhoto(parts.id, options);
+  }
+
+  /**
+   * Get provider name
+   * @returns {string} Names of all combined providers
+   */
+  getProviderName() {
+    return [...this.sources.values()]
+      .map(source => source.provider.getProviderName())
+      .join(" + ");
+  }
+
+  /**
+   * Clean up every provider
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    for (const source of this.sources.values()) {
+      await source.provider.cleanup();
+    }
+  }
+}
+
+module.exports = CompositeProvider;
@@ -0,0 +1,575 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const BaseProvider = require("./BaseProvider");
+
+/**
+ * Sleep helper function
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Dropbox Provider for MMM-CloudPhotos
+ * Uses the Dropbox HTTP API v2 with refresh-token authentication
+ * and list_folder cursors for incremental sync
+ * @extends BaseProvider
+ */
+class DropboxProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} [config.appKey] - Dropbox app key (falls back to the token file)
+   * @param {string} [config.appSecret] - Dropbox app secret (falls back to the token file)
+   * @param {string} [config.tokenPath] - Path to token file (default: ./token_dropbox.json)
+   * @param {Array} config.folders - Folders to scan [{id: "/Photos", depth: -1}]
+   * @param {string} [config.apiBase] - RPC endpoint base (for testing against a stand-in)
+   * @param {string} [config.contentBase] - Content endpoint base (for testing against a stand-in)
+   * @param {string} [config.tokenUrl] - OAuth2 token endpoint (for testing against a stand-in)
+   * @param {number} [config.pageDelayMs] - Delay between pagination requests (default: 500)
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.apiBase = config.apiBase || "https://api.dropboxapi.com/2";
+    this.contentBase = config.contentBase || "https://content.dropboxapi.com/2";
+    this.tokenUrl = config.tokenUrl || "https://api.dropboxapi.com/oauth2/token";
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.tokenExpiry = null;
+    this.appKey = config.appKey || null;
+    this.appSecret = config.appSecret || null;
+    this.db = null;
+
+    // Image file extensions to look for (Dropbox has no MIME type in listings)
+    this.imageExtensions = new Set([
+      ".jpg", ".jpeg", ".png", ".gif", ".webp",
+      ".bmp", ".tiff", ".tif", ".heic", ".heif",
+      // RAW (shown from the embedded JPEG preview, excluded by default)
+      ".cr2", ".cr3", ".nef", ".arw", ".dng", ".orf", ".rw2", ".raf"
+    ]);
+  }
+
+  /**
+   * Set database reference (needed for incremental sync)
+   * @param {Object} db - PhotoDatabase instance
+   */
+  setDatabase(db) {
+    this.db = db;
+  }
+
+  /**
+   * Resolve the token file path
+   * @returns {string} Absolute token file path
+   * @private
+   */
+  getTokenFilePath() {
+    const tokenPath = this.config.tokenPath || "./token_dropbox.json";
+    return path.isAbsolute(tokenPath)
+      ? tokenPath
+      : path.resolve(__dirname, "../..", tokenPath);
+  }
+
+  /**
+   * Initialize Dropbox API with OAuth2 refresh token
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      this.log("[DROPBOX] Initializing Dropbox API...");
+
+      const tokenData = JSON.parse(
+        await fs.promises.readFile(this.getTokenFilePath(), "utf8")
+      );
+
+      this.accessToken = tokenData.access_token || null;
+      this.refreshToken = tokenData.refresh_token;
+      this.tokenExpiry = tokenData.expiry_date || 0;
+      this.appKey = this.appKey || tokenData.app_key;
+      this.appSecret = this.appSecret || tokenData.app_secret;
+
+      if (!this.refreshToken) {
+        throw new Error("Token file has no refresh_token. Run generate_dropbox_token.js");
+      }
+
+      // Refresh token if expired or about to expire
+      if (!this.accessToken || Date.now() >= this.tokenExpiry - 300000) {
+        await this.refreshAccessToken();
+      }
+
+      // Test the connection
+      await this.makeRequest("/users/get_current_account", null);
+
+      this.log("[DROPBOX] Successfully authenticated with Dropbox API");
+    } catch (error) {
+      this.log("[DROPBOX] Authentication failed:", error.message);
+      throw new Error(`Dropbox authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exchange the refresh token for a new short-lived access token
+   * @returns {Promise<void>}
+   */
+  async refreshAccessToken() {
+    try {
+      this.log("[DROPBOX] Refreshing access token...");
+
+      const params = {
+        grant_type: "refresh_token",
+        refresh_token: this.refreshToken,
+        client_id: this.appKey
+      };
+      if (this.appSecret) {
+        params.client_secret = this.appSecret;
+      }
+
+      const response = await axios.post(
+        this.tokenUrl,
+        new URLSearchParams(params),
+        {
+          headers: { "Content-Type": "application/x-www-form-urlencoded" }
+        }
+      );
+
+      this.accessToken = response.data.access_token;
+      this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
+
+      // Save updated token (Dropbox refresh tokens don't rotate)
+      await fs.promises.writeFile(
+        this.getTokenFilePath(),
+        JSON.stringify({
+          access_token: this.accessToken,
+          refresh_token: this.refreshToken,
+          expiry_date: this.tokenExpiry,
+          app_key: this.appKey,
+          app_secret: this.appSecret
+        }, null, 2)
+      );
+
+      this.log("[DROPBOX] Access token refreshed");
+    } catch (error) {
+      this.log("[DROPBOX] Token refresh failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Make authenticated RPC request to the Dropbox API with retry logic
+   * An access token that expired early is refreshed once, without counting as an attempt
+   * @param {string} endpoint - API endpoint (e.g., "/files/list_folder")
+   * @param {Object|null} body - JSON request body
+   * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
+   * @returns {Promise<Object>} Response data
+   */
+  async makeRequest(endpoint, body, maxRetries = 3) {
+    // Refresh token if needed
+    if (Date.now() >= this.tokenExpiry - 300000) {
+      await this.refreshAccessToken();
+    }
+
+    let attempt = 0;
+    let refreshed = false;
+    while (attempt < maxRetries) {
+      try {
+        const response = await axios({
+          method: "POST",
+          url: `${this.apiBase}${endpoint}`,
+          headers: {
+            Authorization: `Bearer ${this.accessToken}`,
+            "Content-Type": "application/json"
+          },
+          // No-argument endpoints expect a literal JSON null
+          data: JSON.stringify(body === undefined ? null : body)
+        });
+
+        return response.data;
+      } catch (error) {
+        // Tokens can expire before tokenExpiry (e.g., after the system clock was wrong)
+        const isExpiredToken = error.response?.status === 401 &&
+          JSON.stringify(error.response.data || "").includes("expired_access_token");
+        if (isExpiredToken && !refreshed) {
+          this.log(`[DROPBOX] Access token expired early, refreshing: ${endpoint}`);
+          refreshed = true;
+          await this.refreshAccessToken();
+          continue;
+        }
+
+        attempt++;
+
+        // Determine if error is retryable
+        const isNetworkError = ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code);
+        const isServerError = error.response?.status >= 500 && error.response?.status < 600;
+        const isRateLimited = error.response?.status === 429;
+        const shouldRetry = (isNetworkError || isServerError || isRateLimited) && attempt < maxRetries;
+
+        if (!shouldRetry) {
+          this.log(`[DROPBOX] API request failed (attempt ${attempt}/${maxRetries}): ${endpoint}`, error.message);
+          throw error;
+        }
+
+        // Honour Retry-After on rate limits, otherwise exponential backoff: 2s, 4s, 8s... (max 60s)
+        const retryAfter = Number(error.response?.headers?.["retry-after"]);
+        const delay = isRateLimited && retryAfter > 0
+          ? Math.min(retryAfter * 1000, 60000)
+          : Math.min(1000 * Math.pow(2, attempt), 60000);
+        this.log(`[DROPBOX] Request failed (${error.code || error.response?.status}), retrying in ${delay}ms (attempt ${attempt}/${maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Check if a file is an image based on extension
+   * @param {string} name - File name
+   * @returns {boolean}
+   * @private
+   */
+  isImageFile(name) {
+    return this.imageExtensions.has(path.posix.extname(name).toLowerCase());
+  }
+
+  /**
+   * Normalize a folder path the way Dropbox expects ("" is the root)
+   * @param {string|null} folderPath - Folder path from configuration
+   * @returns {string} Normalized path
+   * @private
+   */
+  normalizeFolder(folderPath) {
+    if (!folderPath || folderPath === "/") {
+      return "";
+    }
+    const withSlash = folderPath.startsWith("/") ? folderPath : `/${folderPath}`;
+    return withSlash.replace(/\/+$/, "");
+  }
+
+  /**
+   * Number of folder levels between a root folder and a file's parent
+   * @param {string} rootPath - Normalized root folder (lower case)
+   * @param {string} filePathLower - Lower-cased file path
+   * @returns {number} 0 for files directly in the root
+   * @private
+   */
+  relativeDepth(rootPath, filePathLower) {
+    const relative = filePathLower.slice(rootPath.length).replace(/^\//, "");
+    return relative.split("/").length - 1;
+  }
+
+  /**
+   * Convert a Dropbox file entry to the standard photo format
+   * Photo IDs are lower-cased paths so deletions (reported by path) map onto them
+   * @param {Object} entry - File metadata from list_folder
+   * @returns {Object} Photo metadata
+   * @private
+   */
+  toPhoto(entry) {
+    return {
+      id: entry.path_lower,
+      name: entry.name,
+      parents: [path.posix.dirname(entry.path_lower)],
+      folderPath: path.posix.dirname(entry.path_display || entry.path_lower),
+      createdTime: entry.client_modified || entry.server_modified,
+      size: entry.size,
+      // Dropbox listings don't include dimensions - CacheManager handles this when caching
+      imageMediaMetadata: null
+    };
+  }
+
+  /**
+   * Read every page of a listing, starting from list_folder or a cursor
+   * @param {Object} start - Either { path, recursive } or { cursor }
+   * @returns {Promise<{entries: Array, cursor: string}>}
+   * @private
+   */
+  async listAll(start) {
+    const entries = [];
+    let data = start.cursor
+      ? await this.makeRequest("/files/list_folder/continue", { cursor: start.cursor })
+      : await this.makeRequest("/files/list_folder", {
+        path: start.path,
+        recursive: start.recursive,
+        include_deleted: false,
+        limit: 2000
+      });
+
+    entries.push(...(data.entries || []));
+
+    while (data.has_more) {
+      // Small delay between pagination requests to avoid rate limiting
+      await sleep(this.config.pageDelayMs ?? 500);
+      data = await this.makeRequest("/files/list_folder/continue", { cursor: data.cursor });
+      entries.push(...(data.entries || []));
+    }
+
+    return { entries, cursor: data.cursor };
+  }
+
+  /**
+   * Scan a folder for photos with depth control
+   * Unlimited depth uses a single recursive listing; limited depth walks folder by folder
+   * @param {string|null} folderPath - Folder path (null or "" for root)
+   * @param {number} maxDepth - Maximum depth (-1 = infinite, 0 = folder only)
+   * @param {number} currentDepth - Current depth in recursion
+   * @returns {Promise<Array>} Array of photo metadata
+   */
+  async scanFolder(folderPath, maxDepth = -1, currentDepth = 0) {
+    const normalized = this.normalizeFolder(folderPath);
+
+    try {
+      this.log(`[DROPBOX] Scanning folder '${normalized || "/"}' (depth ${currentDepth}/${maxDepth})...`);
+
+      const recursive = maxDepth === -1;
+      const { entries } = await this.listAll({ path: normalized, recursive });
+
+      const photos = [];
+      const subfolders = [];
+
+      for (const entry of entries) {
+        if (entry[".tag"] === "file" && this.isImageFile(entry.name)) {
+          photos.push(this.toPhoto(entry));
+        } else if (entry[".tag"] === "folder" && !recursive && entry.path_lower !== normalized.toLowerCase()) {
+          subfolders.push(entry.path_display || entry.path_lower);
+        }
+      }
+
+      // Recursively scan subfolders if within depth limit
+      if (!recursive && currentDepth < maxDepth) {
+        for (const subfolder of subfolders) {
+          const subPhotos = await this.scanFolder(subfolder, maxDepth, currentDepth + 1);
+          photos.push(...subPhotos);
+        }
+      }
+
+      this.log(`[DROPBOX] Folder scan complete. Total photos: ${photos.length}`);
+      return photos;
+
+    } catch (error) {
+      this.log(`[DROPBOX] Error scanning folder ${normalized || "/"}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Perform full scan of all configured folders
+   * @returns {Promise<Array>} Array of all photo metadata
+   */
+  async fullScan() {
+    try {
+      this.log("[DROPBOX] Starting full scan of all configured folders...");
+      const allPhotos = [];
+      const folders = this.config.folders || [];
+
+      if (folders.length === 0) {
+        this.log("[DROPBOX] Warning: No folders configured");
+        return allPhotos;
+      }
+
+      for (const folderConfig of folders) {
+        const depth = folderConfig.depth !== undefined ? folderConfig.depth : -1;
+        const photos = await this.scanFolder(folderConfig.id || null, depth);
+        allPhotos.push(...this.tagRootFolder(photos, folderConfig.id));
+      }
+
+      // Remove duplicates
+      const uniquePhotos = Array.from(
+        new Map(allPhotos.map(photo => [photo.id, photo])).values()
+      );
+
+      this.log(`[DROPBOX] Full scan complete. Found ${uniquePhotos.length} unique photos`);
+      return uniquePhotos;
+
+    } catch (error) {
+      this.log("[DROPBOX] Full scan failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a photo from Dropbox
+   * @param {string} photoId - Photo path (lower case)
+   * @param {Object} options - Download options
+   * @returns {Promise<Stream>} Readable stream of photo data
+   */
+  async downloadPhoto(photoId, options = {}) {
+    try {
+      // Refresh token if needed
+      if (Date.now() >= this.tokenExpiry - 300000) {
+        await this.refreshAccessToken();
+      }
+
+      // Dropbox-API-Arg must be ASCII - escape everything else as \uXXXX
+      const apiArg = JSON.stringify({ path: photoId })
+        .replace(/[\u007f-\uffff]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`);
+
+      const response = await axios({
+        method: "POST",
+        url: `${this.contentBase}/files/download`,
+        headers: {
+          Authorization: `Bearer ${this.accessToken}`,
+          "Dropbox-API-Arg": apiArg
+        },
+        responseType: "stream",
+        timeout: options.timeout || 30000
+      });
+
+      return response.data;
+
+    } catch (error) {
+      this.log(`[DROPBOX] Failed to download photo ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest cursor for every configured folder
+   * @returns {Promise<string>} Opaque change token (JSON map of folder path to cursor)
+   */
+  async getStartPageToken() {
+    try {
+      const cursors = {};
+
+      for (const folderConfig of this.config.folders || []) {
+        const folderPath = this.normalizeFolder(folderConfig.id);
+        const data = await this.makeRequest("/files/list_folder/get_latest_cursor", {
+          path: folderPath,
+          recursive: true,
+          include_deleted: false
+        });
+        cursors[folderPath] = data.cursor;
+      }
+
+      this.log("[DROPBOX] Got start cursors");
+      return JSON.stringify(cursors);
+    } catch (error) {
+      this.log("[DROPBOX] Failed to get start cursors:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get changes since a given token (for incremental sync)
+   * Follows each folder's list_folder/continue cursor. If Dropbox has reset a
+   * cursor, every folder is scanned again and the result is marked fullScan,
+   * because a fresh listing can't report what was deleted in the meantime
+   * @param {string} changeToken - Token from getStartPageToken() or a previous getChanges()
+   * @returns {Promise<Object>} Object with photos, deletedIds, nextToken (and fullScan after a reset)
+   */
+  async getChanges(changeToken) {
+    try {
+      this.log("[DROPBOX] Getting changes since last sync...");
+
+      let cursors;
+      try {
+        cursors = JSON.parse(changeToken) || {};
+      } catch {
+        cursors = {};
+      }
+
+      const changedPhotos = [];
+      const deletedIds = [];
+      const nextCursors = {};
+
+      for (const folderConfig of this.config.folders || []) {
+        const folderPath = this.normalizeFolder(folderConfig.id);
+        const rootLower = folderPath.toLowerCase();
+        const depth = folderConfig.depth !== undefined ? folderConfig.depth : -1;
+        const cursor = cursors[folderPath];
+
+        let result;
+        if (cursor) {
+          try {
+            result = await this.listAll({ cursor });
+          } catch (error) {
+            // Dropbox invalidates cursors occasionally - start over with a full scan
+            if (error.response?.status === 409 && JSON.stringify(error.response.data || "").includes("reset")) {
+              this.log(`[DROPBOX] Cursor reset for '${folderPath || "/"}', rescanning all folders`);
+              return await this.rescan();
+            }
+            throw error;
+          }
+        } else {
+          // Folder added to config since the last sync
+          result = await this.listAll({ path: folderPath, recursive: true });
+        }
+
+        for (const entry of result.entries) {
+          if (entry[".tag"] === "deleted") {
+            deletedIds.push(...(await this.expandDeletedPath(entry.path_lower)));
+            continue;
+          }
+
+          if (entry[".tag"] !== "file" || !this.isImageFile(entry.name)) {
+            continue;
+          }
+
+          if (depth === -1 || this.relativeDepth(rootLower, entry.path_lower) <= depth) {
+            changedPhotos.push(...this.tagRootFolder([this.toPhoto(entry)], folderConfig.id));
+          }
+        }
+
+        nextCursors[folderPath] = result.cursor;
+      }
+
+      this.log(`[DROPBOX] Incremental sync complete. Found ${changedPhotos.length} photos, ${deletedIds.length} deleted`);
+
+      return {
+        photos: changedPhotos,
+        deletedIds: [...new Set(deletedIds)],
+        nextToken: JSON.stringify(nextCursors)
+      };
+
+    } catch (error) {
+      this.log("[DROPBOX] Failed to get changes:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Scan every folder again after a cursor reset
+   * @returns {Promise<Object>} Changes with every photo, fullScan: true and new cursors
+   * @private
+   */
+  async rescan() {
+    // Cursors first, so changes made during the scan are reported by the next sync
+    const nextToken = await this.getStartPageToken();
+    const photos = await this.fullScan();
+
+    return { photos, deletedIds: [], nextToken, fullScan: true };
+  }
+
+  /**
+   * Expand a deleted path into photo IDs
+   * Dropbox reports a deleted folder once, without its children
+   * @param {string} deletedPath - Lower-cased deleted path
+   * @returns {Promise<string[]>} Photo IDs to delete
+   * @private
+   */
+  async expandDeletedPath(deletedPath) {
+    const ids = [deletedPath];
+
+    if (this.db && !this.isImageFile(deletedPath)) {
+      const escaped = `${this.idNamespace}${deletedPath}`.replace(/[\\%_]/g, c => `\\${c}`);
+      const rows = await this.db.query(
+        "SELECT id FROM photos WHERE id LIKE ? ESCAPE '\\'",
+        [`${escaped}/%`]
+      );
+      ids.push(...rows.map(row => row.id.slice(this.idNamespace.length)));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Get provider name
+   * @returns {string}
+   */
+  getProviderName() {
+    return "Dropbox";
+  }
+}
+
+module.exports = DropboxProvider;
@@ -20,6 +20,10 @@ class GoogleDriveProvider extends BaseProvider {
     this.drive = null;
     this.auth = null;
     this.db = null; // Can be set externally if needed for incremental sync
+
+    // Folder paths (folder ID -> "/Sub/Folder"), relative to the configured folder.
+    // Drive has no path API - scanFolder() records them, resolveFolderPath() fills gaps
+    this.folderPaths = new Map();
   }
 
   /**
@@ -91,9 +95,10 @@ class GoogleDriveProvider extends BaseProvider {
    * @param {number} maxDepth - Maximum depth (-1 = infinite, 0 = folder only, N = N levels)
    * @param {number} currentDepth - Current depth in recursion
    * @param {Set<string>} visitedFolders - Set of visited folder IDs to prevent cycles
+   * @param {string} folderPath - Path of this folder below the configured folder
    * @returns {Promise<Array>} Array of photo metadata
    */
-  async scanFolder(folderId, maxDepth = -1, currentDepth = 0, visitedFolders = new Set()) {
+  async scanFolder(folderId, maxDepth = -1, currentDepth = 0, visitedFolders = new Set(), folderPath = "") {
     try {
       const photos = [];
 
@@ -105,19 +110,18 @@ class GoogleDriveProvider extends BaseProvider {
         }
         visitedFolders.add(folderId);
       }
+      this.folderPaths.set(folderId || "root", folderPath);
 
       this.log(`[GDRIVE] Scanning folder (depth ${currentDepth}/${maxDepth})...`);
 
-      // Build query for images in this folder
+      // Build query for images (and videos with includeVideos) in this folder
       const parentQuery = folderId ? `'${folderId}' in parents` : "'root' in parents";
       const query = [
         parentQuery,
-        "mimeType contains 'image/'",
-        "trashed = false",
-        "not name contains '.cr2'",  // Exclude RAW files
-        "not name contains '.nef'",
-        "not name contains '.CR2'",
-        "not name contains '.NEF'"
+        this.config.includeVideos === true
+          ? "(mimeType contains 'image/' or mimeType contains 'video/')"
+          : "mimeType contains 'image/'",
+        "trashed = false"
       ].join(" and ");
 
       // Fetch images in current folder
@@ -125,13 +129,13 @@ class GoogleDriveProvider extends BaseProvider {
       do {
         const response = await this.drive.files.list({
           q: query,
-          fields: "nextPageToken, files(id, name, mimeType, imageMediaMetadata, createdTime, parents)",
+          fields: "nextPageToken, files(id, name, mimeType, imageMediaMetadata, videoMediaMetadata, createdTime, modifiedTime, parents)",
           pageSize: 1000,
           pageToken: pageToken
         });
 
         if (response.data.files && response.data.files.length > 0) {
-          photos.push(...response.data.files);
+          photos.push(...response.data.files.map(file => ({ ...file, folderPath, mediaType: this.getMediaType(file.mimeType) })));
           this.log(`[GDRIVE] Found ${response.data.files.length} photos in current folder`);
         }
 
@@ -160,7 +164,8 @@ class GoogleDriveProvider extends BaseProvider {
                   folder.id,
                   maxDepth,
                   currentDepth + 1,
-                  visitedFolders
+                  visitedFolders,
+                  `${folderPath}/${folder.name}`
                 );
                 photos.push(...subPhotos);
               }
@@ -202,7 +207,7 @@ class GoogleDriveProvider extends BaseProvider {
         this.log(`[GDRIVE] Scanning folder: ${folderId || 'root'} (depth: ${depth})`);
 
         const photos = await this.scanFolder(folderId, depth);
-        allPhotos.push(...photos);
+        allPhotos.push(...this.tagRootFolder(photos, folderId));
       }
 
       // Remove duplicates (same photo might be in multiple folders)
@@ -219,6 +224,21 @@ class GoogleDriveProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Media type of a Drive file
+   * @param {string} mimeType - File MIME type
+   * @returns {string|null} "image", "video" (only with includeVideos) or null for other files
+   */
+  getMediaType(mimeType) {
+    if (mimeType?.startsWith("image/")) {
+      return "image";
+    }
+    if (this.config.includeVideos === true && mimeType?.startsWith("video/")) {
+      return "video";
+    }
+    return null;
+  }
+
   /**
    * Download a photo from Drive
    * @param {string} photoId - Photo file ID
@@ -265,7 +285,7 @@ class GoogleDriveProvider extends BaseProvider {
         const response = await this.drive.changes.list({
           pageToken: pageToken,
           pageSize: 1000,
-          fields: "nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, parents, imageMediaMetadata, createdTime, trashed))"
+          fields: "nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, parents, imageMediaMetadata, videoMediaMetadata, createdTime, modifiedTime, trashed))"
         });
 
         if (response.data.changes && response.data.changes.length > 0) {
@@ -279,12 +299,19 @@ class GoogleDriveProvider extends BaseProvider {
               continue;
             }
 
-            // Only process image files
-            if (change.file?.mimeType?.startsWith("image/")) {
+            // Only process image files (and videos with includeVideos)
+            if (this.getMediaType(change.file?.mimeType)) {
               // Check if file is in one of our monitored folders
-              if (await this.isPhotoInMonitoredFolders(change.file)) {
+              const monitoredFolder = await this.findMonitoredFolder(change.file);
+              if (monitoredFolder) {
                 this.log(`[GDRIVE] Photo changed: ${change.file.name}`);
-                changedPhotos.push(change.file);
+                const rootFolder = typeof monitoredFolder === "string" ? monitoredFolder : null;
+                changedPhotos.push({
+                  ...change.file,
+                  mediaType: this.getMediaType(change.file.mimeType),
+                  folderPath: await this.resolveFolderPath(change.file.parents?.[0], rootFolder),
+                  rootFolder
+                });
               }
             }
           }
@@ -391,11 +418,12 @@ class GoogleDriveProvider extends BaseProvider {
   }
 
   /**
-   * Check if a photo is in one of the monitored folders
+   * Find the monitored folder a photo is in
    * @param {Object} file - File metadata from Drive API
-   * @returns {Promise<boolean>}
+   * @returns {Promise<string|boolean>} Configured folder ID ("root" for the Drive root),
+   *   true if the file is accepted without knowing the folder, false if not monitored
    */
-  async isPhotoInMonitoredFolders(file) {
+  async findMonitoredFolder(file) {
     try {
       const driveFolders = this.config.driveFolders || [];
 
@@ -414,12 +442,12 @@ class GoogleDriveProvider extends BaseProvider {
         // Check if any parent matches or is a descendant of monitored folder
         for (const parentId of file.parents) {
           if (parentId === monitoredFolderId) {
-            return true;
+            return monitoredFolderId || "root";
           }
 
           // Check if parent is a descendant of monitored folder
           if (await this.isDescendantOf(parentId, monitoredFolderId)) {
-            return true;
+            return monitoredFolderId || "root";
           }
         }
       }
@@ -433,6 +461,69 @@ class GoogleDriveProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Path of a folder below a configured folder
+   * Uses the paths recorded by scanFolder() and walks up the parents of folders it
+   * didn't see (after a restart, or created since the last scan), caching the result
+   * @param {string|undefined} folderId - Folder to resolve
+   * @param {string|null} rootFolderId - Configured folder the folder is in
+   * @returns {Promise<string|null>} Path like "/Sub/Folder" ("" for the configured folder), or null if unknown
+   * @private
+   */
+  async resolveFolderPath(folderId, rootFolderId) {
+    if (!folderId) {
+      return null;
+    }
+    if (this.folderPaths.has(folderId)) {
+      return this.folderPaths.get(folderId);
+    }
+    if (!rootFolderId) {
+      return null;
+    }
+
+    try {
+      const unknownFolders = []; // From folderId upwards
+      const maxDepth = 20; // Prevent infinite loops
+      let currentId = folderId;
+      let basePath = null;
+
+      while (unknownFolders.length < maxDepth) {
+        if (this.folderPaths.has(currentId)) {
+          basePath = this.folderPaths.get(currentId);
+          break;
+        }
+        if (currentId === rootFolderId) {
+          basePath = "";
+          break;
+        }
+
+        const response = await this.drive.files.get({ fileId: currentId, fields: "id, name, parents" });
+
+        if (!response.data.parents || response.data.parents.length === 0) {
+          return null; // Reached root without passing the configured folder
+        }
+
+        unknownFolders.push({ id: currentId, name: response.data.name });
+        currentId = response.data.parents[0]; // Take first parent
+      }
+
+      if (basePath === null) {
+        return null;
+      }
+
+      let folderPath = basePath;
+      for (const folder of unknownFolders.reverse()) {
+        folderPath = `${folderPath}/${folder.name}`;
+        this.folderPaths.set(folder.id, folderPath);
+      }
+      return folderPath;
+
+    } catch (error) {
+      this.log("[GDRIVE] Error resolving folder path:", error.message);
+      return null;
+    }
+  }
+
   /**
    * Check if a folder is a descendant of another folder
    * @param {string} folderId - Folder to check
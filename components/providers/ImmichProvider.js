@@ -0,0 +1,463 @@
+"use strict";
+
+const axios = require("axios");
+const BaseProvider = require("./BaseProvider");
+const SnapshotStore = require("./SnapshotStore");
+
+/**
+ * Sleep helper function
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Asset sizes served by Immich, see GET /api/assets/{id}/thumbnail
+const THUMBNAIL_SIZES = ["thumbnail", "preview", "fullsize", "original"];
+
+// Pseudo album ID for the favourites of the API key's user
+const FAVORITES_ID = "favorites";
+
+/**
+ * Immich Provider for MMM-CloudPhotos
+ * Reads album assets from a self-hosted Immich server via its REST API
+ * @extends BaseProvider
+ */
+class ImmichProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.url - Immich server URL (e.g., http://immich.local:2283)
+   * @param {string} config.apiKey - API key (Account Settings → API Keys)
+   * @param {Array} config.albums - Album IDs to show ["uuid", ...] or [{id: "uuid", weight, label}]
+   * @param {boolean} [config.favorites] - Also show assets marked as favourite
+   * @param {string} [config.thumbnailSize] - "auto" (default), "thumbnail", "preview", "fullsize" or "original"
+   * @param {number} [config.previewSize] - Preview size configured on the server (default: 1440)
+   * @param {number} [config.showWidth] - Display width, used to pick the thumbnail size
+   * @param {number} [config.showHeight] - Display height, used to pick the thumbnail size
+   * @param {number} [config.pageSize] - Assets per search page (default: 1000)
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.db = null;
+
+    // Settings key holding the asset snapshot used for incremental sync
+    this.snapshotKey = "immich_snapshot";
+
+    if (!config.url) {
+      throw new Error("ImmichProvider requires 'url' in configuration");
+    }
+    if (!config.apiKey) {
+      throw new Error("ImmichProvider requires 'apiKey' in configuration");
+    }
+
+    // Accept the server URL with or without the /api suffix
+    const url = config.url.replace(/\/+$/, "");
+    this.apiBase = url.endsWith("/api") ? url : `${url}/api`;
+
+    this.albumIds = (config.albums || []).map(album => (typeof album === "string" ? album : album.id));
+    this.thumbnailSize = this.resolveThumbnailSize();
+
+    // Album names by ID, filled by initialize() (used as the photo's folder path)
+    this.albumNames = new Map([[FAVORITES_ID, "Favorites"]]);
+  }
+
+  /**
+   * Set database reference (needed for incremental sync)
+   * @param {Object} db - PhotoDatabase instance
+   */
+  setDatabase(db) {
+    this.db = db;
+  }
+
+  /**
+   * Pick the smallest server-side rendition that still covers the display
+   * @returns {string} One of THUMBNAIL_SIZES
+   * @private
+   */
+  resolveThumbnailSize() {
+    const configured = this.config.thumbnailSize || "auto";
+
+    if (configured !== "auto") {
+      if (!THUMBNAIL_SIZES.includes(configured)) {
+        throw new Error(`ImmichProvider 'thumbnailSize' must be "auto" or one of: ${THUMBNAIL_SIZES.join(", ")}`);
+      }
+      return configured;
+    }
+
+    const longestSide = Math.max(this.config.showWidth || 1920, this.config.showHeight || 1080);
+    if (longestSide <= 250) {
+      return "thumbnail";
+    }
+    if (longestSide <= (this.config.previewSize || 1440)) {
+      return "preview";
+    }
+    return "original";
+  }
+
+  /**
+   * Initialize the Immich client (check the API key and configured albums)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      this.log("[IMMICH] Initializing Immich client...");
+
+      const user = await this.makeRequest("GET", "/users/me");
+      this.log(`[IMMICH] Authenticated as ${user.email || user.name || user.id}`);
+
+      for (const albumId of this.albumIds) {
+        try {
+          const album = await this.makeRequest("GET", `/albums/${encodeURIComponent(albumId)}`, null, { withoutAssets: true });
+          this.log(`[IMMICH] Album '${album.albumName}' (${album.assetCount ?? "?"} assets)`);
+          this.albumNames.set(albumId, album.albumName);
+        } catch (error) {
+          const status = error.response?.status;
+          if (status === 400 || status === 404) {
+            throw new Error(`Immich album not found: ${albumId}`);
+          }
+          throw error;
+        }
+      }
+
+      this.log(`[IMMICH] Successfully connected to ${this.apiBase} (using '${this.thumbnailSize}' images)`);
+    } catch (error) {
+      if (error.response?.status === 401) {
+        throw new Error("Immich authentication failed: invalid API key");
+      }
+      this.log(`[IMMICH] Initialization failed: ${error.message}`);
+      throw new Error(`Immich initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make authenticated API request with retry logic
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint (e.g., "/albums/{id}")
+   * @param {Object|null} body - JSON request body
+   * @param {Object} params - Query parameters
+   * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
+   * @returns {Promise<Object>} Response data
+   */
+  async makeRequest(method, endpoint, body = null, params = {}, maxRetries = 3) {
+    let attempt = 0;
+    while (attempt < maxRetries) {
+      try {
+        const response = await axios({
+          method,
+          url: `${this.apiBase}${endpoint}`,
+          headers: {
+            "x-api-key": this.config.apiKey,
+            Accept: "application/json"
+          },
+          params,
+          data: body || undefined,
+          timeout: 60000
+        });
+
+        return response.data;
+      } catch (error) {
+        attempt++;
+
+        // Determine if error is retryable
+        const isNetworkError = ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code);
+        const isServerError = error.response?.status >= 500 && error.response?.status < 600;
+        const isRateLimited = error.response?.status === 429;
+        const shouldRetry = (isNetworkError || isServerError || isRateLimited) && attempt < maxRetries;
+
+        if (!shouldRetry) {
+          this.log(`[IMMICH] API request failed (attempt ${attempt}/${maxRetries}): ${endpoint}`, error.message);
+          throw error;
+        }
+
+        // Exponential backoff: 2s, 4s, 8s... (max 60s)
+        const delay = Math.min(1000 * Math.pow(2, attempt), 60000);
+        this.log(`[IMMICH] Request failed (${error.code || error.response?.status}), retrying in ${delay}ms (attempt ${attempt}/${maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Convert an Immich asset to the standard photo format
+   * EXIF time, GPS and dimensions come from the server, so no local EXIF parsing is needed
+   * @param {Object} asset - AssetResponseDto (with exifInfo)
+   * @param {string} albumId - Album the asset was listed from
+   * @returns {Object} Photo metadata
+   * @private
+   */
+  toPhoto(asset, albumId) {
+    const exif = asset.exifInfo || {};
+
+    let width = exif.exifImageWidth || null;
+    let height = exif.exifImageHeight || null;
+
+    // Orientations 5-8 are rotated by 90°, the displayed image has swapped dimensions
+    if (Number(exif.orientation) >= 5) {
+      [width, height] = [height, width];
+    }
+
+    const hasLocation = typeof exif.latitude === "number" && typeof exif.longitude === "number";
+
+    return {
+      id: asset.id,
+      name: asset.originalFileName,
+      parents: [albumId],
+      folderPath: this.albumNames.get(albumId) || albumId,
+      createdTime: asset.fileCreatedAt || asset.localDateTime || null,
+      size: exif.fileSizeInByte || null,
+      updatedAt: asset.updatedAt || null,
+      checksum: asset.checksum || null,
+      imageMediaMetadata: {
+        width,
+        height,
+        time: exif.dateTimeOriginal || null,
+        location: hasLocation
+          ? { latitude: exif.latitude, longitude: exif.longitude }
+          : null
+      }
+    };
+  }
+
+  /**
+   * List every image asset in an album (or the favourites) via /search/metadata
+   * @param {string} albumId - Album ID or "favorites"
+   * @returns {Promise<Array>} Array of photo metadata
+   * @private
+   */
+  async listAlbum(albumId) {
+    const photos = [];
+    const filter = albumId === FAVORITES_ID ? { isFavorite: true } : { albumIds: [albumId] };
+    let page = 1;
+
+    while (page) {
+      const data = await this.makeRequest("POST", "/search/metadata", {
+        ...filter,
+        type: "IMAGE",
+        withExif: true,
+        page,
+        size: this.config.pageSize || 1000
+      });
+
+      // Anything else (e.g., a proxy's error page) would look like an emptied album
+      if (!Array.isArray(data?.assets?.items)) {
+        throw new Error(`Unexpected search response for album '${albumId}'`);
+      }
+
+      for (const asset of data.assets.items) {
+        if (asset.type === "IMAGE" && !asset.isTrashed) {
+          photos.push(this.toPhoto(asset, albumId));
+        }
+      }
+
+      page = data.assets.nextPage ? Number(data.assets.nextPage) : null;
+    }
+
+    return photos;
+  }
+
+  /**
+   * Scan an album for photos
+   * Albums are flat, so depth is ignored
+   * @param {string} albumId - Album ID or "favorites"
+   * @returns {Promise<Array>} Array of photo metadata
+   */
+  async scanFolder(albumId) {
+    try {
+      this.log(`[IMMICH] Scanning album '${albumId}'...`);
+
+      const photos = await this.listAlbum(albumId);
+
+      this.log(`[IMMICH] Album scan complete. Total photos: ${photos.length}`);
+      return photos;
+
+    } catch (error) {
+      this.log(`[IMMICH] Error scanning album ${albumId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Configured albums (and favourites) with their display weight and label
+   * @returns {Array<{id: string, weight: number, label: string|null}>}
+   * @throws {Error} If a weight is invalid
+   */
+  getWeightedFolders() {
+    const folders = (this.config.albums || []).map(album => (typeof album === "string"
+      ? BaseProvider.toWeightedFolder(album)
+      : BaseProvider.toWeightedFolder(album.id, album)));
+
+    if (this.config.favorites) {
+      folders.push(BaseProvider.toWeightedFolder(FAVORITES_ID));
+    }
+    return folders;
+  }
+
+  /**
+   * Scan every configured album and remove duplicates
+   * An asset in several albums keeps the first album as its parent
+   * @returns {Promise<Array>} Array of photo metadata
+   * @private
+   */
+  async scanAllAlbums() {
+    const sources = [...this.albumIds];
+    if (this.config.favorites) {
+      sources.push(FAVORITES_ID);
+    }
+
+    const unique = new Map();
+    for (const albumId of sources) {
+      for (const photo of this.tagRootFolder(await this.scanFolder(albumId), albumId)) {
+        if (!unique.has(photo.id)) {
+          unique.set(photo.id, photo);
+        }
+      }
+    }
+
+    return Array.from(unique.values());
+  }
+
+  /**
+   * Version signature used for change detection
+   * updatedAt changes on metadata edits, checksum on file replacement
+   * @param {Object} photo - Photo metadata from scanFolder()
+   * @returns {string}
+   * @private
+   */
+  signature(photo) {
+    return `${photo.updatedAt}:${photo.checksum}`;
+  }
+
+  /**
+   * Get the snapshot store for incremental sync
+   * @returns {SnapshotStore|null} Store, or null without a database
+   * @private
+   */
+  getSnapshotStore() {
+    return this.db ? new SnapshotStore(this.db, `${this.idNamespace}${this.snapshotKey}`, this.log) : null;
+  }
+
+  /**
+   * Perform full scan of all configured albums
+   * Also records the snapshot used by getChanges()
+   * @returns {Promise<Array>} Array of all photo metadata
+   */
+  async fullScan() {
+    try {
+      this.log("[IMMICH] Starting full scan of all configured albums...");
+
+      if (this.albumIds.length === 0 && !this.config.favorites) {
+        this.log("[IMMICH] Warning: No albums configured");
+        return [];
+      }
+
+      const photos = await this.scanAllAlbums();
+
+      const store = this.getSnapshotStore();
+      if (store) {
+        await store.save(SnapshotStore.build(photos, this.signature));
+      }
+
+      this.log(`[IMMICH] Full scan complete. Found ${photos.length} unique photos`);
+      return photos;
+
+    } catch (error) {
+      this.log("[IMMICH] Full scan failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a photo, using the server-side rendition picked from the display size
+   * @param {string} photoId - Asset ID
+   * @param {Object} options - Download options
+   * @returns {Promise<Stream>} Readable stream of photo data
+   */
+  async downloadPhoto(photoId, options = {}) {
+    try {
+      const assetPath = `/assets/${encodeURIComponent(photoId)}`;
+      const isOriginal = this.thumbnailSize === "original";
+
+      const response = await axios({
+        method: "GET",
+        url: `${this.apiBase}${assetPath}/${isOriginal ? "original" : "thumbnail"}`,
+        headers: { "x-api-key": this.config.apiKey },
+        params: isOriginal ? {} : { size: this.thumbnailSize },
+        responseType: "stream",
+        timeout: options.timeout || 30000
+      });
+
+      return response.data;
+
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 400) {
+        throw new Error(`Photo not found: ${photoId}`);
+      }
+      this.log(`[IMMICH] Failed to download photo ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get changes since the last snapshot (for incremental sync)
+   * Compares each asset's updatedAt/checksum against the stored snapshot,
+   * which also catches assets removed from an album
+   * @param {string} changeToken - Token from previous sync
+   * @returns {Promise<Object>} Object with photos, deletedIds, nextToken
+   */
+  async getChanges(changeToken) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      this.log("[IMMICH] Getting changes since last sync...");
+
+      const photos = await this.scanAllAlbums();
+      const changes = await this.getSnapshotStore().sync(photos, this.signature);
+
+      this.log(`[IMMICH] Incremental sync complete. Found ${changes.photos.length} changed photos, ${changes.deletedIds.length} deleted`);
+
+      return {
+        photos: changes.photos,
+        deletedIds: changes.deletedIds,
+        nextToken: String(Date.now())
+      };
+
+    } catch (error) {
+      this.log("[IMMICH] Failed to get changes:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a start token for incremental sync
+   * Records a snapshot first if no full scan has stored one yet
+   * @returns {Promise<string|null>} Change token, or null without a database
+   */
+  async getStartPageToken() {
+    const store = this.getSnapshotStore();
+    if (!store) {
+      return null;
+    }
+
+    if (!(await store.load())) {
+      const photos = await this.scanAllAlbums();
+      await store.save(SnapshotStore.build(photos, this.signature));
+    }
+
+    this.log("[IMMICH] Got start token");
+    return String(Date.now());
+  }
+
+  /**
+   * Get provider name
+   * @returns {string}
+   */
+  getProviderName() {
+    return "Immich";
+  }
+}
+
+module.exports = ImmichProvider;
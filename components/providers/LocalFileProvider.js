@@ -0,0 +1,458 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const BaseProvider = require("./BaseProvider");
+const SnapshotStore = require("./SnapshotStore");
+
+/**
+ * Local Filesystem Provider for MMM-CloudPhotos
+ * Reads photos from local disks or mounted network shares (NAS, SMB, NFS)
+ * @extends BaseProvider
+ */
+class LocalFileProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {Array} config.driveFolders - Folders to scan [{id: "/mnt/nas/photos", depth: -1}]
+   * @param {boolean} [config.followSymlinks] - Follow symlinked folders (default: true)
+   * @param {boolean} [config.includeVideos] - Also scan video files (default: false)
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.db = null;
+
+    // Image file extensions to look for
+    this.imageExtensions = new Set([
+      ".jpg", ".jpeg", ".png", ".gif", ".webp",
+      ".bmp", ".tiff", ".tif", ".heic", ".heif",
+      // RAW (shown from the embedded JPEG preview, excluded by default)
+      ".cr2", ".cr3", ".nef", ".arw", ".dng", ".orf", ".rw2", ".raf"
+    ]);
+
+    // Video file extensions, only scanned with includeVideos
+    this.videoExtensions = new Set([
+      ".mp4", ".m4v", ".mov", ".webm", ".avi", ".mkv", ".3gp"
+    ]);
+
+    // Settings key holding the mtime/size snapshot used for incremental sync
+    this.snapshotKey = "local_snapshot";
+
+    const folders = config.driveFolders || [];
+    if (folders.some(folder => !folder.id)) {
+      throw new Error("LocalFileProvider requires a folder path as 'id' for every driveFolders entry");
+    }
+  }
+
+  /**
+   * Set database reference (needed for incremental sync)
+   * @param {Object} db - PhotoDatabase instance
+   */
+  setDatabase(db) {
+    this.db = db;
+  }
+
+  /**
+   * Resolve a configured folder path
+   * Relative paths are resolved against the module directory, like the credential paths of other providers
+   * @param {string} folderPath - Folder path from configuration
+   * @returns {string} Absolute folder path
+   * @private
+   */
+  resolveFolder(folderPath) {
+    return path.isAbsolute(folderPath)
+      ? path.normalize(folderPath)
+      : path.resolve(__dirname, "../..", folderPath);
+  }
+
+  /**
+   * Get the configured root folders as absolute paths
+   * @returns {Array<{id: string, path: string, depth: number}>}
+   * @private
+   */
+  getRootFolders() {
+    return (this.config.driveFolders || []).map(folderConfig => ({
+      id: folderConfig.id,
+      path: this.resolveFolder(folderConfig.id),
+      depth: folderConfig.depth !== undefined ? folderConfig.depth : -1
+    }));
+  }
+
+  /**
+   * Initialize the provider by checking every configured folder is readable
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      this.log("[LOCAL] Initializing local filesystem provider...");
+
+      const folders = this.getRootFolders();
+      if (folders.length === 0) {
+        this.log("[LOCAL] Warning: No driveFolders configured");
+      }
+
+      for (const folder of folders) {
+        await this.checkFolder(folder);
+      }
+
+      this.log(`[LOCAL] ${folders.length} folder(s) available`);
+    } catch (error) {
+      this.log(`[LOCAL] Initialization failed: ${error.message}`);
+      throw new Error(`Local filesystem initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that a configured folder can be read
+   * @param {{path: string}} folder - Root folder from getRootFolders()
+   * @returns {Promise<void>}
+   * @throws {Error} If the folder is missing, unreadable or not a directory
+   * @private
+   */
+  async checkFolder(folder) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(folder.path);
+      await fs.promises.access(folder.path, fs.constants.R_OK);
+    } catch (error) {
+      // Mount points that are not attached yet surface as ENOENT/EACCES - keep it retryable
+      throw new Error(`Local folder unavailable: ${folder.path} (${error.code || error.message})`);
+    }
+
+    if (!stats.isDirectory()) {
+      throw new Error(`Invalid folder: ${folder.path} is not a directory`);
+    }
+  }
+
+  /**
+   * Check that no configured folder has gone missing or empty since the last sync
+   * An unmounted share is missing or an empty mount point, which would otherwise
+   * look like every photo in it was deleted
+   * @param {Object<string, string>|null} snapshot - Stored snapshot (photo ID -> signature)
+   * @returns {Promise<void>}
+   * @throws {Error} If a folder is unavailable, or empty although it had photos
+   * @private
+   */
+  async checkFoldersUnchanged(snapshot) {
+    const ids = Object.keys(snapshot || {});
+
+    for (const folder of this.getRootFolders()) {
+      await this.checkFolder(folder);
+
+      const hadPhotos = ids.some(id => this.isWithinFolder(folder.path, id));
+      if (hadPhotos && (await fs.promises.readdir(folder.path)).length === 0) {
+        throw new Error(`Local folder is empty: ${folder.path} (not mounted?) - keeping its photos`);
+      }
+    }
+  }
+
+  /**
+   * Check if a file is an image based on extension
+   * @param {string} filename - File name
+   * @returns {boolean}
+   * @private
+   */
+  isImageFile(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    return this.imageExtensions.has(ext);
+  }
+
+  /**
+   * Check if a file is a video to show (includeVideos) based on extension
+   * @param {string} filename - File name
+   * @returns {boolean}
+   * @private
+   */
+  isVideoFile(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    return this.config.includeVideos === true && this.videoExtensions.has(ext);
+  }
+
+  /**
+   * Scan a folder for photos with depth control
+   * @param {string} folderPath - Folder path to scan
+   * @param {number} maxDepth - Maximum depth (-1 = infinite, 0 = folder only, N = N levels)
+   * @param {number} currentDepth - Current depth in recursion
+   * @param {Set<string>} visitedFolders - Set of visited real paths (prevents symlink loops)
+   * @returns {Promise<Array>} Array of photo metadata
+   */
+  async scanFolder(folderPath, maxDepth = -1, currentDepth = 0, visitedFolders = new Set()) {
+    const absolutePath = this.resolveFolder(folderPath);
+
+    try {
+      const photos = [];
+
+      // Prevent circular references through symlinks
+      const realPath = await fs.promises.realpath(absolutePath);
+      if (visitedFolders.has(realPath)) {
+        this.log(`[LOCAL] Skipping circular reference: ${absolutePath}`);
+        return photos;
+      }
+      visitedFolders.add(realPath);
+
+      this.log(`[LOCAL] Scanning folder: ${absolutePath} (depth ${currentDepth}/${maxDepth})`);
+
+      const entries = await fs.promises.readdir(absolutePath, { withFileTypes: true });
+      const subfolders = [];
+
+      for (const entry of entries) {
+        // Skip hidden entries and Synology @eaDir thumbnail folders
+        if (entry.name.startsWith(".") || entry.name === "@eaDir") {
+          continue;
+        }
+
+        const entryPath = path.join(absolutePath, entry.name);
+        let isDirectory = entry.isDirectory();
+        let isFile = entry.isFile();
+
+        if (entry.isSymbolicLink()) {
+          if (this.config.followSymlinks === false) {
+            continue;
+          }
+
+          try {
+            const target = await fs.promises.stat(entryPath);
+            isDirectory = target.isDirectory();
+            isFile = target.isFile();
+          } catch {
+            continue; // Dangling symlink
+          }
+        }
+
+        if (isDirectory) {
+          subfolders.push(entryPath);
+          continue;
+        }
+
+        if (!isFile || !(this.isImageFile(entry.name) || this.isVideoFile(entry.name))) {
+          continue;
+        }
+
+        try {
+          const stats = await fs.promises.stat(entryPath);
+          photos.push(this.toPhoto(entryPath, stats));
+        } catch (error) {
+          this.log(`[LOCAL] Skipping unreadable file ${entryPath}: ${error.message}`);
+        }
+      }
+
+      // Recursively scan subfolders if within depth limit
+      if (maxDepth === -1 || currentDepth < maxDepth) {
+        for (const subfolder of subfolders) {
+          const subPhotos = await this.scanFolder(
+            subfolder,
+            maxDepth,
+            currentDepth + 1,
+            visitedFolders
+          );
+          photos.push(...subPhotos);
+        }
+      }
+
+      this.log(`[LOCAL] Found ${photos.length} photos in ${absolutePath}`);
+      return photos;
+
+    } catch (error) {
+      this.log(`[LOCAL] Error scanning folder ${absolutePath}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a file to the standard photo format
+   * @param {string} filePath - Absolute file path (used as photo ID)
+   * @param {fs.Stats} stats - File stats
+   * @returns {Object} Photo metadata
+   * @private
+   */
+  toPhoto(filePath, stats) {
+    // birthtime is 0 on filesystems that don't record it (many NAS mounts)
+    const created = stats.birthtimeMs > 0 ? stats.birthtime : stats.mtime;
+
+    return {
+      id: filePath,
+      name: path.basename(filePath),
+      parents: [path.dirname(filePath)],
+      folderPath: path.dirname(filePath),
+      createdTime: created.toISOString(),
+      size: stats.size,
+      mtimeMs: Math.floor(stats.mtimeMs),
+      // Dimensions are not known without decoding - CacheManager handles this when caching
+      imageMediaMetadata: null,
+      ...(this.isVideoFile(filePath) && { mediaType: "video" })
+    };
+  }
+
+  /**
+   * Perform full scan of all configured folders
+   * Also records the mtime/size snapshot used by getChanges()
+   * @returns {Promise<Array>} Array of all photo metadata
+   */
+  async fullScan() {
+    try {
+      this.log("[LOCAL] Starting full scan of all configured folders...");
+      const photos = await this.scanAllFolders();
+
+      const store = this.getSnapshotStore();
+      if (store) {
+        await store.save(SnapshotStore.build(photos, this.signature));
+      }
+
+      this.log(`[LOCAL] Full scan complete. Found ${photos.length} unique photos`);
+      return photos;
+
+    } catch (error) {
+      this.log("[LOCAL] Full scan failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Scan every configured folder and remove duplicates
+   * @returns {Promise<Array>} Array of photo metadata
+   * @private
+   */
+  async scanAllFolders() {
+    const allPhotos = [];
+
+    for (const folder of this.getRootFolders()) {
+      const photos = await this.scanFolder(folder.path, folder.depth);
+      allPhotos.push(...this.tagRootFolder(photos, folder.id));
+    }
+
+    // Remove duplicates (nested configured folders overlap)
+    return Array.from(
+      new Map(allPhotos.map(photo => [photo.id, photo])).values()
+    );
+  }
+
+  /**
+   * Check if a path lies within one of the configured folders
+   * @param {string} filePath - Absolute file path
+   * @returns {boolean}
+   * @private
+   */
+  isWithinConfiguredFolders(filePath) {
+    return this.getRootFolders().some(folder => this.isWithinFolder(folder.path, filePath));
+  }
+
+  /**
+   * Check if a path lies within a folder
+   * @param {string} folderPath - Absolute folder path
+   * @param {string} filePath - Absolute file path
+   * @returns {boolean}
+   * @private
+   */
+  isWithinFolder(folderPath, filePath) {
+    const relative = path.relative(folderPath, path.normalize(filePath));
+    return Boolean(relative) && !relative.startsWith("..") && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Open a photo as a readable stream
+   * @param {string} photoId - Absolute file path
+   * @param {Object} options - Download options (unused for local files)
+   * @returns {Promise<stream.Readable>} Readable stream of photo data
+   */
+  async downloadPhoto(photoId, options = {}) {
+    // Only serve files from configured folders - IDs come from the database, not the user
+    if (!this.isWithinConfiguredFolders(photoId)) {
+      throw new Error(`Photo is outside configured folders: ${photoId}`);
+    }
+
+    try {
+      await fs.promises.access(photoId, fs.constants.R_OK);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Photo not found: ${photoId}`);
+      }
+      this.log(`[LOCAL] Error opening photo '${photoId}': ${error.message}`);
+      throw new Error(`Failed to open photo '${photoId}': ${error.message}`);
+    }
+
+    return fs.createReadStream(photoId);
+  }
+
+  /**
+   * Version signature used for change detection
+   * @param {Object} photo - Photo metadata from scanFolder()
+   * @returns {string} "mtime:size"
+   * @private
+   */
+  signature(photo) {
+    return `${photo.mtimeMs}:${photo.size}`;
+  }
+
+  /**
+   * Get the snapshot store for incremental sync
+   * @returns {SnapshotStore|null} Store, or null without a database
+   * @private
+   */
+  getSnapshotStore() {
+    return this.db ? new SnapshotStore(this.db, `${this.idNamespace}${this.snapshotKey}`, this.log) : null;
+  }
+
+  /**
+   * Get changes since the last snapshot (for incremental sync)
+   * Compares mtime/size of every file against the stored snapshot
+   * @param {string} changeToken - Token from previous sync
+   * @returns {Promise<Object>} Object with photos, deletedIds, nextToken
+   */
+  async getChanges(changeToken) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      this.log("[LOCAL] Getting changes since last sync...");
+
+      const store = this.getSnapshotStore();
+      await this.checkFoldersUnchanged(await store.load());
+
+      const photos = await this.scanAllFolders();
+      const changes = await store.sync(photos, this.signature);
+
+      this.log(`[LOCAL] Incremental sync complete. Found ${changes.photos.length} changed photos, ${changes.deletedIds.length} deleted`);
+
+      return {
+        photos: changes.photos,
+        deletedIds: changes.deletedIds,
+        nextToken: String(Date.now())
+      };
+
+    } catch (error) {
+      this.log("[LOCAL] Failed to get changes:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a start token for incremental sync
+   * Records a snapshot first if no full scan has stored one yet
+   * @returns {Promise<string|null>} Change token, or null without a database
+   */
+  async getStartPageToken() {
+    const store = this.getSnapshotStore();
+    if (!store) {
+      return null;
+    }
+
+    if (!(await store.load())) {
+      const photos = await this.scanAllFolders();
+      await store.save(SnapshotStore.build(photos, this.signature));
+    }
+
+    this.log("[LOCAL] Got start token");
+    return String(Date.now());
+  }
+
+  /**
+   * Get provider name
+   * @returns {string}
+   */
+  getProviderName() {
+    return "Local Folder";
+  }
+}
+
+module.exports = LocalFileProvider;
@@ -15,6 +15,52 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Folder path of a drive item ("/drive/root:/Pictures/2024" -> "/Pictures/2024")
+ * Delta responses don't include parentReference.path, so this may be null
+ * @param {Object} item - DriveItem from Graph API
+ * @returns {string|null} Decoded folder path
+ */
+function getFolderPath(item) {
+  const parentPath = item.parentReference?.path;
+  if (!parentPath) {
+    return null;
+  }
+
+  const rootIndex = parentPath.indexOf("root:");
+  const folderPath = (rootIndex >= 0 ? parentPath.slice(rootIndex + 5) : parentPath) || "/";
+  try {
+    return decodeURIComponent(folderPath);
+  } catch (e) {
+    return folderPath;
+  }
+}
+
+/**
+ * Standard-format media fields of a drive item with an image or video facet
+ * @param {Object} item - DriveItem from Graph API
+ * @returns {Object} {imageMediaMetadata} for images, plus mediaType and videoMediaMetadata for videos
+ */
+function getMediaMetadata(item) {
+  if (item.image) {
+    return {
+      imageMediaMetadata: {
+        width: item.image.width,
+        height: item.image.height
+      }
+    };
+  }
+  return {
+    mediaType: "video",
+    imageMediaMetadata: null,
+    videoMediaMetadata: {
+      width: item.video.width,
+      height: item.video.height,
+      durationMillis: item.video.duration,
+    }
+  };
+}
+
 /**
  * OneDrive Provider for MMM-CloudPhotos
  * Uses Microsoft Graph API to access OneDrive photos
@@ -236,18 +282,17 @@ class OneDriveProvider extends BaseProvider {
           : await this.makeRequest(endpoint);
 
         for (const item of data.value || []) {
-          // Check if it's an image file
-          if (item.file && item.image) {
+          // Check if it's an image file (or a video with includeVideos)
+          if (this.isMediaItem(item)) {
             // Convert to standard format
             const photo = {
               id: item.id,
               name: item.name,
               parents: [folderId || "root"],
+              folderPath: getFolderPath(item),
               createdTime: item.createdDateTime,
-              imageMediaMetadata: {
-                width: item.image.width,
-                height: item.image.height
-              }
+              modifiedTime: item.lastModifiedDateTime,
+              ...getMediaMetadata(item),
             };
             photos.push(photo);
           }
@@ -303,7 +348,7 @@ class OneDriveProvider extends BaseProvider {
         this.log(`[ONEDRIVE] Scanning folder: ${folderId || 'root'} (depth: ${depth})`);
 
         const photos = await this.scanFolder(folderId, depth);
-        allPhotos.push(...photos);
+        allPhotos.push(...this.tagRootFolder(photos, folderId));
       }
 
       // Remove duplicates
@@ -320,6 +365,15 @@ class OneDriveProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Check whether a drive item is a photo (or a video with includeVideos)
+   * @param {Object} item - DriveItem from Graph API
+   * @returns {boolean}
+   */
+  isMediaItem(item) {
+    return Boolean(item.file && (item.image || (this.config.includeVideos === true && item.video)));
+  }
+
   /**
    * Download a photo from OneDrive
    * @param {string} photoId - Photo file ID
@@ -389,20 +443,21 @@ class OneDriveProvider extends BaseProvider {
             continue;
           }
 
-          // Only process image files
-          if (item.file && item.image) {
+          // Only process image files (and videos with includeVideos)
+          if (this.isMediaItem(item)) {
             // Check if in monitored folders
-            if (await this.isPhotoInMonitoredFolders(item)) {
+            const monitoredFolder = await this.findMonitoredFolder(item);
+            if (monitoredFolder) {
               this.log(`[ONEDRIVE] Photo changed: ${item.name}`);
               changedPhotos.push({
                 id: item.id,
                 name: item.name,
                 parents: item.parentReference ? [item.parentReference.id] : ["root"],
+                folderPath: getFolderPath(item),
+                rootFolder: typeof monitoredFolder === "string" ? monitoredFolder : null,
                 createdTime: item.createdDateTime,
-                imageMediaMetadata: {
-                  width: item.image.width,
-                  height: item.image.height
-                }
+                modifiedTime: item.lastModifiedDateTime,
+                ...getMediaMetadata(item),
               });
             }
           }
@@ -465,11 +520,12 @@ class OneDriveProvider extends BaseProvider {
   }
 
   /**
-   * Check if a photo is in one of the monitored folders
+   * Find the monitored folder a photo is in
    * @param {Object} item - File item from OneDrive API
-   * @returns {Promise<boolean>}
+   * @returns {Promise<string|boolean>} Configured folder ID ("root" for the drive root),
+   *   true if the item is accepted without knowing the folder, false if not monitored
    */
-  async isPhotoInMonitoredFolders(item) {
+  async findMonitoredFolder(item) {
     try {
       const folders = this.config.folders || [];
 
@@ -489,12 +545,12 @@ class OneDriveProvider extends BaseProvider {
         const monitoredFolderId = folderConfig.id;
 
         if (parentId === monitoredFolderId) {
-          return true;
+          return monitoredFolderId || "root";
         }
 
         // Check if parent is a descendant of monitored folder
         if (await this.isDescendantOf(parentId, monitoredFolderId)) {
-          return true;
+          return monitoredFolderId || "root";
         }
       }
 
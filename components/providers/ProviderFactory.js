@@ -11,10 +11,12 @@ const PROVIDERS = {
   "google-drive": () => require("./GoogleDriveProvider"),
   "onedrive": () => require("./OneDriveProvider"),
   "s3": () => require("./S3Provider"),
+  "local": () => require("./LocalFileProvider"),
+  "dropbox": () => require("./DropboxProvider"),
+  "webdav": () => require("./WebDavProvider"),
+  "immich": () => require("./ImmichProvider"),
   // Future providers:
-  // "dropbox": () => require("./DropboxProvider"),
-  // "icloud": () => require("./iCloudProvider"),
-  // "local": () => require("./LocalFileProvider")
+  // "icloud": () => require("./iCloudProvider")
 };
 
 /**
@@ -5,6 +5,7 @@ const path = require("path");
 const { S3Client, ListObjectsV2Command, GetObjectCommand } = require("@aws-sdk/client-s3");
 const { fromIni } = require("@aws-sdk/credential-providers");
 const BaseProvider = require("./BaseProvider");
+const SnapshotStore = require("./SnapshotStore");
 
 /**
  * Sleep helper function
@@ -30,7 +31,8 @@ class S3Provider extends BaseProvider {
    * @param {string} [config.endpoint] - Custom endpoint for S3-compatible services
    * @param {boolean} [config.forcePathStyle] - Force path-style URLs (for MinIO, etc.)
    * @param {number} [config.maxKeys] - Max objects per LIST request (default: 1000)
-   * @param {string} [config.bucketPrefix] - Default prefix to scan (default: "")
+   * @param {string} [config.bucketPrefix] - Prefix to scan when no driveFolders are configured
+   * @param {Array} [config.driveFolders] - Prefixes to scan [{id: "photos/", depth: -1}]
    * @param {Function} logger - Logging function
    */
   constructor(config, logger) {
@@ -41,7 +43,9 @@ class S3Provider extends BaseProvider {
     // Image file extensions to look for
     this.imageExtensions = new Set([
       ".jpg", ".jpeg", ".png", ".gif", ".webp",
-      ".bmp", ".tiff", ".tif", ".heic", ".heif"
+      ".bmp", ".tiff", ".tif", ".heic", ".heif",
+      // RAW (shown from the embedded JPEG preview, excluded by default)
+      ".cr2", ".cr3", ".nef", ".arw", ".dng", ".orf", ".rw2", ".raf"
     ]);
 
     // Validate required config
@@ -234,12 +238,15 @@ class S3Provider extends BaseProvider {
             }
 
             // Convert S3 object to photo metadata format
+            const folder = path.posix.dirname(obj.Key);
             const photo = {
               id: obj.Key, // Use full S3 key as ID
               name: path.basename(obj.Key),
               parents: [normalizedPrefix], // Parent is the prefix
+              folderPath: folder === "." ? "" : folder,
               createdTime: obj.LastModified.toISOString(),
               size: obj.Size,
+              etag: obj.ETag || null,
               // Note: S3 doesn't provide image dimensions without downloading
               // CacheManager will handle this when caching
               imageMediaMetadata: null
@@ -256,6 +263,11 @@ class S3Provider extends BaseProvider {
           }
         }
 
+        // Ending here would cut the listing short, and the missing keys would count as deleted
+        if (response.IsTruncated && !response.NextContinuationToken) {
+          throw new Error(`Listing of '${normalizedPrefix}' was truncated without a continuation token`);
+        }
+
         continuationToken = response.NextContinuationToken;
       } while (continuationToken);
 
@@ -338,26 +350,176 @@ class S3Provider extends BaseProvider {
     }
   }
 
+  /**
+   * Normalize a prefix the way scanFolder() does ("" is the bucket root)
+   * @param {string|null} prefix - Prefix from configuration
+   * @returns {string} Normalized prefix
+   * @private
+   */
+  normalizePrefix(prefix) {
+    return prefix && !prefix.endsWith("/") ? `${prefix}/` : prefix || "";
+  }
+
+  /**
+   * Configured prefixes to scan
+   * Falls back to bucketPrefix when no driveFolders are configured
+   * @returns {Array<{id: string|null, prefix: string, depth: number}>}
+   * @private
+   */
+  getConfiguredPrefixes() {
+    const folders = this.config.driveFolders || this.config.folders || [];
+
+    if (folders.length === 0 && this.config.bucketPrefix !== undefined) {
+      return [{ id: null, prefix: this.normalizePrefix(this.config.bucketPrefix), depth: -1 }];
+    }
+
+    return folders.map(folderConfig => ({
+      id: folderConfig.id,
+      prefix: this.normalizePrefix(folderConfig.id),
+      depth: folderConfig.depth !== undefined ? folderConfig.depth : -1
+    }));
+  }
+
+  /**
+   * Version signature used for change detection
+   * ETag changes with the content, LastModified catches re-uploads of identical files
+   * @param {Object} photo - Photo metadata from scanFolder()
+   * @returns {string}
+   * @private
+   */
+  signature(photo) {
+    return `${photo.etag}:${photo.createdTime}`;
+  }
+
+  /**
+   * Get the snapshot store for one prefix
+   * Each prefix has its own snapshot so adding a prefix doesn't disturb the others
+   * @param {string} prefix - Normalized prefix
+   * @returns {SnapshotStore}
+   * @private
+   */
+  getSnapshotStore(prefix) {
+    return new SnapshotStore(this.db, `${this.idNamespace}s3_snapshot:${this.config.bucketName}/${prefix}`, this.log);
+  }
+
+  /**
+   * Remove duplicate photos (a key can be under several configured prefixes)
+   * @param {Array<Object>} photos - Photo metadata
+   * @returns {Array<Object>} Unique photos
+   * @private
+   */
+  uniquePhotos(photos) {
+    return Array.from(
+      new Map(photos.map(photo => [photo.id, photo])).values()
+    );
+  }
+
+  /**
+   * Perform full scan of all configured prefixes
+   * Also records the per-prefix snapshots used by getChanges()
+   * @returns {Promise<Array>} Array of all photo metadata
+   */
+  async fullScan() {
+    try {
+      this.log("[S3] Starting full scan of all configured prefixes...");
+      const prefixes = this.getConfiguredPrefixes();
+
+      if (prefixes.length === 0) {
+        this.log("[S3] Warning: No prefixes configured");
+        return [];
+      }
+
+      const allPhotos = [];
+      for (const { id, prefix, depth } of prefixes) {
+        const photos = await this.scanFolder(prefix, depth);
+        if (this.db) {
+          await this.getSnapshotStore(prefix).save(SnapshotStore.build(photos, this.signature));
+        }
+        allPhotos.push(...this.tagRootFolder(photos, id));
+      }
+
+      const uniquePhotos = this.uniquePhotos(allPhotos);
+      this.log(`[S3] Full scan complete. Found ${uniquePhotos.length} unique photos`);
+      return uniquePhotos;
+
+    } catch (error) {
+      this.log(`[S3] Full scan failed: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get changes since last sync (incremental sync)
-   * Note: S3 doesn't natively support change tracking
-   * Future implementation could use S3 Event Notifications + SQS
+   * S3 has no change feed, so each prefix is listed and compared against its
+   * stored snapshot of key/ETag/LastModified
    * @param {string} changeToken - Token from previous sync
-   * @returns {Promise<Object>}
+   * @returns {Promise<Object>} Object with photos, deletedIds, nextToken
    */
   async getChanges(changeToken) {
-    // Not implemented yet - would require S3 event notifications setup
-    this.log("[S3] Incremental sync not yet supported");
-    return { photos: [], deletedIds: [], nextToken: null };
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      this.log("[S3] Getting changes since last sync...");
+
+      const changedPhotos = [];
+      const deletedIds = new Set();
+      const currentIds = new Set();
+
+      // List every prefix before updating any snapshot, so a listing that fails halfway
+      // doesn't move some snapshots past changes that are never applied
+      const listings = [];
+      for (const { id, prefix, depth } of this.getConfiguredPrefixes()) {
+        listings.push({ prefix, photos: this.tagRootFolder(await this.scanFolder(prefix, depth), id) });
+      }
+
+      for (const { prefix, photos } of listings) {
+        const changes = await this.getSnapshotStore(prefix).sync(photos, this.signature);
+
+        photos.forEach(photo => currentIds.add(photo.id));
+        changedPhotos.push(...changes.photos);
+        changes.deletedIds.forEach(id => deletedIds.add(id));
+      }
+
+      // A key that left one prefix but is still listed under another isn't deleted
+      const deleted = [...deletedIds].filter(id => !currentIds.has(id));
+      const photos = this.uniquePhotos(changedPhotos);
+
+      this.log(`[S3] Incremental sync complete. Found ${photos.length} changed photos, ${deleted.length} deleted`);
+
+      return {
+        photos,
+        deletedIds: deleted,
+        nextToken: String(Date.now())
+      };
+
+    } catch (error) {
+      this.log(`[S3] Failed to get changes: ${error.message}`);
+      throw error;
+    }
   }
 
   /**
    * Get start page token for incremental sync
-   * @returns {Promise<string|null>}
+   * Records a snapshot for every prefix that has none yet
+   * @returns {Promise<string|null>} Change token, or null without a database
    */
   async getStartPageToken() {
-    // Not supported yet
-    return null;
+    if (!this.db) {
+      return null;
+    }
+
+    for (const { prefix, depth } of this.getConfiguredPrefixes()) {
+      const store = this.getSnapshotStore(prefix);
+      if (!(await store.load())) {
+        const photos = await this.scanFolder(prefix, depth);
+        await store.save(SnapshotStore.build(photos, this.signature));
+      }
+    }
+
+    this.log("[S3] Got start token");
+    return String(Date.now());
   }
 }
 
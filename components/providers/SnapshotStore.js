@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * SnapshotStore - Change detection for providers without a native changes API
+ *
+ * Keeps a map of photo ID to a version signature (ETag, mtime/size, ...) in the
+ * settings table. Each sync compares a fresh listing against the stored map to
+ * find new/modified photos and deletions.
+ */
+class SnapshotStore {
+  /**
+   * @param {Object} db - PhotoDatabase instance (uses getSetting/saveSetting)
+   * @param {string} key - Settings key to store the snapshot under
+   * @param {Function} logger - Logging function
+   */
+  constructor(db, key, logger = console.log) {
+    this.db = db;
+    this.key = key;
+    this.log = logger;
+  }
+
+  /**
+   * Load the stored snapshot
+   * @returns {Promise<Object<string, string>|null>} Map of photo ID to signature, or null if none stored
+   */
+  async load() {
+    const stored = await this.db.getSetting(this.key);
+    if (!stored) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(stored);
+    } catch {
+      this.log(`[SNAPSHOT] Stored snapshot '${this.key}' is unreadable, discarding`);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a snapshot
+   * @param {Object<string, string>} snapshot - Map of photo ID to signature
+   * @returns {Promise<void>}
+   */
+  async save(snapshot) {
+    await this.db.saveSetting(this.key, JSON.stringify(snapshot));
+  }
+
+  /**
+   * Build a snapshot from a listing
+   * @param {Array<Object>} photos - Photos in the standard format
+   * @param {Function} signature - Returns the version signature of a photo
+   * @returns {Object<string, string>} Map of photo ID to signature
+   */
+  static build(photos, signature) {
+    const snapshot = {};
+    for (const photo of photos) {
+      snapshot[photo.id] = String(signature(photo));
+    }
+    return snapshot;
+  }
+
+  /**
+   * Compare a listing against a previous snapshot
+   * Without a previous snapshot every photo counts as new
+   * @param {Object<string, string>|null} previous - Stored snapshot
+   * @param {Array<Object>} photos - Current listing
+   * @param {Object<string, string>} current - Snapshot of the current listing
+   * @returns {{photos: Array<Object>, deletedIds: string[]}}
+   */
+  static diff(previous, photos, current) {
+    if (!previous) {
+      return { photos, deletedIds: [] };
+    }
+
+    return {
+      photos: photos.filter(photo => previous[photo.id] !== current[photo.id]),
+      deletedIds: Object.keys(previous).filter(id => !(id in current))
+    };
+  }
+
+  /**
+   * Diff a listing against the stored snapshot and store the new one
+   * @param {Array<Object>} photos - Current listing
+   * @param {Function} signature - Returns the version signature of a photo
+   * @returns {Promise<{photos: Array<Object>, deletedIds: string[]}>}
+   */
+  async sync(photos, signature) {
+    const previous = await this.load();
+    const current = SnapshotStore.build(photos, signature);
+    const changes = SnapshotStore.diff(previous, photos, current);
+
+    await this.save(current);
+    return changes;
+  }
+}
+
+module.exports = SnapshotStore;
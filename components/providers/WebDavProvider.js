@@ -0,0 +1,560 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const BaseProvider = require("./BaseProvider");
+const SnapshotStore = require("./SnapshotStore");
+
+/**
+ * Sleep helper function
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Content types accepted for files without a known image extension. Servers also
+// report types such as image/svg+xml and image/x-icon, which can't be shown
+const IMAGE_CONTENT_TYPES = new Set([
+  "image/jpeg", "image/png", "image/gif", "image/webp",
+  "image/bmp", "image/tiff", "image/heic", "image/heif"
+]);
+
+// PROPFIND body - only ask for the properties we use
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/>
+    <d:getetag/>
+    <d:getlastmodified/>
+    <d:getcontentlength/>
+    <d:getcontenttype/>
+  </d:prop>
+</d:propfind>`;
+
+/**
+ * Decode the XML entities that appear in WebDAV responses
+ * @param {string} text - Raw XML text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Extract the text of the first element with the given local name
+ * Namespace prefixes vary between servers (d:, D:, lp1:, none), so they are ignored
+ * @param {string} xml - XML fragment
+ * @param {string} name - Element local name
+ * @returns {string|null} Element text or null
+ */
+function elementText(xml, name) {
+  const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>)`));
+  if (!match) {
+    return null;
+  }
+  return match[1] !== undefined ? decodeXml(match[1].trim()) : "";
+}
+
+/**
+ * Parse a 207 Multi-Status PROPFIND response
+ * @param {string} xml - Response body
+ * @returns {Array<Object>} Resources: { href, isCollection, etag, lastModified, size, contentType }
+ */
+function parseMultistatus(xml) {
+  const resources = [];
+  const responsePattern = /<(?:[\w-]+:)?response\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?response>/g;
+
+  let match;
+  while ((match = responsePattern.exec(xml)) !== null) {
+    const block = match[1];
+    const href = elementText(block, "href");
+    if (!href) {
+      continue;
+    }
+
+    const resourceType = elementText(block, "resourcetype") || "";
+    const size = elementText(block, "getcontentlength");
+
+    resources.push({
+      href,
+      isCollection: /<(?:[\w-]+:)?collection\b/.test(resourceType),
+      etag: elementText(block, "getetag"),
+      lastModified: elementText(block, "getlastmodified"),
+      size: size ? Number(size) : null,
+      contentType: elementText(block, "getcontenttype")
+    });
+  }
+
+  return resources;
+}
+
+/**
+ * WebDAV Provider for MMM-CloudPhotos
+ * Works with Nextcloud, ownCloud and any RFC 4918 server
+ * @extends BaseProvider
+ */
+class WebDavProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.url - WebDAV base URL (e.g., https://cloud.example.com/remote.php/dav/files/alice)
+   * @param {string} [config.username] - User name
+   * @param {string} [config.password] - Account password (basic auth)
+   * @param {string} [config.appPassword] - Nextcloud/ownCloud app password (preferred over password)
+   * @param {string} [config.credentialsPath] - Path to JSON file with { username, password | appPassword }
+   * @param {Array} config.folders - Folders to scan [{id: "/Photos", depth: -1}]
+   * @param {string} [config.propfindDepth] - PROPFIND Depth header: "1" (default) or "infinity"
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.db = null;
+    this.auth = null;
+
+    // Image file extensions to look for
+    this.imageExtensions = new Set([
+      ".jpg", ".jpeg", ".png", ".gif", ".webp",
+      ".bmp", ".tiff", ".tif", ".heic", ".heif",
+      // RAW (shown from the embedded JPEG preview, excluded by default)
+      ".cr2", ".cr3", ".nef", ".arw", ".dng", ".orf", ".rw2", ".raf"
+    ]);
+
+    // Settings key holding the ETag snapshot used for incremental sync
+    this.snapshotKey = "webdav_snapshot";
+
+    if (!config.url) {
+      throw new Error("WebDavProvider requires 'url' in configuration");
+    }
+
+    const baseUrl = new URL(config.url);
+    this.origin = baseUrl.origin;
+    this.basePath = baseUrl.pathname.replace(/\/+$/, "");
+
+    const depth = String(config.propfindDepth || "1").toLowerCase();
+    if (depth !== "1" && depth !== "infinity") {
+      throw new Error("WebDavProvider 'propfindDepth' must be \"1\" or \"infinity\"");
+    }
+    this.propfindDepth = depth;
+  }
+
+  /**
+   * Set database reference (needed for incremental sync)
+   * @param {Object} db - PhotoDatabase instance
+   */
+  setDatabase(db) {
+    this.db = db;
+  }
+
+  /**
+   * Initialize WebDAV access (load credentials and test the connection)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      this.log("[WEBDAV] Initializing WebDAV client...");
+
+      let credentials = {
+        username: this.config.username,
+        password: this.config.appPassword || this.config.password
+      };
+
+      if (this.config.credentialsPath) {
+        const credentialsPath = path.isAbsolute(this.config.credentialsPath)
+          ? this.config.credentialsPath
+          : path.resolve(__dirname, "../..", this.config.credentialsPath);
+
+        this.log(`[WEBDAV] Loading credentials from: ${credentialsPath}`);
+
+        const credentialsFile = JSON.parse(
+          await fs.promises.readFile(credentialsPath, "utf8")
+        );
+        credentials = {
+          username: credentialsFile.username,
+          password: credentialsFile.appPassword || credentialsFile.password
+        };
+      }
+
+      this.auth = credentials.username ? credentials : null;
+      if (!this.auth) {
+        this.log("[WEBDAV] No credentials configured, using anonymous access");
+      }
+
+      // Test the connection by reading the base collection
+      await this.propfind("", "0");
+
+      this.log(`[WEBDAV] Successfully connected to ${this.origin}${this.basePath}`);
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 401) {
+        throw new Error("WebDAV authentication failed: invalid username or password");
+      }
+      if (status === 404) {
+        throw new Error(`WebDAV folder not found: ${this.config.url}`);
+      }
+      this.log(`[WEBDAV] Initialization failed: ${error.message}`);
+      throw new Error(`WebDAV initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the request URL for a path relative to the base URL
+   * @param {string} relativePath - Path below the base URL (e.g., "/Photos/a.jpg")
+   * @returns {string} Absolute URL
+   * @private
+   */
+  buildUrl(relativePath) {
+    const encoded = relativePath
+      .split("/")
+      .map(segment => encodeURIComponent(segment))
+      .join("/");
+    return `${this.origin}${this.basePath}${encoded}`;
+  }
+
+  /**
+   * Convert a response href into a path relative to the base URL
+   * @param {string} href - Href from a multistatus response (absolute URL or path, percent-encoded)
+   * @returns {string} Decoded relative path (e.g., "/Photos/a.jpg")
+   * @private
+   */
+  toRelativePath(href) {
+    const hrefPath = href.startsWith("http") ? new URL(href).pathname : href;
+    const decoded = decodeURIComponent(hrefPath).replace(/\/+$/, "");
+    const base = decodeURIComponent(this.basePath);
+    return decoded.startsWith(base) ? decoded.slice(base.length) : decoded;
+  }
+
+  /**
+   * Normalize a configured folder ("" is the base URL)
+   * @param {string|null} folderPath - Folder path from configuration
+   * @returns {string} Normalized path
+   * @private
+   */
+  normalizeFolder(folderPath) {
+    if (!folderPath || folderPath === "/") {
+      return "";
+    }
+    const withSlash = folderPath.startsWith("/") ? folderPath : `/${folderPath}`;
+    return withSlash.replace(/\/+$/, "");
+  }
+
+  /**
+   * Send a PROPFIND request with retry logic
+   * @param {string} relativePath - Collection path below the base URL
+   * @param {string} depth - Depth header ("0", "1" or "infinity")
+   * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
+   * @returns {Promise<Array<Object>>} Parsed resources
+   */
+  async propfind(relativePath, depth, maxRetries = 3) {
+    let attempt = 0;
+    while (attempt < maxRetries) {
+      try {
+        const response = await axios({
+          method: "PROPFIND",
+          url: this.buildUrl(relativePath) + "/",
+          auth: this.auth || undefined,
+          headers: {
+            Depth: depth,
+            "Content-Type": "application/xml; charset=utf-8"
+          },
+          data: PROPFIND_BODY,
+          responseType: "text",
+          timeout: 60000
+        });
+
+        return parseMultistatus(response.data);
+      } catch (error) {
+        attempt++;
+
+        // Determine if error is retryable
+        const isNetworkError = ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code);
+        const isServerError = error.response?.status >= 500 && error.response?.status < 600;
+        const isRateLimited = error.response?.status === 429;
+        const shouldRetry = (isNetworkError || isServerError || isRateLimited) && attempt < maxRetries;
+
+        if (!shouldRetry) {
+          this.log(`[WEBDAV] PROPFIND failed (attempt ${attempt}/${maxRetries}): ${relativePath || "/"}`, error.message);
+          throw error;
+        }
+
+        // Exponential backoff: 2s, 4s, 8s... (max 60s)
+        const delay = Math.min(1000 * Math.pow(2, attempt), 60000);
+        this.log(`[WEBDAV] Request failed (${error.code || error.response?.status}), retrying in ${delay}ms (attempt ${attempt}/${maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Check if a resource is an image that can be shown
+   * Decided by extension, or by content type for files without one
+   * @param {Object} resource - Parsed resource
+   * @returns {boolean}
+   * @private
+   */
+  isImage(resource) {
+    if (this.imageExtensions.has(path.posix.extname(resource.href).toLowerCase())) {
+      return true;
+    }
+    const contentType = (resource.contentType || "").split(";")[0].trim().toLowerCase();
+    return IMAGE_CONTENT_TYPES.has(contentType);
+  }
+
+  /**
+   * Convert a WebDAV resource to the standard photo format
+   * @param {Object} resource - Parsed resource
+   * @returns {Object} Photo metadata
+   * @private
+   */
+  toPhoto(resource) {
+    const relativePath = this.toRelativePath(resource.href);
+    const modified = resource.lastModified ? new Date(resource.lastModified) : null;
+
+    return {
+      id: relativePath,
+      name: path.posix.basename(relativePath),
+      parents: [path.posix.dirname(relativePath)],
+      folderPath: path.posix.dirname(relativePath),
+      createdTime: modified && !isNaN(modified) ? modified.toISOString() : null,
+      size: resource.size,
+      etag: resource.etag,
+      // WebDAV doesn't expose dimensions - CacheManager handles this when caching
+      imageMediaMetadata: null
+    };
+  }
+
+  /**
+   * Scan a folder for photos with depth control
+   * Uses a single Depth: infinity request when allowed, otherwise walks with Depth: 1
+   * @param {string|null} folderPath - Folder path below the base URL (null for base)
+   * @param {number} maxDepth - Maximum depth (-1 = infinite, 0 = folder only)
+   * @param {number} currentDepth - Current depth in recursion
+   * @param {Set<string>} visitedFolders - Set of visited folder paths
+   * @returns {Promise<Array>} Array of photo metadata
+   */
+  async scanFolder(folderPath, maxDepth = -1, currentDepth = 0, visitedFolders = new Set()) {
+    const normalized = this.normalizeFolder(folderPath);
+
+    try {
+      const photos = [];
+
+      if (visitedFolders.has(normalized)) {
+        this.log(`[WEBDAV] Skipping circular reference: ${normalized || "/"}`);
+        return photos;
+      }
+      visitedFolders.add(normalized);
+
+      this.log(`[WEBDAV] Scanning folder '${normalized || "/"}' (depth ${currentDepth}/${maxDepth})...`);
+
+      const useInfinity = this.propfindDepth === "infinity" && maxDepth === -1;
+      const resources = await this.propfind(normalized, useInfinity ? "infinity" : "1");
+      const subfolders = [];
+
+      // A multistatus always lists the collection itself - without it the response is
+      // empty or cut off, and the files it misses would count as deleted
+      if (!resources.some(resource => this.toRelativePath(resource.href) === normalized)) {
+        throw new Error(`Incomplete PROPFIND response for '${normalized || "/"}' (${resources.length} resources)`);
+      }
+
+      for (const resource of resources) {
+        const relativePath = this.toRelativePath(resource.href);
+
+        // The collection itself is part of its own listing
+        if (relativePath === normalized) {
+          continue;
+        }
+
+        if (resource.isCollection) {
+          if (!useInfinity) {
+            subfolders.push(relativePath);
+          }
+          continue;
+        }
+
+        if (this.isImage(resource)) {
+          photos.push(this.toPhoto(resource));
+        }
+      }
+
+      // Recursively scan subfolders if within depth limit
+      if (!useInfinity && (maxDepth === -1 || currentDepth < maxDepth)) {
+        for (const subfolder of subfolders) {
+          const subPhotos = await this.scanFolder(subfolder, maxDepth, currentDepth + 1, visitedFolders);
+          photos.push(...subPhotos);
+        }
+      }
+
+      this.log(`[WEBDAV] Folder scan complete. Total photos: ${photos.length}`);
+      return photos;
+
+    } catch (error) {
+      this.log(`[WEBDAV] Error scanning folder ${normalized || "/"}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Scan every configured folder and remove duplicates
+   * @returns {Promise<Array>} Array of photo metadata
+   * @private
+   */
+  async scanAllFolders() {
+    const allPhotos = [];
+
+    for (const folderConfig of this.config.folders || []) {
+      const depth = folderConfig.depth !== undefined ? folderConfig.depth : -1;
+      const photos = await this.scanFolder(folderConfig.id || null, depth);
+      allPhotos.push(...this.tagRootFolder(photos, folderConfig.id));
+    }
+
+    return Array.from(
+      new Map(allPhotos.map(photo => [photo.id, photo])).values()
+    );
+  }
+
+  /**
+   * Version signature used for change detection
+   * Falls back to modification time and size when the server sends no ETag
+   * @param {Object} photo - Photo metadata from scanFolder()
+   * @returns {string}
+   * @private
+   */
+  signature(photo) {
+    return photo.etag || `${photo.createdTime}:${photo.size}`;
+  }
+
+  /**
+   * Get the snapshot store for incremental sync
+   * @returns {SnapshotStore|null} Store, or null without a database
+   * @private
+   */
+  getSnapshotStore() {
+    return this.db ? new SnapshotStore(this.db, `${this.idNamespace}${this.snapshotKey}`, this.log) : null;
+  }
+
+  /**
+   * Perform full scan of all configured folders
+   * Also records the ETag snapshot used by getChanges()
+   * @returns {Promise<Array>} Array of all photo metadata
+   */
+  async fullScan() {
+    try {
+      this.log("[WEBDAV] Starting full scan of all configured folders...");
+
+      if ((this.config.folders || []).length === 0) {
+        this.log("[WEBDAV] Warning: No folders configured");
+        return [];
+      }
+
+      const photos = await this.scanAllFolders();
+
+      const store = this.getSnapshotStore();
+      if (store) {
+        await store.save(SnapshotStore.build(photos, this.signature));
+      }
+
+      this.log(`[WEBDAV] Full scan complete. Found ${photos.length} unique photos`);
+      return photos;
+
+    } catch (error) {
+      this.log("[WEBDAV] Full scan failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a photo via GET
+   * @param {string} photoId - Photo path below the base URL
+   * @param {Object} options - Download options
+   * @returns {Promise<Stream>} Readable stream of photo data
+   */
+  async downloadPhoto(photoId, options = {}) {
+    try {
+      const response = await axios({
+        method: "GET",
+        url: this.buildUrl(photoId),
+        auth: this.auth || undefined,
+        responseType: "stream",
+        timeout: options.timeout || 30000
+      });
+
+      return response.data;
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`Photo not found: ${photoId}`);
+      }
+      this.log(`[WEBDAV] Failed to download photo ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get changes since the last snapshot (for incremental sync)
+   * Compares the ETag of every file against the stored snapshot
+   * @param {string} changeToken - Token from previous sync
+   * @returns {Promise<Object>} Object with photos, deletedIds, nextToken
+   */
+  async getChanges(changeToken) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      this.log("[WEBDAV] Getting changes since last sync...");
+
+      const photos = await this.scanAllFolders();
+      const changes = await this.getSnapshotStore().sync(photos, this.signature);
+
+      this.log(`[WEBDAV] Incremental sync complete. Found ${changes.photos.length} changed photos, ${changes.deletedIds.length} deleted`);
+
+      return {
+        photos: changes.photos,
+        deletedIds: changes.deletedIds,
+        nextToken: String(Date.now())
+      };
+
+    } catch (error) {
+      this.log("[WEBDAV] Failed to get changes:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a start token for incremental sync
+   * Records a snapshot first if no full scan has stored one yet
+   * @returns {Promise<string|null>} Change token, or null without a database
+   */
+  async getStartPageToken() {
+    const store = this.getSnapshotStore();
+    if (!store) {
+      return null;
+    }
+
+    if (!(await store.load())) {
+      const photos = await this.scanAllFolders();
+      await store.save(SnapshotStore.build(photos, this.signature));
+    }
+
+    this.log("[WEBDAV] Got start token");
+    return String(Date.now());
+  }
+
+  /**
+   * Get provider name
+   * @returns {string}
+   */
+  getProviderName() {
+    return "WebDAV";
+  }
+}
+
+module.exports = WebDavProvider;
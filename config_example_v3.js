@@ -67,10 +67,34 @@
     //   'random'     - Random order each cycle
     //   'newest'     - Show newest photos first (by creation/upload date)
     //   'oldest'     - Show oldest photos first (by creation/upload date)
+    //   'weighted'   - Pick a folder by its weight, then its least recently shown photo
+    //   'roundRobin' - Take turns between folders (weights 2:1 -> A, B, A, A, B, A...)
+    //   'onThisDay'  - Photos from today's date in earlier years first ("3 years ago today"),
+    //                  then onThisDayFallback (default 'random'); onThisDayWindow: ± days (default 0)
+    //   Folder entries accept weight and label: { id: "...", depth: -1, weight: 2, label: "Kids" }
     sortMode: 'sequential',           // Default: 'sequential'
 
     // Note: All modes prioritize unviewed photos first, then cycle through viewed photos
 
+    // ===========================================
+    // Photo Filtering (same as V2, plus orientation)
+    // ===========================================
+    // Only download and display photos matching every rule (all optional)
+    condition: {
+      fromDate: null,       // e.g. "2018-03" - taken on or after
+      toDate: null,         // e.g. "2019-12-25" - taken on or before (inclusive)
+      minWidth: null,       // e.g. 800
+      minHeight: null,      // e.g. 600
+      minWHRatio: null,     // Width/height ratio (1 = square, <1 portrait, >1 landscape)
+      maxWHRatio: null,
+      orientation: null     // "landscape" or "portrait"
+    },
+
+    // Filename / folder path patterns (RE2 regular expressions, "(?i)" = ignore case)
+    // Default exclude skips RAW files; setting exclude replaces it
+    include: [],            // e.g. ["^/Albums/"] - only keep photos matching one of these
+    exclude: ["(?i)\\.(cr2|cr3|nef|arw|dng|orf|rw2|raf)$"],  // e.g. add "^Screenshot", "/WhatsApp/"
+
     // ===========================================
     // NEW in V3: BLOB Storage & Image Processing
     // ===========================================
@@ -103,7 +127,6 @@
     // ❌ albums: []           - Use driveFolders instead
     // ❌ sort: "new"/"old"    - Not yet implemented in V3
     // ❌ uploadAlbum: null    - Not implemented in V3
-    // ❌ condition: {...}     - Not yet implemented in V3 (filter by date/size)
 
     // ===========================================
     // DEBUG Mode
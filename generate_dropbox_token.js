@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+"use strict";
+
+/**
+ * Dropbox OAuth2 Token Generator
+ *
+ * This script helps you generate an OAuth2 refresh token for the Dropbox API.
+ *
+ * Prerequisites:
+ * 1. Create an app in the Dropbox App Console (https://www.dropbox.com/developers/apps)
+ * 2. Choose "Scoped access" and "Full Dropbox" (or "App folder")
+ * 3. Under "Permissions", enable files.metadata.read and files.content.read
+ * 4. Under "Settings", add redirect URI: http://localhost:3000/callback
+ */
+
+const http = require("http");
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+
+function question(query) {
+  return new Promise(resolve => rl.question(query, resolve));
+}
+
+async function main() {
+  console.log("=" .repeat(60));
+  console.log("Dropbox OAuth2 Token Generator");
+  console.log("=" .repeat(60));
+  console.log();
+
+  // Get client credentials
+  console.log("First, you need to create an app in the Dropbox App Console:");
+  console.log("1. Go to https://www.dropbox.com/developers/apps");
+  console.log("2. Click 'Create app' → 'Scoped access' → 'Full Dropbox'");
+  console.log("3. Name: 'MMM-CloudPhotos-<yourname>' (must be unique)");
+  console.log("4. 'Permissions' tab → enable 'files.metadata.read' and 'files.content.read'");
+  console.log("   → click 'Submit'");
+  console.log("5. 'Settings' tab → 'Redirect URIs' → add http://localhost:3000/callback");
+  console.log("6. Copy the 'App key' and 'App secret' from the 'Settings' tab");
+  console.log();
+
+  const appKey = await question("Enter your App key: ");
+  const appSecret = await question("Enter your App secret: ");
+
+  console.log();
+  console.log("Starting OAuth2 flow...");
+  console.log();
+
+  // OAuth2 parameters
+  const redirectUri = "http://localhost:3000/callback";
+  const authUrl = `https://www.dropbox.com/oauth2/authorize?` +
+    `client_id=${encodeURIComponent(appKey)}` +
+    `&response_type=code` +
+    `&redirect_uri=${encodeURIComponent(redirectUri)}` +
+    `&token_access_type=offline`; // offline = issue a refresh token
+
+  console.log("=" .repeat(60));
+  console.log("STEP 1: Authorize the application");
+  console.log("=" .repeat(60));
+  console.log();
+  console.log("Open this URL in your browser:");
+  console.log();
+  console.log(authUrl);
+  console.log();
+  console.log("After authorizing, you'll be redirected to localhost.");
+  console.log("The script will automatically capture the authorization code.");
+  console.log();
+
+  // Start local server to receive callback
+  const authCode = await new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+
+      if (url.pathname === "/callback") {
+        const code = url.searchParams.get("code");
+        const error = url.searchParams.get("error");
+
+        if (error) {
+          res.writeHead(400, { "Content-Type": "text/html" });
+          res.end(`<h1>Error</h1><p>${error}</p><p>You can close this window.</p>`);
+          reject(new Error(`Authorization failed: ${error}`));
+          server.close();
+          return;
+        }
+
+        if (code) {
+          res.writeHead(200, { "Content-Type": "text/html" });
+          res.end(`
+            <h1>Success!</h1>
+            <p>Authorization successful. You can close this window and return to the terminal.</p>
+          `);
+          resolve(code);
+          server.close();
+        }
+      } else {
+        res.writeHead(404);
+        res.end("Not found");
+      }
+    });
+
+    server.listen(3000, () => {
+      console.log("Waiting for authorization...");
+      console.log("(Local server started on http://localhost:3000)");
+      console.log();
+    });
+
+    server.on("error", (err) => {
+      reject(new Error(`Server error: ${err.message}`));
+    });
+  });
+
+  console.log("✅ Authorization code received!");
+  console.log();
+
+  // Exchange code for tokens
+  console.log("=" .repeat(60));
+  console.log("STEP 2: Exchanging code for access token");
+  console.log("=" .repeat(60));
+  console.log();
+
+  try {
+    const tokenResponse = await axios.post(
+      "https://api.dropboxapi.com/oauth2/token",
+      new URLSearchParams({
+        client_id: appKey,
+        client_secret: appSecret,
+        code: authCode,
+        redirect_uri: redirectUri,
+        grant_type: "authorization_code"
+      }),
+      {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" }
+      }
+    );
+
+    if (!tokenResponse.data.refresh_token) {
+      throw new Error("No refresh token returned - make sure token_access_type=offline was used");
+    }
+
+    const tokenData = {
+      access_token: tokenResponse.data.access_token,
+      refresh_token: tokenResponse.data.refresh_token,
+      expiry_date: Date.now() + (tokenResponse.data.expires_in * 1000),
+      app_key: appKey,
+      app_secret: appSecret
+    };
+
+    // Save token
+    const tokenPath = path.resolve(__dirname, "token_dropbox.json");
+    await fs.promises.writeFile(
+      tokenPath,
+      JSON.stringify(tokenData, null, 2)
+    );
+
+    console.log("✅ Token successfully generated!");
+    console.log();
+    console.log(`Token saved to: ${tokenPath}`);
+    console.log();
+    console.log("=" .repeat(60));
+    console.log("NEXT STEPS");
+    console.log("=" .repeat(60));
+    console.log();
+    console.log("1. Add Dropbox configuration to your MagicMirror config:");
+    console.log();
+    console.log("   {");
+    console.log("     module: \"MMM-CloudPhotos\",");
+    console.log("     position: \"fullscreen_below\",");
+    console.log("     config: {");
+    console.log("       provider: \"dropbox\",");
+    console.log("       providerConfig: {");
+    console.log("         tokenPath: \"./token_dropbox.json\",");
+    console.log("         folders: [");
+    console.log("           { id: \"/Photos\", depth: -1 }");
+    console.log("         ]");
+    console.log("       },");
+    console.log("       updateInterval: 60000,");
+    console.log("       showWidth: 1920,");
+    console.log("       showHeight: 1080");
+    console.log("     }");
+    console.log("   }");
+    console.log();
+    console.log("2. Folder IDs are Dropbox paths:");
+    console.log("   - Use the folder path as shown in Dropbox, e.g. \"/Photos/Family\"");
+    console.log("   - Or use null for the Dropbox root");
+    console.log("   - App-folder apps see their app folder as the root");
+    console.log();
+    console.log("3. Restart MagicMirror");
+    console.log();
+    console.log("=" .repeat(60));
+
+  } catch (error) {
+    console.error("❌ Token exchange failed:", error.message);
+    if (error.response) {
+      console.error("Response:", error.response.data);
+    }
+    process.exit(1);
+  }
+
+  rl.close();
+}
+
+main().catch(error => {
+  console.error("❌ Error:", error.message);
+  rl.close();
+  process.exit(1);
+});
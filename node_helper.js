@@ -13,8 +13,31 @@ const Log = require("logger");
 
 // Import provider system and components
 const { createProvider } = require("./components/providers/ProviderFactory.js");
+const CompositeProvider = require("./components/providers/CompositeProvider.js");
 const PhotoDatabase = require("./components/PhotoDatabase.js");
 const CacheManager = require("./components/CacheManager.js");
+const PhotoFilter = require("./components/PhotoFilter.js");
+const LayoutEngine = require("./components/LayoutEngine.js");
+
+// Number of shown photos remembered for CLOUDPHOTOS_PREVIOUS
+const DISPLAY_HISTORY_SIZE = 50;
+
+// Failed photo URL loads in a row before falling back to base64 for good
+const MAX_PHOTO_URL_FAILURES = 3;
+
+// Browser cache lifetime for served photos - the URL changes when a photo is re-cached
+const PHOTO_MAX_AGE_SECONDS = 86400;
+
+// Videos stay on screen until the frontend reports VIDEO_ENDED; the display timer
+// only moves on if that doesn't arrive within the clip length plus this grace period
+const VIDEO_END_GRACE_MS = 5000;
+
+// Display timer for clips of unknown length (e.g., from local folders)
+const MAX_VIDEO_DISPLAY_MS = 10 * 60 * 1000;
+
+// Deletions a sync may always make, whatever maxDeletePercent says - otherwise one
+// deleted photo is already too large a share of a small library
+const MIN_DELETE_LIMIT = 5;
 
 const NodeHelperObject = {
   start: function () {
@@ -22,26 +45,40 @@ const NodeHelperObject = {
     this.initialized = false;
 
     // Component instances
-    this.photoProvider = null;
+    this.photoProvider = null; // The provider, or a CompositeProvider combining several
+    this.sources = [];         // Per-provider state: provider, online flag, retry state, change token key
     this.database = null;
     this.cacheManager = null;
 
     // Timers
     this.scanTimer = null;
     this.displayTimer = null;
-    this.authRetryTimer = null;
 
-    // Authentication retry state
-    this.authRetryAttempts = 0;
+    // Display state for next/previous/pause controls
+    this.displayStarted = false;
+    this.paused = false;        // Paused by CLOUDPHOTOS_PAUSE
+    this.hidden = false;        // Module suspended or nobody present (USER_PRESENCE)
+    this.lastPhotoSentAt = 0;
+    this.displayHistory = []; // Shown photos (metadata only), oldest first
+    this.historyIndex = -1;   // Position of the photo on screen
+
+    // Authentication retry settings (retry state is kept per provider in this.sources)
     this.maxAuthRetries = Infinity; // Will be set from config during initialize
     this.maxBackoffMs = 120000; // Will be set from config during initialize
-    this.providerInitialized = false;
-    this.isRetryScheduled = false; // Prevent duplicate retry scheduling
 
     // Paths
     this.dbPath = path.resolve(this.path, "cache", "photos.db");
     this.cachePath = path.resolve(this.path, "cache", "images");
 
+    // Serve cached photos over HTTP so the socket only carries metadata
+    // (null when MagicMirror provides no Express app - photos are sent as base64)
+    this.photoRoute = null;
+    this.photoUrlFailures = 0;
+    if (this.expressApp) {
+      this.photoRoute = `${this.name}/photo`;
+      this.expressApp.get(`/${this.photoRoute}/:id`, (req, res) => this.servePhoto(req, res));
+    }
+
     this.log_info("Node helper started");
   },
 
@@ -55,18 +92,49 @@ const NodeHelperObject = {
         {
           const { id } = payload;
           this.log_debug("Image loaded:", id);
-          // Mark photo as viewed in database
-          if (this.database) {
+          // Mark photo as viewed in database (not while nobody can see it)
+          this.photoUrlFailures = 0;
+          if (this.database && !this.hidden) {
             await this.database.markPhotoViewed(id).catch(() => {});
           }
         }
         break;
 
+      case "IMAGE_URL_FAILED":
+        await this.handlePhotoUrlFailure(payload.id);
+        break;
+
+      case "VIDEO_ENDED":
+        // The clip on screen has played to the end (or could not be played)
+        if (this.displayHistory[this.historyIndex]?.id === payload.id && !this.paused && !this.hidden) {
+          await this.navigate(1);
+        }
+        break;
 
       case "GET_CACHE_STATS":
         await this.sendCacheStats();
         break;
 
+      case "NEXT_PHOTO":
+        await this.navigate(1);
+        break;
+
+      case "PREVIOUS_PHOTO":
+        await this.navigate(-1);
+        break;
+
+      case "PAUSE":
+        this.setPaused(true);
+        break;
+
+      case "RESUME":
+        this.setPaused(false);
+        break;
+
+      case "VISIBILITY":
+        await this.setHidden(payload.suspended || !payload.userPresent);
+        break;
+
       default:
         this.log_warn("Unknown notification received:", notification);
     }
@@ -160,6 +228,23 @@ const NodeHelperObject = {
       this.maxAuthRetries = this.validateMaxAuthRetries(config.maxAuthRetries);
       this.maxBackoffMs = this.validateMaxBackoffMs(config.maxAuthBackoffMs);
 
+      // Compile include/exclude patterns (fails fast on invalid patterns)
+      this.photoFilter = new PhotoFilter(
+        { include: config.include, exclude: config.exclude },
+        this.log_info.bind(this)
+      );
+
+      // Portrait pairs and collages (fails fast on unknown layouts)
+      this.layoutEngine = new LayoutEngine(
+        {
+          pairPortraits: config.pairPortraits,
+          collageLayouts: config.collageLayouts,
+          showWidth: config.showWidth,
+          showHeight: config.showHeight,
+        },
+        this.log_info.bind(this)
+      );
+
       // Ensure cache directories exist
       await fs.promises.mkdir(this.cachePath, { recursive: true });
 
@@ -169,13 +254,17 @@ const NodeHelperObject = {
         this.dbPath,
         this.log_info.bind(this),
         {
-          sortMode: config.sortMode || 'sequential'
+          sortMode: config.sortMode || 'sequential',
+          onThisDayWindow: config.onThisDayWindow,
+          onThisDayFallback: config.onThisDayFallback,
+          condition: config.condition,
+          includeVideos: config.includeVideos,
         }
       );
       await this.database.initialize();
 
-      // Initialize cloud storage provider with retry
-      await this.initializeProvider();
+      // Initialize cloud storage providers with retry
+      await this.initializeProviders();
 
       // Initialize cache manager (even if provider failed - for offline mode)
       this.log_info("Initializing cache manager...");
@@ -186,12 +275,26 @@ const NodeHelperObject = {
           showWidth: config.showWidth,
           showHeight: config.showHeight,
           jpegQuality: config.jpegQuality,
-          useBlobStorage: config.useBlobStorage
+          useBlobStorage: config.useBlobStorage,
+          updateInterval: config.updateInterval,
+          throttleWhenHidden: config.throttleWhenHidden,
+          maxVideoSizeMB: config.maxVideoSizeMB,
+          videoTranscode: config.videoTranscode,
+          maxVideoDuration: config.maxVideoDuration,
+          geocoder: config.geocoder,
+          geocoderConfig: config.geocoderConfig,
         },
         this.database,
         () => this.photoProvider, // Use getter to prevent stale provider reference
         this.log_info.bind(this)
       );
+      this.cacheManager.setIdle(this.hidden);
+
+      // Photos and videos skipped under other settings get another try
+      await this.database.retrySkippedPhotos(this.cacheManager.getSkipContext());
+
+      // Location names for photos cached before geocoding was available (background)
+      this.cacheManager.backfillLocations();
 
       this.initialized = true;
       this.log_info("✅ Initialization complete!");
@@ -202,13 +305,15 @@ const NodeHelperObject = {
         this.log_info(`Found ${cachedCount} cached photos - ready to display`);
       }
 
-      // Start initial scan (only if provider initialized)
-      if (this.providerInitialized) {
+      // Start initial scan (only for providers that initialized - the others retry in the background)
+      if (this.isAnyProviderOnline()) {
         this.sendSocketNotification("CONNECTION_STATUS", {
           status: "online",
           message: `Online - ${cachedCount} photos available`
         });
-        await this.performInitialScan();
+        for (const source of this.sources.filter(s => s.initialized)) {
+          await this.performInitialScan(source);
+        }
         this.startPeriodicScanning();
       } else {
         this.log_warn("Provider not initialized - running in offline mode");
@@ -232,230 +337,473 @@ const NodeHelperObject = {
   },
 
   /**
-   * Initialize cloud provider with retry logic
+   * Create the configured providers
+   * `providers: [...]` combines several services; otherwise `provider` + `providerConfig` is used
    */
-  initializeProvider: async function () {
-    const providerName = this.config.provider || "google-drive";
-    const providerConfig = this.config.providerConfig || {
-      keyFilePath: this.config.keyFilePath || "./google_drive_auth.json",
-      tokenPath: this.config.tokenPath || "./token_drive.json",
-      driveFolders: this.config.driveFolders || []
-    };
+  initializeProviders: async function () {
+    const multiProvider = Array.isArray(this.config.providers);
+
+    let entries;
+    if (multiProvider) {
+      entries = CompositeProvider.parseSourceConfigs(this.config.providers);
+    } else {
+      entries = [{
+        id: null,
+        provider: this.config.provider || "google-drive",
+        providerConfig: this.config.providerConfig || {
+          keyFilePath: this.config.keyFilePath || "./google_drive_auth.json",
+          tokenPath: this.config.tokenPath || "./token_drive.json",
+          driveFolders: this.config.driveFolders || []
+        }
+      }];
+    }
 
-    this.log_info(`Initializing cloud provider: ${providerName}...`);
-    this.photoProvider = createProvider(providerName, providerConfig, this.log_info.bind(this));
+    this.sources = entries.map(entry => ({
+      id: entry.id,
+      name: entry.provider,
+      folders: multiProvider
+        ? entry.providerConfig.driveFolders || entry.providerConfig.folders || []
+        : this.config.providerConfig?.driveFolders || this.config.driveFolders || [],
+      // Single-provider mode keeps the original setting key so existing databases sync incrementally
+      tokenKey: entry.id ? `changes_token:${entry.id}` : "changes_token",
+      provider: null,
+      initialized: false,
+      retryAttempts: 0,
+      retryTimer: null,
+      isRetryScheduled: false,
+    }));
+
+    for (let i = 0; i < entries.length; i++) {
+      const source = this.sources[i];
+      this.log_info(`Initializing cloud provider: ${this.describeSource(source)}...`);
+
+      // Display size lets providers with server-side resizing (e.g., Immich) request smaller images
+      source.provider = createProvider(source.name, {
+        showWidth: this.config.showWidth,
+        showHeight: this.config.showHeight,
+        includeVideos: this.config.includeVideos,
+        ...entries[i].providerConfig,
+      }, this.log_info.bind(this));
+
+      if (source.id) {
+        source.provider.setIdNamespace(CompositeProvider.namespaceId(source.id, ""));
+      }
+    }
 
+    // Per-folder weights and labels (root folder IDs are namespaced like photo IDs)
+    this.database.setFolderWeights(this.sources.flatMap(source => source.provider.getWeightedFolders().map(folder => ({
+      ...folder,
+      id: this.toStoredId(source, folder.id),
+    }))));
+
+    this.photoProvider = multiProvider
+      ? new CompositeProvider(this.sources, this.log_info.bind(this))
+      : this.sources[0].provider;
+
+    if (multiProvider) {
+      await this.purgeUnconfiguredPhotos();
+    }
+
+    for (const source of this.sources) {
+      await this.initializeProvider(source);
+    }
+  },
+
+  /**
+   * Name of a provider for log and status messages
+   * @param {Object} source - Provider entry from this.sources
+   * @returns {string}
+   */
+  describeSource: function (source) {
+    return source.id ? `${source.id} (${source.name})` : source.name;
+  },
+
+  /**
+   * Whether at least one provider is online
+   * @returns {boolean}
+   */
+  isAnyProviderOnline: function () {
+    return this.sources.some(source => source.initialized);
+  },
+
+  /**
+   * Send a provider's connection status to the frontend
+   * With several providers the indicator stays online while any provider is online,
+   * and the message names the provider it is about
+   * @param {Object} source - Provider entry from this.sources
+   * @param {string} status - "online", "offline" or "retrying"
+   * @param {string} message - Status message
+   */
+  sendConnectionStatus: function (source, status, message) {
+    if (this.sources.length === 1) {
+      this.sendSocketNotification("CONNECTION_STATUS", { status, message });
+      return;
+    }
+
+    this.sendSocketNotification("CONNECTION_STATUS", {
+      status: this.isAnyProviderOnline() ? "online" : status,
+      message: `${source.id}: ${message}`,
+    });
+  },
+
+  /**
+   * Initialize one cloud provider with retry logic
+   * @param {Object} source - Provider entry from this.sources
+   */
+  initializeProvider: async function (source) {
     // Set database reference for providers that support incremental sync
-    if (typeof this.photoProvider.setDatabase === 'function') {
-      this.photoProvider.setDatabase(this.database);
+    if (typeof source.provider.setDatabase === 'function') {
+      source.provider.setDatabase(this.database);
     }
 
     // Try to initialize with immediate attempt
     try {
-      await this.photoProvider.initialize();
-      this.providerInitialized = true;
-      this.authRetryAttempts = 0;
-      this.log_info(`✅ Provider ${providerName} initialized successfully`);
+      await source.provider.initialize();
+      source.initialized = true;
+      source.retryAttempts = 0;
+      this.log_info(`✅ Provider ${this.describeSource(source)} initialized successfully`);
       return;
     } catch (error) {
-      this.log_warn(`Provider initialization failed: ${error.message}`);
+      this.log_warn(`Provider ${this.describeSource(source)} initialization failed: ${error.message}`);
       this.log_info("Will retry in background with exponential backoff");
-      this.providerInitialized = false;
+      source.initialized = false;
 
       // Start background retry
-      this.scheduleProviderRetry();
+      this.scheduleProviderRetry(source);
     }
   },
 
   /**
    * Schedule provider initialization retry with exponential backoff
+   * @param {Object} source - Provider entry from this.sources
    */
-  scheduleProviderRetry: function () {
-    // Prevent race condition - only one retry can be scheduled at a time
-    if (this.isRetryScheduled) {
+  scheduleProviderRetry: function (source) {
+    // Prevent race condition - only one retry per provider can be scheduled at a time
+    if (source.isRetryScheduled) {
       this.log_debug("Retry already scheduled, ignoring duplicate request");
       return;
     }
-    this.isRetryScheduled = true;
+    source.isRetryScheduled = true;
 
     // Clear any existing retry timer
-    if (this.authRetryTimer) {
-      clearTimeout(this.authRetryTimer);
-      this.authRetryTimer = null;
+    if (source.retryTimer) {
+      clearTimeout(source.retryTimer);
+      source.retryTimer = null;
     }
 
     // Check if we've exceeded max retries
-    if (this.authRetryAttempts >= this.maxAuthRetries) {
-      this.log_error(`Maximum authentication retries (${this.maxAuthRetries}) reached. Staying in offline mode.`);
-      this.sendSocketNotification("UPDATE_STATUS", "Offline - max retries exceeded");
-      this.isRetryScheduled = false; // Clear flag
+    if (source.retryAttempts >= this.maxAuthRetries) {
+      this.log_error(`Maximum authentication retries (${this.maxAuthRetries}) reached for ${this.describeSource(source)}. Staying in offline mode.`);
+      this.sendSocketNotification("UPDATE_STATUS", source.id
+        ? `${source.id}: Offline - max retries exceeded`
+        : "Offline - max retries exceeded");
+      source.isRetryScheduled = false; // Clear flag
       return;
     }
 
-    this.authRetryAttempts++;
+    source.retryAttempts++;
 
     // Calculate backoff: 5s, 10s, 20s, 40s, 80s, 120s, 120s, ... (capped at maxBackoffMs)
-    const backoffMs = Math.min(5000 * Math.pow(2, this.authRetryAttempts - 1), this.maxBackoffMs);
+    const backoffMs = Math.min(5000 * Math.pow(2, source.retryAttempts - 1), this.maxBackoffMs);
 
     const maxRetriesMsg = this.maxAuthRetries === Infinity ? '∞' : this.maxAuthRetries;
-    this.log_info(`Scheduling authentication retry #${this.authRetryAttempts}/${maxRetriesMsg} in ${backoffMs / 1000}s`);
+    this.log_info(`Scheduling authentication retry #${source.retryAttempts}/${maxRetriesMsg} for ${this.describeSource(source)} in ${backoffMs / 1000}s`);
 
     // Update frontend with retry status
-    this.sendSocketNotification("CONNECTION_STATUS", {
-      status: "offline",
-      message: `Offline - retrying in ${Math.ceil(backoffMs / 1000)}s`
-    });
+    this.sendConnectionStatus(source, "offline", `Offline - retrying in ${Math.ceil(backoffMs / 1000)}s`);
 
-    this.authRetryTimer = setTimeout(async () => {
-      this.isRetryScheduled = false; // Clear flag before retry
-      await this.retryProviderInitialization();
+    source.retryTimer = setTimeout(async () => {
+      source.isRetryScheduled = false; // Clear flag before retry
+      await this.retryProviderInitialization(source);
     }, backoffMs);
   },
 
   /**
    * Retry provider initialization
+   * @param {Object} source - Provider entry from this.sources
    */
-  retryProviderInitialization: async function () {
-    if (this.providerInitialized) {
-      this.log_info("Provider already initialized, skipping retry");
+  retryProviderInitialization: async function (source) {
+    if (source.initialized) {
+      this.log_info(`Provider ${this.describeSource(source)} already initialized, skipping retry`);
       return;
     }
 
     const maxRetriesMsg = this.maxAuthRetries === Infinity ? '∞' : this.maxAuthRetries;
-    this.log_info(`Retrying provider initialization (attempt ${this.authRetryAttempts}/${maxRetriesMsg})...`);
+    this.log_info(`Retrying provider ${this.describeSource(source)} initialization (attempt ${source.retryAttempts}/${maxRetriesMsg})...`);
 
     // Update frontend with retrying status
-    this.sendSocketNotification("CONNECTION_STATUS", {
-      status: "retrying",
-      message: `Reconnecting (attempt ${this.authRetryAttempts})...`
-    });
+    this.sendConnectionStatus(source, "retrying", `Reconnecting (attempt ${source.retryAttempts})...`);
 
     try {
-      await this.photoProvider.initialize();
-      this.providerInitialized = true;
-      this.authRetryAttempts = 0;
+      await source.provider.initialize();
+      source.initialized = true;
+      source.retryAttempts = 0;
 
-      this.log_info("✅ Provider initialized successfully after retry!");
+      this.log_info(`✅ Provider ${this.describeSource(source)} initialized successfully after retry!`);
 
       // Update frontend with success
-      const cachedCount = await this.database.getCachedPhotoCount();
-      this.sendSocketNotification("CONNECTION_STATUS", {
-        status: "online",
-        message: `Connected - syncing photos...`
-      });
+      this.sendConnectionStatus(source, "online", "Connected - syncing photos...");
 
       // Now that we're online, start scanning and periodic sync
-      await this.performInitialScan();
+      await this.performInitialScan(source);
       this.startPeriodicScanning();
 
     } catch (error) {
-      this.log_warn(`Retry ${this.authRetryAttempts} failed: ${error.message}`);
+      this.log_warn(`Retry ${source.retryAttempts} for ${this.describeSource(source)} failed: ${error.message}`);
 
       // Schedule next retry
-      this.scheduleProviderRetry();
+      this.scheduleProviderRetry(source);
     }
   },
 
   /**
-   * Perform initial scan of cloud storage
+   * Sync one provider into the database
+   * Uses incremental sync when a change token is stored, otherwise a full scan
+   * @param {Object} source - Provider entry from this.sources
+   * @param {boolean} initial - Initial scan (also falls back to scanFolder and stores a start token)
+   * @returns {Promise<number>} Number of new/changed photos
    */
-  performInitialScan: async function () {
-    try {
-      this.log_info(`Starting initial scan of ${this.photoProvider.getProviderName()}...`);
-      this.sendSocketNotification("UPDATE_STATUS", `Scanning ${this.photoProvider.getProviderName()}...`);
+  syncSource: async function (source, initial) {
+    const provider = source.provider;
+    const scanStartedAt = Date.now();
+    let photos = [];
+    let deletedIds = [];
+    let isFullScan = false;
+
+    // Check if provider supports incremental sync
+    // After a schema upgrade the first sync is a full scan, which fills in the new columns
+    const token = initial && this.database.schemaUpgraded
+      ? null
+      : await this.database.getSetting(source.tokenKey);
+
+    if (token && typeof provider.getChanges === 'function') {
+      // Use incremental sync
+      const changes = await provider.getChanges(token);
+      photos = changes.photos;
+      deletedIds = changes.deletedIds || [];
+      // The provider had to list everything again (e.g., Dropbox reset its cursor)
+      isFullScan = changes.fullScan === true;
+
+      // Save new token
+      if (changes.nextToken) {
+        await this.database.saveSetting(source.tokenKey, changes.nextToken);
+      }
+    } else if (typeof provider.fullScan === 'function') {
+      // Full scan (first run or provider doesn't support incremental)
+      photos = await provider.fullScan();
+      isFullScan = true;
+    } else if (initial) {
+      // Provider doesn't have fullScan, use scanFolder on all configured folders
+      for (const folderConfig of source.folders) {
+        const folderPhotos = await provider.scanFolder(
+          folderConfig.id || null,
+          folderConfig.depth !== undefined ? folderConfig.depth : -1
+        );
+        photos.push(...folderPhotos);
+      }
+      isFullScan = true;
+    }
 
-      // Try incremental sync first (will fall back to full scan if needed)
-      let photos = [];
+    // Get start token for future incremental syncs (also after a refused deletion dropped the token)
+    if (!token && isFullScan && typeof provider.getStartPageToken === 'function') {
+      const startToken = await provider.getStartPageToken();
+      await this.database.saveSetting(source.tokenKey, startToken);
+    }
 
-      // Check if provider supports incremental sync
-      const token = await this.database.getSetting("changes_token");
+    // Apply include/exclude patterns. A changed photo that no longer matches is removed;
+    // after a full scan, reconcileDeletions() removes excluded photos that are no longer saved
+    const { kept, excluded } = this.photoFilter.partition(photos);
+    photos = kept;
+    if (!isFullScan && excluded.length > 0) {
+      const result = await this.database.deletePhotos(excluded.map(photo => this.toStoredId(source, photo.id)));
+      await this.removeCachedFiles(result.deleted);
+    }
 
-      if (token && typeof this.photoProvider.getChanges === 'function') {
-        // Use incremental sync
-        const changes = await this.photoProvider.getChanges(token);
-        photos = changes.photos;
+    // Handle deletions, limited like reconcileDeletions() - providers that compare
+    // listings against a snapshot report every photo as deleted when a listing comes back empty
+    if (deletedIds.length > 0) {
+      const result = await this.database.deletePhotos(
+        deletedIds.map(id => this.toStoredId(source, id)),
+        this.getIdPrefix(source),
+        this.getMaxDeletePercent(),
+        MIN_DELETE_LIMIT
+      );
 
-        // Handle deletions
-        if (changes.deletedIds && changes.deletedIds.length > 0) {
-          for (const id of changes.deletedIds) {
-            await this.database.deletePhoto(id);
-          }
-        }
+      if (result.refused) {
+        this.warnDeletionRefused(result.matchedCount, result.totalCount,
+          share => `Sync of ${this.describeSource(source)} reported ${share} as deleted.`);
+        // Without a change token the next sync is a full scan, checked by reconcileDeletions()
+        await this.database.deleteSetting(source.tokenKey);
+      } else if (result.deleted.length > 0) {
+        await this.removeCachedFiles(result.deleted);
+        this.log_info(`Removed ${result.deleted.length} deleted photos`);
+      }
+    }
 
-        // Save new token
-        if (changes.nextToken) {
-          await this.database.saveSetting("changes_token", changes.nextToken);
-        }
-      } else {
-        // Full scan (first run or provider doesn't support incremental)
-        if (typeof this.photoProvider.fullScan === 'function') {
-          photos = await this.photoProvider.fullScan();
-        } else {
-          // Provider doesn't have fullScan, use scanFolder on all configured folders
-          const folders = this.config.providerConfig?.driveFolders || this.config.driveFolders || [];
-          for (const folderConfig of folders) {
-            const folderPhotos = await this.photoProvider.scanFolder(
-              folderConfig.id || null,
-              folderConfig.depth !== undefined ? folderConfig.depth : -1
-            );
-            photos.push(...folderPhotos);
-          }
-        }
+    if (photos.length > 0) {
+      this.log_info(`Found ${photos.length} new/changed photos from ${this.describeSource(source)}, saving to database...`);
+      await this.database.savePhotos(
+        source.id ? photos.map(photo => CompositeProvider.namespacePhoto(source.id, photo)) : photos
+      );
+    }
 
-        // Get start token for future incremental syncs
-        if (typeof this.photoProvider.getStartPageToken === 'function') {
-          const startToken = await this.photoProvider.getStartPageToken();
-          await this.database.saveSetting("changes_token", startToken);
-        }
-      }
+    // A full scan lists everything, so photos it didn't see were deleted in the cloud
+    if (isFullScan) {
+      await this.reconcileDeletions(source, scanStartedAt);
+    }
 
-      if (photos.length > 0) {
-        this.log_info(`Found ${photos.length} photos, saving to database...`);
-        await this.database.savePhotos(photos);
-      }
+    return photos.length;
+  },
+
+  /**
+   * Remove photos (and cached files) that belong to none of the configured providers
+   * These are left behind when switching from `provider` to `providers` - their IDs
+   * have no namespace, so each new provider would add its own copy - or when a
+   * provider is removed from the list. The new providers list everything again.
+   */
+  purgeUnconfiguredPhotos: async function () {
+    const removed = await this.database.purgePhotosOutside(this.sources.map(source => this.getIdPrefix(source)));
+    if (removed.length > 0) {
+      await this.removeCachedFiles(removed);
+      this.log_info(`Removed ${removed.length} photos of providers that are no longer configured`);
+    }
+
+    // Single-provider change token - without it, switching back starts with a full scan
+    await this.database.deleteSetting("changes_token");
+  },
+
+  /**
+   * Remove a provider's photos (and cached files) that a full scan did not see
+   * Saving a photo records when it was seen, so anything older than the scan is gone
+   * @param {Object} source - Provider entry from this.sources
+   * @param {number} scanStartedAt - Time the full scan started
+   */
+  reconcileDeletions: async function (source, scanStartedAt) {
+    const result = await this.database.purgeUnseenPhotos(
+      scanStartedAt,
+      this.getIdPrefix(source),
+      this.getMaxDeletePercent(),
+      MIN_DELETE_LIMIT
+    );
+
+    if (result.refused) {
+      this.warnDeletionRefused(result.unseenCount, result.totalCount,
+        share => `Full scan of ${this.describeSource(source)} did not list ${share}.`);
+      return;
+    }
+
+    if (result.deleted.length === 0) {
+      return;
+    }
+
+    await this.removeCachedFiles(result.deleted);
+
+    this.log_info(`Removed ${result.deleted.length} photos no longer in ${this.describeSource(source)}`);
+  },
+
+  /**
+   * Largest share of a provider's photos (0-100) one sync may delete
+   * @returns {number}
+   */
+  getMaxDeletePercent: function () {
+    return this.config.maxDeletePercent ?? 25;
+  },
+
+  /**
+   * Log why photos a sync found missing are kept
+   * @param {number} count - Photos that would have been deleted
+   * @param {number} totalCount - The provider's photos
+   * @param {Function} finding - Describes what the sync found, given e.g. "3 of 4 photos (75.0%)"
+   */
+  warnDeletionRefused: function (count, totalCount, finding) {
+    const percent = ((count / totalCount) * 100).toFixed(1);
+    this.log_warn(
+      `${finding(`${count} of ${totalCount} photos (${percent}%)`)} ` +
+      `Keeping them because that is more than maxDeletePercent (${this.getMaxDeletePercent()}%) - the listing may be incomplete. ` +
+      "Raise maxDeletePercent if they really were deleted."
+    );
+  },
 
-      // Always update status with current database counts (not just when photos.length > 0)
+  /**
+   * Delete the cache files of removed photos
+   * BLOBs went with the rows; file-based cache entries need their files removed
+   * @param {Array<{cached_path: string|null}>} photos - Removed photos
+   */
+  removeCachedFiles: async function (photos) {
+    const files = photos.map(photo => photo.cached_path).filter(Boolean);
+    await Promise.allSettled(files.map(file => fs.promises.unlink(file)));
+  },
+
+  /**
+   * Prefix of a provider's IDs in the database
+   * @param {Object} source - Provider entry from this.sources
+   * @returns {string|null} Prefix, or null in single-provider mode (all photos)
+   */
+  getIdPrefix: function (source) {
+    return source.id ? CompositeProvider.namespaceId(source.id, "") : null;
+  },
+
+  /**
+   * Convert a provider's photo ID to the ID stored in the database
+   * @param {Object} source - Provider entry from this.sources
+   * @param {string} id - Photo ID from the provider
+   * @returns {string}
+   */
+  toStoredId: function (source, id) {
+    return source.id ? CompositeProvider.namespaceId(source.id, id) : id;
+  },
+
+  /**
+   * Take a provider offline after a network error and start its retry cycle
+   * @param {Object} source - Provider entry from this.sources
+   */
+  markSourceOffline: async function (source) {
+    source.initialized = false;
+
+    // Update frontend status
+    const cachedCount = await this.database.getCachedPhotoCount();
+    this.sendConnectionStatus(source, "offline", `Offline - ${cachedCount} cached photos`);
+
+    // Start retry mechanism
+    source.retryAttempts = 0; // Reset counter for fresh start
+    this.scheduleProviderRetry(source);
+  },
+
+  /**
+   * Perform initial scan of one provider
+   * @param {Object} source - Provider entry from this.sources
+   */
+  performInitialScan: async function (source) {
+    try {
+      const providerName = source.provider.getProviderName();
+      this.log_info(`Starting initial scan of ${providerName}...`);
+      this.sendSocketNotification("UPDATE_STATUS", `Scanning ${providerName}...`);
+
+      const changedCount = await this.syncSource(source, true);
+
+      // Always update status with current database counts (not just when photos were found)
       const totalCount = await this.database.getTotalPhotoCount();
       const cachedCount = await this.database.getCachedPhotoCount();
 
       if (totalCount === 0) {
         this.log_warn("No photos found in configured folders");
-        this.sendSocketNotification("CONNECTION_STATUS", {
-          status: "online",
-          message: "Online - no photos found"
-        });
+        this.sendConnectionStatus(source, "online", "Online - no photos found");
       } else {
-        if (photos.length > 0) {
+        if (changedCount > 0) {
           this.log_info(`Database now has ${totalCount} photos (${cachedCount} cached)`);
         } else {
           this.log_info(`No changes detected. Database has ${totalCount} photos (${cachedCount} cached)`);
         }
-        this.sendSocketNotification("CONNECTION_STATUS", {
-          status: "online",
-          message: `Online - ${totalCount} photos`
-        });
+        this.sendConnectionStatus(source, "online", `Online - ${totalCount} photos`);
       }
 
     } catch (error) {
-      this.log_error("Initial scan failed:", error.message);
+      this.log_error(`Initial scan of ${this.describeSource(source)} failed:`, error.message);
 
       // Check if this is a network error
       if (this.isNetworkError(error)) {
         this.log_warn("Network error during initial scan - marking provider as offline");
-
-        // Mark provider as offline
-        this.providerInitialized = false;
-
-        // Update frontend status
-        const cachedCount = await this.database.getCachedPhotoCount();
-        this.sendSocketNotification("CONNECTION_STATUS", {
-          status: "offline",
-          message: `Offline - ${cachedCount} cached photos`
-        });
-
-        // Start retry mechanism
-        this.authRetryAttempts = 0;
-        this.scheduleProviderRetry();
+        await this.markSourceOffline(source);
       } else {
         // Non-network error - notify user
         this.sendSocketNotification("ERROR", `Scan failed: ${error.message}`);
@@ -465,11 +813,12 @@ const NodeHelperObject = {
 
   /**
    * Start periodic scanning for new photos
+   * One timer syncs every provider that is online
    */
   startPeriodicScanning: function () {
     // Don't start if already running
     if (this.scanTimer) {
-      this.log_warn("Periodic scanning already running");
+      this.log_debug("Periodic scanning already running");
       return;
     }
 
@@ -478,69 +827,29 @@ const NodeHelperObject = {
     this.log_info(`Setting up periodic scan every ${scanInterval / 1000 / 60} minutes`);
 
     this.scanTimer = setInterval(async () => {
-      try {
-        // Skip if provider not initialized
-        if (!this.providerInitialized) {
-          this.log_info("Periodic scan skipped - provider not initialized (offline mode)");
-          return;
+      for (const source of this.sources) {
+        // Skip providers that are offline - their retry cycle resumes syncing
+        if (!source.initialized) {
+          this.log_info(`Periodic scan skipped for ${this.describeSource(source)} - provider not initialized (offline mode)`);
+          continue;
         }
 
-        this.log_info("Running periodic scan...");
-
-        let photos = [];
-        const token = await this.database.getSetting("changes_token");
-
-        // Use incremental sync if supported and we have a token
-        if (token && typeof this.photoProvider.getChanges === 'function') {
-          const changes = await this.photoProvider.getChanges(token);
-          photos = changes.photos;
-
-          // Handle deletions
-          if (changes.deletedIds && changes.deletedIds.length > 0) {
-            for (const id of changes.deletedIds) {
-              await this.database.deletePhoto(id);
-            }
-            this.log_info(`Removed ${changes.deletedIds.length} deleted photos`);
-          }
+        try {
+          this.log_info(`Running periodic scan of ${this.describeSource(source)}...`);
 
-          // Save new token
-          if (changes.nextToken) {
-            await this.database.saveSetting("changes_token", changes.nextToken);
-          }
-        } else {
-          // Fall back to full scan
-          if (typeof this.photoProvider.fullScan === 'function') {
-            photos = await this.photoProvider.fullScan();
+          const changedCount = await this.syncSource(source, false);
+          if (changedCount === 0) {
+            this.log_info("No changes detected");
           }
-        }
 
-        if (photos.length > 0) {
-          this.log_info(`Found ${photos.length} new/changed photos`);
-          await this.database.savePhotos(photos);
-        } else {
-          this.log_info("No changes detected");
-        }
+        } catch (error) {
+          this.log_error(`Periodic scan of ${this.describeSource(source)} failed:`, error.message);
 
-      } catch (error) {
-        this.log_error("Periodic scan failed:", error.message);
-
-        // Check if this is a network/authentication error
-        if (this.isNetworkError(error)) {
-          this.log_warn("Network error detected - marking provider as offline and starting retry");
-
-          // Mark provider as offline
-          this.providerInitialized = false;
-
-          // Update frontend status
-          const cachedCount = await this.database.getCachedPhotoCount();
-          this.sendSocketNotification("CONNECTION_STATUS", {
-            status: "offline",
-            message: `Offline - ${cachedCount} cached photos`
-          });
-
-          // Start retry mechanism
-          this.authRetryAttempts = 0; // Reset counter for fresh start
-          this.scheduleProviderRetry();
+          // Check if this is a network/authentication error
+          if (this.isNetworkError(error)) {
+            this.log_warn("Network error detected - marking provider as offline and starting retry");
+            await this.markSourceOffline(source);
+          }
         }
       }
     }, scanInterval);
@@ -554,19 +863,131 @@ const NodeHelperObject = {
 
     this.log_info(`Starting display timer (${updateInterval / 1000}s per photo)`);
 
-    this.displayTimer = setInterval(async () => {
-      await this.sendNextPhoto();
-    }, updateInterval);
+    this.displayStarted = true;
+    this.restartDisplayTimer();
 
     // Send first photo immediately
     setTimeout(() => this.sendNextPhoto(), 2000);
   },
 
+  /**
+   * (Re)start the display timer, so the photo on screen gets its full display time
+   * Leaves the timer stopped while paused or hidden
+   */
+  restartDisplayTimer: function () {
+    if (this.displayTimer) {
+      clearTimeout(this.displayTimer);
+      this.displayTimer = null;
+    }
+
+    if (this.paused || this.hidden) {
+      return;
+    }
+
+    this.displayTimer = setTimeout(async () => {
+      this.displayTimer = null;
+      await this.sendNextPhoto();
+      this.restartDisplayTimer();
+    }, this.getDisplayDuration());
+  },
+
+  /**
+   * How long the photo on screen stays up
+   * Photos are shown for updateInterval; videos play to the end (VIDEO_ENDED),
+   * with the timer as a fallback in case the end is never reported
+   * @returns {number} Milliseconds
+   */
+  getDisplayDuration: function () {
+    const current = this.displayHistory[this.historyIndex];
+    if (current?.media_type !== "video") {
+      return this.config.updateInterval || 60000;
+    }
+    return (current.duration_ms || MAX_VIDEO_DISPLAY_MS) + VIDEO_END_GRACE_MS;
+  },
+
+  /**
+   * Pause or resume the slideshow (CLOUDPHOTOS_PAUSE / CLOUDPHOTOS_RESUME)
+   * @param {boolean} paused - True to pause
+   */
+  setPaused: function (paused) {
+    if (this.paused === paused) {
+      return;
+    }
+
+    this.paused = paused;
+    this.log_info(paused ? "Slideshow paused" : "Slideshow resumed");
+
+    if (this.displayStarted) {
+      this.restartDisplayTimer();
+    }
+  },
+
+  /**
+   * Stop or restart work when the module is hidden/shown or presence changes
+   * While hidden the display timer is stopped, photos are not marked viewed and
+   * CacheManager may throttle downloads (throttleWhenHidden)
+   * @param {boolean} hidden - True if nobody can see the module
+   */
+  setHidden: async function (hidden) {
+    if (this.hidden === hidden) {
+      return;
+    }
+
+    this.hidden = hidden;
+    this.log_info(hidden ? "Module hidden - pausing slideshow" : "Module visible - resuming slideshow");
+
+    if (this.cacheManager) {
+      this.cacheManager.setIdle(hidden);
+    }
+
+    if (!this.displayStarted) {
+      return;
+    }
+
+    this.restartDisplayTimer();
+
+    // Replace the photo right away if it was on screen for a full interval before hiding
+    const updateInterval = this.config.updateInterval || 60000;
+    if (!hidden && !this.paused && Date.now() - this.lastPhotoSentAt >= updateInterval) {
+      await this.sendNextPhoto();
+    }
+  },
+
+  /**
+   * Show the next or previous photo on request (CLOUDPHOTOS_NEXT / CLOUDPHOTOS_PREVIOUS)
+   * Works while paused; otherwise the display timer restarts
+   * @param {number} step - 1 for next, -1 for previous
+   */
+  navigate: async function (step) {
+    if (!this.displayStarted) {
+      return;
+    }
+
+    if (step < 0) {
+      await this.sendPreviousPhoto();
+    } else {
+      await this.sendNextPhoto();
+    }
+
+    this.restartDisplayTimer();
+  },
+
   /**
    * Send next photo to frontend
+   * After going back in the history, steps forward through it before
+   * picking new photos from the database
    */
   sendNextPhoto: async function () {
     try {
+      while (this.historyIndex < this.displayHistory.length - 1) {
+        const entry = this.displayHistory[this.historyIndex + 1];
+        if (await this.sendHistoryPhoto(entry)) {
+          this.historyIndex++;
+          return;
+        }
+        this.displayHistory.splice(this.historyIndex + 1, 1);
+      }
+
       // Get next photo from database
       const photo = await this.database.getNextPhoto();
 
@@ -576,43 +997,281 @@ const NodeHelperObject = {
         return;
       }
 
-      // Get image buffer (BLOB or file-based)
-      let imageBuffer;
-
-      if (photo.cached_data) {
-        // BLOB mode: Data already in database
-        imageBuffer = photo.cached_data;
-        this.log_debug(`Loaded photo from BLOB: ${photo.filename}`);
-      } else if (photo.cached_path) {
-        // Legacy mode: Read from file
-        imageBuffer = await fs.promises.readFile(photo.cached_path);
-        this.log_debug(`Loaded photo from file: ${photo.filename}`);
-      } else {
-        this.log_error(`Photo ${photo.id} has no cached data`);
+      // Pair it with other photos if it would leave most of the screen empty
+      const { layout, companions } = await this.layoutEngine.plan(photo, this.database);
+      photo.layout = layout;
+      photo.companions = companions;
+
+      if (!(await this.sendPhoto(photo))) {
         return;
       }
 
-      // Send to frontend
-      this.sendSocketNotification("DISPLAY_PHOTO", {
-        id: photo.id,
-        image: imageBuffer.toString("base64"),
-        filename: photo.filename,
-        width: photo.width,
-        height: photo.height,
-        creation_time: photo.creation_time,
-        location_name: photo.location_name
+      // Remember it for CLOUDPHOTOS_PREVIOUS (without the image data)
+      this.displayHistory.push({
+        ...photo,
+        cached_data: null,
+        companions: companions.map(companion => ({ ...companion, cached_data: null })),
       });
+      if (this.displayHistory.length > DISPLAY_HISTORY_SIZE) {
+        this.displayHistory.shift();
+      }
+      this.historyIndex = this.displayHistory.length - 1;
 
-      // Mark as viewed (fire-and-forget)
-      this.database.markPhotoViewed(photo.id).catch(() => {});
-
-      this.log_debug(`Sent photo: ${photo.filename}`);
+      // Mark as viewed (fire-and-forget), unless nobody can see it
+      if (!this.hidden) {
+        for (const shown of [photo, ...companions]) {
+          this.database.markPhotoViewed(shown.id).catch(() => {});
+        }
+      }
 
     } catch (error) {
       this.log_error("Error sending photo:", error.message);
     }
   },
 
+  /**
+   * Send the photo shown before the current one
+   * Photos evicted from the cache since are skipped
+   */
+  sendPreviousPhoto: async function () {
+    try {
+      while (this.historyIndex > 0) {
+        const entry = this.displayHistory[this.historyIndex - 1];
+        this.historyIndex--;
+        if (await this.sendHistoryPhoto(entry)) {
+          return;
+        }
+        this.displayHistory.splice(this.historyIndex, 1);
+      }
+
+      this.log_debug("No earlier photo in the display history");
+
+    } catch (error) {
+      this.log_error("Error sending previous photo:", error.message);
+    }
+  },
+
+  /**
+   * Send a photo from the display history again
+   * A pair or collage is shown with the same photos, or as a single photo
+   * if one of its companions is no longer cached
+   * @param {Object} entry - History entry (photo metadata from getNextPhoto)
+   * @param {boolean} [inline] - Send the images as base64
+   * @returns {Promise<boolean>} False if the photo is no longer cached
+   */
+  sendHistoryPhoto: async function (entry, inline = false) {
+    const photo = await this.database.getCachedPhoto(entry.id);
+    if (!photo) {
+      return false;
+    }
+
+    let layout = entry.layout || "single";
+    let companions = [];
+    for (const companion of entry.companions || []) {
+      const cached = await this.database.getCachedPhoto(companion.id);
+      if (!cached) {
+        layout = "single";
+        companions = [];
+        break;
+      }
+      companions.push(cached);
+    }
+
+    // Keep the captions it was first shown with ("on this day" fields)
+    return this.sendPhoto({
+      ...entry,
+      ...photo,
+      years_ago: entry.years_ago,
+      same_day: entry.same_day,
+      layout,
+      companions,
+    }, inline);
+  },
+
+  /**
+   * Send a photo to the frontend, with its companions in a pair or collage
+   * @param {Object} photo - Photo metadata with cached_data or cached_path,
+   *   plus layout and companions from LayoutEngine
+   * @param {boolean} [inline] - Always send the images as base64
+   * @returns {Promise<boolean>} True if sent
+   */
+  sendPhoto: async function (photo, inline = false) {
+    const payload = await this.buildPhotoPayload(photo, inline);
+    if (!payload) {
+      return false;
+    }
+
+    payload.layout = photo.layout || "single";
+    payload.companions = [];
+    for (const companion of photo.companions || []) {
+      const companionPayload = await this.buildPhotoPayload(companion, inline);
+      if (!companionPayload) {
+        return false;
+      }
+      payload.companions.push(companionPayload);
+    }
+
+    this.sendSocketNotification("DISPLAY_PHOTO", payload);
+
+    this.lastPhotoSentAt = Date.now();
+    this.log_debug(`Sent photo: ${photo.filename}`);
+    return true;
+  },
+
+  /**
+   * Build the DISPLAY_PHOTO payload for one photo
+   * With the photo route, only its URL is sent and the browser fetches the image
+   * from servePhoto; otherwise the image is read and sent as base64
+   * @param {Object} photo - Photo metadata with cached_data or cached_path
+   * @param {boolean} inline - Send the image as base64
+   * @returns {Promise<Object|null>} Payload, or null if the photo has no cached data
+   */
+  buildPhotoPayload: async function (photo, inline) {
+    const payload = {
+      id: photo.id,
+      filename: photo.filename,
+      width: photo.width,
+      height: photo.height,
+      creation_time: photo.creation_time,
+      location_name: photo.location_name,
+      folder_label: photo.folder_label,
+      years_ago: photo.years_ago,
+      same_day: photo.same_day,
+      media_type: photo.media_type,
+      mime_type: photo.cached_mime_type || "image/jpeg",
+      duration_ms: photo.duration_ms,
+    };
+
+    if (this.photoRoute && !inline) {
+      // cached_at busts the browser cache when the photo is downloaded again
+      payload.url = `${this.photoRoute}/${encodeURIComponent(photo.id)}?v=${photo.cached_at}`;
+    } else {
+      payload.image = await this.readPhotoImage(photo);
+      if (!payload.image) {
+        return null;
+      }
+    }
+
+    return payload;
+  },
+
+  /**
+   * Read a photo's image for sending over the socket
+   * @param {Object} photo - Photo metadata with cached_data or cached_path
+   * @returns {Promise<string|null>} Base64 image, or null if the photo has no cached data
+   */
+  readPhotoImage: async function (photo) {
+    // Get image buffer (BLOB or file-based)
+    let imageBuffer;
+
+    if (photo.cached_data) {
+      // BLOB mode: Data already in database
+      imageBuffer = photo.cached_data;
+      this.log_debug(`Loaded photo from BLOB: ${photo.filename}`);
+    } else if (photo.cached_path) {
+      // Legacy mode: Read from file
+      imageBuffer = await fs.promises.readFile(photo.cached_path);
+      this.log_debug(`Loaded photo from file: ${photo.filename}`);
+    } else {
+      this.log_error(`Photo ${photo.id} has no cached data`);
+      return null;
+    }
+
+    return imageBuffer.toString("base64");
+  },
+
+  /**
+   * Resend a photo as base64 when the browser could not load its URL
+   * (e.g., a reverse proxy that doesn't forward the route). After a few
+   * failures in a row, URLs are no longer used
+   * @param {string} photoId - Photo the frontend failed to load
+   */
+  handlePhotoUrlFailure: async function (photoId) {
+    if (!this.photoRoute || !this.database) {
+      return;
+    }
+
+    this.photoUrlFailures++;
+    if (this.photoUrlFailures >= MAX_PHOTO_URL_FAILURES) {
+      this.log_warn(`Photo URLs failed to load ${this.photoUrlFailures} times - sending photos as base64 from now on`);
+      this.photoRoute = null;
+    }
+
+    try {
+      // Resend the whole pair or collage the photo was shown in
+      const entry = this.displayHistory.find(e => e.id === photoId) || { id: photoId };
+      await this.sendHistoryPhoto(entry, true);
+
+    } catch (error) {
+      this.log_error("Error resending photo:", error.message);
+    }
+  },
+
+  /**
+   * Express handler for GET /MMM-CloudPhotos/photo/:id
+   * Streams a cached image or video clip from BLOB or file storage. The ETag
+   * changes when the photo is cached again, so the browser can revalidate cheaply
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  servePhoto: async function (req, res) {
+    try {
+      const image = this.database ? await this.database.getCachedImage(req.params.id) : null;
+      if (!image) {
+        res.status(404).end();
+        return;
+      }
+
+      // File mode: make sure the file is still there before sending headers
+      const size = image.cached_data
+        ? image.cached_data.length
+        : (await fs.promises.stat(image.cached_path)).size;
+
+      res.set({
+        "Content-Type": image.cached_mime_type || "image/jpeg",
+        "ETag": `"${image.cached_at}-${image.cached_size_bytes}"`,
+        "Cache-Control": `private, max-age=${PHOTO_MAX_AGE_SECONDS}`,
+      });
+
+      if (req.fresh) {
+        res.status(304).end();
+        return;
+      }
+
+      // Byte ranges let the browser seek in videos
+      res.set("Accept-Ranges", "bytes");
+      const ranges = req.range(size);
+      if (ranges === -1) {
+        res.status(416).set("Content-Range", `bytes */${size}`).end();
+        return;
+      }
+      let start = 0;
+      let end = size - 1;
+      if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1) {
+        ({ start, end } = ranges[0]);
+        res.status(206).set("Content-Range", `bytes ${start}-${end}/${size}`);
+      }
+      res.set("Content-Length", end - start + 1);
+
+      if (image.cached_data) {
+        // BLOB mode
+        res.end(image.cached_data.subarray(start, end + 1));
+        return;
+      }
+
+      fs.createReadStream(image.cached_path, { start, end })
+        .on("error", (error) => {
+          this.log_error(`Error streaming photo ${req.params.id}:`, error.message);
+          res.destroy();
+        })
+        .pipe(res);
+
+    } catch (error) {
+      this.log_error(`Error serving photo ${req.params.id}:`, error.message);
+      res.status(error.code === "ENOENT" ? 404 : 500).end();
+    }
+  },
+
   /**
    * Send cache statistics to frontend
    */
@@ -690,13 +1349,15 @@ const NodeHelperObject = {
     }
 
     if (this.displayTimer) {
-      clearInterval(this.displayTimer);
+      clearTimeout(this.displayTimer);
       this.displayTimer = null;
     }
 
-    if (this.authRetryTimer) {
-      clearTimeout(this.authRetryTimer);
-      this.authRetryTimer = null;
+    for (const source of this.sources) {
+      if (source.retryTimer) {
+        clearTimeout(source.retryTimer);
+        source.retryTimer = null;
+      }
     }
 
     // Stop cache manager
@@ -27,6 +27,54 @@ async function createMockJpegBuffer() {
   return mockJpegBuffer;
 }
 
+// Helper: JPEG whose EXIF orientation turns the stored pixels into a 48x32
+// picture with red, green, blue and white quadrants (clockwise from top left).
+// The stored pixels are laid out by hand from the EXIF definition of each
+// orientation, so the test doesn't rely on sharp to produce them.
+const ORIENTED_WIDTH = 48;
+const ORIENTED_HEIGHT = 32;
+const QUADRANTS = [[255, 0, 0], [0, 255, 0], [255, 255, 255], [0, 0, 255]]; // TL, TR, BR, BL
+
+function quadrantAt(x, y) {
+  const right = x >= ORIENTED_WIDTH / 2;
+  const bottom = y >= ORIENTED_HEIGHT / 2;
+  return QUADRANTS[bottom ? (right ? 2 : 3) : (right ? 1 : 0)];
+}
+
+async function createOrientedJpeg(orientation) {
+  const W = ORIENTED_WIDTH;
+  const H = ORIENTED_HEIGHT;
+  const turned = orientation >= 5;
+  const storedWidth = turned ? H : W;
+  const storedHeight = turned ? W : H;
+
+  // Stored position of each displayed pixel (x, y)
+  const stored = {
+    1: (x, y) => [x, y],
+    2: (x, y) => [W - 1 - x, y],
+    3: (x, y) => [W - 1 - x, H - 1 - y],
+    4: (x, y) => [x, H - 1 - y],
+    5: (x, y) => [y, x],
+    6: (x, y) => [y, W - 1 - x],
+    7: (x, y) => [H - 1 - y, W - 1 - x],
+    8: (x, y) => [H - 1 - y, x]
+  }[orientation];
+
+  const pixels = Buffer.alloc(storedWidth * storedHeight * 3);
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      const [sx, sy] = stored(x, y);
+      Buffer.from(quadrantAt(x, y)).copy(pixels, (sy * storedWidth + sx) * 3);
+    }
+  }
+
+  const sharp = require('sharp');
+  return sharp(pixels, { raw: { width: storedWidth, height: storedHeight, channels: 3 } })
+    .withMetadata({ orientation })
+    .jpeg({ quality: 95 })
+    .toBuffer();
+}
+
 // Mock dependencies
 const mockDb = {
   getCacheSizeBytes: jest.fn(),
@@ -36,7 +84,13 @@ const mockDb = {
   getCachedPhotoCount: jest.fn(),
   getTotalPhotoCount: jest.fn(),
   getOldestCachedPhotos: jest.fn(),
-  clearPhotoCache: jest.fn()
+  clearPhotoCache: jest.fn(),
+  getCacheUsage: jest.fn(),
+  getStorageInfo: jest.fn(),
+  reclaimSpace: jest.fn(),
+  refillPlaybackQueue: jest.fn(),
+  markPhotoSkipped: jest.fn(),
+  updatePhotoMetadata: jest.fn()
 };
 
 const mockDriveAPI = {
@@ -93,31 +147,45 @@ describe('CacheManager', () => {
   });
 
   describe('Cache Statistics', () => {
+    beforeEach(() => {
+      mockDb.getCacheUsage.mockResolvedValue({ blobCount: 0, blobBytes: 0, fileCount: 0, fileBytes: 0 });
+      mockDb.getStorageInfo.mockResolvedValue({ fileBytes: 0, freeBytes: 0 });
+      mockDb.getTotalPhotoCount.mockResolvedValue(0);
+    });
+
     test('should return cache stats', async () => {
-      mockDb.getCacheSizeBytes.mockResolvedValue(100 * 1024 * 1024); // 100 MiB (104857600 bytes)
-      mockDb.getCachedPhotoCount.mockResolvedValue(50);
+      mockDb.getCacheUsage.mockResolvedValue({
+        blobCount: 40,
+        blobBytes: 60 * 1024 * 1024,
+        fileCount: 10,
+        fileBytes: 40 * 1024 * 1024
+      });
+      mockDb.getStorageInfo.mockResolvedValue({ fileBytes: 64 * 1024 * 1024, freeBytes: 2 * 1024 * 1024 });
       mockDb.getTotalPhotoCount.mockResolvedValue(100);
 
       const stats = await cacheManager.getStats();
 
       expect(stats.totalSizeMB).toBe('100.00'); // 100 MiB = 100.00 MB
       expect(stats.maxSizeMB).toBe(200);
+      expect(stats.usagePercent).toBe('50.0');
+      expect(stats.blobSizeMB).toBe('60.00');
+      expect(stats.fileSizeMB).toBe('40.00');
+      expect(stats.databaseSizeMB).toBe('64.00');
+      expect(stats.databaseFreeMB).toBe('2.00');
       expect(stats.cachedCount).toBe(50);
       expect(stats.totalCount).toBe(100);
+      expect(stats.cachePercent).toBe('50.0');
       expect(stats.consecutiveFailures).toBe(0);
       expect(stats.isOffline).toBe(false);
     });
 
     test('should report offline status after failures', async () => {
-      mockDb.getCacheSizeBytes.mockResolvedValue(0);
-      mockDb.getCachedPhotoCount.mockResolvedValue(0);
-      mockDb.getTotalPhotoCount.mockResolvedValue(0);
-
       cacheManager.consecutiveFailures = 4;
 
       const stats = await cacheManager.getStats();
 
       expect(stats.isOffline).toBe(true);
+      expect(stats.cachePercent).toBe('0.0');
     });
   });
 
@@ -166,6 +234,50 @@ describe('CacheManager', () => {
       expect(dbUpdateCalled).toBe(true);
     });
 
+    test('should store EXIF metadata read before resizing', async () => {
+      const sharp = require('sharp');
+      const photo = await sharp({ create: { width: 120, height: 80, channels: 3, background: '#00f' } })
+        .withExif({
+          IFD0: { Make: 'Fujifilm', Model: 'X-T3' },
+          IFD2: { DateTimeOriginal: '2021:05:02 09:15:00', OffsetTimeOriginal: '+00:00' },
+          IFD3: { GPSLatitudeRef: 'S', GPSLatitude: '33/1 52/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '151/1 12/1 36/1' }
+        })
+        .jpeg()
+        .toBuffer();
+      mockDriveAPI.downloadPhoto.mockResolvedValue(require('stream').Readable.from([photo]));
+
+      await cacheManager.downloadPhoto('exif1');
+
+      expect(mockDb.updatePhotoMetadata).toHaveBeenCalledWith('exif1', expect.objectContaining({
+        creationTime: Date.UTC(2021, 4, 2, 9, 15),
+        latitude: expect.closeTo(-33.8667, 4),
+        longitude: expect.closeTo(151.21, 4),
+        cameraMake: 'Fujifilm',
+        cameraModel: 'X-T3'
+      }), { width: 120, height: 80 });
+    });
+
+    test('should name cached files by hash of IDs that contain paths', async () => {
+      const fileCacheManager = new CacheManager(
+        { cachePath: tempCachePath, useBlobStorage: false },
+        mockDb,
+        mockDriveAPI,
+        () => {}
+      );
+      fileCacheManager.stop();
+      for (const photoId of ['/mnt/nas/Photos/2024/a.jpg', 'local:../../escape.jpg']) {
+        mockDriveAPI.downloadPhoto.mockResolvedValue(require('stream').Readable.from([await createMockJpegBuffer()]));
+
+        await fileCacheManager.downloadPhoto(photoId);
+      }
+
+      const files = await fs.promises.readdir(tempCachePath);
+      expect(files).toHaveLength(2);
+      expect(files.every(file => /^[0-9a-f]{40}\.jpg$/.test(file))).toBe(true);
+      expect(mockDb.updatePhotoCache).toHaveBeenCalledWith('/mnt/nas/Photos/2024/a.jpg', expect.stringMatching(/^.*[0-9a-f]{40}\.jpg$/), expect.any(Number));
+      expect(path.dirname(mockDb.updatePhotoCache.mock.calls[1][1])).toBe(tempCachePath);
+    });
+
     test('should retry failed downloads', async () => {
       const mockJpeg = await createMockJpegBuffer();
       mockDriveAPI.downloadPhoto
@@ -188,6 +300,88 @@ describe('CacheManager', () => {
     });
   });
 
+  describe('Image Processing', () => {
+    const processed = async (original) => {
+      mockDriveAPI.downloadPhoto.mockResolvedValue(require('stream').Readable.from([original]));
+      await cacheManager.downloadPhoto('photo');
+      return mockDb.updatePhotoCacheBlob.mock.calls[0][1];
+    };
+
+    test.each([1, 2, 3, 4, 5, 6, 7, 8])('should apply EXIF orientation %i', async (orientation) => {
+      const sharp = require('sharp');
+      const original = await createOrientedJpeg(orientation);
+      expect((await sharp(original).metadata()).orientation).toBe(orientation);
+
+      const { data, info } = await sharp(await processed(original)).raw().toBuffer({ resolveWithObject: true });
+
+      expect([info.width, info.height]).toEqual([ORIENTED_WIDTH, ORIENTED_HEIGHT]);
+      for (const [x, y] of [[6, 6], [41, 6], [41, 25], [6, 25]]) {
+        const pixel = [...data.subarray((y * info.width + x) * 3, (y * info.width + x) * 3 + 3)];
+        quadrantAt(x, y).forEach((value, channel) => expect(Math.abs(pixel[channel] - value)).toBeLessThan(40));
+      }
+      expect(mockDb.updatePhotoMetadata).toHaveBeenCalledWith('photo', expect.objectContaining({ orientation }), { width: ORIENTED_WIDTH, height: ORIENTED_HEIGHT });
+    });
+
+    test('should fit turned photos to the screen by their displayed size', async () => {
+      cacheManager.screenWidth = 24;
+      cacheManager.screenHeight = 24;
+
+      const info = await require('sharp')(await processed(await createOrientedJpeg(6))).metadata();
+
+      expect([info.width, info.height]).toEqual([24, 16]);
+    });
+
+    test('should turn RAW previews upright', async () => {
+      const sharp = require('sharp');
+      const preview = await sharp({ create: { width: 960, height: 640, channels: 3, background: '#48c' } })
+        .withMetadata({ orientation: 6 }) // RAF previews carry the camera's EXIF
+        .jpeg()
+        .toBuffer();
+      const raf = Buffer.alloc(100 + preview.length);
+      raf.write('FUJIFILMCCD-RAW 0201FF383501', 0, 'latin1');
+      raf.writeUInt32BE(100, 84);
+      raf.writeUInt32BE(preview.length, 88);
+      preview.copy(raf, 100);
+
+      const info = await sharp(await processed(raf)).metadata();
+
+      expect([info.width, info.height]).toEqual([640, 960]);
+      expect(mockDb.updatePhotoMetadata).toHaveBeenCalledWith('photo', expect.objectContaining({ orientation: 6 }), { width: 640, height: 960 });
+    });
+
+    test('should skip photos in formats it can\'t decode without retrying', async () => {
+      const bmp = Buffer.alloc(64);
+      bmp.write('BM', 0, 'latin1');
+      mockDriveAPI.downloadPhoto.mockResolvedValue(require('stream').Readable.from([bmp]));
+
+      const result = await cacheManager.downloadPhoto('photo.bmp');
+
+      expect(result).toEqual({ success: false, photoId: 'photo.bmp', skipped: true });
+      expect(mockDriveAPI.downloadPhoto).toHaveBeenCalledTimes(1);
+      expect(mockDb.markPhotoSkipped).toHaveBeenCalledWith('photo.bmp', expect.stringContaining('BMP'));
+      expect(mockDb.updatePhotoCacheBlob).not.toHaveBeenCalled();
+    });
+
+    test('should convert wide-gamut photos to sRGB', async () => {
+      const sharp = require('sharp');
+      const color = [200, 100, 50];
+      const p3 = await sharp({ create: { width: 16, height: 16, channels: 3, background: { r: 200, g: 100, b: 50 } } })
+        .withIccProfile('p3') // Stores the color as Display P3 values
+        .jpeg({ quality: 100 })
+        .toBuffer();
+      const storedValues = await sharp(p3).keepIccProfile().raw().toBuffer();
+      expect(Math.abs(storedValues[0] - color[0])).toBeGreaterThan(5);
+
+      const output = await processed(p3);
+      const metadata = await sharp(output).metadata();
+      const pixel = await sharp(output).keepIccProfile().raw().toBuffer();
+
+      expect(metadata.space).toBe('srgb');
+      expect(metadata.icc).toBeDefined();
+      color.forEach((value, channel) => expect(Math.abs(pixel[channel] - value)).toBeLessThan(4));
+    });
+  });
+
   describe('Batch Downloads', () => {
     test('should download multiple photos', async () => {
       const mockJpeg = await createMockJpegBuffer();
@@ -245,6 +439,150 @@ describe('CacheManager', () => {
 
       expect(cacheManager.consecutiveFailures).toBe(0);
     });
+
+    test('should cache "on this day" photos once a day', async () => {
+      const mockJpeg = await createMockJpegBuffer();
+      mockDriveAPI.downloadPhoto.mockImplementation(() => {
+        return Promise.resolve(require('stream').Readable.from([mockJpeg]));
+      });
+      mockDb.getCacheSizeBytes.mockResolvedValue(0);
+      mockDb.getPhotosToCache.mockImplementation(async (limit, idPrefixes, onThisDayOnly) => (
+        onThisDayOnly ? [{ id: 'memory1', filename: 'memory1.jpg' }] : []
+      ));
+      mockDb.sortMode = 'onThisDay';
+
+      try {
+        await cacheManager.tick();
+        await cacheManager.tick();
+      } finally {
+        delete mockDb.sortMode;
+      }
+
+      const memoryCalls = mockDb.getPhotosToCache.mock.calls.filter(call => call[2] === true);
+      expect(memoryCalls).toEqual([[50, null, true]]);
+      expect(mockDriveAPI.downloadPhoto).toHaveBeenCalledWith('memory1', expect.anything());
+    });
+  });
+
+  describe('Prefetch Queue', () => {
+    test('should size the prefetch depth from updateInterval and download speed', () => {
+      expect(cacheManager.getPrefetchDepth()).toBe(3); // 60s per photo
+
+      cacheManager.updateInterval = 10000;
+      expect(cacheManager.getPrefetchDepth()).toBe(9);
+
+      cacheManager.recordDownloadTime(20000);
+      expect(cacheManager.getPrefetchDepth()).toBe(18);
+
+      cacheManager.updateInterval = 5000;
+      expect(cacheManager.getBatchSize()).toBe(7);
+    });
+
+    test('should queue upcoming photos before choosing downloads', async () => {
+      mockDb.getCacheSizeBytes.mockResolvedValue(0);
+      mockDb.getPhotosToCache.mockResolvedValue([]);
+
+      await cacheManager.tick();
+
+      expect(mockDb.refillPlaybackQueue).toHaveBeenCalledWith(3);
+      expect(mockDb.refillPlaybackQueue.mock.invocationCallOrder[0])
+        .toBeLessThan(mockDb.getPhotosToCache.mock.invocationCallOrder[0]);
+    });
+  });
+
+  describe('Idle Throttling', () => {
+    beforeEach(() => {
+      mockDb.getCacheSizeBytes.mockResolvedValue(0);
+      mockDb.getPhotosToCache.mockResolvedValue([]);
+    });
+
+    test('should download one photo per tick while hidden with throttleWhenHidden', async () => {
+      const throttled = new CacheManager({ throttleWhenHidden: true }, mockDb, mockDriveAPI, () => {});
+      throttled.stop();
+
+      throttled.setIdle(true);
+      await throttled.tick();
+      expect(mockDb.getPhotosToCache).toHaveBeenLastCalledWith(1, null);
+
+      throttled.setIdle(false);
+      await throttled.tick();
+      expect(mockDb.getPhotosToCache).toHaveBeenLastCalledWith(5, null);
+    });
+
+    test('should keep downloading while hidden by default', async () => {
+      cacheManager.setIdle(true);
+      await cacheManager.tick();
+
+      expect(mockDb.getPhotosToCache).toHaveBeenLastCalledWith(5, null);
+    });
+  });
+
+  describe('Videos', () => {
+    const clip = (filename) => ({ id: `folder/${filename}`, filename, media_type: 'video' });
+
+    beforeEach(() => {
+      mockDriveAPI.downloadPhoto.mockImplementation(() =>
+        Promise.resolve(require('stream').Readable.from([Buffer.alloc(1000)])));
+    });
+
+    test('should cache videos as files in batch downloads', async () => {
+      const results = await cacheManager.downloadBatchWithConcurrency([clip('a.mp4')]);
+
+      expect(results[0].value).toMatchObject({ success: true, size: 1000 });
+      const [id, filePath, size, mimeType] = mockDb.updatePhotoCache.mock.calls[0];
+      expect([id, size, mimeType]).toEqual(['folder/a.mp4', 1000, 'video/mp4']);
+      expect(path.dirname(filePath)).toBe(tempCachePath);
+      expect(fs.existsSync(filePath)).toBe(true);
+      expect(fs.readdirSync(tempCachePath)).toHaveLength(1);
+      expect(cacheManager.downloadMs).toBeNull();
+    });
+
+    test('should describe the settings that decide what is skipped', () => {
+      const context = cacheManager.getSkipContext();
+      expect(cacheManager.getSkipContext()).toBe(context);
+
+      cacheManager.maxVideoBytes = 500;
+      expect(cacheManager.getSkipContext()).not.toBe(context);
+    });
+
+    test('should skip videos over maxVideoSizeMB', async () => {
+      cacheManager.maxVideoBytes = 500;
+
+      const result = await cacheManager.downloadVideo(clip('a.mp4'));
+
+      expect(result.skipped).toBe(true);
+      expect(mockDb.markPhotoSkipped).toHaveBeenCalledWith('folder/a.mp4', expect.stringContaining('larger than'));
+      expect(mockDb.updatePhotoCache).not.toHaveBeenCalled();
+      expect(fs.readdirSync(tempCachePath)).toHaveLength(0);
+    });
+
+    test('should skip formats the browser cannot play without downloading them', async () => {
+      const result = await cacheManager.downloadVideo(clip('a.avi'));
+
+      expect(result.skipped).toBe(true);
+      expect(mockDriveAPI.downloadPhoto).not.toHaveBeenCalled();
+      expect(mockDb.markPhotoSkipped).toHaveBeenCalledWith('folder/a.avi', expect.stringContaining('videoTranscode'));
+    });
+
+    test('should cache videos as downloaded when ffmpeg is missing', async () => {
+      cacheManager.videoTranscode = true;
+      jest.spyOn(cacheManager, 'transcodeVideo').mockRejectedValue(Object.assign(new Error('spawn ffmpeg ENOENT'), { code: 'ENOENT' }));
+
+      await cacheManager.downloadVideo(clip('a.mov'));
+
+      expect(cacheManager.videoTranscode).toBe(false);
+      expect(mockDb.updatePhotoCache).toHaveBeenCalledWith('folder/a.mov', expect.stringMatching(/\.mov$/), 1000, 'video/quicktime');
+    });
+
+    test('should skip videos ffmpeg cannot transcode', async () => {
+      cacheManager.videoTranscode = true;
+      jest.spyOn(cacheManager, 'transcodeVideo').mockRejectedValue(new Error('ffmpeg failed (exit code 1): Invalid data'));
+
+      await cacheManager.downloadVideo(clip('a.mkv'));
+
+      expect(mockDb.markPhotoSkipped).toHaveBeenCalledWith('folder/a.mkv', expect.stringContaining('Invalid data'));
+      expect(fs.readdirSync(tempCachePath)).toHaveLength(0);
+    });
   });
 
   describe('Cache Eviction', () => {
@@ -265,6 +603,39 @@ describe('CacheManager', () => {
       expect(fs.existsSync(path.join(tempCachePath, 'old2.jpg'))).toBe(false);
     });
 
+    test('should evict BLOB photos without touching the filesystem', async () => {
+      const unlink = jest.spyOn(fs.promises, 'unlink');
+      mockDb.getOldestCachedPhotos.mockResolvedValue([
+        { id: 'blob1', cached_path: null, cached_size_bytes: 1000 },
+        { id: 'blob2', cached_path: null, cached_size_bytes: 1000 }
+      ]);
+
+      await cacheManager.evictOldest(2);
+
+      expect(unlink).not.toHaveBeenCalled();
+      expect(mockDb.clearPhotoCache).toHaveBeenCalledTimes(2);
+      expect(mockDb.reclaimSpace).toHaveBeenCalledTimes(1);
+      unlink.mockRestore();
+    });
+
+    test('should evict until the cache is below the limit', async () => {
+      const MB = 1024 * 1024;
+      mockDb.getCacheSizeBytes.mockResolvedValue(230 * MB);
+      mockDb.getPhotosToCache.mockResolvedValue([]);
+      // Each call returns the next oldest photos, like the real query after clearing
+      let next = 0;
+      mockDb.getOldestCachedPhotos.mockImplementation(async (limit) =>
+        Array.from({ length: limit }, () => ({ id: `blob${next++}`, cached_path: null, cached_size_bytes: 5 * MB }))
+      );
+
+      await cacheManager.tick();
+
+      // 230MB down to 90% of 200MB = 180MB
+      expect(mockDb.clearPhotoCache).toHaveBeenCalledTimes(10);
+      expect(mockDb.getOldestCachedPhotos).toHaveBeenCalledTimes(1);
+      expect(mockDb.reclaimSpace).toHaveBeenCalledTimes(1);
+    });
+
     test('should trigger eviction when cache is full', async () => {
       const maxSize = 200 * 1024 * 1024; // 200MB
       mockDb.getCacheSizeBytes.mockResolvedValue(maxSize + 1000000); // Over limit
@@ -279,6 +650,45 @@ describe('CacheManager', () => {
     });
   });
 
+  describe('Geocoding', () => {
+    test('should geocode through the queue with the configured geocoder', async () => {
+      const db = {
+        db: { get: jest.fn().mockResolvedValue({ latitude: 48.8566, longitude: 2.3522 }) },
+        getGeocodeCacheEntry: jest.fn().mockResolvedValue(null),
+        saveGeocodeCacheEntry: jest.fn(),
+        updateLocationName: jest.fn(),
+        getPhotosMissingLocation: jest.fn().mockResolvedValueOnce(['p1']).mockResolvedValue([])
+      };
+      const manager = new CacheManager({ geocoder: 'offline' }, db, mockDriveAPI, () => {});
+
+      expect(await manager.backfillLocations()).toBe(1);
+      expect(db.updateLocationName).toHaveBeenCalledWith('p1', 'Paris, France');
+      expect(db.saveGeocodeCacheEntry).toHaveBeenCalledWith(expect.stringMatching(/^Offline geocoder:/), '48.86,2.35', 'Paris, France');
+
+      manager.stop();
+      expect(manager.geocodeQueue.stopped).toBe(true);
+    });
+
+    test('should not geocode with geocoder "none" or a geocoder that failed to load', async () => {
+      const db = { db: { get: jest.fn() }, updateLocationName: jest.fn(), getPhotosMissingLocation: jest.fn() };
+
+      const disabled = new CacheManager({ geocoder: 'none' }, db, mockDriveAPI, () => {});
+      expect(await disabled.backfillLocations()).toBe(0);
+      expect(disabled.geocodeQueue.geocoder).toBeNull();
+      disabled.stop();
+
+      const broken = new CacheManager({ geocoder: 'offline' }, db, mockDriveAPI, () => {});
+      broken.geocodeQueue.geocoder.dataFile = '/nonexistent/cities.txt';
+      await broken.geocodeQueue.add('p1');
+      expect(broken.geocodeQueue.geocoder).toBeNull();
+      broken.stop();
+
+      expect(db.db.get).not.toHaveBeenCalled();
+      expect(db.getPhotosMissingLocation).not.toHaveBeenCalled();
+      expect(() => new CacheManager({ geocoder: 'google' }, db, mockDriveAPI, () => {})).toThrow('Unknown geocoder');
+    });
+  });
+
   describe('Cleanup', () => {
     test('should cleanup to target size', async () => {
       mockDb.getCacheSizeBytes.mockResolvedValue(500 * 1024 * 1024); // 500MB
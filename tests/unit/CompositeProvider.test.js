@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for CompositeProvider
+ * Tests provider ID assignment, photo ID namespacing and download routing
+ */
+
+const { Readable } = require('stream');
+const CompositeProvider = require('../../components/providers/CompositeProvider');
+
+describe('CompositeProvider', () => {
+  const createChild = (name) => ({
+    downloadPhoto: jest.fn(async (id) => Readable.from([`${name}:${id}`])),
+    getProviderName: () => name,
+    cleanup: jest.fn(async () => {})
+  });
+
+  describe('parseSourceConfigs', () => {
+    test('should default ids to the provider name', () => {
+      const sources = CompositeProvider.parseSourceConfigs([
+        { provider: 'google-drive', providerConfig: { driveFolders: [] } },
+        { provider: 'onedrive' }
+      ]);
+
+      expect(sources).toEqual([
+        { id: 'google-drive', provider: 'google-drive', providerConfig: { driveFolders: [] } },
+        { id: 'onedrive', provider: 'onedrive', providerConfig: {} }
+      ]);
+    });
+
+    test('should number repeated provider names', () => {
+      const sources = CompositeProvider.parseSourceConfigs([
+        { provider: 's3' },
+        { provider: 's3' },
+        { id: 'family', provider: 's3' }
+      ]);
+
+      expect(sources.map(s => s.id)).toEqual(['s3', 's3-2', 'family']);
+    });
+
+    test('should reject invalid configuration', () => {
+      expect(() => CompositeProvider.parseSourceConfigs([])).toThrow('non-empty array');
+      expect(() => CompositeProvider.parseSourceConfigs([{ providerConfig: {} }])).toThrow("missing 'provider'");
+      expect(() => CompositeProvider.parseSourceConfigs([{ id: 'a:b', provider: 's3' }])).toThrow('invalid id');
+      expect(() => CompositeProvider.parseSourceConfigs([
+        { id: 'photos', provider: 's3' },
+        { id: 'photos', provider: 'onedrive' }
+      ])).toThrow('Duplicate provider id "photos"');
+    });
+  });
+
+  describe('ID namespacing', () => {
+    test('should prefix and split IDs', () => {
+      const id = CompositeProvider.namespaceId('s3', 'photos/2024/a:b.jpg');
+
+      expect(id).toBe('s3:photos/2024/a:b.jpg');
+      expect(CompositeProvider.splitId(id)).toEqual({ sourceId: 's3', id: 'photos/2024/a:b.jpg' });
+      expect(CompositeProvider.splitId('no-namespace')).toBeNull();
+    });
+
+    test('should namespace photo id, parents and root folder', () => {
+      const photo = { id: 'abc', name: 'a.jpg', parents: ['folder1'], rootFolder: 'root', imageMediaMetadata: null };
+
+      expect(CompositeProvider.namespacePhoto('drive', photo)).toEqual({
+        id: 'drive:abc',
+        name: 'a.jpg',
+        parents: ['drive:folder1'],
+        rootFolder: 'drive:root',
+        imageMediaMetadata: null
+      });
+      expect(photo.id).toBe('abc');
+    });
+  });
+
+  describe('Routing', () => {
+    let drive;
+    let onedrive;
+    let sources;
+    let composite;
+
+    beforeEach(() => {
+      drive = createChild('Google Drive');
+      onedrive = createChild('OneDrive');
+      sources = [
+        { id: 'drive', provider: drive, initialized: true },
+        { id: 'onedrive', provider: onedrive, initialized: true }
+      ];
+      composite = new CompositeProvider(sources, () => {});
+    });
+
+    test('should download from the provider that owns the photo', async () => {
+      const stream = await composite.downloadPhoto('onedrive:ITEM1', { timeout: 1000 });
+
+      expect(onedrive.downloadPhoto).toHaveBeenCalledWith('ITEM1', { timeout: 1000 });
+      expect(drive.downloadPhoto).not.toHaveBeenCalled();
+      expect((await stream.toArray()).join('')).toBe('OneDrive:ITEM1');
+    });
+
+    test('should refuse downloads from offline providers', async () => {
+      sources[1].initialized = false;
+
+      await expect(composite.downloadPhoto('onedrive:ITEM1')).rejects.toThrow("Provider 'onedrive' is offline");
+      expect(composite.getOnlinePrefixes()).toEqual(['drive:']);
+    });
+
+    test('should reject photos from unknown providers', async () => {
+      await expect(composite.downloadPhoto('dropbox:/a.jpg')).rejects.toThrow('No provider configured');
+      await expect(composite.downloadPhoto('plain-id')).rejects.toThrow('No provider configured');
+    });
+
+    test('should combine provider names', () => {
+      expect(composite.getProviderName()).toBe('Google Drive + OneDrive');
+    });
+
+    test('should clean up every provider', async () => {
+      await composite.cleanup();
+
+      expect(drive.cleanup).toHaveBeenCalled();
+      expect(onedrive.cleanup).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,443 @@
+/**
+ * Unit Tests for DropboxProvider
+ * Runs the provider against a local HTTP stand-in for the Dropbox API
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const DropboxProvider = require('../../components/providers/DropboxProvider');
+
+/**
+ * Minimal in-memory Dropbox API stand-in
+ * Supports token refresh, list_folder (+continue, get_latest_cursor) and download
+ */
+function createDropboxStandIn() {
+  const files = new Map(); // path_lower -> { path_display, content, client_modified }
+  const changeLog = [];    // { tag, path_lower }
+  const requests = [];
+  const pageSize = 2;
+  let failNextContinueWithReset = false;
+
+  const encodeCursor = (state) => Buffer.from(JSON.stringify(state)).toString('base64');
+  const decodeCursor = (cursor) => JSON.parse(Buffer.from(cursor, 'base64').toString());
+
+  const isUnder = (root, p) => root === '' || p.startsWith(`${root}/`);
+
+  const fileEntry = (p) => {
+    const file = files.get(p);
+    return {
+      '.tag': 'file',
+      id: `id:${Buffer.from(p).toString('hex')}`,
+      name: path.posix.basename(file.path_display),
+      path_lower: p,
+      path_display: file.path_display,
+      client_modified: file.client_modified,
+      server_modified: file.client_modified,
+      size: file.content.length
+    };
+  };
+
+  const folderEntry = (p) => ({ '.tag': 'folder', name: path.posix.basename(p), path_lower: p, path_display: p });
+
+  // Full listing of a folder (files plus implied folders)
+  const listing = (root, recursive) => {
+    const entries = [];
+    const folders = new Set();
+
+    for (const p of [...files.keys()].sort()) {
+      if (!isUnder(root, p)) continue;
+      const relative = p.slice(root.length + 1).split('/');
+
+      if (relative.length === 1) {
+        entries.push(fileEntry(p));
+      } else if (recursive) {
+        for (let i = 1; i < relative.length; i++) {
+          folders.add(`${root}/${relative.slice(0, i).join('/')}`);
+        }
+        entries.push(fileEntry(p));
+      } else {
+        folders.add(`${root}/${relative[0]}`);
+      }
+    }
+
+    return [...[...folders].map(folderEntry), ...entries];
+  };
+
+  const page = (entries, state) => {
+    const slice = entries.slice(state.offset, state.offset + pageSize);
+    const nextOffset = state.offset + slice.length;
+    const hasMore = nextOffset < entries.length;
+    return {
+      entries: slice,
+      has_more: hasMore,
+      cursor: encodeCursor(hasMore
+        ? { ...state, offset: nextOffset }
+        : { root: state.root, pos: changeLog.length })
+    };
+  };
+
+  const handlers = {
+    '/oauth2/token': (body) => {
+      const params = new URLSearchParams(body);
+      if (params.get('refresh_token') !== 'refresh-123') {
+        return [400, { error: 'invalid_grant' }];
+      }
+      return [200, { access_token: 'access-456', expires_in: 14400, token_type: 'bearer' }];
+    },
+    '/2/users/get_current_account': () => [200, { account_id: 'dbid:test' }],
+    '/2/files/list_folder': (body) => {
+      const args = JSON.parse(body);
+      const root = args.path.toLowerCase();
+      return [200, page(listing(root, args.recursive), { root, recursive: args.recursive, offset: 0, listing: true })];
+    },
+    '/2/files/list_folder/get_latest_cursor': (body) => {
+      const args = JSON.parse(body);
+      return [200, { cursor: encodeCursor({ root: args.path.toLowerCase(), pos: changeLog.length }) }];
+    },
+    '/2/files/list_folder/continue': (body) => {
+      const state = decodeCursor(JSON.parse(body).cursor);
+
+      if (failNextContinueWithReset) {
+        failNextContinueWithReset = false;
+        return [409, { error_summary: 'reset/..', error: { '.tag': 'reset' } }];
+      }
+
+      if (state.listing) {
+        return [200, page(listing(state.root, state.recursive), state)];
+      }
+
+      const entries = changeLog
+        .slice(state.pos)
+        .filter(change => isUnder(state.root, change.path_lower))
+        .map(change => change.tag === 'deleted'
+          ? { '.tag': 'deleted', name: path.posix.basename(change.path_lower), path_lower: change.path_lower }
+          : fileEntry(change.path_lower));
+
+      return [200, { entries, has_more: false, cursor: encodeCursor({ root: state.root, pos: changeLog.length }) }];
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+
+      if (req.url === '/2/files/download') {
+        const args = JSON.parse(req.headers['dropbox-api-arg']);
+        const file = files.get(args.path.toLowerCase());
+        if (!file) {
+          res.writeHead(409, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error_summary: 'path/not_found/' }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.end(file.content);
+        return;
+      }
+
+      if (req.url !== '/oauth2/token' && req.headers.authorization !== 'Bearer access-456') {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error_summary: 'expired_access_token/' }));
+        return;
+      }
+
+      const handler = handlers[req.url];
+      const [status, payload] = handler ? handler(body) : [404, { error_summary: 'not_found' }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return {
+    server,
+    requests,
+    addFile(pathDisplay, content = 'jpeg-bytes', date = '2024-01-01T00:00:00Z') {
+      const p = pathDisplay.toLowerCase();
+      files.set(p, { path_display: pathDisplay, content: Buffer.from(content), client_modified: date });
+      changeLog.push({ tag: 'file', path_lower: p });
+    },
+    deletePath(pathDisplay) {
+      const p = pathDisplay.toLowerCase();
+      for (const key of [...files.keys()]) {
+        if (key === p || key.startsWith(`${p}/`)) files.delete(key);
+      }
+      // Dropbox reports a deleted folder once, without its children
+      changeLog.push({ tag: 'deleted', path_lower: p });
+    },
+    resetNextContinue() {
+      failNextContinueWithReset = true;
+    }
+  };
+}
+
+describe('DropboxProvider', () => {
+  let standIn;
+  let baseUrl;
+  let tokenPath;
+  let provider;
+
+  const createProvider = (folders) => new DropboxProvider({
+    tokenPath,
+    folders,
+    apiBase: `${baseUrl}/2`,
+    contentBase: `${baseUrl}/2`,
+    tokenUrl: `${baseUrl}/oauth2/token`,
+    pageDelayMs: 0
+  }, () => {});
+
+  beforeEach(async () => {
+    standIn = createDropboxStandIn();
+    await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${standIn.server.address().port}`;
+
+    tokenPath = path.resolve(__dirname, `../temp/token_dropbox_${Date.now()}.json`);
+    await fs.promises.mkdir(path.dirname(tokenPath), { recursive: true });
+    await fs.promises.writeFile(tokenPath, JSON.stringify({
+      refresh_token: 'refresh-123',
+      app_key: 'app-key',
+      app_secret: 'app-secret'
+    }));
+
+    standIn.addFile('/Photos/beach.jpg');
+    standIn.addFile('/Photos/notes.txt');
+    standIn.addFile('/Photos/2023/Party.PNG');
+    standIn.addFile('/Photos/2023/summer/lake.jpeg');
+    standIn.addFile('/Other/skip.jpg');
+
+    provider = createProvider([{ id: '/Photos', depth: -1 }]);
+    await provider.initialize();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => standIn.server.close(resolve));
+    await fs.promises.unlink(tokenPath).catch(() => {});
+  });
+
+  describe('Authentication', () => {
+    test('should refresh the access token on initialize and persist it', async () => {
+      const saved = JSON.parse(await fs.promises.readFile(tokenPath, 'utf8'));
+
+      expect(provider.accessToken).toBe('access-456');
+      expect(saved.access_token).toBe('access-456');
+      expect(saved.refresh_token).toBe('refresh-123');
+      expect(saved.expiry_date).toBeGreaterThan(Date.now());
+
+      const refresh = standIn.requests.find(r => r.url === '/oauth2/token');
+      expect(new URLSearchParams(refresh.body).get('client_id')).toBe('app-key');
+    });
+
+    test('should fail with an invalid refresh token', async () => {
+      await fs.promises.writeFile(tokenPath, JSON.stringify({ refresh_token: 'bad', app_key: 'app-key' }));
+
+      await expect(createProvider([]).initialize()).rejects.toThrow('Dropbox authentication failed');
+    });
+
+    test('should refresh an access token that expired early and retry once', async () => {
+      const refreshes = () => standIn.requests.filter(r => r.url === '/oauth2/token').length;
+      const before = refreshes();
+      provider.accessToken = 'expired'; // tokenExpiry still says it is valid
+
+      const photos = await provider.scanFolder('/Photos');
+
+      expect(photos).toHaveLength(3);
+      expect(refreshes()).toBe(before + 1);
+      expect(provider.accessToken).toBe('access-456');
+
+      // A refreshed token that is still rejected fails the request
+      provider.accessToken = 'expired';
+      jest.spyOn(provider, 'refreshAccessToken').mockResolvedValue();
+      await expect(provider.scanFolder('/Photos')).rejects.toMatchObject({ response: { status: 401 } });
+      expect(provider.refreshAccessToken).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fail without a refresh token', async () => {
+      await fs.promises.writeFile(tokenPath, JSON.stringify({ access_token: 'x' }));
+
+      await expect(createProvider([]).initialize()).rejects.toThrow('no refresh_token');
+    });
+  });
+
+  describe('scanFolder', () => {
+    test('should list images recursively with unlimited depth', async () => {
+      const photos = await provider.scanFolder('/Photos', -1);
+      const ids = photos.map(p => p.id).sort();
+
+      expect(ids).toEqual([
+        '/photos/2023/party.png',
+        '/photos/2023/summer/lake.jpeg',
+        '/photos/beach.jpg'
+      ]);
+    });
+
+    test('should return photos in the standard format', async () => {
+      const photos = await provider.scanFolder('/Photos', 0);
+
+      expect(photos).toEqual([{
+        id: '/photos/beach.jpg',
+        name: 'beach.jpg',
+        parents: ['/photos'],
+        folderPath: '/Photos',
+        createdTime: '2024-01-01T00:00:00Z',
+        size: 10,
+        imageMediaMetadata: null
+      }]);
+    });
+
+    test('should respect depth limit', async () => {
+      const photos = await provider.scanFolder('/Photos', 1);
+      const names = photos.map(p => p.name).sort();
+
+      expect(names).toEqual(['Party.PNG', 'beach.jpg']);
+    });
+
+    test('should deduplicate overlapping folders in full scan', async () => {
+      provider = createProvider([
+        { id: '/Photos', depth: -1 },
+        { id: '/Photos/2023', depth: 0 }
+      ]);
+      await provider.initialize();
+
+      const photos = await provider.fullScan();
+
+      expect(photos).toHaveLength(3);
+    });
+  });
+
+  describe('downloadPhoto', () => {
+    test('should stream file content', async () => {
+      const stream = await provider.downloadPhoto('/photos/beach.jpg');
+
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe('jpeg-bytes');
+    });
+
+    test('should escape non-ASCII paths in Dropbox-API-Arg', async () => {
+      standIn.addFile('/Photos/café.jpg');
+
+      await provider.downloadPhoto('/photos/café.jpg');
+
+      const request = standIn.requests.find(r => r.url === '/2/files/download' && r.headers['dropbox-api-arg'].includes('caf'));
+      expect(request.headers['dropbox-api-arg']).toBe('{"path":"/photos/caf\\u00e9.jpg"}');
+    });
+  });
+
+  describe('Incremental sync', () => {
+    test('should return no changes right after the start cursor', async () => {
+      const token = await provider.getStartPageToken();
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos).toHaveLength(0);
+      expect(changes.deletedIds).toHaveLength(0);
+      expect(JSON.parse(changes.nextToken)).toHaveProperty('/Photos');
+    });
+
+    test('should report new files and deletions via continue', async () => {
+      const token = await provider.getStartPageToken();
+
+      standIn.addFile('/Photos/2024/new.jpg');
+      standIn.addFile('/Other/ignored.jpg');
+      standIn.deletePath('/Photos/beach.jpg');
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos.map(p => p.id)).toEqual(['/photos/2024/new.jpg']);
+      expect(changes.deletedIds).toEqual(['/photos/beach.jpg']);
+
+      const continueCalls = standIn.requests.filter(r => r.url === '/2/files/list_folder/continue');
+      expect(continueCalls).toHaveLength(1);
+
+      // Next token picks up from where this sync stopped
+      const again = await provider.getChanges(changes.nextToken);
+      expect(again.photos).toHaveLength(0);
+    });
+
+    test('should expand deleted folders to the photos stored under them', async () => {
+      provider.setDatabase({
+        query: jest.fn().mockResolvedValue([
+          { id: '/photos/2023/party.png' },
+          { id: '/photos/2023/summer/lake.jpeg' }
+        ])
+      });
+      const token = await provider.getStartPageToken();
+
+      standIn.deletePath('/Photos/2023');
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.deletedIds).toEqual([
+        '/photos/2023',
+        '/photos/2023/party.png',
+        '/photos/2023/summer/lake.jpeg'
+      ]);
+      expect(provider.db.query).toHaveBeenCalledWith(expect.any(String), ['/photos/2023/%']);
+    });
+
+    test('should look up namespaced IDs when combined with other providers', async () => {
+      provider.setIdNamespace('family_dropbox:');
+      provider.setDatabase({
+        query: jest.fn().mockResolvedValue([{ id: 'family_dropbox:/photos/2023/party.png' }])
+      });
+      const token = await provider.getStartPageToken();
+
+      standIn.deletePath('/Photos/2023');
+
+      const changes = await provider.getChanges(token);
+
+      expect(provider.db.query).toHaveBeenCalledWith(expect.any(String), ['family\\_dropbox:/photos/2023/%']);
+      expect(changes.deletedIds).toEqual(['/photos/2023', '/photos/2023/party.png']);
+    });
+
+    test('should apply folder depth to changes', async () => {
+      provider = createProvider([{ id: '/Photos', depth: 0 }]);
+      await provider.initialize();
+      const token = await provider.getStartPageToken();
+
+      standIn.addFile('/Photos/top.jpg');
+      standIn.addFile('/Photos/2023/deep.jpg');
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos.map(p => p.name)).toEqual(['top.jpg']);
+    });
+
+    test('should rescan all folders when a cursor is reset', async () => {
+      provider = createProvider([{ id: '/Photos', depth: -1 }, { id: '/Other', depth: -1 }]);
+      await provider.initialize();
+      const token = await provider.getStartPageToken();
+      standIn.deletePath('/Photos/beach.jpg');
+      standIn.resetNextContinue();
+
+      const changes = await provider.getChanges(token);
+
+      // The deletion is not reported - the caller finds it by what is missing
+      expect(changes.fullScan).toBe(true);
+      expect(changes.deletedIds).toEqual([]);
+      expect(changes.photos.map(p => p.id).sort()).toEqual([
+        '/other/skip.jpg',
+        '/photos/2023/party.png',
+        '/photos/2023/summer/lake.jpeg'
+      ]);
+
+      const again = await provider.getChanges(changes.nextToken);
+      expect(again.fullScan).toBeUndefined();
+      expect(again.photos).toHaveLength(0);
+    });
+
+    test('should list folders missing from the token', async () => {
+      const changes = await provider.getChanges('{}');
+
+      expect(changes.photos).toHaveLength(3);
+      expect(JSON.parse(changes.nextToken)).toHaveProperty('/Photos');
+    });
+  });
+
+  test('should report provider name', () => {
+    expect(provider.getProviderName()).toBe('Dropbox');
+  });
+});
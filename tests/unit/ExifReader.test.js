@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for ExifReader
+ * Fixtures are written with sharp, so no sample photos are needed
+ */
+
+const sharp = require('sharp');
+const { parseExif, parseXmp, readMetadata } = require('../../components/ExifReader');
+
+const createPhoto = (image = sharp({ create: { width: 64, height: 48, channels: 3, background: '#888' } })) =>
+  image.jpeg().toBuffer().then(buffer => sharp(buffer));
+
+const metadataOf = async (image) => sharp(await image.jpeg().toBuffer()).metadata();
+
+const XMP = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/"
+      xmlns:exif="http://ns.adobe.com/exif/1.0/" xmlns:aux="http://ns.adobe.com/exif/1.0/aux/"
+      xmp:Rating="4" exif:DateTimeOriginal="2018-12-24T20:00:00+01:00"
+      exif:GPSLatitude="51,30.45N" exif:GPSLongitude="0,7.68W">
+    <dc:description><rdf:Alt><rdf:li xml:lang="x-default">Fish &amp; chips</rdf:li></rdf:Alt></dc:description>
+    <aux:Lens>XF 35mm</aux:Lens>
+  </rdf:Description>
+</rdf:RDF></x:xmpmeta>`;
+
+describe('ExifReader', () => {
+  test('should read time, position, camera and orientation from EXIF', async () => {
+    const photo = await createPhoto();
+    const metadata = await metadataOf(photo
+      .withExif({
+        IFD0: { Make: 'Canon', Model: 'EOS 5D', ImageDescription: 'Lake  ' },
+        IFD2: { DateTimeOriginal: '2019:07:14 18:30:05', OffsetTimeOriginal: '+02:00', LensModel: 'EF 24-70mm' },
+        IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '47/1 33/1 3600/100', GPSLongitudeRef: 'W', GPSLongitude: '13/1 39/1 0/1', GPSAltitude: '511/1' }
+      })
+      .withMetadata({ orientation: 6 }));
+
+    expect(readMetadata(metadata)).toEqual({
+      creationTime: Date.UTC(2019, 6, 14, 16, 30, 5),
+      latitude: expect.closeTo(47.56, 6),
+      longitude: expect.closeTo(-13.65, 6),
+      altitude: 511,
+      orientation: 6,
+      cameraMake: 'Canon',
+      cameraModel: 'EOS 5D',
+      lensModel: 'EF 24-70mm',
+      description: 'Lake',
+      rating: null
+    });
+  });
+
+  test('should take local time without an offset and fill gaps from XMP', async () => {
+    const photo = await createPhoto();
+    const metadata = await metadataOf(photo
+      .withExif({ IFD0: { Model: 'X100V' }, IFD2: { DateTimeOriginal: '2020:01:31 08:00:00' } })
+      .withXmp(XMP));
+
+    const result = readMetadata(metadata);
+
+    expect(result.creationTime).toBe(new Date(2020, 0, 31, 8).getTime());
+    expect(result.cameraModel).toBe('X100V');
+    expect(result).toMatchObject({ rating: 4, description: 'Fish & chips', lensModel: 'XF 35mm' });
+    expect(result.latitude).toBeCloseTo(51.5075, 6);
+    expect(result.longitude).toBeCloseTo(-0.128, 6);
+    expect(parseXmp(XMP).creationTime).toBe(Date.UTC(2018, 11, 24, 19));
+  });
+
+  test('should read big-endian EXIF', () => {
+    // "MM" TIFF with one IFD0 entry: Orientation (SHORT) = 8
+    const tiff = Buffer.from([
+      0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+      0x00, 0x01,
+      0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x08, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00
+    ]);
+
+    expect(parseExif(tiff).orientation).toBe(8);
+  });
+
+  test('should ignore missing, corrupt and placeholder values', async () => {
+    const photo = await createPhoto();
+    const metadata = await metadataOf(photo.withExif({
+      IFD2: { DateTimeOriginal: '0000:00:00 00:00:00' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '0/1 0/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '0/1 0/1 0/1' }
+    }));
+
+    expect(readMetadata(metadata)).toMatchObject({ creationTime: null, latitude: null, longitude: null });
+    expect(readMetadata({})).toMatchObject({ creationTime: null, orientation: null, rating: null });
+    expect(parseExif(Buffer.from('Exif\0\0garbage that is not TIFF'))).toEqual({});
+    expect(() => parseExif(Buffer.from([0x49, 0x49, 0x2a, 0x00, 0xff, 0xff, 0xff, 0x7f, 0x01]))).not.toThrow();
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit Tests for GeocodeQueue
+ * Runs the queue against a real database with a scripted geocoder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PhotoDatabase = require('../../components/PhotoDatabase');
+const GeocodeQueue = require('../../components/GeocodeQueue');
+
+// Geocoder stand-in: answers from `places` ("lat,lon" with 2 decimals -> name)
+const createGeocoder = (places, requestInterval = 0) => {
+  const geocoder = {
+    requestInterval,
+    active: 0,
+    maxActive: 0,
+    calls: [],
+    initialize: jest.fn().mockResolvedValue(),
+    getGeocoderName: () => 'Test geocoder',
+    getCacheId: () => 'Test geocoder:1',
+    reverse: jest.fn(async (latitude, longitude) => {
+      geocoder.calls.push(Date.now());
+      geocoder.active++;
+      geocoder.maxActive = Math.max(geocoder.maxActive, geocoder.active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      geocoder.active--;
+      return places[`${latitude.toFixed(2)},${longitude.toFixed(2)}`] || null;
+    })
+  };
+  return geocoder;
+};
+
+const located = (id, latitude, longitude) => ({
+  id,
+  name: `${id}.jpg`,
+  parents: ['folder'],
+  imageMediaMetadata: { width: 4000, height: 3000, location: { latitude, longitude } }
+});
+
+describe('GeocodeQueue', () => {
+  let db;
+  let testDbPath;
+  let queue;
+
+  const locationOf = async (id) => (await db.db.get('SELECT location_name FROM photos WHERE id = ?', [id])).location_name;
+
+  beforeEach(async () => {
+    testDbPath = path.resolve(__dirname, `../temp/geocode_${Date.now()}.db`);
+    await fs.promises.mkdir(path.dirname(testDbPath), { recursive: true });
+
+    db = new PhotoDatabase(testDbPath, () => {}); // Silent logger
+    await db.initialize();
+    await db.savePhotos([
+      located('paris1', 48.8566, 2.3522),
+      located('paris2', 48.8581, 2.3499), // Same rounded coordinates
+      located('sydney', -33.8688, 151.2093),
+      located('ocean', 35.0, -40.0)
+    ]);
+  });
+
+  afterEach(async () => {
+    if (queue) {
+      queue.stop();
+    }
+    await db.close();
+    await fs.promises.rm(testDbPath, { force: true });
+  });
+
+  test('should look up one photo at a time with the request interval', async () => {
+    const geocoder = createGeocoder({ '48.86,2.35': 'Paris, France', '-33.87,151.21': 'Sydney, Australia' }, 100);
+    queue = new GeocodeQueue(geocoder, db, () => {});
+
+    await Promise.all(['paris1', 'sydney', 'ocean'].map(id => queue.add(id)));
+
+    expect(geocoder.maxActive).toBe(1);
+    expect(geocoder.calls).toHaveLength(3);
+    expect(geocoder.calls[1] - geocoder.calls[0]).toBeGreaterThanOrEqual(95);
+    expect(geocoder.calls[2] - geocoder.calls[1]).toBeGreaterThanOrEqual(95);
+    expect(geocoder.initialize).toHaveBeenCalledTimes(1);
+    expect(await locationOf('sydney')).toBe('Sydney, Australia');
+  });
+
+  test('should keep results, including unknown places, across restarts', async () => {
+    const geocoder = createGeocoder({ '48.86,2.35': 'Paris, France' });
+    queue = new GeocodeQueue(geocoder, db, () => {});
+    await queue.add('paris1');
+    await queue.add('ocean');
+    queue.stop();
+
+    const restarted = createGeocoder({});
+    queue = new GeocodeQueue(restarted, db, () => {});
+    await queue.add('paris2');
+    await queue.add('ocean');
+
+    expect(restarted.reverse).not.toHaveBeenCalled();
+    expect(await locationOf('paris2')).toBe('Paris, France');
+    expect(await db.getGeocodeCacheEntry('Test geocoder:1', '35.00,-40.00')).toEqual({ location_name: null });
+    expect(await db.getGeocodeCacheEntry('Other geocoder:1', '48.86,2.35')).toBeNull();
+  });
+
+  test('should pause and retry the photo when rate limited', async () => {
+    const logs = [];
+    const geocoder = createGeocoder({ '48.86,2.35': 'Paris, France' });
+    geocoder.reverse.mockRejectedValueOnce(Object.assign(new Error('HTTP 429'), { status: 429, retryAfterMs: 50 }));
+    queue = new GeocodeQueue(geocoder, db, (...args) => logs.push(args.join(' ')));
+
+    await queue.add('paris1');
+
+    expect(geocoder.reverse).toHaveBeenCalledTimes(2);
+    expect(logs.some(line => line.includes('rate limit reached'))).toBe(true);
+    expect(await locationOf('paris1')).toBe('Paris, France');
+    expect(queue.backoffMs).toBe(0);
+  });
+
+  test('should not cache failed lookups', async () => {
+    const geocoder = createGeocoder({ '48.86,2.35': 'Paris, France' });
+    geocoder.reverse.mockRejectedValueOnce(new Error('socket hang up'));
+    queue = new GeocodeQueue(geocoder, db, () => {});
+
+    await queue.add('paris1');
+    expect(await db.getGeocodeCacheEntry('Test geocoder:1', '48.86,2.35')).toBeNull();
+
+    await queue.add('paris1');
+    expect(await locationOf('paris1')).toBe('Paris, France');
+  });
+
+  test('should only look up photos with coordinates', async () => {
+    const geocoder = createGeocoder({ '0.00,32.58': 'Lake Victoria' });
+    queue = new GeocodeQueue(geocoder, db, () => {});
+    await db.savePhotos([
+      { id: 'nowhere', name: 'nowhere.jpg', parents: ['folder'] },
+      located('equator', 0, 32.58)
+    ]);
+
+    await queue.add('nowhere');
+    await queue.add('missing');
+    await queue.add('equator');
+
+    expect(geocoder.reverse).toHaveBeenCalledTimes(1);
+    expect(await locationOf('equator')).toBe('Lake Victoria');
+  });
+
+  test('should backfill cached photos without a location name', async () => {
+    const geocoder = createGeocoder({ '48.86,2.35': 'Paris, France', '-33.87,151.21': 'Sydney, Australia' });
+    queue = new GeocodeQueue(geocoder, db, () => {});
+    for (const id of ['paris1', 'paris2', 'ocean']) {
+      await db.updatePhotoCacheBlob(id, Buffer.from('jpeg'));
+    }
+
+    expect(await queue.backfill()).toBe(3);
+
+    expect(await locationOf('paris1')).toBe('Paris, France');
+    expect(await locationOf('paris2')).toBe('Paris, France');
+    expect(geocoder.reverse).toHaveBeenCalledTimes(2); // paris2 comes from the cache
+    expect(await db.getPhotosMissingLocation()).toEqual(['ocean']); // Not cached: sydney; no place: ocean
+  });
+});
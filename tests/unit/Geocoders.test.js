@@ -0,0 +1,176 @@
+/**
+ * Unit Tests for the reverse geocoders
+ * Runs the offline geocoder against small datasets and the HTTP geocoders
+ * against a local stand-in server
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const KdTree = require('../../components/geocoders/KdTree');
+const OfflineGeocoder = require('../../components/geocoders/OfflineGeocoder');
+const NominatimGeocoder = require('../../components/geocoders/NominatimGeocoder');
+const UrlGeocoder = require('../../components/geocoders/UrlGeocoder');
+const { createGeocoder } = require('../../components/geocoders/GeocoderFactory');
+
+// One row in the GeoNames cities layout
+const geoNamesRow = ({ name, lat, lon, country, admin1 = '', population = '' }) => {
+  const columns = new Array(19).fill('');
+  columns[1] = name;
+  columns[4] = String(lat);
+  columns[5] = String(lon);
+  columns[8] = country;
+  columns[10] = admin1;
+  columns[14] = String(population);
+  return columns.join('\t');
+};
+
+describe('Geocoders', () => {
+  describe('KdTree', () => {
+    test('should find the same nearest point as a linear search', () => {
+      const items = Array.from({ length: 500 }, (_, i) => ({ id: i, point: [Math.random(), Math.random(), Math.random()] }));
+      const tree = new KdTree(items);
+
+      for (let i = 0; i < 50; i++) {
+        const query = [Math.random(), Math.random(), Math.random()];
+        const distance = (item) => item.point.reduce((sum, value, axis) => sum + (value - query[axis]) ** 2, 0);
+        const expected = items.reduce((best, item) => (distance(item) < distance(best) ? item : best));
+
+        expect(tree.nearest(query).item.id).toBe(expected.id);
+      }
+    });
+
+    test('should return null when empty', () => {
+      expect(new KdTree([]).nearest([0, 0, 0])).toBeNull();
+    });
+  });
+
+  describe('OfflineGeocoder', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = path.resolve(__dirname, `../temp/geocoder_${Date.now()}`);
+      await fs.promises.mkdir(tempDir, { recursive: true });
+    });
+
+    afterEach(async () => {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('should resolve places from the bundled dataset', async () => {
+      const geocoder = new OfflineGeocoder({}, () => {});
+      await geocoder.initialize();
+
+      expect(await geocoder.reverse(48.8566, 2.3522)).toBe('Paris, France');
+      expect(await geocoder.reverse(-33.86, 151.2)).toBe('Sydney, Australia');
+      expect(await geocoder.reverse(35.0, -40.0)).toBeNull(); // Middle of the Atlantic
+    });
+
+    test('should read GeoNames files with admin1 names and limits', async () => {
+      const dataFile = path.join(tempDir, 'cities.txt');
+      const admin1File = path.join(tempDir, 'admin1CodesASCII.txt');
+      await fs.promises.writeFile(dataFile, [
+        geoNamesRow({ name: 'Springfield', lat: 39.80, lon: -89.64, country: 'US', admin1: 'IL', population: 114000 }),
+        geoNamesRow({ name: 'Chatham', lat: 39.68, lon: -89.70, country: 'US', admin1: 'IL', population: 12000 }),
+        geoNamesRow({ name: 'Springfield', lat: 37.22, lon: -93.30, country: 'US', admin1: 'MO', population: 169000 })
+      ].join('\n'));
+      await fs.promises.writeFile(admin1File, 'US.IL\tIllinois\tIllinois\t4896861\nUS.MO\tMissouri\tMissouri\t4398678\n');
+
+      const geocoder = new OfflineGeocoder({ dataFile, admin1File, minPopulation: 50000, maxDistanceKm: 100 }, () => {});
+      await geocoder.initialize();
+
+      expect(await geocoder.reverse(39.68, -89.70)).toBe('Springfield, Illinois, United States'); // Chatham is too small
+      expect(await geocoder.reverse(37.2, -93.3)).toBe('Springfield, Missouri, United States');
+      expect(await geocoder.reverse(41.88, -87.63)).toBeNull(); // Chicago is ~280km away
+    });
+
+    test('should fail to initialize without places', async () => {
+      const dataFile = path.join(tempDir, 'empty.txt');
+      await fs.promises.writeFile(dataFile, '# nothing here\n');
+
+      await expect(new OfflineGeocoder({ dataFile }, () => {}).initialize()).rejects.toThrow('No places found');
+      await expect(new OfflineGeocoder({ dataFile: path.join(tempDir, 'missing.txt') }, () => {}).initialize()).rejects.toThrow();
+    });
+  });
+
+  describe('HTTP geocoders', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    let respond;
+
+    beforeEach(async () => {
+      requests = [];
+      respond = (res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ address: { town: 'Hallstatt', state: 'Upper Austria', country: 'Austria' } }));
+      };
+      server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://stand-in');
+        requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+        respond(res);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should query Nominatim and format the address', async () => {
+      const geocoder = new NominatimGeocoder({ url: `${baseUrl}/reverse`, email: 'me@example.com', language: 'de' }, () => {});
+
+      expect(await geocoder.reverse(47.56, 13.65)).toBe('Hallstatt, Upper Austria, Austria');
+      expect(requests[0].query).toEqual({ format: 'json', lat: '47.56', lon: '13.65', zoom: '14', email: 'me@example.com' });
+      expect(requests[0].headers['accept-language']).toBe('de');
+      expect(geocoder.requestInterval).toBe(0);
+      expect(new NominatimGeocoder({}, () => {}).requestInterval).toBe(1000); // Public instance
+      expect(new NominatimGeocoder({ requestInterval: 200 }, () => {}).requestInterval).toBe(1000);
+    });
+
+    test('should report the HTTP status of failed requests', async () => {
+      respond = (res) => {
+        res.writeHead(429, { 'Retry-After': '120' });
+        res.end();
+      };
+      const geocoder = new NominatimGeocoder({ url: `${baseUrl}/reverse` }, () => {});
+
+      await expect(geocoder.reverse(47.56, 13.65)).rejects.toMatchObject({ status: 429, retryAfterMs: 120000 });
+      expect(NominatimGeocoder.parseRetryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(55000);
+      expect(NominatimGeocoder.parseRetryAfter('soon')).toBeNull();
+    });
+
+    test('should fill in a URL template and read Photon and plain responses', async () => {
+      const geocoder = new UrlGeocoder({ url: `${baseUrl}/photon?lat={lat}&lon={lon}`, headers: { 'X-Api-Key': 'secret' } }, () => {});
+
+      respond = (res) => res.end(JSON.stringify({ features: [{ properties: { name: 'Hallstatt', state: 'Upper Austria', country: 'Austria' } }] }));
+      expect(await geocoder.reverse(47.56, 13.65)).toBe('Hallstatt, Upper Austria, Austria');
+      expect(requests[0]).toMatchObject({ path: '/photon', query: { lat: '47.56', lon: '13.65' } });
+      expect(requests[0].headers['x-api-key']).toBe('secret');
+
+      respond = (res) => res.end(JSON.stringify({ name: 'Lake Hallstatt' }));
+      expect(await geocoder.reverse(47.56, 13.65)).toBe('Lake Hallstatt');
+
+      respond = (res) => res.end(JSON.stringify({ features: [] }));
+      expect(await geocoder.reverse(0, 0)).toBeNull();
+    });
+  });
+
+  describe('GeocoderFactory', () => {
+    test('should create geocoders by name and validate their config', () => {
+      expect(createGeocoder('offline', {}, () => {})).toBeInstanceOf(OfflineGeocoder);
+      expect(() => createGeocoder('google', {}, () => {})).toThrow('Unknown geocoder: "google"');
+      expect(() => createGeocoder('url', { url: 'http://geo.local/reverse' }, () => {})).toThrow('{lat} and {lon}');
+    });
+
+    test('should give each geocoder configuration its own cache ID', () => {
+      const english = createGeocoder('nominatim', { language: 'en' }, () => {}).getCacheId();
+
+      expect(english).toMatch(/^Nominatim:[0-9a-f]{12}$/);
+      expect(createGeocoder('nominatim', { language: 'en' }, () => {}).getCacheId()).toBe(english);
+      expect(createGeocoder('nominatim', { language: 'de' }, () => {}).getCacheId()).not.toBe(english);
+      expect(createGeocoder('offline', { language: 'en' }, () => {}).getCacheId()).not.toBe(english);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for GoogleDriveProvider
+ * Runs the provider against an in-memory stand-in for the Drive v3 client
+ */
+
+const GoogleDriveProvider = require('../../components/providers/GoogleDriveProvider');
+
+/**
+ * Minimal in-memory Drive client stand-in
+ * Supports files.list (by parent), files.get (folder metadata) and changes.list
+ */
+function createDriveStandIn() {
+  const folders = new Map(); // id -> { name, parents }
+  const files = new Map();   // id -> file metadata
+  let pendingChanges = [];
+
+  const drive = {
+    files: {
+      list: jest.fn(async ({ q }) => {
+        const parentId = q.match(/'([^']+)' in parents/)[1];
+        const inParent = (item) => item.parents.includes(parentId);
+        const items = q.includes("mimeType='application/vnd.google-apps.folder'")
+          ? [...folders].filter(([, folder]) => inParent(folder)).map(([id, folder]) => ({ id, name: folder.name }))
+          : [...files.values()].filter(inParent);
+        return { data: { files: items } };
+      }),
+      get: jest.fn(async ({ fileId }) => {
+        const folder = folders.get(fileId);
+        if (!folder) {
+          throw new Error(`File not found: ${fileId}`);
+        }
+        return { data: { id: fileId, name: folder.name, parents: folder.parents } };
+      })
+    },
+    changes: {
+      list: jest.fn(async () => {
+        const changes = pendingChanges;
+        pendingChanges = [];
+        return { data: { changes, newStartPageToken: 'token-next' } };
+      })
+    }
+  };
+
+  return {
+    drive,
+    addFolder(id, name, parentId) {
+      folders.set(id, { name, parents: parentId ? [parentId] : [] });
+    },
+    putPhoto(id, name, parentId) {
+      const file = { id, name, mimeType: 'image/jpeg', parents: [parentId] };
+      files.set(id, file);
+      pendingChanges.push({ fileId: id, removed: false, file });
+    }
+  };
+}
+
+describe('GoogleDriveProvider', () => {
+  let standIn;
+  let provider;
+
+  const createProvider = (driveFolders) => {
+    const instance = new GoogleDriveProvider({ driveFolders }, () => {});
+    instance.drive = standIn.drive;
+    instance.setDatabase({});
+    return instance;
+  };
+
+  beforeEach(() => {
+    standIn = createDriveStandIn();
+    standIn.addFolder('my-drive', 'My Drive', null);
+    standIn.addFolder('photos', 'Photos', 'my-drive');
+    standIn.addFolder('y2024', '2024', 'photos');
+    standIn.addFolder('summer', 'Summer', 'y2024');
+    standIn.addFolder('other', 'Other', 'my-drive');
+
+    provider = createProvider([{ id: 'photos', depth: -1 }]);
+  });
+
+  describe('Incremental sync folder paths', () => {
+    test('should resolve folders it has not scanned, e.g. after a restart', async () => {
+      standIn.putPhoto('photo-1', 'beach.jpg', 'summer');
+
+      const changes = await provider.getChanges('token-1');
+
+      expect(changes.photos).toEqual([
+        expect.objectContaining({ id: 'photo-1', folderPath: '/2024/Summer', rootFolder: 'photos' })
+      ]);
+      expect(provider.folderPaths.get('y2024')).toBe('/2024');
+    });
+
+    test('should resolve a subfolder created after the last scan from the scanned paths', async () => {
+      await provider.fullScan();
+      standIn.addFolder('autumn', 'Autumn', 'y2024');
+      standIn.drive.files.get.mockClear();
+      standIn.putPhoto('photo-2', 'leaves.jpg', 'autumn');
+
+      const changes = await provider.getChanges('token-1');
+
+      expect(changes.photos[0].folderPath).toBe('/2024/Autumn');
+      // Only the new folder had to be looked up for its path
+      const pathLookups = standIn.drive.files.get.mock.calls.filter(([params]) => params.fields === 'id, name, parents');
+      expect(pathLookups).toEqual([[expect.objectContaining({ fileId: 'autumn' })]]);
+    });
+
+    test('should cache resolved paths', async () => {
+      standIn.putPhoto('photo-1', 'beach.jpg', 'summer');
+      await provider.getChanges('token-1');
+      standIn.drive.files.get.mockClear();
+
+      standIn.putPhoto('photo-3', 'dunes.jpg', 'summer');
+      const changes = await provider.getChanges('token-next');
+
+      expect(changes.photos[0].folderPath).toBe('/2024/Summer');
+      const pathLookups = standIn.drive.files.get.mock.calls.filter(([params]) => params.fields === 'id, name, parents');
+      expect(pathLookups).toHaveLength(0);
+    });
+
+    test('should skip photos outside the configured folders', async () => {
+      standIn.putPhoto('photo-4', 'receipt.jpg', 'other');
+
+      const changes = await provider.getChanges('token-1');
+
+      expect(changes.photos).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for ImageDecoder
+ * RAW files are laid out by hand around JPEG previews written with sharp
+ */
+
+const sharp = require('sharp');
+const ImageDecoder = require('../../components/ImageDecoder');
+const { readMetadata } = require('../../components/ExifReader');
+
+const createJpeg = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: '#468' } }).jpeg().toBuffer();
+
+// Helper: little-endian TIFF file. Each IFD is {entries: [[tag, type, value, count]], next}
+// where a value is a number, {ifd: index}, {data: blob name} or {size: blob name}
+function createTiff(ifds, blobs = {}) {
+  const ifdOffsets = [];
+  let end = 8;
+  for (const ifd of ifds) {
+    ifdOffsets.push(end);
+    end += 2 + ifd.entries.length * 12 + 4;
+  }
+  const blobOffsets = {};
+  for (const [name, blob] of Object.entries(blobs)) {
+    blobOffsets[name] = end;
+    end += blob.length;
+  }
+
+  const resolve = (value) => {
+    if (value.ifd !== undefined) {
+      return ifdOffsets[value.ifd];
+    }
+    if (value.data) {
+      return blobOffsets[value.data];
+    }
+    return value.size ? blobs[value.size].length : value;
+  };
+
+  const tiff = Buffer.alloc(end);
+  tiff.write('II*\0', 0, 'latin1');
+  tiff.writeUInt32LE(8, 4);
+  ifds.forEach((ifd, index) => {
+    let at = ifdOffsets[index];
+    tiff.writeUInt16LE(ifd.entries.length, at);
+    at += 2;
+    for (const [tag, type, value, count = 1] of ifd.entries) {
+      tiff.writeUInt16LE(tag, at);
+      tiff.writeUInt16LE(type, at + 2);
+      tiff.writeUInt32LE(count, at + 4);
+      if (type === 3) {
+        tiff.writeUInt16LE(resolve(value), at + 8);
+      } else {
+        tiff.writeUInt32LE(resolve(value), at + 8);
+      }
+      at += 12;
+    }
+    tiff.writeUInt32LE(ifd.next !== undefined ? ifdOffsets[ifd.next] : 0, at);
+  });
+  for (const [name, blob] of Object.entries(blobs)) {
+    blob.copy(tiff, blobOffsets[name]);
+  }
+  return tiff;
+}
+
+// Helper: NEF-like RAW file - IFD0 with the camera's EXIF, a preview sub-IFD,
+// and the sensor data IFD with a thumbnail (and optionally lossless JPEG data)
+function createRawFile({ preview, thumbnail, sensor = Buffer.alloc(64) }) {
+  const make = Buffer.from('NIKON CORPORATION\0', 'latin1');
+  const ifds = [
+    {
+      entries: [
+        [0x010f, 2, { data: 'make' }, make.length], // Make
+        [0x0112, 3, 6], // Orientation
+        ...(preview ? [[0x014a, 4, { ifd: 1 }]] : []) // SubIFDs
+      ],
+      next: 2
+    },
+    {
+      entries: [
+        [0x0103, 3, 6], // Compression: old-style JPEG
+        [0x0201, 4, { data: 'preview' }],
+        [0x0202, 4, { size: 'preview' }]
+      ]
+    },
+    {
+      entries: [
+        [0x0103, 3, 7], // Compression: JPEG (lossless for sensor data)
+        [0x0106, 3, 32803], // Photometric: CFA
+        [0x0111, 4, { data: 'sensor' }],
+        [0x0117, 4, { size: 'sensor' }],
+        [0x0201, 4, { data: 'thumbnail' }],
+        [0x0202, 4, { size: 'thumbnail' }]
+      ]
+    }
+  ];
+  return createTiff(ifds, { make, preview: preview || Buffer.alloc(0), thumbnail, sensor });
+}
+
+const header = (...parts) => {
+  const buffer = Buffer.alloc(64);
+  Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : part))).copy(buffer);
+  return buffer;
+};
+
+describe('ImageDecoder', () => {
+  let decoder;
+
+  beforeEach(() => {
+    decoder = new ImageDecoder(sharp, () => {}); // Silent logger
+  });
+
+  test('should detect formats from their first bytes', async () => {
+    const ftyp = (...brands) => header(Buffer.from([0, 0, 0, 8 + brands.length * 4]), 'ftyp', brands[0], '\0\0\0\0', ...brands.slice(1));
+    const thumbnail = await createJpeg(160, 120);
+
+    expect(ImageDecoder.detectFormat(await createJpeg(8, 8))).toBe('jpeg');
+    expect(ImageDecoder.detectFormat(await sharp({ create: { width: 8, height: 8, channels: 3, background: '#fff' } }).png().toBuffer())).toBe('png');
+    expect(ImageDecoder.detectFormat(await sharp({ create: { width: 8, height: 8, channels: 3, background: '#fff' } }).tiff().toBuffer())).toBe('tiff');
+    expect(ImageDecoder.detectFormat(header('RIFF\0\0\0\0WEBPVP8 '))).toBe('webp');
+    expect(ImageDecoder.detectFormat(header('BM'))).toBe('bmp');
+    expect(ImageDecoder.detectFormat(ftyp('heic', 'mif1', 'heic'))).toBe('heif');
+    expect(ImageDecoder.detectFormat(ftyp('mif1', 'mif1', 'miaf'))).toBe('heif');
+    expect(ImageDecoder.detectFormat(ftyp('avif', 'mif1', 'avif'))).toBe('avif');
+    expect(ImageDecoder.detectFormat(ftyp('crx ', 'crx ', 'isom'))).toBe('cr3');
+    expect(ImageDecoder.detectFormat(ftyp('isom', 'isom', 'mp41'))).toBeNull();
+    expect(ImageDecoder.detectFormat(header('II*\0', Buffer.from([16, 0, 0, 0]), 'CR'))).toBe('cr2');
+    expect(ImageDecoder.detectFormat(header('IIRO'))).toBe('orf');
+    expect(ImageDecoder.detectFormat(header('IIU\0'))).toBe('rw2');
+    expect(ImageDecoder.detectFormat(header('FUJIFILMCCD-RAW 0201'))).toBe('raf');
+    expect(ImageDecoder.detectFormat(createRawFile({ thumbnail }))).toBe('raw');
+    expect(ImageDecoder.detectFormat(header('<html>'))).toBeNull();
+  });
+
+  test('should use the largest JPEG preview of a RAW file with the RAW file\'s EXIF', async () => {
+    const preview = await createJpeg(1200, 800);
+    const raw = createRawFile({ preview, thumbnail: await createJpeg(160, 120) });
+
+    const decoded = await decoder.decode(raw);
+
+    expect(decoded).toMatchObject({ format: 'raw', width: 1200, height: 800, oriented: false });
+    expect(decoded.image.equals(preview)).toBe(true);
+    expect(readMetadata(decoded)).toMatchObject({ cameraMake: 'NIKON CORPORATION', orientation: 6 });
+  });
+
+  test('should not show thumbnails or lossless sensor data of RAW files', async () => {
+    const lossless = Buffer.from([0xff, 0xd8, 0xff, 0xc3, 0, 11, 8, 0x0f, 0xa0, 0x0b, 0xb8, 1, 1, 0x11, 0, 0]);
+    const raw = createRawFile({ thumbnail: await createJpeg(160, 120), sensor: lossless });
+
+    await expect(decoder.decode(raw)).rejects.toMatchObject({ code: 'UNSUPPORTED_FORMAT' });
+  });
+
+  test('should read the preview of RAF files', async () => {
+    const preview = await createJpeg(960, 640);
+    const raf = Buffer.alloc(100 + preview.length);
+    raf.write('FUJIFILMCCD-RAW 0201FF383501', 0, 'latin1');
+    raf.writeUInt32BE(100, 84);
+    raf.writeUInt32BE(preview.length, 88);
+    preview.copy(raf, 100);
+
+    const decoded = await decoder.decode(raf);
+
+    expect(decoded).toMatchObject({ format: 'raf', width: 960, height: 640 });
+    expect(decoded.image.equals(preview)).toBe(true);
+  });
+
+  test('should decode AVIF with its rotation applied', async () => {
+    const avif = await sharp({ create: { width: 48, height: 32, channels: 3, background: '#a52' } })
+      .withMetadata({ orientation: 6 })
+      .avif()
+      .toBuffer();
+
+    const decoded = await decoder.decode(avif);
+
+    expect(decoded).toMatchObject({ format: 'avif', width: 32, height: 48, oriented: true });
+  });
+
+  test('should report HEIC as unsupported when no HEVC decoder is available', async () => {
+    const heic = header(Buffer.from([0, 0, 0, 24]), 'ftypheic\0\0\0\0mif1heic', Buffer.alloc(32, 1));
+
+    const error = await decoder.decode(heic).catch(e => e);
+
+    expect(error.code).toBe('UNSUPPORTED_FORMAT');
+    expect(error.message).toContain('heic-decode');
+    expect(decoder.sharpDecodesHevc).toBe(false);
+  });
+});
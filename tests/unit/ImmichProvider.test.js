@@ -0,0 +1,364 @@
+/**
+ * Unit Tests for ImmichProvider
+ * Runs the provider against a local HTTP stand-in for the Immich REST API
+ */
+
+const http = require('http');
+const ImmichProvider = require('../../components/providers/ImmichProvider');
+
+const API_KEY = 'immich-key-123';
+
+/**
+ * Minimal in-memory Immich API stand-in
+ * Supports /users/me, /albums/{id}, /search/metadata (paged) and asset downloads
+ */
+function createImmichStandIn() {
+  const assets = new Map(); // id -> asset
+  const albums = new Map(); // id -> { albumName, assetIds: Set }
+  const requests = [];
+  let brokenSearch = false;
+
+  const readBody = (req) => new Promise(resolve => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString();
+      resolve(text ? JSON.parse(text) : null);
+    });
+  });
+
+  const sendJson = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    const url = new URL(req.url, 'http://stand-in');
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+    if (req.headers['x-api-key'] !== API_KEY) {
+      sendJson(res, 401, { message: 'Invalid API key' });
+      return;
+    }
+
+    if (url.pathname === '/api/users/me') {
+      sendJson(res, 200, { id: 'user-1', email: 'alice@example.com' });
+      return;
+    }
+
+    const albumMatch = url.pathname.match(/^\/api\/albums\/([^/]+)$/);
+    if (albumMatch) {
+      const album = albums.get(albumMatch[1]);
+      if (!album) {
+        sendJson(res, 400, { message: 'Not found or no album.read access' });
+        return;
+      }
+      sendJson(res, 200, { id: albumMatch[1], albumName: album.albumName, assetCount: album.assetIds.size });
+      return;
+    }
+
+    if (url.pathname === '/api/search/metadata' && req.method === 'POST') {
+      if (brokenSearch) {
+        sendJson(res, 200, { message: 'Service starting up' });
+        return;
+      }
+
+      const matches = [...assets.values()].filter(asset => {
+        if (body.type && asset.type !== body.type) return false;
+        if (body.isFavorite && !asset.isFavorite) return false;
+        if (body.albumIds && !body.albumIds.every(id => albums.get(id)?.assetIds.has(asset.id))) return false;
+        return true;
+      });
+
+      const start = (body.page - 1) * body.size;
+      const items = matches.slice(start, start + body.size).map(asset => (
+        body.withExif ? asset : { ...asset, exifInfo: undefined }
+      ));
+      const nextPage = start + body.size < matches.length ? String(body.page + 1) : null;
+
+      sendJson(res, 200, { assets: { items, nextPage, count: items.length, total: matches.length } });
+      return;
+    }
+
+    const assetMatch = url.pathname.match(/^\/api\/assets\/([^/]+)\/(thumbnail|original)$/);
+    if (assetMatch) {
+      const asset = assets.get(assetMatch[1]);
+      if (!asset) {
+        sendJson(res, 404, { message: 'Asset not found' });
+        return;
+      }
+      const size = assetMatch[2] === 'original' ? 'original' : (url.searchParams.get('size') || 'thumbnail');
+      res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+      res.end(`${asset.id}:${size}`);
+      return;
+    }
+
+    sendJson(res, 404, { message: 'Not found' });
+  });
+
+  return {
+    server,
+    requests,
+    addAlbum(id, albumName) {
+      albums.set(id, { albumName, assetIds: new Set() });
+    },
+    putAsset(asset, albumId) {
+      assets.set(asset.id, {
+        type: 'IMAGE',
+        isFavorite: false,
+        isTrashed: false,
+        updatedAt: '2024-01-01T00:00:00.000Z',
+        checksum: `sum-${asset.id}`,
+        ...asset
+      });
+      if (albumId) {
+        albums.get(albumId).assetIds.add(asset.id);
+      }
+    },
+    removeFromAlbum(assetId, albumId) {
+      albums.get(albumId).assetIds.delete(assetId);
+    },
+    // Answer searches without an asset list, like a proxy in front of a starting server
+    breakSearch() {
+      brokenSearch = true;
+    }
+  };
+}
+
+describe('ImmichProvider', () => {
+  let standIn;
+  let baseUrl;
+  let provider;
+  let settings;
+  let mockDb;
+
+  const createProvider = (overrides = {}) => {
+    const instance = new ImmichProvider({
+      url: baseUrl,
+      apiKey: API_KEY,
+      albums: ['album-1'],
+      ...overrides
+    }, () => {});
+    instance.setDatabase(mockDb);
+    return instance;
+  };
+
+  beforeEach(async () => {
+    settings = new Map();
+    mockDb = {
+      getSetting: jest.fn(async (key) => settings.get(key) || null),
+      saveSetting: jest.fn(async (key, value) => { settings.set(key, value); })
+    };
+
+    standIn = createImmichStandIn();
+    await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${standIn.server.address().port}`;
+
+    standIn.addAlbum('album-1', 'Holidays');
+    standIn.addAlbum('album-2', 'Family');
+    standIn.putAsset({
+      id: 'asset-1',
+      originalFileName: 'IMG_0001.JPG',
+      fileCreatedAt: '2023-07-14T09:30:00.000Z',
+      exifInfo: {
+        exifImageWidth: 4032,
+        exifImageHeight: 3024,
+        orientation: '1',
+        dateTimeOriginal: '2023-07-14T09:30:00.000Z',
+        latitude: 48.8584,
+        longitude: 2.2945,
+        fileSizeInByte: 2048000
+      }
+    }, 'album-1');
+    standIn.putAsset({
+      id: 'asset-2',
+      originalFileName: 'portrait.heic',
+      fileCreatedAt: '2023-07-15T10:00:00.000Z',
+      isFavorite: true,
+      exifInfo: {
+        exifImageWidth: 4032,
+        exifImageHeight: 3024,
+        orientation: '6',
+        dateTimeOriginal: null,
+        latitude: null,
+        longitude: null
+      }
+    }, 'album-1');
+    standIn.putAsset({ id: 'clip-1', type: 'VIDEO', originalFileName: 'clip.mp4' }, 'album-1');
+    standIn.putAsset({ id: 'asset-3', originalFileName: 'family.jpg', fileCreatedAt: '2022-12-24T18:00:00.000Z' }, 'album-2');
+
+    provider = createProvider();
+    await provider.initialize();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => standIn.server.close(resolve));
+  });
+
+  describe('Constructor', () => {
+    test('should require url and apiKey', () => {
+      expect(() => new ImmichProvider({ apiKey: API_KEY }, () => {})).toThrow("requires 'url'");
+      expect(() => new ImmichProvider({ url: baseUrl }, () => {})).toThrow("requires 'apiKey'");
+    });
+
+    test('should accept the server URL with or without /api', () => {
+      expect(createProvider({ url: `${baseUrl}/` }).apiBase).toBe(`${baseUrl}/api`);
+      expect(createProvider({ url: `${baseUrl}/api` }).apiBase).toBe(`${baseUrl}/api`);
+    });
+
+    test('should pick the thumbnail size from the display size', () => {
+      expect(createProvider({ showWidth: 200, showHeight: 150 }).thumbnailSize).toBe('thumbnail');
+      expect(createProvider({ showWidth: 1280, showHeight: 800 }).thumbnailSize).toBe('preview');
+      expect(createProvider({ showWidth: 3840, showHeight: 2160 }).thumbnailSize).toBe('original');
+      expect(createProvider({ showWidth: 2048, previewSize: 2160 }).thumbnailSize).toBe('preview');
+    });
+
+    test('should honour an explicit thumbnail size', () => {
+      expect(createProvider({ showWidth: 200, thumbnailSize: 'fullsize' }).thumbnailSize).toBe('fullsize');
+      expect(() => createProvider({ thumbnailSize: 'huge' })).toThrow('thumbnailSize');
+    });
+  });
+
+  describe('initialize', () => {
+    test('should send the API key and check the albums', () => {
+      expect(standIn.requests[0].path).toBe('/api/users/me');
+      expect(standIn.requests[1]).toMatchObject({ path: '/api/albums/album-1', query: { withoutAssets: 'true' } });
+    });
+
+    test('should report an invalid API key', async () => {
+      provider = createProvider({ apiKey: 'wrong' });
+
+      await expect(provider.initialize()).rejects.toThrow('invalid API key');
+    });
+
+    test('should report a missing album', async () => {
+      provider = createProvider({ albums: ['nope'] });
+
+      await expect(provider.initialize()).rejects.toThrow('Immich album not found: nope');
+    });
+  });
+
+  describe('scanFolder', () => {
+    test('should map assets into the standard photo format', async () => {
+      const photos = await provider.scanFolder('album-1');
+
+      expect(photos).toHaveLength(2);
+      expect(photos[0]).toEqual({
+        id: 'asset-1',
+        name: 'IMG_0001.JPG',
+        parents: ['album-1'],
+        folderPath: 'Holidays',
+        createdTime: '2023-07-14T09:30:00.000Z',
+        size: 2048000,
+        updatedAt: '2024-01-01T00:00:00.000Z',
+        checksum: 'sum-asset-1',
+        imageMediaMetadata: {
+          width: 4032,
+          height: 3024,
+          time: '2023-07-14T09:30:00.000Z',
+          location: { latitude: 48.8584, longitude: 2.2945 }
+        }
+      });
+    });
+
+    test('should swap dimensions for rotated images and skip missing GPS', async () => {
+      const photos = await provider.scanFolder('album-1');
+      const portrait = photos.find(p => p.id === 'asset-2');
+
+      expect(portrait.imageMediaMetadata).toMatchObject({ width: 3024, height: 4032, location: null });
+    });
+
+    test('should request EXIF data and only images', async () => {
+      await provider.scanFolder('album-1');
+      const search = standIn.requests.find(r => r.path === '/api/search/metadata');
+
+      expect(search.body).toMatchObject({ albumIds: ['album-1'], type: 'IMAGE', withExif: true, page: 1 });
+    });
+
+    test('should follow search pagination', async () => {
+      provider = createProvider({ pageSize: 1 });
+
+      const photos = await provider.scanFolder('album-1');
+
+      expect(photos.map(p => p.id)).toEqual(['asset-1', 'asset-2']);
+      expect(standIn.requests.filter(r => r.path === '/api/search/metadata')).toHaveLength(2);
+    });
+  });
+
+  describe('fullScan', () => {
+    test('should combine albums and favourites without duplicates', async () => {
+      provider = createProvider({ albums: ['album-1', { id: 'album-2' }], favorites: true });
+
+      const photos = await provider.fullScan();
+
+      expect(photos.map(p => p.id).sort()).toEqual(['asset-1', 'asset-2', 'asset-3']);
+      expect(photos.find(p => p.id === 'asset-2').parents).toEqual(['album-1']);
+    });
+  });
+
+  describe('downloadPhoto', () => {
+    const readStream = async (stream) => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks).toString();
+    };
+
+    test('should download the preview rendition for typical displays', async () => {
+      provider = createProvider({ showWidth: 1280, showHeight: 720 });
+
+      expect(await readStream(await provider.downloadPhoto('asset-1'))).toBe('asset-1:preview');
+    });
+
+    test('should download the original for large displays', async () => {
+      provider = createProvider({ showWidth: 3840, showHeight: 2160 });
+
+      expect(await readStream(await provider.downloadPhoto('asset-1'))).toBe('asset-1:original');
+    });
+
+    test('should report missing assets', async () => {
+      await expect(provider.downloadPhoto('gone')).rejects.toThrow('Photo not found');
+    });
+  });
+
+  describe('Incremental sync', () => {
+    test('should detect new, edited and removed assets', async () => {
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+
+      standIn.putAsset({ id: 'asset-4', originalFileName: 'new.jpg' }, 'album-1');
+      standIn.putAsset({ id: 'asset-1', originalFileName: 'IMG_0001.JPG', updatedAt: '2024-02-01T00:00:00.000Z' }, 'album-1');
+      standIn.removeFromAlbum('asset-2', 'album-1');
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos.map(p => p.id).sort()).toEqual(['asset-1', 'asset-4']);
+      expect(changes.deletedIds).toEqual(['asset-2']);
+
+      const again = await provider.getChanges(changes.nextToken);
+      expect(again.photos).toHaveLength(0);
+      expect(again.deletedIds).toHaveLength(0);
+    });
+
+    test('should fail instead of reporting deletions for a search without assets', async () => {
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+
+      standIn.breakSearch();
+
+      await expect(provider.getChanges(token)).rejects.toThrow("Unexpected search response for album 'album-1'");
+    });
+
+    test('should require a database for incremental sync', async () => {
+      provider.setDatabase(null);
+
+      await expect(provider.getChanges('token')).rejects.toThrow('Database not set');
+    });
+  });
+
+  test('should report provider name', () => {
+    expect(provider.getProviderName()).toBe('Immich');
+  });
+});
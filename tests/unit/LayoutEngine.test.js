@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for LayoutEngine
+ * Tests layout selection and companion photo claiming
+ */
+
+const LayoutEngine = require('../../components/LayoutEngine');
+
+describe('LayoutEngine', () => {
+  const photo = (id, width, height) => ({ id, filename: `${id}.jpg`, width, height, media_type: 'image' });
+
+  let database;
+
+  beforeEach(() => {
+    database = {
+      getCompanionPhotos: jest.fn(async (first, count) => [photo('b', 600, 800), photo('c', 600, 800), photo('d', 600, 800)].slice(0, count)),
+      claimPhotos: jest.fn(async () => {})
+    };
+  });
+
+  test('should reject unknown collage layouts', () => {
+    expect(() => new LayoutEngine({ collageLayouts: ['3x3'] }, () => {})).toThrow('collageLayouts must be an array');
+    expect(() => new LayoutEngine({ collageLayouts: '2x2' }, () => {})).toThrow('collageLayouts must be an array');
+  });
+
+  test('should pair portrait photos on a landscape screen', async () => {
+    const engine = new LayoutEngine({ pairPortraits: true }, () => {});
+
+    const result = await engine.plan(photo('a', 3000, 4000), database);
+
+    expect(result.layout).toBe('pair');
+    expect(result.companions.map(p => p.id)).toEqual(['b']);
+    expect(database.getCompanionPhotos).toHaveBeenCalledWith(expect.objectContaining({ id: 'a' }), 1, { portrait: true });
+    expect(database.claimPhotos).toHaveBeenCalledWith(['b']);
+  });
+
+  test('should show landscape photos, videos and portrait screens alone', async () => {
+    const engine = new LayoutEngine({ pairPortraits: true }, () => {});
+    const portraitScreen = new LayoutEngine({ pairPortraits: true, showWidth: 1080, showHeight: 1920 }, () => {});
+
+    expect(await engine.plan(photo('a', 4000, 3000), database)).toEqual({ layout: 'single', companions: [] });
+    expect(await engine.plan({ ...photo('a', 1080, 1920), media_type: 'video' }, database)).toEqual({ layout: 'single', companions: [] });
+    expect(await portraitScreen.plan(photo('a', 3000, 4000), database)).toEqual({ layout: 'single', companions: [] });
+    expect(database.claimPhotos).not.toHaveBeenCalled();
+  });
+
+  test('should put small photos in the first collage that can be filled', async () => {
+    database.getCompanionPhotos.mockImplementation(async () => [photo('b', 640, 480), photo('c', 480, 360)]);
+    const engine = new LayoutEngine({ collageLayouts: ['2x2', '1+2'] }, () => {});
+
+    const result = await engine.plan(photo('a', 640, 480), database);
+
+    expect(database.getCompanionPhotos).toHaveBeenNthCalledWith(1, expect.anything(), 3, { maxWidth: 960, maxHeight: 540 });
+    expect(database.getCompanionPhotos).toHaveBeenNthCalledWith(2, expect.anything(), 2, { maxWidth: 960, maxHeight: 540 });
+    expect(result.layout).toBe('1+2');
+    expect(database.claimPhotos).toHaveBeenCalledWith(['b', 'c']);
+  });
+
+  test('should fall back to a single photo without enough companions', async () => {
+    database.getCompanionPhotos.mockImplementation(async () => []);
+    const engine = new LayoutEngine({ pairPortraits: true }, () => {});
+
+    expect(await engine.plan(photo('a', 3000, 4000), database)).toEqual({ layout: 'single', companions: [] });
+    expect(database.claimPhotos).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Unit Tests for LocalFileProvider
+ * Tests local folder scanning and snapshot-based incremental sync against a temp directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LocalFileProvider = require('../../components/providers/LocalFileProvider');
+
+describe('LocalFileProvider', () => {
+  let provider;
+  let rootDir;
+  let mockDb;
+  let settings;
+
+  // Helper: write a file (and its parent folders) under the temp root
+  async function writeFile(relativePath, content = 'data') {
+    const filePath = path.join(rootDir, relativePath);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+  }
+
+  beforeEach(async () => {
+    rootDir = path.resolve(__dirname, `../temp/local_${Date.now()}`);
+    await fs.promises.mkdir(rootDir, { recursive: true });
+
+    // In-memory settings table
+    settings = new Map();
+    mockDb = {
+      getSetting: jest.fn(async (key) => settings.get(key) || null),
+      saveSetting: jest.fn(async (key, value) => { settings.set(key, value); })
+    };
+
+    await writeFile('a.jpg');
+    await writeFile('notes.txt');
+    await writeFile('.hidden.jpg');
+    await writeFile('2023/b.png');
+    await writeFile('2023/summer/c.JPEG');
+
+    provider = new LocalFileProvider({
+      driveFolders: [{ id: rootDir, depth: -1 }]
+    }, () => {});
+    provider.setDatabase(mockDb);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  describe('Constructor', () => {
+    test('should require a path for every folder', () => {
+      expect(() => new LocalFileProvider({ driveFolders: [{ id: null, depth: -1 }] }, () => {}))
+        .toThrow("requires a folder path");
+    });
+
+    test('should report provider name', () => {
+      expect(provider.getProviderName()).toBe('Local Folder');
+    });
+  });
+
+  describe('Initialization', () => {
+    test('should initialize when folders exist', async () => {
+      await expect(provider.initialize()).resolves.toBeUndefined();
+    });
+
+    test('should fail when a folder is missing', async () => {
+      provider = new LocalFileProvider({
+        driveFolders: [{ id: path.join(rootDir, 'missing'), depth: -1 }]
+      }, () => {});
+
+      await expect(provider.initialize()).rejects.toThrow('Local folder unavailable');
+    });
+
+    test('should fail when a folder is a file', async () => {
+      provider = new LocalFileProvider({
+        driveFolders: [{ id: path.join(rootDir, 'a.jpg'), depth: -1 }]
+      }, () => {});
+
+      await expect(provider.initialize()).rejects.toThrow('is not a directory');
+    });
+  });
+
+  describe('scanFolder', () => {
+    test('should find images recursively and skip other files', async () => {
+      const photos = await provider.scanFolder(rootDir, -1);
+      const names = photos.map(p => p.name).sort();
+
+      expect(names).toEqual(['a.jpg', 'b.png', 'c.JPEG']);
+    });
+
+    test('should return photos in the standard format', async () => {
+      const photos = await provider.scanFolder(rootDir, 0);
+
+      expect(photos).toHaveLength(1);
+      expect(photos[0]).toMatchObject({
+        id: path.join(rootDir, 'a.jpg'),
+        name: 'a.jpg',
+        parents: [rootDir],
+        size: 4,
+        imageMediaMetadata: null
+      });
+      expect(new Date(photos[0].createdTime).getTime()).not.toBeNaN();
+    });
+
+    test('should only return videos with includeVideos', async () => {
+      await writeFile('2023/clip.MP4');
+      expect((await provider.scanFolder(rootDir, -1)).map(p => p.name)).not.toContain('clip.MP4');
+
+      provider = new LocalFileProvider({ driveFolders: [{ id: rootDir }], includeVideos: true }, () => {});
+      const photos = await provider.scanFolder(rootDir, -1);
+
+      expect(photos.find(p => p.name === 'clip.MP4')).toMatchObject({ mediaType: 'video' });
+      expect(photos.find(p => p.name === 'a.jpg').mediaType).toBeUndefined();
+    });
+
+    test('should respect depth limit', async () => {
+      const photos = await provider.scanFolder(rootDir, 1);
+      const names = photos.map(p => p.name).sort();
+
+      expect(names).toEqual(['a.jpg', 'b.png']);
+    });
+
+    test('should not loop through symlinked folders', async () => {
+      await fs.promises.symlink(rootDir, path.join(rootDir, '2023', 'loop'));
+
+      const photos = await provider.scanFolder(rootDir, -1);
+
+      expect(photos).toHaveLength(3);
+    });
+  });
+
+  describe('downloadPhoto', () => {
+    test('should return a readable stream of the file', async () => {
+      const stream = await provider.downloadPhoto(path.join(rootDir, '2023', 'b.png'));
+
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe('data');
+    });
+
+    test('should refuse paths outside configured folders', async () => {
+      await expect(provider.downloadPhoto(path.resolve(rootDir, '..', 'other.jpg')))
+        .rejects.toThrow('outside configured folders');
+    });
+
+    test('should report missing files', async () => {
+      await expect(provider.downloadPhoto(path.join(rootDir, 'gone.jpg')))
+        .rejects.toThrow('Photo not found');
+    });
+  });
+
+  describe('Folder weights', () => {
+    test('should tag photos with the configured folder they were found under', async () => {
+      const summer = path.join(rootDir, '2023', 'summer');
+      provider = new LocalFileProvider({
+        driveFolders: [
+          { id: rootDir, depth: 0 },
+          { id: summer, depth: -1, weight: 3, label: 'Summer' }
+        ]
+      }, () => {});
+
+      const photos = await provider.fullScan();
+
+      expect(photos.map(p => [p.name, p.rootFolder]).sort()).toEqual([
+        ['a.jpg', rootDir],
+        ['c.JPEG', summer]
+      ]);
+      expect(provider.getWeightedFolders()).toEqual([
+        { id: rootDir, weight: 1, label: null },
+        { id: summer, weight: 3, label: 'Summer' }
+      ]);
+    });
+
+    test('should reject invalid weights', () => {
+      provider = new LocalFileProvider({ driveFolders: [{ id: rootDir, weight: 0 }] }, () => {});
+
+      expect(() => provider.getWeightedFolders()).toThrow('invalid weight 0');
+    });
+  });
+
+  describe('Incremental sync', () => {
+    test('should store a snapshot on full scan', async () => {
+      const photos = await provider.fullScan();
+
+      expect(photos).toHaveLength(3);
+      const snapshot = JSON.parse(settings.get('local_snapshot'));
+      expect(Object.keys(snapshot)).toHaveLength(3);
+    });
+
+    test('should report no changes when nothing changed', async () => {
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos).toHaveLength(0);
+      expect(changes.deletedIds).toHaveLength(0);
+      expect(changes.nextToken).toBeTruthy();
+    });
+
+    test('should detect added, modified and deleted files', async () => {
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+
+      await writeFile('2023/new.jpg');
+      await writeFile('a.jpg', 'changed content');
+      await fs.promises.unlink(path.join(rootDir, '2023', 'summer', 'c.JPEG'));
+
+      const changes = await provider.getChanges(token);
+      const changedNames = changes.photos.map(p => p.name).sort();
+
+      expect(changedNames).toEqual(['a.jpg', 'new.jpg']);
+      expect(changes.deletedIds).toEqual([path.join(rootDir, '2023', 'summer', 'c.JPEG')]);
+
+      // Next sync starts from the new snapshot
+      const again = await provider.getChanges(changes.nextToken);
+      expect(again.photos).toHaveLength(0);
+      expect(again.deletedIds).toHaveLength(0);
+    });
+
+    test('should build a snapshot when asked for a start token', async () => {
+      await provider.getStartPageToken();
+
+      expect(settings.has('local_snapshot')).toBe(true);
+    });
+
+    test('should fail instead of reporting deletions when a folder is gone', async () => {
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+
+      await fs.promises.rm(rootDir, { recursive: true, force: true });
+
+      await expect(provider.getChanges(token)).rejects.toThrow('Local folder unavailable');
+    });
+
+    test('should fail instead of reporting deletions when a folder comes back empty', async () => {
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+      const snapshot = settings.get('local_snapshot');
+
+      // An unmounted share leaves an empty mount point behind
+      await fs.promises.rm(rootDir, { recursive: true, force: true });
+      await fs.promises.mkdir(rootDir);
+
+      await expect(provider.getChanges(token)).rejects.toThrow('Local folder is empty');
+      expect(settings.get('local_snapshot')).toBe(snapshot);
+    });
+
+    test('should accept a folder that was empty before', async () => {
+      await fs.promises.rm(rootDir, { recursive: true, force: true });
+      await fs.promises.mkdir(rootDir);
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos).toHaveLength(0);
+      expect(changes.deletedIds).toHaveLength(0);
+    });
+
+    test('should require a database for incremental sync', async () => {
+      provider.setDatabase(null);
+
+      await expect(provider.getChanges('token')).rejects.toThrow('Database not set');
+    });
+  });
+});
@@ -1,7 +1,77 @@
 /**
- * Unit tests for NodeHelper offline recovery mechanism
+ * Unit tests for NodeHelper
+ * The helper runs against a real PhotoDatabase; MagicMirror's node_helper and
+ * logger modules are mocked, and providers are plain objects
  */
 
+const fs = require('fs');
+const path = require('path');
+const { Writable } = require('stream');
+const Log = require('logger');
+const PhotoDatabase = require('../../components/PhotoDatabase');
+const PhotoFilter = require('../../components/PhotoFilter');
+const LayoutEngine = require('../../components/LayoutEngine');
+
+jest.mock('node_helper', () => ({ create: definition => definition }), { virtual: true });
+jest.mock('logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }), { virtual: true });
+
+const helperDefinition = require('../../node_helper');
+
+// Helper: started node helper with its database in a temporary module folder
+const createHelper = async (config = {}, expressApp = undefined) => {
+  const helper = Object.create(helperDefinition);
+  helper.name = 'MMM-CloudPhotos';
+  helper.path = path.resolve(__dirname, `../temp/helper_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+  helper.expressApp = expressApp;
+  helper.sendSocketNotification = jest.fn();
+  helper.start();
+
+  helper.config = config;
+  helper.photoFilter = new PhotoFilter({ include: config.include, exclude: config.exclude }, () => {});
+  helper.layoutEngine = new LayoutEngine(config, () => {});
+  await fs.promises.mkdir(helper.cachePath, { recursive: true });
+  helper.database = new PhotoDatabase(helper.dbPath, () => {});
+  await helper.database.initialize();
+  return helper;
+};
+
+const destroyHelper = async (helper) => {
+  // stop() doesn't wait for the database to close
+  const database = helper.database;
+  helper.database = null;
+  helper.stop();
+  await database.close();
+  await fs.promises.rm(helper.path, { recursive: true, force: true });
+};
+
+// Helper: provider entry like initializeProviders() creates
+const createSource = (provider, id = null) => ({
+  id,
+  name: 'test',
+  folders: [],
+  tokenKey: id ? `changes_token:${id}` : 'changes_token',
+  provider,
+  initialized: true,
+  retryAttempts: 0,
+  retryTimer: null,
+  isRetryScheduled: false
+});
+
+const createPhoto = (id, name = `${id}.jpg`) => ({ id, name, parents: ['root'] });
+
+// Helper: save photos with cached (BLOB) images
+const cachePhotos = async (helper, ids) => {
+  await helper.database.savePhotos(ids.map(id => createPhoto(id)));
+  for (const id of ids) {
+    await helper.database.updatePhotoCacheBlob(id, Buffer.from(`image ${id}`));
+  }
+};
+
+// Helper: IDs of the photos sent to the frontend, in order
+const shownIds = (helper) => helper.sendSocketNotification.mock.calls
+  .filter(([notification]) => notification === 'DISPLAY_PHOTO')
+  .map(([, payload]) => payload.id);
+
 describe('NodeHelper - Offline Recovery', () => {
   let nodeHelper;
 
@@ -251,3 +321,654 @@ describe('NodeHelper - Offline Recovery', () => {
     });
   });
 });
+
+describe('NodeHelper - Deletion Reconciliation', () => {
+  let helper;
+
+  // Make photos saved so far look like they were seen by an earlier scan
+  const ageSavedPhotos = () => helper.database.run('UPDATE photos SET last_seen_at = 0');
+
+  beforeEach(async () => {
+    helper = await createHelper();
+  });
+
+  afterEach(async () => {
+    await destroyHelper(helper);
+  });
+
+  test('should remove photos a full scan no longer lists', async () => {
+    const provider = { fullScan: jest.fn() };
+    const source = createSource(provider);
+    provider.fullScan.mockResolvedValue(['a', 'b', 'c', 'd'].map(id => createPhoto(id)));
+    await helper.syncSource(source, true);
+    await ageSavedPhotos();
+
+    provider.fullScan.mockResolvedValue(['a', 'b', 'c'].map(id => createPhoto(id)));
+    await helper.syncSource(source, false);
+
+    const ids = (await helper.database.query('SELECT id FROM photos ORDER BY id')).map(row => row.id);
+    expect(ids).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should refuse to delete more than maxDeletePercent of the photos', async () => {
+    const provider = { fullScan: jest.fn() };
+    const source = createSource(provider);
+    const ids = Array.from({ length: 20 }, (_, index) => `photo${index}`);
+    provider.fullScan.mockResolvedValue(ids.map(id => createPhoto(id)));
+    await helper.syncSource(source, true);
+    await ageSavedPhotos();
+
+    // An incomplete listing (e.g., a folder that failed to load) must not wipe the library
+    provider.fullScan.mockResolvedValue(ids.slice(0, 10).map(id => createPhoto(id)));
+    await helper.syncSource(source, false);
+
+    expect(await helper.database.getTotalPhotoCount()).toBe(20);
+    expect(Log.warn).toHaveBeenCalledWith('[CLOUDPHOTOS]', expect.stringContaining('maxDeletePercent (25%)'));
+
+    // Allowed once the limit is raised
+    helper.config.maxDeletePercent = 80;
+    await helper.syncSource(source, false);
+
+    expect(await helper.database.getTotalPhotoCount()).toBe(10);
+  });
+
+  test('should always allow a few deletions from a small library', async () => {
+    const provider = { fullScan: jest.fn() };
+    const source = createSource(provider);
+    provider.fullScan.mockResolvedValue(['a', 'b', 'c'].map(id => createPhoto(id)));
+    await helper.syncSource(source, true);
+    await ageSavedPhotos();
+
+    // 1 of 3 photos is more than 25%, but well within the minimum
+    provider.fullScan.mockResolvedValue(['a', 'b'].map(id => createPhoto(id)));
+    await helper.syncSource(source, false);
+
+    expect(await helper.database.getTotalPhotoCount()).toBe(2);
+    expect(Log.warn).not.toHaveBeenCalledWith('[CLOUDPHOTOS]', expect.stringContaining('maxDeletePercent'));
+    await ageSavedPhotos();
+
+    // An empty listing is still refused
+    provider.fullScan.mockResolvedValue([]);
+    await helper.syncSource(source, false);
+
+    expect(await helper.database.getTotalPhotoCount()).toBe(2);
+    expect(Log.warn).toHaveBeenCalledWith('[CLOUDPHOTOS]', expect.stringContaining('maxDeletePercent (25%)'));
+  });
+
+  test('should delete the cached files of removed photos', async () => {
+    const provider = { fullScan: jest.fn() };
+    const source = createSource(provider);
+    provider.fullScan.mockResolvedValue(['a', 'b', 'c', 'd'].map(id => createPhoto(id)));
+    await helper.syncSource(source, true);
+
+    const cachedPath = path.join(helper.cachePath, 'd.jpg');
+    await fs.promises.writeFile(cachedPath, 'image');
+    await helper.database.updatePhotoCache('d', cachedPath, 5);
+    await ageSavedPhotos();
+
+    provider.fullScan.mockResolvedValue(['a', 'b', 'c'].map(id => createPhoto(id)));
+    await helper.syncSource(source, false);
+
+    expect(fs.existsSync(cachedPath)).toBe(false);
+    expect(await helper.database.getCachedImage('d')).toBeNull();
+  });
+
+  test('should delete photos that the filter now excludes', async () => {
+    const provider = { fullScan: jest.fn(), getChanges: jest.fn() };
+    const source = createSource(provider);
+    provider.fullScan.mockResolvedValue([createPhoto('a'), createPhoto('b'), createPhoto('c'), createPhoto('d', 'd.png')]);
+    await helper.syncSource(source, true);
+    await ageSavedPhotos();
+
+    // Full scan: excluded photos are not saved again, so reconciliation removes them
+    helper.photoFilter = new PhotoFilter({ exclude: ['\\.png$'] }, () => {});
+    await helper.syncSource(source, false);
+    expect(await helper.database.getTotalPhotoCount()).toBe(3);
+
+    // Incremental sync: a changed photo that no longer matches is removed right away
+    await helper.database.saveSetting('changes_token', 'token-1');
+    provider.getChanges.mockResolvedValue({ photos: [createPhoto('c', 'c.png')], deletedIds: [], nextToken: 'token-2' });
+    await helper.syncSource(source, false);
+
+    const ids = (await helper.database.query('SELECT id FROM photos ORDER BY id')).map(row => row.id);
+    expect(ids).toEqual(['a', 'b']);
+    expect(await helper.database.getSetting('changes_token')).toBe('token-2');
+  });
+
+  test('should reconcile deletions when incremental sync had to list everything again', async () => {
+    const provider = { fullScan: jest.fn(), getChanges: jest.fn() };
+    const source = createSource(provider);
+    provider.fullScan.mockResolvedValue(['a', 'b', 'c', 'd'].map(id => createPhoto(id)));
+    await helper.syncSource(source, true);
+    await ageSavedPhotos();
+    await helper.database.saveSetting('changes_token', 'token-1');
+
+    provider.getChanges.mockResolvedValue({
+      photos: ['a', 'b', 'c'].map(id => createPhoto(id)),
+      deletedIds: [],
+      nextToken: 'token-2',
+      fullScan: true
+    });
+    await helper.syncSource(source, false);
+
+    expect(provider.fullScan).toHaveBeenCalledTimes(1);
+    expect(await helper.database.getTotalPhotoCount()).toBe(3);
+    expect(await helper.database.getSetting('changes_token')).toBe('token-2');
+  });
+
+  test('should refuse incremental deletions over maxDeletePercent and check them with a full scan', async () => {
+    const provider = { fullScan: jest.fn(), getChanges: jest.fn(), getStartPageToken: jest.fn() };
+    const source = createSource(provider);
+    provider.fullScan.mockResolvedValue(['a', 'b', 'c', 'd'].map(id => createPhoto(id)));
+    await helper.syncSource(source, true);
+    await ageSavedPhotos();
+    await helper.database.saveSetting('changes_token', 'token-1');
+
+    // A listing that came back empty reports every photo as deleted
+    provider.getChanges.mockResolvedValue({ photos: [], deletedIds: ['a', 'b', 'c', 'd'], nextToken: 'token-2' });
+    await helper.syncSource(source, false);
+
+    expect(await helper.database.getTotalPhotoCount()).toBe(4);
+    expect(Log.warn).toHaveBeenCalledWith('[CLOUDPHOTOS]', expect.stringContaining('reported 4 of 4 photos (100.0%) as deleted'));
+    expect(await helper.database.getSetting('changes_token')).toBeNull();
+
+    // The dropped token makes the next sync list everything again
+    provider.fullScan.mockResolvedValue(['a', 'b', 'c', 'd'].map(id => createPhoto(id)));
+    provider.getStartPageToken.mockResolvedValue('token-3');
+    await helper.syncSource(source, false);
+
+    expect(provider.fullScan).toHaveBeenCalledTimes(2);
+    expect(await helper.database.getTotalPhotoCount()).toBe(4);
+    expect(await helper.database.getSetting('changes_token')).toBe('token-3');
+  });
+
+  test('should run a full scan instead of incremental sync after a schema upgrade', async () => {
+    const provider = { fullScan: jest.fn(), getChanges: jest.fn() };
+    const source = createSource(provider);
+    provider.fullScan.mockResolvedValue(['a', 'b', 'c', 'd'].map(id => createPhoto(id)));
+    await helper.syncSource(source, true);
+    await ageSavedPhotos();
+    await helper.database.saveSetting('changes_token', 'token-1');
+
+    // Deletions missed while the change token was stored are only found by a full scan
+    helper.database.schemaUpgraded = true;
+    provider.fullScan.mockResolvedValue(['a', 'b', 'c'].map(id => createPhoto(id)));
+    await helper.syncSource(source, true);
+
+    expect(provider.getChanges).not.toHaveBeenCalled();
+    expect(await helper.database.getTotalPhotoCount()).toBe(3);
+
+    // Periodic syncs use the change token again
+    provider.getChanges.mockResolvedValue({ photos: [], deletedIds: ['c'], nextToken: 'token-2' });
+    await helper.syncSource(source, false);
+
+    expect(provider.getChanges).toHaveBeenCalledWith('token-1');
+    expect(await helper.database.getTotalPhotoCount()).toBe(2);
+  });
+});
+
+describe('NodeHelper - Multiple Providers', () => {
+  let helper;
+  let folders;
+
+  // Helper: folder with (empty) photo files
+  const createFolder = async (name, files = []) => {
+    const folder = path.join(helper.path, name);
+    await fs.promises.mkdir(folder, { recursive: true });
+    for (const file of files) {
+      await fs.promises.writeFile(path.join(folder, file), 'image');
+    }
+    return folder;
+  };
+
+  const localProvider = (id, folder, options = {}) => ({
+    id,
+    provider: 'local',
+    providerConfig: { driveFolders: [{ id: folder, ...options }] }
+  });
+
+  // Only timers are faked - the database and file system need real callbacks
+  const useFakeRetryTimers = () =>
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'Date', 'hrtime', 'performance'] });
+
+  const storedIds = async () =>
+    (await helper.database.query('SELECT id FROM photos ORDER BY id')).map(row => row.id);
+
+  beforeEach(async () => {
+    helper = await createHelper();
+    folders = {
+      nas: await createFolder('nas', ['a.jpg', 'b.jpg']),
+      usb: await createFolder('usb', ['c.jpg'])
+    };
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await destroyHelper(helper);
+  });
+
+  test('should keep the original IDs and token key with a single provider', async () => {
+    helper.config = { provider: 'local', providerConfig: { driveFolders: [{ id: folders.nas }] } };
+
+    await helper.initializeProviders();
+    await helper.performInitialScan(helper.sources[0]);
+
+    expect(helper.photoProvider).toBe(helper.sources[0].provider);
+    expect(await storedIds()).toEqual([path.join(folders.nas, 'a.jpg'), path.join(folders.nas, 'b.jpg')]);
+    expect(await helper.database.getSetting('changes_token')).not.toBeNull();
+  });
+
+  test('should namespace photo, folder and setting IDs by provider', async () => {
+    // The same folder twice: identical provider IDs must not collide
+    helper.config = {
+      providers: [
+        localProvider('home', folders.nas, { label: 'Home', weight: 2 }),
+        localProvider('backup', folders.nas, { label: 'Backup' })
+      ]
+    };
+
+    await helper.initializeProviders();
+    for (const source of helper.sources) {
+      await helper.performInitialScan(source);
+    }
+
+    expect(helper.sources.map(source => source.tokenKey)).toEqual(['changes_token:home', 'changes_token:backup']);
+    expect(await storedIds()).toEqual([
+      `backup:${path.join(folders.nas, 'a.jpg')}`,
+      `backup:${path.join(folders.nas, 'b.jpg')}`,
+      `home:${path.join(folders.nas, 'a.jpg')}`,
+      `home:${path.join(folders.nas, 'b.jpg')}`
+    ]);
+    expect(await helper.database.getSetting('changes_token:home')).not.toBeNull();
+    expect(await helper.database.getSetting('changes_token:backup')).not.toBeNull();
+    expect(await helper.database.getSetting('changes_token')).toBeNull();
+
+    // Folder weights and labels are found by the namespaced root folders
+    const roots = await helper.database.query('SELECT DISTINCT root_folder FROM photos ORDER BY root_folder');
+    expect(roots.map(row => helper.database.folderWeights.get(row.root_folder))).toEqual([
+      { id: `backup:${folders.nas}`, weight: 1, label: 'Backup' },
+      { id: `home:${folders.nas}`, weight: 2, label: 'Home' }
+    ]);
+  });
+
+  test('should remove photos saved before switching to multiple providers', async () => {
+    helper.config = { provider: 'local', providerConfig: { driveFolders: [{ id: folders.nas }] } };
+    await helper.initializeProviders();
+    await helper.performInitialScan(helper.sources[0]);
+
+    const cachedPath = path.join(helper.cachePath, 'a.jpg');
+    await fs.promises.writeFile(cachedPath, 'image');
+    await helper.database.updatePhotoCache(path.join(folders.nas, 'a.jpg'), cachedPath, 5);
+
+    helper.config = { providers: [localProvider('nas', folders.nas), localProvider('usb', folders.usb)] };
+    await helper.initializeProviders();
+
+    // The un-namespaced photos would otherwise be shown next to the same photos from 'nas'
+    expect(await storedIds()).toEqual([]);
+    expect(fs.existsSync(cachedPath)).toBe(false);
+    expect(await helper.database.getSetting('changes_token')).toBeNull();
+
+    for (const source of helper.sources) {
+      await helper.performInitialScan(source);
+    }
+    expect(await storedIds()).toEqual([
+      `nas:${path.join(folders.nas, 'a.jpg')}`,
+      `nas:${path.join(folders.nas, 'b.jpg')}`,
+      `usb:${path.join(folders.usb, 'c.jpg')}`
+    ]);
+
+    // Photos of a provider taken off the list go as well
+    helper.config = { providers: [localProvider('nas', folders.nas)] };
+    await helper.initializeProviders();
+
+    expect(await storedIds()).toEqual([
+      `nas:${path.join(folders.nas, 'a.jpg')}`,
+      `nas:${path.join(folders.nas, 'b.jpg')}`
+    ]);
+  });
+
+  test('should sync each provider with its own change token', async () => {
+    helper.config = { providers: [localProvider('nas', folders.nas), localProvider('usb', folders.usb)] };
+    await helper.initializeProviders();
+    for (const source of helper.sources) {
+      await helper.performInitialScan(source);
+    }
+    const [nas, usb] = helper.sources;
+    const usbToken = await helper.database.getSetting('changes_token:usb');
+
+    await fs.promises.unlink(path.join(folders.nas, 'a.jpg'));
+    await fs.promises.writeFile(path.join(folders.usb, 'd.jpg'), 'image');
+
+    // Syncing one provider only applies its own changes
+    await helper.syncSource(nas, false);
+    expect(await storedIds()).toEqual([
+      `nas:${path.join(folders.nas, 'b.jpg')}`,
+      `usb:${path.join(folders.usb, 'c.jpg')}`
+    ]);
+    expect(await helper.database.getSetting('changes_token:usb')).toBe(usbToken);
+
+    await helper.syncSource(usb, false);
+    expect(await storedIds()).toEqual([
+      `nas:${path.join(folders.nas, 'b.jpg')}`,
+      `usb:${path.join(folders.usb, 'c.jpg')}`,
+      `usb:${path.join(folders.usb, 'd.jpg')}`
+    ]);
+  });
+
+  test('should retry an offline provider on its own while the others stay online', async () => {
+    useFakeRetryTimers();
+    const missing = path.join(helper.path, 'not-mounted');
+    helper.config = { providers: [localProvider('nas', folders.nas), localProvider('usb', missing)] };
+
+    await helper.initializeProviders();
+    const [nas, usb] = helper.sources;
+
+    expect(nas).toMatchObject({ initialized: true, retryAttempts: 0, isRetryScheduled: false });
+    expect(usb).toMatchObject({ initialized: false, retryAttempts: 1, isRetryScheduled: true });
+    expect(helper.isAnyProviderOnline()).toBe(true);
+    expect(helper.sendSocketNotification).toHaveBeenCalledWith('CONNECTION_STATUS', {
+      status: 'online',
+      message: 'usb: Offline - retrying in 5s'
+    });
+
+    // The folder shows up before the retry
+    await createFolder('not-mounted', ['e.jpg']);
+    const retry = jest.spyOn(helper, 'retryProviderInitialization');
+    jest.advanceTimersByTime(5000);
+    await retry.mock.results[0].value;
+
+    expect(retry).toHaveBeenCalledWith(usb);
+    expect(usb).toMatchObject({ initialized: true, retryAttempts: 0, isRetryScheduled: false });
+    expect(await storedIds()).toEqual([`usb:${path.join(missing, 'e.jpg')}`]);
+    expect(helper.sendSocketNotification).toHaveBeenCalledWith('CONNECTION_STATUS', {
+      status: 'online',
+      message: 'usb: Online - 1 photos'
+    });
+  });
+
+  test('should take only the failing provider offline after a network error', async () => {
+    useFakeRetryTimers();
+    helper.config = { providers: [localProvider('nas', folders.nas), localProvider('usb', folders.usb)] };
+    await helper.initializeProviders();
+    const [nas, usb] = helper.sources;
+
+    jest.spyOn(nas.provider, 'fullScan').mockRejectedValue(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+    await helper.performInitialScan(nas);
+    await helper.performInitialScan(usb);
+
+    expect(nas).toMatchObject({ initialized: false, retryAttempts: 1, isRetryScheduled: true });
+    expect(usb).toMatchObject({ initialized: true, retryAttempts: 0, isRetryScheduled: false, retryTimer: null });
+    expect(helper.sendSocketNotification).toHaveBeenCalledWith('CONNECTION_STATUS', {
+      status: 'online',
+      message: 'nas: Offline - 0 cached photos'
+    });
+    expect(await storedIds()).toEqual([`usb:${path.join(folders.usb, 'c.jpg')}`]);
+  });
+});
+
+describe('NodeHelper - Display History', () => {
+  let helper;
+
+  beforeEach(async () => {
+    helper = await createHelper({ updateInterval: 60000 });
+    helper.displayStarted = true;
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await destroyHelper(helper);
+  });
+
+  test('should step back through the history and forward again to new photos', async () => {
+    await cachePhotos(helper, ['p1', 'p2', 'p3', 'p4']);
+    for (let i = 0; i < 3; i++) {
+      await helper.navigate(1);
+    }
+    const [first, second, third] = shownIds(helper);
+
+    await helper.navigate(-1);
+    await helper.navigate(-1);
+    await helper.navigate(-1); // Already at the oldest photo
+    expect(shownIds(helper).slice(3)).toEqual([second, first]);
+    expect(helper.historyIndex).toBe(0);
+
+    // Forward through the history first, then on to a photo not shown yet
+    await helper.navigate(1);
+    await helper.navigate(1);
+    await helper.navigate(1);
+    const shown = shownIds(helper);
+    expect(shown.slice(5, 7)).toEqual([second, third]);
+    expect([first, second, third]).not.toContain(shown[7]);
+    expect(helper.displayHistory.map(entry => entry.id)).toEqual([first, second, third, shown[7]]);
+    expect(helper.historyIndex).toBe(3);
+  });
+
+  test('should resend history photos without keeping their image data', async () => {
+    await cachePhotos(helper, ['p1', 'p2']);
+    await helper.navigate(1);
+    await helper.navigate(1);
+    await helper.navigate(-1);
+
+    const payloads = helper.sendSocketNotification.mock.calls.map(([, payload]) => payload);
+    expect(payloads[2]).toEqual(payloads[0]);
+    expect(helper.displayHistory.every(entry => entry.cached_data === null)).toBe(true);
+  });
+
+  test('should skip photos evicted from the cache when going back', async () => {
+    await cachePhotos(helper, ['p1', 'p2', 'p3']);
+    for (let i = 0; i < 3; i++) {
+      await helper.navigate(1);
+    }
+    const [first, second, third] = shownIds(helper);
+
+    await helper.database.clearPhotoCache(second);
+    await helper.navigate(-1);
+
+    expect(shownIds(helper)[3]).toBe(first);
+    expect(helper.displayHistory.map(entry => entry.id)).toEqual([first, third]);
+    expect(helper.historyIndex).toBe(0);
+
+    // Nothing earlier is left once the oldest photo is evicted too
+    await helper.database.clearPhotoCache(first);
+    await helper.navigate(1);
+    await helper.navigate(-1);
+
+    expect(shownIds(helper)).toHaveLength(5);
+    expect(shownIds(helper)[4]).toBe(third);
+  });
+
+  test('should remember the last 50 photos', async () => {
+    const ids = Array.from({ length: 55 }, (_, i) => `p${String(i).padStart(2, '0')}`);
+    await cachePhotos(helper, ids);
+    for (let i = 0; i < 52; i++) {
+      await helper.sendNextPhoto();
+    }
+    const shown = shownIds(helper);
+
+    expect(helper.displayHistory.map(entry => entry.id)).toEqual(shown.slice(-50));
+    expect(helper.historyIndex).toBe(49);
+
+    for (let i = 0; i < 55; i++) {
+      await helper.sendPreviousPhoto();
+    }
+    expect(helper.historyIndex).toBe(0);
+    expect(shownIds(helper).slice(-1)).toEqual([shown[2]]);
+    expect(shownIds(helper)).toHaveLength(52 + 49);
+  });
+
+  test('should give a photo shown by a manual step its full display time', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'Date', 'hrtime', 'performance'] });
+    await cachePhotos(helper, ['p1', 'p2', 'p3']);
+    await helper.navigate(1);
+    await helper.navigate(1);
+    const timed = jest.spyOn(helper, 'sendNextPhoto');
+
+    jest.advanceTimersByTime(50000);
+    await helper.navigate(-1);
+    jest.advanceTimersByTime(50000);
+    expect(timed).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(10000);
+    expect(timed).toHaveBeenCalledTimes(1);
+    await timed.mock.results[0].value;
+    expect(helper.historyIndex).toBe(1);
+
+    // Steps work while paused, and the timer stays stopped
+    helper.setPaused(true);
+    await helper.navigate(-1);
+    jest.advanceTimersByTime(120000);
+    expect(timed).toHaveBeenCalledTimes(1);
+    expect(helper.displayTimer).toBeNull();
+    expect(shownIds(helper)).toHaveLength(5);
+  });
+});
+
+describe('NodeHelper - Photo Route', () => {
+  let helper;
+  let expressApp;
+
+  // Helper: request a photo from servePhoto with an Express-like request, and
+  // resolve with what the response sent. `ranges` is what Express' req.range()
+  // returns for the Range header (-1 if it can't be satisfied)
+  const serve = (id, { ifNoneMatch, ranges } = {}) => new Promise((resolve, reject) => {
+    const chunks = [];
+    const res = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+    res.statusCode = 200;
+    res.headers = {};
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.set = (name, value) => {
+      Object.assign(res.headers, typeof name === 'string' ? { [name]: value } : name);
+      return res;
+    };
+    res.on('finish', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    res.on('close', () => reject(new Error('Response destroyed')));
+
+    const req = {
+      params: { id },
+      get fresh() {
+        return ifNoneMatch !== undefined && ifNoneMatch === res.headers.ETag;
+      },
+      range: () => ranges
+    };
+    helper.servePhoto(req, res);
+  });
+
+  const byteRange = (start, end) => Object.assign([{ start, end }], { type: 'bytes' });
+
+  const blob = Buffer.from('0123456789');
+
+  beforeEach(async () => {
+    expressApp = { get: jest.fn() };
+    helper = await createHelper({}, expressApp);
+    await helper.database.savePhotos([createPhoto('blob'), createPhoto('file', 'file.png')]);
+    await helper.database.updatePhotoCacheBlob('blob', blob);
+
+    const filePath = path.join(helper.cachePath, 'file.png');
+    await fs.promises.writeFile(filePath, 'abcdefghij');
+    await helper.database.updatePhotoCache('file', filePath, 10, 'image/png');
+  });
+
+  afterEach(async () => {
+    await destroyHelper(helper);
+  });
+
+  test('should serve cached photos from BLOBs and files', async () => {
+    expect(expressApp.get).toHaveBeenCalledWith('/MMM-CloudPhotos/photo/:id', expect.any(Function));
+
+    const { cached_at: cachedAt } = await helper.database.getCachedImage('blob');
+    expect(await serve('blob')).toEqual({
+      status: 200,
+      headers: {
+        'Content-Type': 'image/jpeg',
+        'ETag': `"${cachedAt}-10"`,
+        'Cache-Control': 'private, max-age=86400',
+        'Accept-Ranges': 'bytes',
+        'Content-Length': 10
+      },
+      body: blob
+    });
+
+    const file = await serve('file');
+    expect(file).toMatchObject({ status: 200, headers: { 'Content-Type': 'image/png', 'Content-Length': 10 } });
+    expect(file.body.toString()).toBe('abcdefghij');
+  });
+
+  test('should answer 304 while the browser has the photo as cached now', async () => {
+    const { headers } = await serve('blob');
+
+    const notModified = await serve('blob', { ifNoneMatch: headers.ETag });
+    expect(notModified.status).toBe(304);
+    expect(notModified.body).toHaveLength(0);
+
+    // Caching the photo again changes the ETag
+    await helper.database.updatePhotoCacheBlob('blob', Buffer.from('new image'));
+    const changed = await serve('blob', { ifNoneMatch: headers.ETag });
+    expect(changed.status).toBe(200);
+    expect(changed.headers.ETag).not.toBe(headers.ETag);
+    expect(changed.body.toString()).toBe('new image');
+  });
+
+  test('should serve byte ranges', async () => {
+    expect(await serve('blob', { ranges: byteRange(2, 5) })).toMatchObject({
+      status: 206,
+      headers: { 'Content-Range': 'bytes 2-5/10', 'Content-Length': 4 },
+      body: Buffer.from('2345')
+    });
+
+    const file = await serve('file', { ranges: byteRange(7, 9) });
+    expect(file).toMatchObject({ status: 206, headers: { 'Content-Range': 'bytes 7-9/10', 'Content-Length': 3 } });
+    expect(file.body.toString()).toBe('hij');
+
+    expect(await serve('file', { ranges: -1 })).toMatchObject({
+      status: 416,
+      headers: { 'Content-Range': 'bytes */10' },
+      body: Buffer.alloc(0)
+    });
+  });
+
+  test('should answer 404 for photos that are not cached', async () => {
+    await helper.database.savePhotos([createPhoto('uncached')]);
+    await fs.promises.unlink(path.join(helper.cachePath, 'file.png'));
+
+    expect((await serve('unknown')).status).toBe(404);
+    expect((await serve('uncached')).status).toBe(404);
+    expect((await serve('file')).status).toBe(404); // Cache file deleted behind our back
+  });
+
+  test('should resend photos as base64 and stop using URLs after 3 failures in a row', async () => {
+    const sent = () => helper.sendSocketNotification.mock.calls.at(-1)[1];
+    helper.displayStarted = true;
+    await helper.navigate(1);
+    const { id, url } = sent();
+    expect(url).toMatch(new RegExp(`^MMM-CloudPhotos/photo/${id}\\?v=\\d+$`));
+
+    // The photo that failed is sent again inline
+    await helper.socketNotificationReceived('IMAGE_URL_FAILED', { id });
+    expect(sent()).toMatchObject({ id, image: expect.any(String) });
+    expect(sent().url).toBeUndefined();
+
+    // A photo that loads resets the count
+    await helper.socketNotificationReceived('IMAGE_URL_FAILED', { id });
+    await helper.socketNotificationReceived('IMAGE_LOADED', { id });
+    await helper.socketNotificationReceived('IMAGE_URL_FAILED', { id });
+    await helper.socketNotificationReceived('IMAGE_URL_FAILED', { id });
+    expect(helper.photoRoute).toBe('MMM-CloudPhotos/photo');
+
+    await helper.socketNotificationReceived('IMAGE_URL_FAILED', { id });
+    expect(helper.photoRoute).toBeNull();
+    expect(Log.warn).toHaveBeenCalledWith('[CLOUDPHOTOS]', expect.stringContaining('sending photos as base64 from now on'));
+
+    await helper.navigate(1);
+    expect(sent().id).not.toBe(id);
+    expect(sent().url).toBeUndefined();
+    expect(['0123456789', 'abcdefghij']).toContain(Buffer.from(sent().image, 'base64').toString());
+  });
+});
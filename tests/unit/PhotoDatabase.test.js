@@ -55,6 +55,64 @@ describe('PhotoDatabase', () => {
 
       await newDb.close();
     });
+
+    test('should add new columns to databases from older versions', async () => {
+      await db.close();
+      await fs.promises.unlink(testDbPath);
+
+      // Schema as created by earlier releases
+      const sqlite = require('sqlite');
+      const sqlite3 = require('sqlite3');
+      const oldDb = await sqlite.open({ filename: testDbPath, driver: sqlite3.Database });
+      await oldDb.exec(`
+        CREATE TABLE photos (id TEXT PRIMARY KEY, folder_id TEXT NOT NULL, filename TEXT, creation_time INTEGER,
+          width INTEGER, height INTEGER, latitude REAL, longitude REAL, altitude REAL, location_name TEXT,
+          last_viewed_at INTEGER, cached_path TEXT, cached_at INTEGER, cached_size_bytes INTEGER,
+          cached_data BLOB, cached_mime_type TEXT);
+        INSERT INTO photos (id, folder_id, filename) VALUES ('old1', 'root', 'old.jpg');
+      `);
+      await oldDb.close();
+
+      db = new PhotoDatabase(testDbPath, () => {});
+      await db.initialize();
+
+      const columns = (await db.query('PRAGMA table_info(photos)')).map(c => c.name);
+      expect(columns).toContain('last_seen_at');
+      expect(columns).toContain('root_folder');
+      expect(db.schemaUpgraded).toBe(true);
+      expect(await db.getTotalPhotoCount()).toBe(1);
+      expect((await db.query('PRAGMA auto_vacuum'))[0].auto_vacuum).toBe(2); // INCREMENTAL
+    });
+
+    test('should keep the database when the one-time VACUUM fails', async () => {
+      await db.savePhotos([{ id: 'kept', name: 'kept.jpg', parents: ['root'] }]);
+      await db.run('PRAGMA auto_vacuum = NONE');
+      await db.run('VACUUM');
+      await db.close();
+
+      const sqlite = require('sqlite');
+      const open = sqlite.open;
+      const logs = [];
+      jest.spyOn(sqlite, 'open').mockImplementation(async (options) => {
+        const connection = await open(options);
+        const exec = connection.exec.bind(connection);
+        connection.exec = (sql) => (sql === 'VACUUM'
+          ? Promise.reject(Object.assign(new Error('SQLITE_FULL: database or disk is full'), { code: 'SQLITE_FULL' }))
+          : exec(sql));
+        return connection;
+      });
+
+      try {
+        db = new PhotoDatabase(testDbPath, (...args) => logs.push(args.join(' ')));
+        await db.initialize();
+      } finally {
+        jest.restoreAllMocks();
+      }
+
+      expect(await db.getTotalPhotoCount()).toBe(1);
+      expect(logs.some(line => line.includes('Could not enable incremental vacuum'))).toBe(true);
+      expect(logs.some(line => line.includes('rebuilding'))).toBe(false);
+    });
   });
 
   describe('Photo Operations', () => {
@@ -143,12 +201,141 @@ describe('PhotoDatabase', () => {
       expect(photos[0].id).toBe('cached123');
     });
 
+    test('should only get photos to cache with the given ID prefixes', async () => {
+      await db.savePhotos([
+        { id: 'drive:abc', name: 'a.jpg', parents: ['drive:root'] },
+        { id: 'one_drive:def', name: 'b.jpg', parents: ['one_drive:root'] },
+        { id: 'oneXdrive:ghi', name: 'c.jpg', parents: ['oneXdrive:root'] }
+      ]);
+
+      const photos = await db.getPhotosToCache(5, ['one_drive:']);
+
+      expect(photos.map(p => p.id)).toEqual(['one_drive:def']);
+      expect(await db.getPhotosToCache(5, [])).toEqual([]);
+    });
+
     test('should calculate cache size', async () => {
       await db.updatePhotoCache('cached123', '/path/to/cache.jpg', 1024000);
 
       const size = await db.getCacheSizeBytes();
       expect(size).toBe(1024000);
     });
+
+    test('should account for BLOB and file storage', async () => {
+      await db.savePhoto({ id: 'file123', name: 'file.jpg', parents: ['folder123'] });
+      await db.updatePhotoCacheBlob('cached123', Buffer.alloc(2048));
+      await db.updatePhotoCache('file123', '/path/to/file.jpg', 1024);
+
+      expect(await db.getCacheSizeBytes()).toBe(3072);
+      expect(await db.getCacheUsage()).toEqual({ blobCount: 1, blobBytes: 2048, fileCount: 1, fileBytes: 1024 });
+      expect(await db.getPhotosToCache(5)).toEqual([]);
+    });
+
+    test('should reclaim space after clearing BLOBs', async () => {
+      const ids = Array.from({ length: 20 }, (_, i) => `blob${i}`);
+      await db.savePhotos(ids.map(id => ({ id, name: `${id}.jpg`, parents: ['folder123'] })));
+      for (const id of ids) {
+        await db.updatePhotoCacheBlob(id, Buffer.alloc(64 * 1024, 1));
+      }
+      const full = await db.getStorageInfo();
+
+      for (const id of ids) {
+        await db.clearPhotoCache(id);
+      }
+      expect((await db.getStorageInfo()).freeBytes).toBeGreaterThan(0);
+
+      const reclaimed = await db.reclaimSpace();
+      const after = await db.getStorageInfo();
+
+      expect(reclaimed).toBeGreaterThan(20 * 64 * 1024 * 0.9);
+      expect(after.fileBytes).toBe(full.fileBytes - reclaimed);
+      expect(after.freeBytes).toBe(0);
+      expect(fs.statSync(testDbPath).size).toBe(after.fileBytes);
+    });
+  });
+
+  describe('Deletion Reconciliation', () => {
+    const savePhotos = (ids) => db.savePhotos(ids.map(id => ({ id, name: `${id}.jpg`, parents: ['root'] })));
+
+    test('should purge photos not seen since the scan started', async () => {
+      await savePhotos(['a', 'b', 'c', 'd']);
+      await db.updatePhotoCache('d', '/cache/d.jpg', 100);
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      const scanStartedAt = Date.now();
+      await savePhotos(['a', 'b']);
+
+      const result = await db.purgeUnseenPhotos(scanStartedAt, null, 50);
+
+      expect(result.refused).toBe(false);
+      expect(result.deleted).toEqual([
+        { id: 'c', cached_path: null },
+        { id: 'd', cached_path: '/cache/d.jpg' }
+      ]);
+      expect(await db.getTotalPhotoCount()).toBe(2);
+    });
+
+    test('should refuse to delete more than maxDeletePercent', async () => {
+      await savePhotos(['a', 'b', 'c', 'd']);
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      const scanStartedAt = Date.now();
+      await savePhotos(['a']);
+
+      const result = await db.purgeUnseenPhotos(scanStartedAt, null, 50);
+
+      expect(result).toEqual({ deleted: [], unseenCount: 3, totalCount: 4, refused: true });
+      expect(await db.getTotalPhotoCount()).toBe(4);
+    });
+
+    test('should always allow minDeleteLimit deletions unless none would be left', async () => {
+      await savePhotos(['a', 'b', 'c', 'd']);
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      const scanStartedAt = Date.now();
+      await savePhotos(['a']);
+
+      expect((await db.purgeUnseenPhotos(scanStartedAt, null, 0, 3)).refused).toBe(true);
+      expect((await db.purgeUnseenPhotos(scanStartedAt, null, 25, 2)).refused).toBe(true);
+
+      const result = await db.purgeUnseenPhotos(scanStartedAt, null, 25, 3);
+      expect(result.deleted.map(p => p.id)).toEqual(['b', 'c', 'd']);
+
+      // The last photo is only removed within maxDeletePercent
+      const lastScanStartedAt = Date.now() + 1;
+      expect((await db.purgeUnseenPhotos(lastScanStartedAt, null, 25, 3)).refused).toBe(true);
+      expect(await db.getTotalPhotoCount()).toBe(1);
+    });
+
+    test('should only consider photos with the given ID prefix', async () => {
+      await savePhotos(['drive:a', 'drive:b', 's3:a', 's3:b']);
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      const scanStartedAt = Date.now();
+      await savePhotos(['drive:a']);
+
+      const result = await db.purgeUnseenPhotos(scanStartedAt, 'drive:', 50);
+
+      expect(result.deleted.map(p => p.id)).toEqual(['drive:b']);
+      expect(result.totalCount).toBe(2);
+      expect(await db.getTotalPhotoCount()).toBe(3);
+    });
+
+    test('should not break another provider\'s scan that is saving photos', async () => {
+      await savePhotos(['drive:a', 'drive:b']);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const scanStartedAt = Date.now();
+      await savePhotos(['drive:a']);
+      const otherScan = [];
+      for (let i = 0; i < 500; i++) {
+        otherScan.push(`s3:${i}`);
+      }
+
+      const [result] = await Promise.all([db.purgeUnseenPhotos(scanStartedAt, 'drive:', 50), savePhotos(otherScan)]);
+
+      expect(result.deleted.map(p => p.id)).toEqual(['drive:b']);
+      expect(await db.getTotalPhotoCount()).toBe(501);
+    });
   });
 
   describe('Display Operations', () => {
@@ -198,6 +385,652 @@ describe('PhotoDatabase', () => {
       const photo = await db.getNextPhoto();
       expect(photo).toBeNull();
     });
+
+    test('should get a cached photo by ID', async () => {
+      const photo = await db.getCachedPhoto('display2');
+      expect(photo.filename).toBe('photo2.jpg');
+      expect(photo.cached_path).toBe('/path/photo2.jpg');
+
+      await db.clearPhotoCache('display2');
+      expect(await db.getCachedPhoto('display2')).toBeNull();
+    });
+
+    test('should get a cached image for serving', async () => {
+      await db.updatePhotoCacheBlob('display1', Buffer.from('jpeg'), 'image/png');
+
+      const blob = await db.getCachedImage('display1');
+      expect(blob.cached_data.toString()).toBe('jpeg');
+      expect(blob.cached_mime_type).toBe('image/png');
+      expect(blob.cached_size_bytes).toBe(4);
+      expect(blob.cached_at).toBeGreaterThan(0);
+
+      const file = await db.getCachedImage('display2');
+      expect(file.cached_data).toBeNull();
+      expect(file.cached_path).toBe('/path/photo2.jpg');
+
+      await db.clearPhotoCache('display2');
+      expect(await db.getCachedImage('display2')).toBeNull();
+    });
+  });
+
+  describe('Photo Conditions', () => {
+    const createDb = async (condition) => {
+      await db.close();
+      db = new PhotoDatabase(testDbPath, () => {}, { condition });
+      await db.initialize();
+      await db.savePhotos([
+        { id: 'wide', name: 'wide.jpg', parents: ['root'], createdTime: '2019-06-01T12:00:00', imageMediaMetadata: { width: 4000, height: 1000 } },
+        { id: 'landscape', name: 'landscape.jpg', parents: ['root'], createdTime: '2020-12-31T18:00:00', imageMediaMetadata: { width: 1920, height: 1080 } },
+        { id: 'portrait', name: 'portrait.jpg', parents: ['root'], createdTime: '2021-03-15T12:00:00', imageMediaMetadata: { width: 1080, height: 1920 } },
+        { id: 'small', name: 'small.jpg', parents: ['root'], createdTime: '2021-05-01T12:00:00', imageMediaMetadata: { width: 320, height: 240 } },
+        { id: 'unknown', name: 'unknown.jpg', parents: ['root'] }
+      ]);
+    };
+
+    const cacheableIds = async () => (await db.getPhotosToCache(10)).map(p => p.id).sort();
+
+    test('should filter by date range with an inclusive toDate', async () => {
+      await createDb({ fromDate: '2020', toDate: '2020-12-31' });
+
+      expect(await cacheableIds()).toEqual(['landscape', 'unknown']);
+    });
+
+    test('should filter by size and aspect ratio', async () => {
+      await createDb({ minWidth: 800, minHeight: 800, maxWHRatio: 2 });
+
+      expect(await cacheableIds()).toEqual(['landscape', 'portrait', 'unknown']);
+    });
+
+    test('should filter by orientation', async () => {
+      await createDb({ orientation: 'portrait' });
+
+      expect(await cacheableIds()).toEqual(['portrait', 'unknown']);
+    });
+
+    test('should never display photos excluded by the condition', async () => {
+      await createDb({ orientation: 'landscape', minWHRatio: 1.5 });
+      await db.updatePhotoCache('portrait', '/cache/portrait.jpg', 100);
+      await db.updatePhotoCache('wide', '/cache/wide.jpg', 100);
+
+      const photo = await db.getNextPhoto();
+      expect(photo.id).toBe('wide');
+
+      await db.markPhotoViewed('wide');
+      expect((await db.getNextPhoto()).id).toBe('wide');
+    });
+
+    test('should reject invalid conditions', () => {
+      expect(() => new PhotoDatabase(testDbPath, () => {}, { condition: { fromDate: 'soon' } })).toThrow('Invalid date');
+      expect(() => new PhotoDatabase(testDbPath, () => {}, { condition: { minWidth: -1 } })).toThrow('minWidth');
+      expect(() => new PhotoDatabase(testDbPath, () => {}, { condition: { orientation: 'square' } })).toThrow('orientation');
+    });
+  });
+
+  describe('Videos', () => {
+    const createDb = async (includeVideos) => {
+      await db.close();
+      db = new PhotoDatabase(testDbPath, () => {}, { includeVideos });
+      await db.initialize();
+      await db.savePhotos([
+        { id: 'photo', name: 'photo.jpg', parents: ['root'], imageMediaMetadata: { width: 1920, height: 1080 } },
+        {
+          id: 'clip',
+          name: 'clip.mp4',
+          parents: ['root'],
+          mediaType: 'video',
+          imageMediaMetadata: null,
+          videoMediaMetadata: { width: 1280, height: 720, durationMillis: '12500' }
+        }
+      ]);
+    };
+
+    const cacheableIds = async () => (await db.getPhotosToCache(10)).map(p => p.id).sort();
+
+    test('should store media type, size and duration of videos', async () => {
+      await createDb(true);
+
+      const [clip] = await db.query("SELECT media_type, width, height, duration_ms FROM photos WHERE id = 'clip'");
+      expect(clip).toEqual({ media_type: 'video', width: 1280, height: 720, duration_ms: 12500 });
+
+      const [photo] = await db.query("SELECT media_type, duration_ms FROM photos WHERE id = 'photo'");
+      expect(photo).toEqual({ media_type: 'image', duration_ms: null });
+    });
+
+    test('should only cache and display videos with includeVideos', async () => {
+      await createDb(false);
+      expect(await cacheableIds()).toEqual(['photo']);
+
+      await createDb(true);
+      expect(await cacheableIds()).toEqual(['clip', 'photo']);
+
+      await db.updatePhotoCache('clip', '/cache/clip.mp4', 100, 'video/mp4');
+      const clip = await db.getNextPhoto();
+      expect(clip).toMatchObject({ id: 'clip', media_type: 'video', duration_ms: 12500, cached_mime_type: 'video/mp4' });
+    });
+
+    test('should leave skipped videos out until the file or the settings change', async () => {
+      await createDb(true);
+      expect(await db.retrySkippedPhotos('settings A')).toBe(0);
+      await db.refillPlaybackQueue(5);
+      expect(await db.getPlaybackQueue()).toContain('clip');
+
+      await db.markPhotoSkipped('clip', 'larger than 50MB');
+
+      expect(await cacheableIds()).toEqual(['photo']);
+      expect(await db.getPlaybackQueue()).not.toContain('clip');
+
+      // Restarted, scanned again with the same file and settings
+      await createDb(true);
+      expect(await db.retrySkippedPhotos('settings A')).toBe(0);
+      expect(await cacheableIds()).toEqual(['photo']);
+
+      // File replaced
+      const clip = { id: 'clip', name: 'clip.mp4', parents: ['root'], mediaType: 'video', size: 1000 };
+      await db.savePhotos([clip]);
+      expect(await cacheableIds()).toEqual(['clip', 'photo']);
+
+      await db.markPhotoSkipped('clip', 'larger than 50MB');
+      await db.savePhotos([clip]);
+      expect(await cacheableIds()).toEqual(['photo']);
+
+      // Settings changed
+      expect(await db.retrySkippedPhotos('settings B')).toBe(1);
+      expect(await cacheableIds()).toEqual(['clip', 'photo']);
+    });
+  });
+
+  describe('File Metadata', () => {
+    const s3Photo = {
+      id: 's3-photo',
+      name: 'IMG_0001.jpg',
+      parents: ['bucket'],
+      createdTime: '2024-06-01T12:00:00Z', // Upload time
+      imageMediaMetadata: null
+    };
+    const exif = {
+      creationTime: Date.UTC(2019, 6, 14, 16, 30),
+      latitude: 47.56,
+      longitude: 13.65,
+      altitude: 511,
+      orientation: 6,
+      cameraMake: 'Canon',
+      cameraModel: 'EOS 5D',
+      lensModel: null,
+      description: 'Lake',
+      rating: 4
+    };
+    const rowOf = (id) => db.db.get('SELECT * FROM photos WHERE id = ?', [id]);
+
+    test('should store EXIF metadata and fill in missing dimensions', async () => {
+      await db.savePhoto(s3Photo);
+
+      await db.updatePhotoMetadata('s3-photo', exif, { width: 4000, height: 3000 });
+
+      expect(await rowOf('s3-photo')).toMatchObject({
+        creation_time: exif.creationTime,
+        latitude: 47.56,
+        longitude: 13.65,
+        altitude: 511,
+        width: 4000,
+        height: 3000,
+        orientation: 6,
+        camera_make: 'Canon',
+        camera_model: 'EOS 5D',
+        lens_model: null,
+        description: 'Lake',
+        rating: 4
+      });
+    });
+
+    test('should keep file metadata when the photo is scanned again', async () => {
+      await db.savePhoto(s3Photo);
+      await db.updatePhotoMetadata('s3-photo', exif, { width: 4000, height: 3000 });
+
+      await db.savePhoto(s3Photo);
+
+      expect(await rowOf('s3-photo')).toMatchObject({ creation_time: exif.creationTime, latitude: 47.56, width: 4000, camera_make: 'Canon' });
+    });
+
+    test('should keep provider values the file lacks and clear outdated location names', async () => {
+      await db.savePhoto({ ...s3Photo, imageMediaMetadata: { width: 1600, height: 1200, location: { latitude: 1, longitude: 2 } } });
+      await db.updateLocationName('s3-photo', 'Somewhere');
+
+      await db.updatePhotoMetadata('s3-photo', { ...exif, creationTime: null }, { width: 4000, height: 3000 });
+
+      expect(await rowOf('s3-photo')).toMatchObject({
+        creation_time: new Date(s3Photo.createdTime).getTime(),
+        width: 1600,
+        latitude: 47.56,
+        location_name: null
+      });
+    });
+
+    test('should swap dimensions reported for the unrotated image', async () => {
+      await db.savePhoto({ ...s3Photo, imageMediaMetadata: { width: 4032, height: 3024 } }); // Portrait phone photo, orientation 6
+
+      await db.updatePhotoMetadata('s3-photo', exif, { width: 3024, height: 4032 });
+      await db.savePhoto({ ...s3Photo, imageMediaMetadata: { width: 4032, height: 3024 } });
+
+      expect(await rowOf('s3-photo')).toMatchObject({ width: 3024, height: 4032 });
+    });
+  });
+
+  describe('Companion Photos', () => {
+    const portrait = (id, folder, time) => ({
+      id,
+      name: `${id}.jpg`,
+      parents: [folder],
+      createdTime: time,
+      imageMediaMetadata: { width: 3000, height: 4000 }
+    });
+
+    beforeEach(async () => {
+      await db.savePhotos([
+        portrait('first', 'holiday', '2023-07-14T10:00:00'),
+        portrait('sameDay', 'other', '2023-07-14T18:00:00'),
+        portrait('sameFolder', 'holiday', '2023-08-01T10:00:00'),
+        portrait('elsewhere', 'other', '2022-01-01T10:00:00'),
+        { id: 'landscape', name: 'landscape.jpg', parents: ['holiday'], createdTime: '2023-07-14T12:00:00', imageMediaMetadata: { width: 4000, height: 3000 } },
+        { id: 'small', name: 'small.jpg', parents: ['other'], imageMediaMetadata: { width: 800, height: 600 } }
+      ]);
+      for (const id of ['first', 'sameDay', 'sameFolder', 'elsewhere', 'landscape', 'small']) {
+        await db.updatePhotoCacheBlob(id, Buffer.from('jpeg'));
+      }
+    });
+
+    test('should prefer portrait photos from the same day, then the same folder', async () => {
+      const first = await db.getCachedPhoto('first');
+
+      const companions = await db.getCompanionPhotos(first, 3, { portrait: true });
+
+      expect(companions.map(p => p.id)).toEqual(['sameDay', 'sameFolder', 'elsewhere']);
+    });
+
+    test('should only return photos that fit the size limit', async () => {
+      const first = await db.getCachedPhoto('first');
+
+      const companions = await db.getCompanionPhotos(first, 3, { maxWidth: 960, maxHeight: 540 });
+
+      expect(companions).toEqual([]);
+      expect((await db.getCompanionPhotos(first, 3, { maxWidth: 960, maxHeight: 960 })).map(p => p.id)).toEqual(['small']);
+    });
+
+    test('should take claimed photos out of the playback queue', async () => {
+      await db.refillPlaybackQueue(6);
+
+      await db.claimPhotos(['sameDay', 'small']);
+
+      const queue = await db.getPlaybackQueue();
+      expect(queue).not.toContain('sameDay');
+      expect(queue).not.toContain('small');
+      expect(queue).toHaveLength(4);
+    });
+  });
+
+  describe('Folder Weighting', () => {
+    const createDb = async (sortMode) => {
+      await db.close();
+      db = new PhotoDatabase(testDbPath, () => {}, { sortMode });
+      await db.initialize();
+
+      const photos = [];
+      for (let i = 0; i < 6; i++) {
+        photos.push({ id: `big${i}`, name: `big${i}.jpg`, parents: ['big'], rootFolder: 'big' });
+      }
+      photos.push({ id: 'small0', name: 'small0.jpg', parents: ['small'], rootFolder: 'small' });
+      photos.push({ id: 'small1', name: 'small1.jpg', parents: ['small/sub'], rootFolder: 'small' });
+      await db.savePhotos(photos);
+
+      for (const photo of photos) {
+        await db.updatePhotoCache(photo.id, `/cache/${photo.id}.jpg`, 100);
+      }
+    };
+
+    const showPhotos = async (count) => {
+      const shown = [];
+      for (let i = 0; i < count; i++) {
+        const photo = await db.getNextPhoto();
+        shown.push(photo);
+        await db.markPhotoViewed(photo.id);
+      }
+      return shown;
+    };
+
+    test('should alternate folders by weight in roundRobin mode', async () => {
+      await createDb('roundRobin');
+      db.setFolderWeights([
+        { id: 'big', weight: 1, label: null },
+        { id: 'small', weight: 2, label: 'Kids' }
+      ]);
+
+      const shown = await showPhotos(6);
+
+      expect(shown.map(p => p.root_folder)).toEqual(['small', 'big', 'small', 'small', 'big', 'small']);
+      expect(shown[0].folder_label).toBe('Kids');
+      expect(shown[1].folder_label).toBeNull();
+    });
+
+    test('should pick the least recently viewed photo within the folder', async () => {
+      await createDb('roundRobin');
+
+      const shown = await showPhotos(4);
+
+      expect(shown.map(p => p.id)).toEqual(['big0', 'small0', 'big1', 'small1']);
+    });
+
+    test('should pick folders in proportion to weight in weighted mode', async () => {
+      await createDb('weighted');
+      db.setFolderWeights([
+        { id: 'big', weight: 1, label: null },
+        { id: 'small', weight: 3, label: null }
+      ]);
+      const random = jest.spyOn(Math, 'random');
+
+      try {
+        random.mockReturnValue(0.2); // 0.8 of 4 -> big
+        expect((await db.getNextPhoto()).root_folder).toBe('big');
+
+        random.mockReturnValue(0.3); // 1.2 of 4 -> small
+        expect((await db.getNextPhoto()).root_folder).toBe('small');
+      } finally {
+        random.mockRestore();
+      }
+    });
+
+    test('should keep the known root folder when a change does not report it', async () => {
+      await createDb('roundRobin');
+
+      await db.savePhoto({ id: 'small0', name: 'renamed.jpg', parents: ['small'] });
+
+      const rows = await db.query("SELECT root_folder FROM photos WHERE id = 'small0'");
+      expect(rows[0].root_folder).toBe('small');
+    });
+  });
+
+  describe('On This Day', () => {
+    const photos = [
+      { id: 'memory1', name: 'memory1.jpg', parents: ['root'], createdTime: '2020-03-15T10:00:00' },
+      { id: 'memory2', name: 'memory2.jpg', parents: ['root'], createdTime: '2024-03-16T08:00:00' },
+      { id: 'recent', name: 'recent.jpg', parents: ['root'], createdTime: '2026-03-14T12:00:00' },
+      { id: 'other', name: 'other.jpg', parents: ['root'], createdTime: '2019-07-01T12:00:00' },
+      { id: 'undated', name: 'undated.jpg', parents: ['root'] }
+    ];
+
+    const createDb = async (options) => {
+      await db.close();
+      db = new PhotoDatabase(testDbPath, () => {}, { sortMode: 'onThisDay', ...options });
+      await db.initialize();
+      await db.savePhotos(photos);
+    };
+
+    beforeEach(() => {
+      // Only fake the clock - sqlite callbacks need real timers
+      jest.useFakeTimers({
+        now: new Date(2026, 2, 15, 9, 0),
+        doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask']
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should show memories first, then fall back', async () => {
+      await createDb({ onThisDayWindow: 1, onThisDayFallback: 'oldest' });
+      for (const photo of photos.filter(p => p.createdTime)) {
+        await db.updatePhotoCache(photo.id, `/cache/${photo.id}.jpg`, 100);
+      }
+
+      const shown = [];
+      for (let i = 0; i < 3; i++) {
+        const photo = await db.getNextPhoto();
+        shown.push(photo);
+        await db.markPhotoViewed(photo.id);
+      }
+
+      const memories = Object.fromEntries(shown.slice(0, 2).map(p => [p.id, p]));
+      expect(memories.memory1).toMatchObject({ years_ago: 6, same_day: true });
+      expect(memories.memory2).toMatchObject({ years_ago: 2, same_day: false });
+      expect(shown[2].id).toBe('other');
+      expect(shown[2].years_ago).toBeUndefined();
+    });
+
+    test('should only match the exact day without a window', async () => {
+      await createDb({});
+
+      const cacheable = await db.getPhotosToCache(10, null, true);
+
+      expect(cacheable.map(p => p.id)).toEqual(['memory1']);
+    });
+
+    test('should cache memories first and evict them last', async () => {
+      await createDb({ onThisDayWindow: 1 });
+
+      const toCache = await db.getPhotosToCache(10);
+      expect(toCache.slice(0, 2).map(p => p.id).sort()).toEqual(['memory1', 'memory2']);
+
+      for (const photo of photos) {
+        await db.updatePhotoCache(photo.id, `/cache/${photo.id}.jpg`, 100);
+      }
+      const evictable = await db.getOldestCachedPhotos(10);
+      expect(evictable.slice(-2).map(p => p.id).sort()).toEqual(['memory1', 'memory2']);
+    });
+
+    test('should show Feb 29 photos on Feb 28 in other years', async () => {
+      await createDb({});
+
+      expect(db.getOnThisDayFilter(new Date(2027, 1, 28)).params).toContain('02-29');
+      expect(db.getOnThisDayFilter(new Date(2028, 1, 28)).params).not.toContain('02-29');
+    });
+
+    test('should reject invalid settings', () => {
+      expect(() => new PhotoDatabase(testDbPath, () => {}, { onThisDayWindow: -1 })).toThrow('onThisDayWindow');
+      expect(() => new PhotoDatabase(testDbPath, () => {}, { onThisDayFallback: 'onThisDay' })).toThrow('onThisDayFallback');
+    });
+  });
+
+  describe('Playback Queue', () => {
+    const createDb = async (sortMode) => {
+      await db.close();
+      db = new PhotoDatabase(testDbPath, () => {}, { sortMode });
+      await db.initialize();
+    };
+
+    const savePhotos = async () => {
+      const photos = [];
+      for (let i = 1; i <= 5; i++) {
+        photos.push({ id: `p${i}`, name: `p${i}.jpg`, parents: ['root'], createdTime: `202${i}-06-01T00:00:00Z` });
+      }
+      await db.savePhotos(photos);
+    };
+
+    test('should prefetch and show photos in display order', async () => {
+      await createDb('newest');
+      await savePhotos();
+
+      expect(await db.refillPlaybackQueue(3)).toBe(3);
+      expect(await db.getPlaybackQueue()).toEqual(['p5', 'p4', 'p3']);
+      expect((await db.getPhotosToCache(2)).map(p => p.id)).toEqual(['p5', 'p4']);
+
+      // The head is not cached yet, so the next cached queued photo is shown instead of stalling
+      await db.updatePhotoCache('p4', '/cache/p4.jpg', 100);
+      expect((await db.getNextPhoto()).id).toBe('p4');
+
+      await db.updatePhotoCache('p5', '/cache/p5.jpg', 100);
+      expect((await db.getNextPhoto()).id).toBe('p5');
+      expect(await db.getPlaybackQueue()).toEqual(['p3']);
+    });
+
+    test('should show random photos in the order they were prefetched', async () => {
+      await createDb('random');
+      await savePhotos();
+      await db.refillPlaybackQueue(5);
+      const queued = await db.getPlaybackQueue();
+
+      for (const id of queued) {
+        await db.updatePhotoCache(id, `/cache/${id}.jpg`, 100);
+      }
+      const shown = [];
+      for (let i = 0; i < 5; i++) {
+        const photo = await db.getNextPhoto();
+        await db.markPhotoViewed(photo.id);
+        shown.push(photo.id);
+      }
+
+      expect(shown).toEqual(queued);
+    });
+
+    test('should queue photos by folder weight', async () => {
+      await createDb('roundRobin');
+      db.setFolderWeights([{ id: 'a', weight: 2, label: null }, { id: 'b', weight: 1, label: null }]);
+      await db.savePhotos(['a1', 'a2', 'a3', 'b1', 'b2'].map(id => (
+        { id, name: `${id}.jpg`, parents: [id[0]], rootFolder: id[0] }
+      )));
+
+      await db.refillPlaybackQueue(5);
+
+      expect(await db.getPlaybackQueue()).toEqual(['a1', 'b1', 'a2', 'a3', 'b2']);
+    });
+
+    test('should keep the queue across restarts unless the sort mode changes', async () => {
+      await createDb('newest');
+      await savePhotos();
+      await db.refillPlaybackQueue(2);
+
+      await createDb('newest');
+      expect(await db.getPlaybackQueue()).toEqual(['p5', 'p4']);
+
+      await createDb('oldest');
+      expect(await db.getPlaybackQueue()).toEqual([]);
+    });
+
+    test('should evict queued photos last and drop deleted photos', async () => {
+      await createDb('sequential');
+      await savePhotos();
+      for (let i = 1; i <= 5; i++) {
+        await db.updatePhotoCache(`p${i}`, `/cache/p${i}.jpg`, 100);
+      }
+      await db.run('INSERT INTO playback_queue (photo_id) VALUES (?), (?)', ['p2', 'p1']);
+
+      const evictable = await db.getOldestCachedPhotos(5);
+      expect(evictable.slice(-2).map(p => p.id)).toEqual(['p1', 'p2']);
+
+      await db.deletePhoto('p2');
+      expect(await db.getPlaybackQueue()).toEqual(['p1']);
+    });
+
+    test('should not break a scan that is saving photos while the queue is refilled', async () => {
+      await createDb('sequential');
+      await savePhotos();
+      const scan = [];
+      for (let i = 0; i < 500; i++) {
+        scan.push({ id: `scan${i}`, name: `scan${i}.jpg`, parents: ['root'] });
+      }
+
+      const [, added] = await Promise.all([db.savePhotos(scan), db.refillPlaybackQueue(5)]);
+
+      expect(await db.getTotalPhotoCount()).toBe(505);
+      expect(added).toBe(5);
+      expect(await db.getPlaybackQueueLength()).toBe(5);
+    });
+  });
+
+  describe('Shuffle Deck', () => {
+    const createDb = async () => {
+      if (db) {
+        await db.close();
+      }
+      db = new PhotoDatabase(testDbPath, () => {}, { sortMode: 'random' });
+      await db.initialize();
+    };
+
+    const addPhotos = async (ids) => {
+      await db.savePhotos(ids.map(id => ({ id, name: `${id}.jpg`, parents: ['root'] })));
+      for (const id of ids) {
+        await db.updatePhotoCache(id, `/cache/${id}.jpg`, 100);
+      }
+    };
+
+    const showPhotos = async (count) => {
+      const shown = [];
+      for (let i = 0; i < count; i++) {
+        const photo = await db.getNextPhoto();
+        await db.markPhotoViewed(photo.id);
+        shown.push(photo.id);
+      }
+      return shown;
+    };
+
+    test('should show every photo once per deck without repeats across reshuffles', async () => {
+      await createDb();
+      const ids = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+      await addPhotos(ids);
+
+      let previous = await showPhotos(ids.length);
+      expect([...previous].sort()).toEqual(ids);
+
+      for (let deck = 0; deck < 5; deck++) {
+        const shown = await showPhotos(ids.length);
+        expect([...shown].sort()).toEqual(ids);
+        // The gap is capped at half the deck
+        for (const id of previous.slice(-4)) {
+          expect(shown.slice(0, 4)).not.toContain(id);
+        }
+        previous = shown;
+      }
+    });
+
+    test('should continue the deck after a restart', async () => {
+      await createDb();
+      const ids = ['a', 'b', 'c', 'd', 'e', 'f'];
+      await addPhotos(ids);
+      const before = await showPhotos(3);
+
+      await createDb();
+      const after = await showPhotos(3);
+
+      expect([...before, ...after].sort()).toEqual(ids);
+    });
+
+    test('should shuffle new photos into the rest of the deck', async () => {
+      await createDb();
+      await addPhotos(['a', 'b', 'c', 'd']);
+      const before = await showPhotos(2);
+
+      await addPhotos(['e', 'f']);
+      const after = await showPhotos(4);
+
+      expect([...before, ...after].sort()).toEqual(['a', 'b', 'c', 'd', 'e', 'f']);
+    });
+
+    test('should deal uncached photos into the playback queue', async () => {
+      await createDb();
+      await db.savePhotos(['a', 'b', 'c'].map(id => ({ id, name: `${id}.jpg`, parents: ['root'] })));
+
+      await db.refillPlaybackQueue(3);
+
+      expect((await db.getPlaybackQueue()).sort()).toEqual(['a', 'b', 'c']);
+      expect(await db.getNextPhoto()).toBeNull();
+
+      // Still the same deck once the photos are downloaded
+      const queued = await db.getPlaybackQueue();
+      await addPhotos(['a', 'b', 'c']);
+      expect(await showPhotos(3)).toEqual(queued);
+    });
+
+    test('should not break a scan that is saving photos while the deck is shuffled', async () => {
+      await createDb();
+      await addPhotos(['a', 'b', 'c']);
+      const scan = [];
+      for (let i = 0; i < 500; i++) {
+        scan.push({ id: `scan${i}`, name: `scan${i}.jpg`, parents: ['root'] });
+      }
+
+      await Promise.all([db.savePhotos(scan), db.refillPlaybackQueue(3)]);
+
+      expect(await db.getTotalPhotoCount()).toBe(503);
+      expect(await db.getPlaybackQueueLength()).toBe(3);
+    });
   });
 
   describe('Settings Operations', () => {
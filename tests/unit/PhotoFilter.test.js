@@ -0,0 +1,60 @@
+/**
+ * Unit Tests for PhotoFilter
+ * Tests include/exclude patterns over filenames and folder paths
+ */
+
+const PhotoFilter = require('../../components/PhotoFilter');
+
+describe('PhotoFilter', () => {
+  const photo = (name, folderPath) => ({ id: name, name, parents: ['root'], folderPath });
+
+  test('should skip RAW files by default', () => {
+    const filter = new PhotoFilter({}, () => {});
+
+    expect(filter.matches(photo('IMG_0001.JPG'))).toBe(true);
+    expect(filter.matches(photo('IMG_0001.CR2'))).toBe(false);
+    expect(filter.matches(photo('dsc_0001.nef'))).toBe(false);
+  });
+
+  test('should replace the default exclusions when exclude is configured', () => {
+    const filter = new PhotoFilter({ exclude: ['^Screenshot'] }, () => {});
+
+    expect(filter.matches(photo('IMG_0001.CR2'))).toBe(true);
+    expect(filter.matches(photo('Screenshot 2024-01-01.png'))).toBe(false);
+  });
+
+  test('should match exclude patterns against the folder path', () => {
+    const filter = new PhotoFilter({ exclude: ['/WhatsApp( Images)?/', '(?i)_edited\\.'] }, () => {});
+
+    expect(filter.matches(photo('IMG-20240101-WA0001.jpg', '/Pictures/WhatsApp Images'))).toBe(false);
+    expect(filter.matches(photo('beach_EDITED.jpg', '/Pictures/2024'))).toBe(false);
+    expect(filter.matches(photo('beach.jpg', '/Pictures/2024'))).toBe(true);
+  });
+
+  test('should require an include match when include is configured', () => {
+    const filter = new PhotoFilter({ include: ['^/Albums/', '^IMG_'], exclude: [] }, () => {});
+
+    expect(filter.matches(photo('beach.jpg', '/Albums/Summer'))).toBe(true);
+    expect(filter.matches(photo('IMG_0001.jpg', '/Camera'))).toBe(true);
+    expect(filter.matches(photo('IMG_0002.jpg'))).toBe(true);
+    expect(filter.matches(photo('beach.jpg', '/Camera'))).toBe(false);
+  });
+
+  test('should split scan results into kept and excluded photos', () => {
+    const logs = [];
+    const filter = new PhotoFilter({ exclude: ['\\.gif$'] }, (msg) => logs.push(msg));
+
+    const { kept, excluded } = filter.partition([photo('a.jpg'), photo('b.gif'), photo('c.png')]);
+
+    expect(kept.map(p => p.name)).toEqual(['a.jpg', 'c.png']);
+    expect(excluded.map(p => p.name)).toEqual(['b.gif']);
+    expect(logs[0]).toContain('Filtered out 1 of 3 photos');
+  });
+
+  test('should reject invalid patterns', () => {
+    expect(() => new PhotoFilter({ exclude: ['(unclosed'] })).toThrow('exclude[0] is not a valid pattern');
+    // Backreferences need backtracking, which RE2 does not support
+    expect(() => new PhotoFilter({ include: ['(a)\\1'] })).toThrow('include[0] is not a valid pattern');
+    expect(() => new PhotoFilter({ include: [''] })).toThrow('include[0] must be a non-empty string');
+  });
+});
@@ -293,6 +293,18 @@ describe('S3Provider', () => {
       expect(mockS3Send).toHaveBeenCalledTimes(2);
     });
 
+    test('should fail on a truncated page without a continuation token', async () => {
+      mockS3Send.mockResolvedValueOnce({
+        Contents: [
+          { Key: 'photos/img1.jpg', LastModified: new Date(), Size: 1024 }
+        ],
+        IsTruncated: true,
+        CommonPrefixes: []
+      });
+
+      await expect(provider.scanFolder('photos/')).rejects.toThrow('truncated without a continuation token');
+    });
+
     test('should scan subdirectories recursively', async () => {
       // Root folder response
       mockS3Send.mockResolvedValueOnce({
@@ -456,22 +468,16 @@ describe('S3Provider', () => {
       expect(provider.db).toBe(mockDb);
     });
 
-    test('getChanges should return empty changes (not supported)', async () => {
+    test('getChanges should require a database', async () => {
       provider = new S3Provider({
         bucketName: 'test-bucket',
         region: 'us-east-1'
       }, mockLogger);
 
-      const changes = await provider.getChanges('token');
-
-      expect(changes).toEqual({
-        photos: [],
-        deletedIds: [],
-        nextToken: null
-      });
+      await expect(provider.getChanges('token')).rejects.toThrow('Database not set');
     });
 
-    test('getStartPageToken should return null (not supported)', async () => {
+    test('getStartPageToken should return null without a database', async () => {
       provider = new S3Provider({
         bucketName: 'test-bucket',
         region: 'us-east-1'
@@ -483,6 +489,152 @@ describe('S3Provider', () => {
     });
   });
 
+  describe('Incremental sync', () => {
+    let objects;
+    let settings;
+    let mockDb;
+
+    const putObject = (key, etag, modified = '2024-01-01') => {
+      objects.set(key, { Key: key, ETag: `"${etag}"`, LastModified: new Date(modified), Size: 100 });
+    };
+
+    // Answer ListObjectsV2 with Delimiter "/" like a real bucket
+    const listObjects = ({ Prefix }) => {
+      const Contents = [];
+      const CommonPrefixes = new Set();
+      for (const [key, obj] of objects) {
+        if (!key.startsWith(Prefix)) continue;
+        const rest = key.slice(Prefix.length);
+        if (rest.includes('/')) {
+          CommonPrefixes.add(Prefix + rest.slice(0, rest.indexOf('/') + 1));
+        } else {
+          Contents.push(obj);
+        }
+      }
+      return { Contents, CommonPrefixes: [...CommonPrefixes].map(p => ({ Prefix: p })) };
+    };
+
+    const createProvider = async (config) => {
+      const instance = new S3Provider({
+        bucketName: 'test-bucket',
+        region: 'us-east-1',
+        ...config
+      }, mockLogger);
+      instance.setDatabase(mockDb);
+      await instance.initialize();
+      return instance;
+    };
+
+    beforeEach(async () => {
+      objects = new Map();
+      settings = new Map();
+      mockDb = {
+        getSetting: jest.fn(async (key) => settings.get(key) || null),
+        saveSetting: jest.fn(async (key, value) => { settings.set(key, value); })
+      };
+
+      ListObjectsV2Command.mockImplementation(input => ({ input }));
+      mockS3Send.mockImplementation(async (command) => listObjects(command.input));
+
+      putObject('photos/a.jpg', 'etag-a');
+      putObject('photos/2024/b.jpg', 'etag-b');
+      putObject('family/c.jpg', 'etag-c');
+
+      provider = await createProvider({
+        driveFolders: [{ id: 'photos', depth: -1 }, { id: 'family/', depth: 0 }]
+      });
+    });
+
+    test('fullScan should list every prefix and store a snapshot per prefix', async () => {
+      const photos = await provider.fullScan();
+
+      expect(photos.map(p => p.id).sort()).toEqual(['family/c.jpg', 'photos/2024/b.jpg', 'photos/a.jpg']);
+      expect(JSON.parse(settings.get('s3_snapshot:test-bucket/photos/'))).toEqual({
+        'photos/a.jpg': '"etag-a":2024-01-01T00:00:00.000Z',
+        'photos/2024/b.jpg': '"etag-b":2024-01-01T00:00:00.000Z'
+      });
+      expect(Object.keys(JSON.parse(settings.get('s3_snapshot:test-bucket/family/')))).toEqual(['family/c.jpg']);
+    });
+
+    test('should detect uploads, modifications and deletions', async () => {
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+
+      putObject('photos/new.jpg', 'etag-new');
+      putObject('photos/a.jpg', 'etag-a2');
+      putObject('family/c.jpg', 'etag-c', '2024-03-01');
+      objects.delete('photos/2024/b.jpg');
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos.map(p => p.id).sort()).toEqual(['family/c.jpg', 'photos/a.jpg', 'photos/new.jpg']);
+      expect(changes.deletedIds).toEqual(['photos/2024/b.jpg']);
+      expect(changes.nextToken).toEqual(expect.any(String));
+
+      const again = await provider.getChanges(changes.nextToken);
+      expect(again.photos).toHaveLength(0);
+      expect(again.deletedIds).toHaveLength(0);
+    });
+
+    test('should not delete keys still listed under another prefix', async () => {
+      provider = await createProvider({
+        driveFolders: [{ id: 'photos/', depth: -1 }, { id: 'photos/2024/', depth: 0 }]
+      });
+      await provider.fullScan();
+
+      // b.jpg drops out of the 'photos/' listing but is still under 'photos/2024/'
+      provider = await createProvider({
+        driveFolders: [{ id: 'photos/', depth: 0 }, { id: 'photos/2024/', depth: 0 }]
+      });
+      const changes = await provider.getChanges('token');
+
+      expect(changes.deletedIds).toEqual([]);
+      expect(changes.photos).toEqual([]);
+    });
+
+    test('should keep every snapshot when listing a prefix fails', async () => {
+      await provider.fullScan();
+      const snapshots = new Map(settings);
+
+      objects.delete('photos/a.jpg');
+      mockS3Send.mockImplementation(async (command) => {
+        if (command.input.Prefix === 'family/') {
+          throw new Error('Service unavailable');
+        }
+        return listObjects(command.input);
+      });
+
+      await expect(provider.getChanges('token')).rejects.toThrow('Service unavailable');
+      expect(settings).toEqual(snapshots);
+    });
+
+    test('getStartPageToken should snapshot prefixes without one', async () => {
+      const token = await provider.getStartPageToken();
+
+      expect(token).toEqual(expect.any(String));
+      expect(settings.has('s3_snapshot:test-bucket/photos/')).toBe(true);
+      expect(settings.has('s3_snapshot:test-bucket/family/')).toBe(true);
+
+      // A prefix added later starts from its own listing without reporting deletions elsewhere
+      putObject('new/d.jpg', 'etag-d');
+      provider = await createProvider({
+        driveFolders: [{ id: 'photos/', depth: -1 }, { id: 'family/', depth: 0 }, { id: 'new/', depth: 0 }]
+      });
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos.map(p => p.id)).toEqual(['new/d.jpg']);
+      expect(changes.deletedIds).toEqual([]);
+    });
+
+    test('should fall back to bucketPrefix without driveFolders', async () => {
+      provider = await createProvider({ bucketPrefix: 'family' });
+
+      const photos = await provider.fullScan();
+
+      expect(photos.map(p => p.id)).toEqual(['family/c.jpg']);
+    });
+  });
+
   describe('cleanup', () => {
     test('should destroy S3 client', async () => {
       mockS3Send.mockResolvedValue({ Contents: [] });
@@ -0,0 +1,361 @@
+/**
+ * Unit Tests for WebDavProvider
+ * Runs the provider against a local HTTP stand-in for a WebDAV server
+ */
+
+const http = require('http');
+const WebDavProvider = require('../../components/providers/WebDavProvider');
+
+/**
+ * Minimal in-memory WebDAV server stand-in (PROPFIND + GET with basic auth)
+ * Mimics Nextcloud: href paths are percent-encoded and prefixed with the DAV root
+ */
+function createWebDavStandIn({ allowInfinity = true } = {}) {
+  const davRoot = '/remote.php/dav/files/alice';
+  const files = new Map(); // path -> { content, etag, contentType, modified }
+  const requests = [];
+  let etagCounter = 0;
+  let emptyListings = false;
+
+  const encodePath = (p) => p.split('/').map(encodeURIComponent).join('/');
+
+  const folderOf = (p) => p.slice(0, p.lastIndexOf('/'));
+
+  const allFolders = () => {
+    const folders = new Set(['']);
+    for (const p of files.keys()) {
+      let folder = folderOf(p);
+      while (folder) {
+        folders.add(folder);
+        folder = folderOf(folder);
+      }
+    }
+    return folders;
+  };
+
+  const collectionXml = (p) => `
+  <d:response>
+    <d:href>${davRoot}${encodePath(p)}/</d:href>
+    <d:propstat>
+      <d:prop><d:resourcetype><d:collection/></d:resourcetype><d:getetag>"dir"</d:getetag></d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>`;
+
+  const fileXml = (p) => {
+    const file = files.get(p);
+    return `
+  <d:response>
+    <d:href>${davRoot}${encodePath(p)}</d:href>
+    <d:propstat>
+      <d:prop>
+        <d:resourcetype/>
+        <d:getetag>&quot;${file.etag}&quot;</d:getetag>
+        <d:getlastmodified>${file.modified}</d:getlastmodified>
+        <d:getcontentlength>${file.content.length}</d:getcontentlength>
+        ${file.contentType ? `<d:getcontenttype>${file.contentType}</d:getcontenttype>` : ''}
+      </d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>`;
+  };
+
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, depth: req.headers.depth });
+
+      const expected = 'Basic ' + Buffer.from('alice:app-pass-123').toString('base64');
+      if (req.headers.authorization !== expected) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Nextcloud"' });
+        res.end();
+        return;
+      }
+
+      if (!req.url.startsWith(davRoot)) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      const target = decodeURIComponent(req.url.slice(davRoot.length)).replace(/\/+$/, '');
+
+      if (req.method === 'GET') {
+        const file = files.get(target);
+        res.writeHead(file ? 200 : 404, { 'Content-Type': 'application/octet-stream' });
+        res.end(file ? file.content : undefined);
+        return;
+      }
+
+      if (req.method !== 'PROPFIND') {
+        res.writeHead(405);
+        res.end();
+        return;
+      }
+
+      const folders = allFolders();
+      if (!folders.has(target)) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      const depth = req.headers.depth;
+      if (depth === 'infinity' && !allowInfinity) {
+        res.writeHead(403);
+        res.end();
+        return;
+      }
+
+      if (emptyListings) {
+        res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+        res.end('<?xml version="1.0"?>\n<d:multistatus xmlns:d="DAV:"></d:multistatus>');
+        return;
+      }
+
+      const parts = [collectionXml(target)];
+      if (depth !== '0') {
+        const inScope = (p) => depth === 'infinity'
+          ? p.startsWith(`${target}/`)
+          : folderOf(p) === target;
+
+        for (const folder of [...folders].sort()) {
+          if (folder && inScope(folder)) parts.push(collectionXml(folder));
+        }
+        for (const p of [...files.keys()].sort()) {
+          if (inScope(p)) parts.push(fileXml(p));
+        }
+      }
+
+      res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+      res.end(`<?xml version="1.0"?>\n<d:multistatus xmlns:d="DAV:">${parts.join('')}\n</d:multistatus>`);
+    });
+  });
+
+  return {
+    server,
+    davRoot,
+    requests,
+    putFile(p, content = 'jpeg-bytes', contentType = 'image/jpeg') {
+      files.set(p, {
+        content: Buffer.from(content),
+        etag: `etag-${++etagCounter}`,
+        contentType,
+        modified: 'Mon, 01 Jan 2024 10:00:00 GMT'
+      });
+    },
+    deleteFile(p) {
+      files.delete(p);
+    },
+    // Answer PROPFIND with an empty multistatus, like a misbehaving server or proxy
+    sendEmptyListings() {
+      emptyListings = true;
+    }
+  };
+}
+
+describe('WebDavProvider', () => {
+  let standIn;
+  let baseUrl;
+  let provider;
+  let settings;
+  let mockDb;
+
+  const createProvider = (overrides = {}) => {
+    const instance = new WebDavProvider({
+      url: `${baseUrl}${standIn.davRoot}`,
+      username: 'alice',
+      appPassword: 'app-pass-123',
+      folders: [{ id: '/Photos', depth: -1 }],
+      ...overrides
+    }, () => {});
+    instance.setDatabase(mockDb);
+    return instance;
+  };
+
+  const startServer = async (options) => {
+    standIn = createWebDavStandIn(options);
+    await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${standIn.server.address().port}`;
+
+    standIn.putFile('/Photos/beach.jpg');
+    standIn.putFile('/Photos/notes.txt', 'text', 'text/plain');
+    standIn.putFile('/Photos/2023/Party Time.png', 'png', 'image/png');
+    standIn.putFile('/Photos/2023/summer/lake.heic', 'heic', null);
+    standIn.putFile('/Other/skip.jpg');
+  };
+
+  beforeEach(async () => {
+    settings = new Map();
+    mockDb = {
+      getSetting: jest.fn(async (key) => settings.get(key) || null),
+      saveSetting: jest.fn(async (key, value) => { settings.set(key, value); })
+    };
+
+    await startServer();
+    provider = createProvider();
+    await provider.initialize();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => standIn.server.close(resolve));
+  });
+
+  describe('Constructor', () => {
+    test('should require url', () => {
+      expect(() => new WebDavProvider({}, () => {})).toThrow("requires 'url'");
+    });
+
+    test('should reject unsupported propfindDepth', () => {
+      expect(() => createProvider({ propfindDepth: '2' })).toThrow('propfindDepth');
+    });
+  });
+
+  describe('Authentication', () => {
+    test('should authenticate with an app password', () => {
+      expect(standIn.requests[0]).toMatchObject({ method: 'PROPFIND', depth: '0' });
+    });
+
+    test('should authenticate with basic username and password', async () => {
+      provider = createProvider({ appPassword: undefined, password: 'app-pass-123' });
+
+      await expect(provider.initialize()).resolves.toBeUndefined();
+    });
+
+    test('should report invalid credentials', async () => {
+      provider = createProvider({ appPassword: 'wrong' });
+
+      await expect(provider.initialize()).rejects.toThrow('invalid username or password');
+    });
+
+    test('should report a missing base folder', async () => {
+      provider = createProvider({ url: `${baseUrl}/wrong/path` });
+
+      await expect(provider.initialize()).rejects.toThrow('folder not found');
+    });
+  });
+
+  describe('scanFolder', () => {
+    test('should only list images that can be shown', async () => {
+      standIn.putFile('/Photos/icons/logo.svg', '<svg/>', 'image/svg+xml');
+      standIn.putFile('/Photos/icons/favicon.ico', 'ico', 'image/x-icon');
+      standIn.putFile('/Photos/icons/IMG_0001', 'jpeg', 'image/jpeg; charset=binary');
+      standIn.putFile('/Photos/icons/scan.TIF', 'tiff', 'application/octet-stream');
+
+      const photos = await provider.scanFolder('/Photos/icons', 0);
+
+      expect(photos.map(p => p.name).sort()).toEqual(['IMG_0001', 'scan.TIF']);
+    });
+
+    test('should walk folders with Depth: 1 by default', async () => {
+      const photos = await provider.scanFolder('/Photos', -1);
+      const ids = photos.map(p => p.id).sort();
+
+      expect(ids).toEqual([
+        '/Photos/2023/Party Time.png',
+        '/Photos/2023/summer/lake.heic',
+        '/Photos/beach.jpg'
+      ]);
+      const depths = standIn.requests.filter(r => r.method === 'PROPFIND').slice(1).map(r => r.depth);
+      expect(depths).toEqual(['1', '1', '1']);
+    });
+
+    test('should use a single Depth: infinity request when configured', async () => {
+      provider = createProvider({ propfindDepth: 'infinity' });
+      await provider.initialize();
+      standIn.requests.length = 0;
+
+      const photos = await provider.scanFolder('/Photos', -1);
+
+      expect(photos).toHaveLength(3);
+      expect(standIn.requests).toHaveLength(1);
+      expect(standIn.requests[0].depth).toBe('infinity');
+    });
+
+    test('should respect depth limit', async () => {
+      const photos = await provider.scanFolder('/Photos', 1);
+      const names = photos.map(p => p.name).sort();
+
+      expect(names).toEqual(['Party Time.png', 'beach.jpg']);
+    });
+
+    test('should return photos in the standard format', async () => {
+      const photos = await provider.scanFolder('/Photos', 0);
+
+      expect(photos).toEqual([{
+        id: '/Photos/beach.jpg',
+        name: 'beach.jpg',
+        parents: ['/Photos'],
+        folderPath: '/Photos',
+        createdTime: '2024-01-01T10:00:00.000Z',
+        size: 10,
+        etag: '"etag-1"',
+        imageMediaMetadata: null
+      }]);
+    });
+  });
+
+  describe('downloadPhoto', () => {
+    test('should GET file content with encoded path', async () => {
+      const stream = await provider.downloadPhoto('/Photos/2023/Party Time.png');
+
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe('png');
+      expect(standIn.requests.pop().url).toBe(`${standIn.davRoot}/Photos/2023/Party%20Time.png`);
+    });
+
+    test('should report missing files', async () => {
+      await expect(provider.downloadPhoto('/Photos/gone.jpg')).rejects.toThrow('Photo not found');
+    });
+  });
+
+  describe('Incremental sync', () => {
+    test('should detect new, changed and deleted files by ETag', async () => {
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+
+      standIn.putFile('/Photos/new.jpg');
+      standIn.putFile('/Photos/beach.jpg', 'edited');
+      standIn.deleteFile('/Photos/2023/summer/lake.heic');
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos.map(p => p.id).sort()).toEqual(['/Photos/beach.jpg', '/Photos/new.jpg']);
+      expect(changes.deletedIds).toEqual(['/Photos/2023/summer/lake.heic']);
+
+      const again = await provider.getChanges(changes.nextToken);
+      expect(again.photos).toHaveLength(0);
+      expect(again.deletedIds).toHaveLength(0);
+    });
+
+    test('should fail instead of reporting deletions for an empty listing', async () => {
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+      const snapshot = settings.get('webdav_snapshot');
+
+      standIn.sendEmptyListings();
+
+      await expect(provider.getChanges(token)).rejects.toThrow("Incomplete PROPFIND response for '/Photos'");
+      expect(settings.get('webdav_snapshot')).toBe(snapshot);
+    });
+
+    test('should create a snapshot when asked for a start token', async () => {
+      await provider.getStartPageToken();
+
+      expect(Object.keys(JSON.parse(settings.get('webdav_snapshot')))).toHaveLength(3);
+    });
+
+    test('should require a database for incremental sync', async () => {
+      provider.setDatabase(null);
+
+      await expect(provider.getChanges('token')).rejects.toThrow('Database not set');
+    });
+  });
+
+  test('should report provider name', () => {
+    expect(provider.getProviderName()).toBe('WebDAV');
+  });
+});